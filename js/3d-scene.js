@@ -2,6 +2,8 @@
  * 3D Scene for Hero Section
  * Creates an interactive 3D dental scene using Three.js
  */
+// Loaded from a CDN once the visitor accepts external media, see js/consent.js
+const THREE_SCRIPT = 'https://unpkg.com/three@0.128.0/build/three.min.js';
 
 class Hero3DScene {
     constructor() {
@@ -446,9 +448,15 @@ class Hero3DScene {
 
 // Initialize 3D scene when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
+    if (!document.getElementById('hero-3d')) return;
+
     // Check if Three.js is available
     if (typeof THREE !== 'undefined') {
         new Hero3DScene();
+    } else if (window.consent) {
+        window.consent.loadScript('externalMedia', THREE_SCRIPT)
+            .then(() => new Hero3DScene())
+            .catch(() => console.warn('Three.js not loaded. 3D scene will not be available.'));
     } else {
         console.warn('Three.js not loaded. 3D scene will not be available.');
     }
@@ -0,0 +1,570 @@
+/**
+ * Anamnesis Wizard
+ * Medical history questionnaire on anamnese.html, step by step with a
+ * signature pad at the end. Opened with the signed link from the booking
+ * confirmation (anamnese.html?token=…) or from the patient portal; answers
+ * are saved as a draft on the server while the patient is typing.
+ */
+class AnamnesisWizard {
+    constructor() {
+        this.apiBase = '/api';
+        this.token = new URLSearchParams(window.location.search).get('token');
+        this.currentStep = 0;
+        this.strokes = [];
+        this.saveTimer = null;
+        this.init();
+    }
+
+    init() {
+        this.setupElements();
+        this.setupEventListeners();
+        this.setupSignaturePad();
+        this.loadQuestionnaire();
+    }
+
+    setupElements() {
+        this.intro = document.getElementById('anamnesis-intro');
+        this.form = document.getElementById('anamnesis-form');
+        this.steps = Array.from(document.querySelectorAll('.anamnesis-step'));
+        this.progressItems = Array.from(document.querySelectorAll('#anamnesis-progress li'));
+        this.savedLabel = document.getElementById('anamnesis-saved');
+        this.backButton = document.getElementById('anamnesis-back');
+        this.nextButton = document.getElementById('anamnesis-next');
+        this.submitButton = document.getElementById('anamnesis-submit');
+        this.canvas = document.getElementById('signature-pad');
+    }
+
+    setupEventListeners() {
+        this.form?.addEventListener('submit', (e) => this.handleSubmit(e));
+        this.backButton?.addEventListener('click', () => this.showStep(this.currentStep - 1));
+        this.nextButton?.addEventListener('click', () => this.handleNext());
+        document.getElementById('signature-clear')?.addEventListener('click', () => this.clearSignature());
+
+        this.form?.addEventListener('input', () => this.scheduleSave());
+        this.form?.addEventListener('change', (e) => {
+            this.updateConditionalFields();
+            if (e.target.name) this.clearFieldError(e.target);
+        });
+        this.form?.querySelectorAll('input, select, textarea').forEach(field => {
+            field.addEventListener('blur', () => {
+                if (field.value) this.validateField(field);
+            });
+        });
+    }
+
+    // Signed link from the booking, otherwise the portal session
+    get basePath() {
+        return this.token ? `/anamnesis/${encodeURIComponent(this.token)}` : '/portal/anamnesis';
+    }
+
+    async loadQuestionnaire() {
+        try {
+            const { questionnaire, booking } = await this.requestJson(this.basePath);
+            this.booking = booking || null;
+            this.renderIntro(questionnaire);
+        } catch (error) {
+            if (error.status === 401) {
+                this.renderMessage('Bitte melden Sie sich im <a href="portal.html">Patientenportal</a> an, um den Anamnesebogen auszufüllen, oder verwenden Sie den Link aus Ihrer Terminbestätigung.');
+                return;
+            }
+            this.renderMessage(this.escapeHtml(error.message));
+        }
+    }
+
+    renderMessage(html) {
+        this.intro.innerHTML = `<p class="portal-empty">${html}</p>`;
+        this.form.hidden = true;
+    }
+
+    renderIntro(questionnaire) {
+        const booking = this.booking;
+        const appointment = booking
+            ? `<p>Für den Termin von <strong>${this.escapeHtml(booking.patient.firstName)} ${this.escapeHtml(booking.patient.lastName)}</strong> (${this.escapeHtml(booking.treatment)}) am ${this.formatDateLabel(booking.date)} um ${booking.start} Uhr.</p>`
+            : '';
+
+        if (questionnaire.status === 'submitted') {
+            this.intro.innerHTML = `
+                <h3>Vielen Dank!</h3>
+                ${appointment}
+                <p>Der Anamnesebogen wurde am ${this.formatTimestamp(questionnaire.submittedAt)} Uhr unterschrieben und liegt der Praxis vor.</p>
+                <p>Hat sich seitdem etwas geändert, z. B. bei Ihren Medikamenten? Dann füllen Sie den Bogen bitte erneut aus.</p>
+                <button type="button" class="btn btn-secondary" id="anamnesis-restart">Anamnesebogen erneut ausfüllen</button>
+            `;
+            this.form.hidden = true;
+            this.intro.querySelector('#anamnesis-restart').addEventListener('click', () => this.startForm(questionnaire.answers));
+            return;
+        }
+
+        this.intro.innerHTML = `
+            <h3>Ihre Angaben zur Gesundheit</h3>
+            ${appointment}
+            <p>Ihre Angaben helfen uns, Ihre Behandlung sicher zu planen. Sie werden vertraulich behandelt und nur von unserem Praxisteam gelesen. Ihre Eingaben werden automatisch zwischengespeichert – Sie können jederzeit später weitermachen.</p>
+        `;
+        this.startForm(questionnaire.answers);
+
+        if (questionnaire.status === 'draft') {
+            this.savedLabel.textContent = `Entwurf vom ${this.formatTimestamp(questionnaire.savedAt)} Uhr geladen.`;
+        }
+    }
+
+    startForm(answers = {}) {
+        this.form.reset();
+        this.fillForm(answers);
+        this.clearSignature();
+        this.form.hidden = false;
+        this.showStep(0, { scroll: false });
+    }
+
+    fillForm(answers) {
+        Object.entries(answers).forEach(([name, value]) => {
+            const field = this.form.elements[name];
+            if (!field) return;
+
+            if (field.type === 'checkbox') {
+                field.checked = value === true;
+            } else {
+                field.value = value ?? '';
+            }
+        });
+        this.updateConditionalFields();
+    }
+
+    // Detail questions (data-show-if="medication=ja") only appear after a "Ja"
+    updateConditionalFields() {
+        this.form.querySelectorAll('[data-show-if]').forEach(group => {
+            const [name, value] = group.dataset.showIf.split('=');
+            group.hidden = this.form.elements[name].value !== value;
+        });
+    }
+
+    isVisible(field) {
+        return !field.closest('[data-show-if]')?.hidden;
+    }
+
+    getAnswers() {
+        const answers = {};
+        Array.from(this.form.elements).forEach(field => {
+            if (!field.name) return;
+
+            if (field.type === 'checkbox') {
+                answers[field.name] = field.checked;
+            } else {
+                // Details of a question answered with "Nein" are not kept
+                answers[field.name] = this.isVisible(field) ? field.value : '';
+            }
+        });
+        return answers;
+    }
+
+    // Steps
+
+    showStep(index, { scroll = true } = {}) {
+        if (index < 0 || index >= this.steps.length) return;
+
+        this.currentStep = index;
+        this.steps.forEach((step, stepIndex) => {
+            step.hidden = stepIndex !== index;
+        });
+        this.progressItems.forEach((item, itemIndex) => {
+            item.classList.toggle('active', itemIndex === index);
+            item.classList.toggle('done', itemIndex < index);
+            if (itemIndex === index) {
+                item.setAttribute('aria-current', 'step');
+            } else {
+                item.removeAttribute('aria-current');
+            }
+        });
+
+        const isLast = index === this.steps.length - 1;
+        this.backButton.disabled = index === 0;
+        this.nextButton.hidden = isLast;
+        this.submitButton.hidden = !isLast;
+
+        // The signature pad can only be measured once it is visible
+        if (isLast) this.resizeSignaturePad();
+
+        if (scroll) this.form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    async handleNext() {
+        if (!this.validateStep(this.steps[this.currentStep])) return;
+
+        this.showStep(this.currentStep + 1);
+        await this.saveDraft();
+    }
+
+    // Validation
+
+    validateField(field) {
+        const value = field.value.trim();
+        let errorMessage = '';
+
+        if (!this.isVisible(field)) {
+            this.clearFieldError(field);
+            return true;
+        }
+
+        if (field.type === 'checkbox') {
+            if (field.required && !field.checked) {
+                errorMessage = 'Bitte bestätigen Sie, dass Ihre Angaben vollständig und richtig sind.';
+            }
+        } else if (field.required && !value) {
+            errorMessage = 'Dieses Feld ist erforderlich.';
+        } else if ((field.name === 'first-name' || field.name === 'last-name') && value && value.length < 2) {
+            errorMessage = 'Der Name muss mindestens 2 Zeichen lang sein.';
+        } else if (field.type === 'tel' && value && !/^[\+]?[0-9\s\-\(\)]{6,}$/.test(value)) {
+            errorMessage = 'Bitte geben Sie eine gültige Telefonnummer ein.';
+        } else if (field.name === 'pregnancy-week' && value && !(/^\d{1,2}$/.test(value) && value >= 1 && value <= 42)) {
+            errorMessage = 'Bitte geben Sie eine Schwangerschaftswoche zwischen 1 und 42 an.';
+        }
+
+        if (errorMessage) {
+            this.showFieldError(field, errorMessage);
+            return false;
+        }
+
+        this.clearFieldError(field);
+        return true;
+    }
+
+    validateStep(step) {
+        let isValid = true;
+
+        step.querySelectorAll('input, select, textarea').forEach(field => {
+            if (!this.validateField(field)) {
+                isValid = false;
+            }
+        });
+
+        if (!isValid) {
+            step.querySelector('.error')?.focus();
+        }
+        return isValid;
+    }
+
+    showFieldError(field, message) {
+        field.classList.add('error');
+        const errorDiv = document.getElementById(`${field.id}-error`);
+        if (errorDiv) {
+            errorDiv.textContent = message;
+            errorDiv.style.display = 'block';
+        }
+    }
+
+    clearFieldError(field) {
+        if (!field.id) return;
+
+        field.classList.remove('error');
+        const errorDiv = document.getElementById(`${field.id}-error`);
+        if (errorDiv) {
+            errorDiv.textContent = '';
+            errorDiv.style.display = 'none';
+        }
+    }
+
+    // Shows the errors of the server and goes back to the first step that has one
+    showServerFieldErrors(fields = {}) {
+        let firstStep = null;
+
+        Object.entries(fields).forEach(([name, message]) => {
+            const field = name === 'signature' ? this.canvas : this.form.elements[name];
+            if (!field) return;
+
+            if (name === 'signature') {
+                this.showSignatureError(message);
+            } else {
+                this.showFieldError(field, message);
+            }
+
+            const stepIndex = this.steps.findIndex(step => step.contains(field));
+            if (firstStep === null || stepIndex < firstStep) firstStep = stepIndex;
+        });
+
+        if (firstStep !== null && firstStep !== this.currentStep) {
+            this.showStep(firstStep);
+        }
+    }
+
+    // Drafts
+
+    scheduleSave() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.saveDraft(), 2000);
+    }
+
+    async saveDraft() {
+        clearTimeout(this.saveTimer);
+
+        try {
+            const { savedAt } = await this.requestJson(`${this.basePath}/draft`, {
+                method: 'PUT',
+                body: { answers: this.getAnswers() }
+            });
+            this.savedLabel.textContent = `Entwurf gespeichert um ${new Date(savedAt).toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' })} Uhr.`;
+        } catch (error) {
+            // Typing goes on, the next change tries again
+            this.savedLabel.textContent = 'Der Entwurf konnte gerade nicht gespeichert werden.';
+        }
+    }
+
+    // Signature pad
+
+    setupSignaturePad() {
+        if (!this.canvas) return;
+
+        this.context = this.canvas.getContext('2d');
+        let stroke = null;
+
+        const pointFrom = (e) => {
+            const rect = this.canvas.getBoundingClientRect();
+            return [
+                Math.round((e.clientX - rect.left) * this.canvas.width / rect.width),
+                Math.round((e.clientY - rect.top) * this.canvas.height / rect.height)
+            ];
+        };
+
+        this.canvas.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            this.canvas.setPointerCapture(e.pointerId);
+            stroke = [pointFrom(e)];
+            this.strokes.push(stroke);
+            this.clearSignatureError();
+            this.drawSignature();
+        });
+
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (!stroke) return;
+
+            const point = pointFrom(e);
+            const [lastX, lastY] = stroke[stroke.length - 1];
+            // Points closer than 2 pixels add nothing but size
+            if (Math.hypot(point[0] - lastX, point[1] - lastY) >= 2) {
+                stroke.push(point);
+                this.drawSignature();
+            }
+        });
+
+        const endStroke = () => {
+            stroke = null;
+        };
+        this.canvas.addEventListener('pointerup', endStroke);
+        this.canvas.addEventListener('pointercancel', endStroke);
+
+        window.addEventListener('resize', () => this.resizeSignaturePad());
+    }
+
+    // Keeps the drawing buffer at the displayed size so lines stay sharp
+    resizeSignaturePad() {
+        const width = Math.round(this.canvas.getBoundingClientRect().width);
+        if (!width || width === this.canvas.width) return;
+
+        const scale = width / this.canvas.width;
+        this.strokes = this.strokes.map(stroke => stroke.map(([x, y]) => [Math.round(x * scale), Math.round(y * scale)]));
+        this.canvas.width = width;
+        this.canvas.height = Math.round(width / 3);
+        this.drawSignature();
+    }
+
+    drawSignature() {
+        const { context } = this;
+        context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        context.lineWidth = 2;
+        context.lineCap = 'round';
+        context.lineJoin = 'round';
+        context.strokeStyle = '#1f2937';
+
+        this.strokes.forEach(stroke => {
+            context.beginPath();
+            context.moveTo(stroke[0][0], stroke[0][1]);
+            stroke.forEach(([x, y]) => context.lineTo(x, y));
+            // A single tap is drawn as a dot
+            if (stroke.length === 1) context.lineTo(stroke[0][0] + 0.5, stroke[0][1]);
+            context.stroke();
+        });
+    }
+
+    clearSignature() {
+        this.strokes = [];
+        if (this.context) this.drawSignature();
+    }
+
+    hasSignature() {
+        return this.strokes.reduce((count, stroke) => count + stroke.length, 0) >= 10;
+    }
+
+    showSignatureError(message) {
+        this.canvas.classList.add('error');
+        const errorDiv = document.getElementById('signature-error');
+        errorDiv.textContent = message;
+        errorDiv.style.display = 'block';
+    }
+
+    clearSignatureError() {
+        this.canvas.classList.remove('error');
+        const errorDiv = document.getElementById('signature-error');
+        errorDiv.textContent = '';
+        errorDiv.style.display = 'none';
+    }
+
+    // Submit
+
+    async handleSubmit(e) {
+        e.preventDefault();
+
+        const invalidStep = this.steps.findIndex(step => !this.validateStep(step));
+        if (invalidStep !== -1) {
+            this.showStep(invalidStep);
+            this.showNotification('Bitte überprüfen Sie Ihre Eingaben.', 'error');
+            return;
+        }
+        if (!this.hasSignature()) {
+            this.showSignatureError('Bitte unterschreiben Sie im Unterschriftenfeld.');
+            return;
+        }
+
+        clearTimeout(this.saveTimer);
+        this.setLoading(this.submitButton, true, 'Wird gesendet...');
+
+        try {
+            const { submittedAt } = await this.requestJson(`${this.basePath}/submit`, {
+                method: 'POST',
+                body: {
+                    answers: this.getAnswers(),
+                    signature: { width: this.canvas.width, height: this.canvas.height, strokes: this.strokes }
+                }
+            });
+
+            this.form.hidden = true;
+            this.intro.innerHTML = `
+                <h3>Vielen Dank!</h3>
+                <p>Ihr Anamnesebogen wurde am ${this.formatTimestamp(submittedAt)} Uhr unterschrieben und an die Praxis übermittelt.</p>
+                ${this.token
+                    ? '<p>Sollte sich bis zu Ihrem Termin etwas ändern, sagen Sie uns bitte vor der Behandlung Bescheid.</p>'
+                    : '<p>Eine Kopie als PDF finden Sie in Ihrem Patientenportal unter „Dokumente“.</p><a href="portal.html" class="btn btn-primary">Zum Patientenportal</a>'}
+            `;
+            this.intro.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        } catch (error) {
+            this.showServerFieldErrors(error.fields);
+            this.showNotification(this.escapeHtml(error.message), 'error');
+        } finally {
+            this.setLoading(this.submitButton, false);
+        }
+    }
+
+    async requestJson(path, { method = 'GET', body } = {}) {
+        let response;
+
+        try {
+            response = await fetch(`${this.apiBase}${path}`, {
+                method,
+                credentials: 'same-origin',
+                headers: body ? { 'Content-Type': 'application/json' } : {},
+                body: body ? JSON.stringify(body) : undefined
+            });
+        } catch (error) {
+            throw new Error('Der Server ist nicht erreichbar. Bitte versuchen Sie es später erneut oder rufen Sie uns an.');
+        }
+
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            const error = new Error(data.error || 'Ihre Anfrage konnte nicht verarbeitet werden.');
+            error.status = response.status;
+            error.fields = data.details?.fields || {};
+            throw error;
+        }
+
+        return data;
+    }
+
+    setLoading(button, isLoading, text = '') {
+        if (!button) return;
+
+        if (isLoading) {
+            button.dataset.originalText = button.textContent;
+            button.disabled = true;
+            button.setAttribute('aria-busy', 'true');
+            button.innerHTML = `
+                <svg class="loading-spinner" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M21 12a9 9 0 11-6.219-8.56"/>
+                </svg>
+                ${text}
+            `;
+        } else {
+            button.disabled = false;
+            button.removeAttribute('aria-busy');
+            button.textContent = button.dataset.originalText || button.textContent;
+        }
+    }
+
+    formatDateLabel(value) {
+        return new Date(`${value}T00:00:00`).toLocaleDateString('de-DE', {
+            weekday: 'long',
+            day: 'numeric',
+            month: 'long',
+            year: 'numeric'
+        });
+    }
+
+    formatTimestamp(value) {
+        return new Date(value).toLocaleString('de-DE', {
+            day: '2-digit',
+            month: '2-digit',
+            year: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+
+    escapeHtml(value) {
+        return String(value ?? '').replace(/[&<>"']/g, char => ({
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#39;'
+        })[char]);
+    }
+
+    showNotification(message, type = 'info') {
+        const titles = {
+            success: 'Erfolgreich',
+            error: 'Fehler',
+            info: 'Information'
+        };
+
+        const notification = document.createElement('div');
+        notification.className = `form-notification ${type}`;
+        notification.setAttribute('role', type === 'error' ? 'alert' : 'status');
+        notification.innerHTML = `
+            <div class="notification-content">
+                <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    ${type === 'success'
+                        ? '<path d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z"/>'
+                        : '<circle cx="12" cy="12" r="10"/><path d="M12 16v-4M12 8h.01"/>'}
+                </svg>
+                <div>
+                    <h4>${titles[type] || titles.info}</h4>
+                    <p>${message}</p>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(notification);
+
+        // Remove notification after 6 seconds
+        setTimeout(() => {
+            notification.remove();
+        }, 6000);
+    }
+}
+
+// Initialize the questionnaire when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.anamnesisWizard = new AnamnesisWizard();
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnamnesisWizard;
+}
@@ -0,0 +1,184 @@
+/**
+ * Portal Bonus Booklet
+ * The digital Bonusheft card of the patient portal: documented years, the
+ * resulting subsidy and the printable confirmation. Staff accounts look up a
+ * patient and add check-ups from the paper booklet.
+ */
+class PortalBonusBooklet {
+    constructor(portal) {
+        this.portal = portal;
+        this.user = null;
+        this.staffEmail = null;
+
+        this.setupElements();
+        this.setupEventListeners();
+    }
+
+    setupElements() {
+        this.card = document.getElementById('bonus-booklet');
+        this.summary = document.getElementById('bonus-booklet-summary');
+        this.lookupForm = document.getElementById('bonus-lookup-form');
+        this.entryForm = document.getElementById('bonus-entry-form');
+    }
+
+    setupEventListeners() {
+        if (!this.card) return;
+
+        this.lookupForm?.addEventListener('submit', (e) => this.handleLookup(e));
+        this.entryForm?.addEventListener('submit', (e) => this.handleAddEntry(e));
+
+        [this.lookupForm, this.entryForm].forEach(form => {
+            form?.addEventListener('input', (e) => this.portal.clearFieldError(e.target));
+        });
+
+        this.summary?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-entry-id]');
+            if (button) this.removeEntry(button.dataset.entryId);
+        });
+    }
+
+    get isStaff() {
+        return this.user?.role === 'staff';
+    }
+
+    async show(user) {
+        if (!this.card) return;
+
+        this.user = user;
+        this.lookupForm.hidden = !this.isStaff;
+        this.entryForm.hidden = true;
+        document.getElementById('bonus-booklet-intro').hidden = this.isStaff;
+
+        if (this.isStaff) {
+            this.summary.innerHTML = '';
+            return;
+        }
+
+        try {
+            const { booklet } = await this.portal.requestJson('/portal/bonus-booklet');
+            this.render(booklet, `${this.portal.apiBase}/portal/bonus-booklet/confirmation`);
+        } catch (error) {
+            this.portal.showNotification(error.message, 'error');
+        }
+    }
+
+    reset() {
+        this.user = null;
+        this.staffEmail = null;
+        if (this.summary) this.summary.innerHTML = '';
+    }
+
+    render(booklet, confirmationUrl) {
+        const escape = value => this.portal.escapeHtml(value);
+        // Ten years are what the highest bonus looks at
+        const years = booklet.years.slice(-10);
+
+        const stamps = years.map(year => {
+            const state = year.documented ? 'documented' : (year.current ? 'open' : 'missing');
+            const title = year.documented
+                ? `Untersuchung am ${year.dates.map(date => this.formatDate(date)).join(', ')}`
+                : (year.current ? 'Noch keine Untersuchung in diesem Jahr' : 'Keine Untersuchung nachgewiesen');
+            return `<li class="bonus-year ${state}" title="${title}"><span>${year.year}</span></li>`;
+        }).join('');
+
+        let hint;
+        if (booklet.checkups.length === 0) {
+            hint = 'Sobald Sie eine Kontrolluntersuchung bei uns hatten, wird sie hier automatisch eingetragen.';
+        } else if (!booklet.currentYearDocumented) {
+            hint = `Für ${years[years.length - 1].year} fehlt noch eine Kontrolluntersuchung – <a href="termin.html">jetzt Termin buchen</a>.`;
+        } else {
+            hint = `Die Untersuchung für ${years[years.length - 1].year} ist eingetragen.`;
+        }
+
+        const checkups = booklet.checkups.slice().reverse().map(checkup => `
+            <li>
+                ${this.formatDate(checkup.date)} – ${escape(checkup.label)}${checkup.source === 'practice' ? ' (von der Praxis nachgetragen)' : ''}
+                ${this.isStaff && checkup.id ? `<button type="button" class="btn btn-secondary btn-small" data-entry-id="${checkup.id}">Entfernen</button>` : ''}
+            </li>
+        `).join('');
+
+        this.summary.innerHTML = `
+            <div class="bonus-summary">
+                <div class="bonus-percent">
+                    <strong>${booklet.subsidyPercent} %</strong>
+                    <span>Festzuschuss${booklet.bonusPercent > 0 ? ` (inkl. ${booklet.bonusPercent} % Bonus)` : ''}</span>
+                </div>
+                <p><strong>${booklet.consecutiveYears}</strong> ${booklet.consecutiveYears === 1 ? 'Jahr' : 'Jahre'} lückenlos nachgewiesen${booklet.next
+                    ? `<br>Noch ${booklet.next.yearsMissing} ${booklet.next.yearsMissing === 1 ? 'Jahr' : 'Jahre'} bis ${booklet.next.subsidyPercent} %`
+                    : ''}</p>
+            </div>
+            ${years.length > 0 ? `<ol class="bonus-years" aria-label="Nachgewiesene Jahre">${stamps}</ol>` : ''}
+            <p class="form-hint">${hint}</p>
+            ${checkups ? `<details class="bonus-checkups"><summary>Alle Untersuchungen</summary><ul>${checkups}</ul></details>` : ''}
+            <a href="${confirmationUrl}" class="btn btn-secondary" download>Bestätigung drucken (PDF)</a>
+        `;
+    }
+
+    // Staff
+
+    async handleLookup(e) {
+        e.preventDefault();
+        if (!this.portal.validateForm(this.lookupForm)) return;
+
+        this.staffEmail = this.lookupForm.email.value.trim();
+        await this.loadStaffBooklet();
+    }
+
+    async loadStaffBooklet() {
+        const query = `?email=${encodeURIComponent(this.staffEmail)}`;
+        try {
+            const { patient, booklet } = await this.portal.requestJson(`/staff/bonus-booklet${query}`);
+            this.render(booklet, `${this.portal.apiBase}/staff/bonus-booklet/confirmation${query}`);
+            this.summary.insertAdjacentHTML('afterbegin', `<p><strong>${this.portal.escapeHtml(patient.name)}</strong></p>`);
+            this.entryForm.hidden = false;
+        } catch (error) {
+            this.summary.innerHTML = '';
+            this.entryForm.hidden = true;
+            this.portal.showNotification(error.message, 'error');
+        }
+    }
+
+    async handleAddEntry(e) {
+        e.preventDefault();
+        if (!this.staffEmail || !this.portal.validateForm(this.entryForm)) return;
+
+        const form = this.entryForm;
+        const submitButton = form.querySelector('button[type="submit"]');
+        this.portal.setLoading(submitButton, true, 'Wird eingetragen...');
+
+        try {
+            await this.portal.requestJson('/staff/bonus-booklet/entries', {
+                method: 'POST',
+                body: { email: this.staffEmail, date: form.date.value, note: form.note.value.trim() }
+            });
+            form.reset();
+            await this.loadStaffBooklet();
+            this.portal.showNotification('Die Untersuchung wurde eingetragen.', 'success');
+        } catch (error) {
+            this.portal.showServerFieldErrors(form, error.fields);
+            this.portal.showNotification(error.message, 'error');
+        } finally {
+            this.portal.setLoading(submitButton, false);
+        }
+    }
+
+    async removeEntry(entryId) {
+        if (!window.confirm('Diesen Eintrag aus dem Bonusheft entfernen?')) return;
+
+        try {
+            await this.portal.requestJson(`/staff/bonus-booklet/entries/${encodeURIComponent(entryId)}`, { method: 'DELETE' });
+            await this.loadStaffBooklet();
+        } catch (error) {
+            this.portal.showNotification(error.message, 'error');
+        }
+    }
+
+    formatDate(value) {
+        return new Date(`${value}T00:00:00`).toLocaleDateString('de-DE');
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PortalBonusBooklet;
+}
@@ -1,485 +1,994 @@
-/**
- * Booking System
- * Handles the appointment booking functionality and contact form
- */
-class BookingSystem {
-    constructor() {
-        this.modal = null;
-        this.form = null;
-        this.init();
-    }
-    
-    init() {
-        this.setupElements();
-        this.setupEventListeners();
-        this.setupAccessibility();
-    }
-    
-    setupElements() {
-        this.modal = document.getElementById('contact-modal');
-        this.form = document.getElementById('contact-form');
-    }
-    
-    setupEventListeners() {
-        // Modal close events
-        document.addEventListener('click', (e) => {
-            if (e.target === this.modal) {
-                this.closeContactForm();
-            }
-        });
-        
-        // Form submission
-        if (this.form) {
-            this.form.addEventListener('submit', (e) => this.handleFormSubmit(e));
-        }
-        
-        // Keyboard events
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape' && this.modal?.classList.contains('show')) {
-                this.closeContactForm();
-            }
-        });
-        
-        // Form field validation
-        this.setupFormValidation();
-    }
-    
-    setupAccessibility() {
-        // Set up ARIA attributes for modal
-        if (this.modal) {
-            this.modal.setAttribute('aria-hidden', 'true');
-            this.modal.setAttribute('role', 'dialog');
-            this.modal.setAttribute('aria-labelledby', 'modal-title');
-        }
-        
-        // Set up focus trap
-        this.setupFocusTrap();
-    }
-    
-    setupFocusTrap() {
-        if (!this.modal) return;
-        
-        const focusableElements = this.modal.querySelectorAll(
-            'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
-        );
-        
-        const firstElement = focusableElements[0];
-        const lastElement = focusableElements[focusableElements.length - 1];
-        
-        this.modal.addEventListener('keydown', (e) => {
-            if (e.key === 'Tab') {
-                if (e.shiftKey) {
-                    if (document.activeElement === firstElement) {
-                        e.preventDefault();
-                        lastElement.focus();
-                    }
-                } else {
-                    if (document.activeElement === lastElement) {
-                        e.preventDefault();
-                        firstElement.focus();
-                    }
-                }
-            }
-        });
-    }
-    
-    setupFormValidation() {
-        if (!this.form) return;
-        
-        const fields = this.form.querySelectorAll('input, select, textarea');
-        
-        fields.forEach(field => {
-            field.addEventListener('blur', () => this.validateField(field));
-            field.addEventListener('input', () => this.clearFieldError(field));
-        });
-    }
-    
-    validateField(field) {
-        const value = field.value.trim();
-        const fieldName = field.name;
-        let isValid = true;
-        let errorMessage = '';
-        
-        // Required field validation
-        if (field.hasAttribute('required') && !value) {
-            isValid = false;
-            errorMessage = 'Dieses Feld ist erforderlich.';
-        }
-        
-        // Email validation
-        if (field.type === 'email' && value) {
-            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-            if (!emailRegex.test(value)) {
-                isValid = false;
-                errorMessage = 'Bitte geben Sie eine gültige E-Mail-Adresse ein.';
-            }
-        }
-        
-        // Phone validation
-        if (field.type === 'tel' && value) {
-            const phoneRegex = /^[\+]?[0-9\s\-\(\)]{6,}$/;
-            if (!phoneRegex.test(value)) {
-                isValid = false;
-                errorMessage = 'Bitte geben Sie eine gültige Telefonnummer ein.';
-            }
-        }
-        
-        // Date validation
-        if (field.type === 'date' && value) {
-            const selectedDate = new Date(value);
-            const today = new Date();
-            today.setHours(0, 0, 0, 0);
-            
-            if (selectedDate < today) {
-                isValid = false;
-                errorMessage = 'Bitte wählen Sie ein zukünftiges Datum.';
-            }
-        }
-        
-        // Name validation
-        if ((fieldName === 'first-name' || fieldName === 'last-name') && value) {
-            if (value.length < 2) {
-                isValid = false;
-                errorMessage = 'Der Name muss mindestens 2 Zeichen lang sein.';
-            }
-        }
-        
-        // Message validation
-        if (fieldName === 'message' && value) {
-            if (value.length < 10) {
-                isValid = false;
-                errorMessage = 'Die Nachricht muss mindestens 10 Zeichen lang sein.';
-            }
-        }
-        
-        // Privacy checkbox validation
-        if (fieldName === 'privacy') {
-            if (!field.checked) {
-                isValid = false;
-                errorMessage = 'Sie müssen der Datenschutzerklärung zustimmen.';
-            }
-        }
-        
-        if (isValid) {
-            this.clearFieldError(field);
-        } else {
-            this.showFieldError(field, errorMessage);
-        }
-        
-        return isValid;
-    }
-    
-    showFieldError(field, message) {
-        this.clearFieldError(field);
-        
-        field.classList.add('error');
-        
-        const errorElement = document.getElementById(`${field.name}-error`);
-        if (errorElement) {
-            errorElement.textContent = message;
-            errorElement.style.display = 'block';
-        }
-    }
-    
-    clearFieldError(field) {
-        field.classList.remove('error');
-        
-        const errorElement = document.getElementById(`${field.name}-error`);
-        if (errorElement) {
-            errorElement.textContent = '';
-            errorElement.style.display = 'none';
-        }
-    }
-    
-    validateForm() {
-        if (!this.form) return false;
-        
-        const fields = this.form.querySelectorAll('input, select, textarea');
-        let isValid = true;
-        
-        fields.forEach(field => {
-            if (!this.validateField(field)) {
-                isValid = false;
-            }
-        });
-        
-        return isValid;
-    }
-    
-    handleFormSubmit(e) {
-        e.preventDefault();
-        
-        if (!this.validateForm()) {
-            this.showFormError('Bitte überprüfen Sie Ihre Eingaben.');
-            return;
-        }
-        
-        // Show loading state
-        this.showLoadingState();
-        
-        // Simulate form submission (in real implementation, this would send to server)
-        setTimeout(() => {
-            this.hideLoadingState();
-            this.showFormSuccess();
-            this.resetForm();
-            this.closeContactForm();
-        }, 2000);
-    }
-    
-    showLoadingState() {
-        const submitButton = this.form?.querySelector('button[type="submit"]');
-        if (submitButton) {
-            submitButton.disabled = true;
-            submitButton.innerHTML = `
-                <svg class="loading-spinner" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                    <path d="M21 12a9 9 0 11-6.219-8.56"/>
-                </svg>
-                Wird gesendet...
-            `;
-        }
-    }
-    
-    hideLoadingState() {
-        const submitButton = this.form?.querySelector('button[type="submit"]');
-        if (submitButton) {
-            submitButton.disabled = false;
-            submitButton.innerHTML = 'Anfrage senden';
-        }
-    }
-    
-    showFormSuccess() {
-        // Create success notification
-        const notification = document.createElement('div');
-        notification.className = 'form-notification success';
-        notification.innerHTML = `
-            <div class="notification-content">
-                <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                    <path d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z"/>
-                </svg>
-                <div>
-                    <h4>Anfrage erfolgreich gesendet!</h4>
-                    <p>Vielen Dank für Ihre Anfrage. Wir melden uns innerhalb von 24 Stunden bei Ihnen zurück.</p>
-                </div>
-            </div>
-        `;
-        
-        document.body.appendChild(notification);
-        
-        // Remove notification after 5 seconds
-        setTimeout(() => {
-            notification.remove();
-        }, 5000);
-    }
-    
-    showFormError(message) {
-        // Create error notification
-        const notification = document.createElement('div');
-        notification.className = 'form-notification error';
-        notification.innerHTML = `
-            <div class="notification-content">
-                <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                    <path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"/>
-                    <line x1="12" y1="9" x2="12" y2="13"/>
-                    <line x1="12" y1="17" x2="12.01" y2="17"/>
-                </svg>
-                <div>
-                    <h4>Fehler beim Senden</h4>
-                    <p>${message}</p>
-                </div>
-            </div>
-        `;
-        
-        document.body.appendChild(notification);
-        
-        // Remove notification after 5 seconds
-        setTimeout(() => {
-            notification.remove();
-        }, 5000);
-    }
-    
-    resetForm() {
-        if (!this.form) return;
-        
-        this.form.reset();
-        
-        // Clear all error states
-        const fields = this.form.querySelectorAll('input, select, textarea');
-        fields.forEach(field => {
-            this.clearFieldError(field);
-        });
-    }
-    
-    openContactForm() {
-        if (!this.modal) return;
-        
-        this.modal.classList.add('show');
-        this.modal.setAttribute('aria-hidden', 'false');
-        
-        // Focus first input
-        const firstInput = this.modal.querySelector('input, select, textarea');
-        if (firstInput) {
-            firstInput.focus();
-        }
-        
-        // Prevent body scroll
-        document.body.style.overflow = 'hidden';
-        
-        // Announce to screen readers
-        this.announceModalOpen();
-    }
-    
-    closeContactForm() {
-        if (!this.modal) return;
-        
-        this.modal.classList.remove('show');
-        this.modal.setAttribute('aria-hidden', 'true');
-        
-        // Restore body scroll
-        document.body.style.overflow = '';
-        
-        // Reset form
-        this.resetForm();
-        
-        // Announce to screen readers
-        this.announceModalClose();
-    }
-    
-    announceModalOpen() {
-        const announcement = document.createElement('div');
-        announcement.setAttribute('aria-live', 'polite');
-        announcement.setAttribute('aria-atomic', 'true');
-        announcement.className = 'sr-only';
-        announcement.textContent = 'Kontaktformular geöffnet';
-        document.body.appendChild(announcement);
-        
-        setTimeout(() => announcement.remove(), 1000);
-    }
-    
-    announceModalClose() {
-        const announcement = document.createElement('div');
-        announcement.setAttribute('aria-live', 'polite');
-        announcement.setAttribute('aria-atomic', 'true');
-        announcement.className = 'sr-only';
-        announcement.textContent = 'Kontaktformular geschlossen';
-        document.body.appendChild(announcement);
-        
-        setTimeout(() => announcement.remove(), 1000);
-    }
-    
-    // Public methods for external control
-    getFormData() {
-        if (!this.form) return null;
-        
-        const formData = new FormData(this.form);
-        const data = {};
-        
-        for (let [key, value] of formData.entries()) {
-            data[key] = value;
-        }
-        
-        return data;
-    }
-    
-    setFormData(data) {
-        if (!this.form) return;
-        
-        Object.entries(data).forEach(([key, value]) => {
-            const field = this.form.querySelector(`[name="${key}"]`);
-            if (field) {
-                field.value = value;
-            }
-        });
-    }
-    
-    destroy() {
-        // Remove event listeners
-        if (this.form) {
-            this.form.removeEventListener('submit', this.handleFormSubmit);
-        }
-        
-        // Close modal if open
-        this.closeContactForm();
-    }
-}
-
-// Global functions for onclick handlers
-function openContactForm() {
-    if (window.bookingSystem) {
-        window.bookingSystem.openContactForm();
-    }
-}
-
-function closeContactForm() {
-    if (window.bookingSystem) {
-        window.bookingSystem.closeContactForm();
-    }
-}
-
-function openDoctolib() {
-    // In a real implementation, this would open the Doctolib booking page
-    const doctolibUrl = 'https://www.doctolib.de/kieferorthopaedie/muenchen/dr-schmidt-kollegen';
-    
-    // Show notification
-    const notification = document.createElement('div');
-    notification.className = 'form-notification info';
-    notification.innerHTML = `
-        <div class="notification-content">
-            <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                <circle cx="12" cy="12" r="10"/>
-                <path d="M12 16v-4M12 8h.01"/>
-            </svg>
-            <div>
-                <h4>Weiterleitung zu Doctolib</h4>
-                <p>Sie werden zur Doctolib-Terminbuchung weitergeleitet...</p>
-            </div>
-        </div>
-    `;
-    
-    document.body.appendChild(notification);
-    
-    // Redirect after 2 seconds
-    setTimeout(() => {
-        window.open(doctolibUrl, '_blank');
-        notification.remove();
-    }, 2000);
-}
-
-function openCalendly() {
-    // In a real implementation, this would open the Calendly booking page
-    const calendlyUrl = 'https://calendly.com/dr-schmidt-kollegen';
-    
-    // Show notification
-    const notification = document.createElement('div');
-    notification.className = 'form-notification info';
-    notification.innerHTML = `
-        <div class="notification-content">
-            <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                <circle cx="12" cy="12" r="10"/>
-                <path d="M12 16v-4M12 8h.01"/>
-            </svg>
-            <div>
-                <h4>Weiterleitung zu Calendly</h4>
-                <p>Sie werden zur Calendly-Terminbuchung weitergeleitet...</p>
-            </div>
-        </div>
-    `;
-    
-    document.body.appendChild(notification);
-    
-    // Redirect after 2 seconds
-    setTimeout(() => {
-        window.open(calendlyUrl, '_blank');
-        notification.remove();
-    }, 2000);
-}
-
-// Initialize the booking system when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    window.bookingSystem = new BookingSystem();
-});
-
-// Export for module usage
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = BookingSystem;
-}
-
+/**
+ * Booking System
+ * Handles the appointment booking functionality and contact form
+ */
+class BookingSystem {
+    constructor() {
+        this.modal = null;
+        this.form = null;
+        this.apiBase = '/api';
+        this.slotRequestId = 0;
+        this.maxPatients = 5;
+        this.costEstimate = null;
+        this.estimateStorageKey = 'cost-estimate';
+        this.init();
+    }
+    
+    init() {
+        this.setupElements();
+        this.setupEventListeners();
+        this.setupAccessibility();
+        this.setupSlotPicker();
+        this.showWaitlistStatus();
+        this.applyRecallLink();
+        this.applyCostEstimate();
+    }
+    
+    setupElements() {
+        this.modal = document.getElementById('contact-modal');
+        this.form = document.getElementById('contact-form');
+        this.dateInput = document.getElementById('preferred-date');
+        this.treatmentSelect = document.getElementById('treatment-type');
+        this.slotPicker = document.getElementById('slot-picker');
+        this.patientList = document.getElementById('additional-patients');
+        this.addPatientButton = document.getElementById('add-patient');
+        this.estimateNote = document.getElementById('cost-estimate-note');
+        this.formGuard = this.form ? new FormGuard('booking', { apiBase: this.apiBase }) : null;
+    }
+    
+    setupEventListeners() {
+        // Modal close events
+        document.addEventListener('click', (e) => {
+            if (e.target === this.modal) {
+                this.closeContactForm();
+            }
+        });
+        
+        // Form submission
+        if (this.form) {
+            this.form.addEventListener('submit', (e) => this.handleFormSubmit(e));
+        }
+        
+        // Keyboard events
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.modal?.classList.contains('show')) {
+                this.closeContactForm();
+            }
+        });
+        
+        // Reload free slots whenever treatment or date change
+        this.dateInput?.addEventListener('change', () => this.loadSlots());
+        this.treatmentSelect?.addEventListener('change', () => this.loadSlots());
+        
+        // Family bookings: further patients with their own treatment
+        this.addPatientButton?.addEventListener('click', () => this.addPatient());
+        
+        // A treatment plan from the cost calculator can be left out of the request
+        document.getElementById('cost-estimate-remove')?.addEventListener('click', () => this.discardCostEstimate());
+        
+        // Form field validation
+        this.setupFormValidation();
+    }
+    
+    setupAccessibility() {
+        // Set up ARIA attributes for modal
+        if (this.modal) {
+            this.modal.setAttribute('aria-hidden', 'true');
+            this.modal.setAttribute('role', 'dialog');
+            this.modal.setAttribute('aria-labelledby', 'modal-title');
+        }
+        
+        // Set up focus trap
+        this.setupFocusTrap();
+    }
+    
+    setupFocusTrap() {
+        if (!this.modal) return;
+        
+        const focusableElements = this.modal.querySelectorAll(
+            'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
+        );
+        
+        const firstElement = focusableElements[0];
+        const lastElement = focusableElements[focusableElements.length - 1];
+        
+        this.modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Tab') {
+                if (e.shiftKey) {
+                    if (document.activeElement === firstElement) {
+                        e.preventDefault();
+                        lastElement.focus();
+                    }
+                } else {
+                    if (document.activeElement === lastElement) {
+                        e.preventDefault();
+                        firstElement.focus();
+                    }
+                }
+            }
+        });
+    }
+    
+    setupSlotPicker() {
+        if (!this.dateInput) return;
+        
+        // Past days can never be booked
+        this.dateInput.min = this.formatDateValue(new Date());
+    }
+    
+    addPatient() {
+        if (!this.patientList) return;
+        
+        const index = this.getAdditionalPatientFieldsets().length + 2;
+        if (index > this.maxPatients) {
+            this.showFormError(`Bitte buchen Sie höchstens ${this.maxPatients} Personen auf einmal.`);
+            return;
+        }
+        
+        const options = Array.from(this.treatmentSelect.options)
+            .map(option => `<option value="${option.value}">${option.textContent}</option>`)
+            .join('');
+        
+        const fieldset = document.createElement('fieldset');
+        fieldset.className = 'additional-patient';
+        fieldset.innerHTML = `
+            <legend></legend>
+            <button type="button" class="additional-patient-remove">Entfernen</button>
+            <div class="form-row">
+                <div class="form-group">
+                    <label data-field="first-name">Vorname *</label>
+                    <input type="text" data-field="first-name" required>
+                    <div class="error-message" data-field="first-name"></div>
+                </div>
+                <div class="form-group">
+                    <label data-field="last-name">Nachname *</label>
+                    <input type="text" data-field="last-name" value="${this.escapeHtml(this.form.querySelector('[name="last-name"]').value)}" required>
+                    <div class="error-message" data-field="last-name"></div>
+                </div>
+            </div>
+            <div class="form-row">
+                <div class="form-group">
+                    <label data-field="birth-date">Geburtsdatum *</label>
+                    <input type="date" data-field="birth-date" required>
+                    <div class="error-message" data-field="birth-date"></div>
+                </div>
+                <div class="form-group">
+                    <label data-field="treatment-type">Behandlungsart *</label>
+                    <select data-field="treatment-type" required>${options}</select>
+                    <div class="error-message" data-field="treatment-type"></div>
+                </div>
+            </div>
+        `;
+        
+        this.patientList.appendChild(fieldset);
+        this.renumberPatients();
+        
+        fieldset.querySelectorAll('input, select').forEach(field => {
+            field.addEventListener('blur', () => this.validateField(field));
+            field.addEventListener('input', () => this.clearFieldError(field));
+        });
+        fieldset.querySelector('select').addEventListener('change', () => this.loadSlots());
+        fieldset.querySelector('.additional-patient-remove').addEventListener('click', () => {
+            fieldset.remove();
+            this.renumberPatients();
+            this.loadSlots();
+        });
+        
+        fieldset.querySelector('input').focus();
+        this.loadSlots();
+    }
+    
+    getAdditionalPatientFieldsets() {
+        return this.patientList ? Array.from(this.patientList.querySelectorAll('.additional-patient')) : [];
+    }
+    
+    // Field names follow the position (patient-2-first-name, …) so server errors can be matched
+    renumberPatients() {
+        this.getAdditionalPatientFieldsets().forEach((fieldset, position) => {
+            const index = position + 2;
+            fieldset.querySelector('legend').textContent = `Person ${index}`;
+            
+            fieldset.querySelectorAll('[data-field]').forEach(element => {
+                const name = `patient-${index}-${element.dataset.field}`;
+                if (element.tagName === 'LABEL') {
+                    element.htmlFor = name;
+                } else if (element.classList.contains('error-message')) {
+                    element.id = `${name}-error`;
+                } else {
+                    element.id = name;
+                    element.name = name;
+                }
+            });
+        });
+        
+        if (this.addPatientButton) {
+            this.addPatientButton.hidden = this.getAdditionalPatientFieldsets().length + 1 >= this.maxPatients;
+        }
+    }
+    
+    getAdditionalPatients() {
+        return this.getAdditionalPatientFieldsets().map(fieldset => {
+            const patient = {};
+            fieldset.querySelectorAll('input, select').forEach(field => {
+                patient[field.dataset.field] = field.value;
+            });
+            return patient;
+        });
+    }
+    
+    async loadSlots() {
+        if (!this.slotPicker) return;
+        
+        const date = this.dateInput?.value;
+        const treatment = this.treatmentSelect?.value;
+        const additionalTreatments = this.getAdditionalPatients().map(patient => patient['treatment-type']);
+        
+        if (!date || !treatment) {
+            this.renderSlotHint('Bitte wählen Sie zuerst Behandlungsart und Wunschtermin.');
+            return;
+        }
+        
+        if (additionalTreatments.includes('')) {
+            this.renderSlotHint('Bitte wählen Sie für jede Person eine Behandlungsart.');
+            return;
+        }
+        
+        // Ignore responses that arrive after the selection has changed again
+        const requestId = ++this.slotRequestId;
+        this.renderSlotHint('Freie Termine werden geladen...');
+        
+        try {
+            const data = additionalTreatments.length > 0
+                ? await this.requestJson(`/slots/group?${new URLSearchParams({ date, treatments: [treatment, ...additionalTreatments].join(',') })}`)
+                : await this.requestJson(`/slots?${new URLSearchParams({ date, treatment })}`);
+            
+            if (requestId === this.slotRequestId) {
+                this.renderSlots(data);
+            }
+        } catch (error) {
+            if (requestId === this.slotRequestId) {
+                this.renderSlotHint(error.message);
+            }
+        }
+    }
+    
+    renderSlots(data) {
+        this.clearSlotError();
+        
+        if (data.slots.length === 0) {
+            const nextDate = data.nextAvailableDate;
+            
+            this.slotPicker.innerHTML = `
+                <p class="slot-hint">An diesem Tag sind leider keine Termine mehr frei.</p>
+                ${nextDate ? `
+                    <button type="button" class="btn btn-secondary slot-next" data-date="${nextDate}">
+                        Nächster freier Tag: ${this.formatDateLabel(nextDate)}
+                    </button>
+                ` : ''}
+                ${!this.hasAdditionalPatients() ? `
+                <div class="waitlist-join">
+                    <p class="slot-hint">Passt Ihnen das nicht? Tragen Sie sich auf die Warteliste ein – wird bis zum gewählten Datum ein Termin frei, bieten wir ihn Ihnen per E-Mail an.</p>
+                    <label for="waitlist-to">Warteliste bis</label>
+                    <input type="date" id="waitlist-to" min="${data.date}" value="${nextDate || data.date}">
+                    <button type="button" class="btn btn-secondary waitlist-button">Auf die Warteliste</button>
+                </div>
+                ` : ''}
+            `;
+            
+            this.slotPicker.querySelector('.slot-next')?.addEventListener('click', (e) => {
+                this.dateInput.value = e.currentTarget.dataset.date;
+                this.loadSlots();
+            });
+            this.slotPicker.querySelector('.waitlist-button')?.addEventListener('click', (e) => this.joinWaitlist(e.currentTarget));
+            return;
+        }
+        
+        // Family bookings show the whole block from the first to the last appointment
+        this.slotPicker.innerHTML = data.slots.map(slot => `
+            <label class="slot-option${slot.appointments ? ' slot-option-group' : ''}">
+                <input type="radio" name="slot" value="${slot.start}">
+                <span>${slot.appointments ? `${slot.start} – ${slot.end}` : slot.start} Uhr</span>
+            </label>
+        `).join('');
+        
+        this.slotPicker.querySelectorAll('input[name="slot"]').forEach(radio => {
+            radio.addEventListener('change', () => this.clearSlotError());
+        });
+    }
+    
+    hasAdditionalPatients() {
+        return this.getAdditionalPatientFieldsets().length > 0;
+    }
+    
+    async joinWaitlist(button) {
+        // Only the contact details are needed, no slot
+        const fields = ['first-name', 'last-name', 'email', 'phone', 'treatment-type', 'preferred-date', 'privacy']
+            .map(name => this.form.querySelector(`[name="${name}"]`))
+            .filter(Boolean);
+        const isValid = fields.map(field => this.validateField(field)).every(Boolean);
+        const toDate = document.getElementById('waitlist-to')?.value;
+        
+        if (!isValid || !toDate) {
+            this.showFormError('Bitte füllen Sie Ihre Kontaktdaten aus und wählen Sie, bis wann Sie auf der Warteliste stehen möchten.');
+            return;
+        }
+        
+        button.disabled = true;
+        
+        try {
+            const { waitlist } = await this.requestJson('/waitlist', {
+                method: 'POST',
+                body: {
+                    ...this.getFormData(),
+                    ...await this.formGuard.getFields(),
+                    'from-date': this.dateInput.value,
+                    'to-date': toDate
+                }
+            });
+            
+            const message = `Sie stehen für ${waitlist.treatment} vom ${this.formatDateLabel(waitlist.fromDate)} bis ${this.formatDateLabel(waitlist.toDate)} auf der Warteliste. Die Bestätigung haben wir Ihnen per E-Mail gesendet.`;
+            this.showFormSuccess(null, false, null, { title: 'Auf der Warteliste eingetragen', message });
+            this.renderSlotHint(message);
+        } catch (error) {
+            this.showServerFieldErrors(error.fields);
+            this.showFormError(error.fields?.['to-date'] || error.message);
+            button.disabled = false;
+        }
+    }
+    
+    // Result of the leave link in the waitlist confirmation e-mail
+    showWaitlistStatus() {
+        const status = new URLSearchParams(window.location.search).get('waitlist');
+        
+        if (status === 'left') {
+            this.showFormSuccess(null, false, null, {
+                title: 'Von der Warteliste abgemeldet',
+                message: 'Sie erhalten keine weiteren Terminangebote.'
+            });
+        } else if (status === 'invalid') {
+            this.showFormError('Der Link zur Warteliste ist ungültig.');
+        }
+    }
+    
+    // Links from the recall reminder: prefilled form (?prefill=…) or the opt-out result (?recall=…)
+    async applyRecallLink() {
+        const params = new URLSearchParams(window.location.search);
+        const status = params.get('recall');
+        const token = params.get('prefill');
+        
+        if (status === 'opted-out') {
+            this.showFormSuccess(null, false, null, {
+                title: 'Erinnerungen abbestellt',
+                message: 'Sie erhalten keine Recall-Erinnerungen mehr. Im Patientenportal können Sie sie jederzeit wieder einschalten.'
+            });
+        } else if (status === 'invalid') {
+            this.showFormError('Der Link zum Abbestellen ist ungültig.');
+        }
+        
+        if (!token || !this.form) return;
+        
+        try {
+            const { values } = await this.requestJson(`/recall/prefill/${encodeURIComponent(token)}`);
+            this.openContactForm();
+            this.setFormData(values);
+            this.loadSlots();
+        } catch (error) {
+            this.showFormError(error.message);
+        }
+    }
+    
+    // Treatment basket from the cost calculator on preise.html (?kostenschaetzung=1 opens the form)
+    applyCostEstimate() {
+        try {
+            this.costEstimate = JSON.parse(sessionStorage.getItem(this.estimateStorageKey));
+        } catch (error) {
+            this.costEstimate = null;
+        }
+        if (!this.costEstimate?.items?.length || !this.form) {
+            this.costEstimate = null;
+            return;
+        }
+        
+        const count = this.costEstimate.items.length;
+        const summary = document.getElementById('cost-estimate-summary');
+        if (summary) {
+            summary.textContent = `Ihre Kostenschätzung mit ${count === 1 ? 'einer Behandlung' : `${count} Behandlungen`} wird mit der Anfrage gesendet, damit wir uns darauf vorbereiten können.`;
+        }
+        if (this.estimateNote) this.estimateNote.hidden = false;
+        
+        // The first treatment of the plan is the most likely reason for the appointment
+        const treatment = this.costEstimate.items[0].treatment;
+        if (this.treatmentSelect && !this.treatmentSelect.value && this.treatmentSelect.querySelector(`option[value="${treatment}"]`)) {
+            this.treatmentSelect.value = treatment;
+        }
+        
+        if (new URLSearchParams(window.location.search).has('kostenschaetzung')) {
+            this.openContactForm();
+        }
+    }
+    
+    discardCostEstimate() {
+        this.costEstimate = null;
+        if (this.estimateNote) this.estimateNote.hidden = true;
+        try {
+            sessionStorage.removeItem(this.estimateStorageKey);
+        } catch (error) {
+            // Nothing was stored
+        }
+    }
+    
+    renderSlotHint(message) {
+        if (!this.slotPicker) return;
+        
+        this.slotPicker.innerHTML = `<p class="slot-hint">${message}</p>`;
+    }
+    
+    validateSlot() {
+        if (!this.slotPicker) return true;
+        
+        if (!this.form.querySelector('input[name="slot"]:checked')) {
+            const errorElement = document.getElementById('slot-error');
+            if (errorElement) {
+                errorElement.textContent = 'Bitte wählen Sie eine freie Uhrzeit.';
+                errorElement.style.display = 'block';
+            }
+            return false;
+        }
+        
+        this.clearSlotError();
+        return true;
+    }
+    
+    clearSlotError() {
+        const errorElement = document.getElementById('slot-error');
+        if (errorElement) {
+            errorElement.textContent = '';
+            errorElement.style.display = 'none';
+        }
+    }
+    
+    formatDateValue(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+    
+    formatDateLabel(value) {
+        return new Date(`${value}T00:00:00`).toLocaleDateString('de-DE', {
+            weekday: 'long',
+            day: 'numeric',
+            month: 'long',
+            year: 'numeric'
+        });
+    }
+    
+    escapeHtml(value) {
+        return String(value ?? '').replace(/[&<>"']/g, char => ({
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#39;'
+        })[char]);
+    }
+    
+    async requestJson(path, { method = 'GET', body } = {}) {
+        let response;
+        
+        try {
+            response = await fetch(`${this.apiBase}${path}`, {
+                method,
+                headers: body ? { 'Content-Type': 'application/json' } : {},
+                body: body ? JSON.stringify(body) : undefined
+            });
+        } catch (error) {
+            throw new Error('Der Server ist nicht erreichbar. Bitte versuchen Sie es später erneut oder rufen Sie uns an.');
+        }
+        
+        const data = await response.json().catch(() => ({}));
+        
+        if (!response.ok) {
+            const error = new Error(data.error || 'Ihre Anfrage konnte nicht verarbeitet werden.');
+            error.status = response.status;
+            error.fields = data.details?.fields || {};
+            throw error;
+        }
+        
+        return data;
+    }
+    
+    setupFormValidation() {
+        if (!this.form) return;
+        
+        const fields = this.form.querySelectorAll('input, select, textarea');
+        
+        fields.forEach(field => {
+            field.addEventListener('blur', () => this.validateField(field));
+            field.addEventListener('input', () => this.clearFieldError(field));
+        });
+    }
+    
+    validateField(field) {
+        const value = field.value.trim();
+        const fieldName = field.name;
+        let isValid = true;
+        let errorMessage = '';
+        
+        // Required field validation
+        if (field.hasAttribute('required') && !value) {
+            isValid = false;
+            errorMessage = 'Dieses Feld ist erforderlich.';
+        }
+        
+        // Email validation
+        if (field.type === 'email' && value) {
+            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+            if (!emailRegex.test(value)) {
+                isValid = false;
+                errorMessage = 'Bitte geben Sie eine gültige E-Mail-Adresse ein.';
+            }
+        }
+        
+        // Phone validation
+        if (field.type === 'tel' && value) {
+            const phoneRegex = /^[\+]?[0-9\s\-\(\)]{6,}$/;
+            if (!phoneRegex.test(value)) {
+                isValid = false;
+                errorMessage = 'Bitte geben Sie eine gültige Telefonnummer ein.';
+            }
+        }
+        
+        // Date validation (birth dates lie in the past)
+        if (field.type === 'date' && value && !fieldName.endsWith('birth-date')) {
+            const selectedDate = new Date(value);
+            const today = new Date();
+            today.setHours(0, 0, 0, 0);
+            
+            if (selectedDate < today) {
+                isValid = false;
+                errorMessage = 'Bitte wählen Sie ein zukünftiges Datum.';
+            }
+        }
+        
+        // Name validation
+        if (/(^|-)(first|last)-name$/.test(fieldName) && value) {
+            if (value.length < 2) {
+                isValid = false;
+                errorMessage = 'Der Name muss mindestens 2 Zeichen lang sein.';
+            }
+        }
+        
+        // Message validation
+        if (fieldName === 'message' && value) {
+            if (value.length < 10) {
+                isValid = false;
+                errorMessage = 'Die Nachricht muss mindestens 10 Zeichen lang sein.';
+            }
+        }
+        
+        // Privacy checkbox validation
+        if (fieldName === 'privacy') {
+            if (!field.checked) {
+                isValid = false;
+                errorMessage = 'Sie müssen der Datenschutzerklärung zustimmen.';
+            }
+        }
+        
+        if (isValid) {
+            this.clearFieldError(field);
+        } else {
+            this.showFieldError(field, errorMessage);
+        }
+        
+        return isValid;
+    }
+    
+    showFieldError(field, message) {
+        this.clearFieldError(field);
+        
+        field.classList.add('error');
+        
+        const errorElement = document.getElementById(`${field.name}-error`);
+        if (errorElement) {
+            errorElement.textContent = message;
+            errorElement.style.display = 'block';
+        }
+    }
+    
+    clearFieldError(field) {
+        field.classList.remove('error');
+        
+        const errorElement = document.getElementById(`${field.name}-error`);
+        if (errorElement) {
+            errorElement.textContent = '';
+            errorElement.style.display = 'none';
+        }
+    }
+    
+    validateForm() {
+        if (!this.form) return false;
+        
+        const fields = this.form.querySelectorAll('input, select, textarea');
+        let isValid = true;
+        
+        fields.forEach(field => {
+            if (!this.validateField(field)) {
+                isValid = false;
+            }
+        });
+        
+        if (!this.validateSlot()) {
+            isValid = false;
+        }
+        
+        return isValid;
+    }
+    
+    async handleFormSubmit(e) {
+        e.preventDefault();
+        
+        if (!this.validateForm()) {
+            this.showFormError('Bitte überprüfen Sie Ihre Eingaben.');
+            return;
+        }
+        
+        // Show loading state
+        this.showLoadingState();
+        
+        try {
+            const { booking, bookings, confirmationSent, calendarUrl, anamnesisUrl } = await this.requestJson('/bookings', {
+                method: 'POST',
+                body: { ...this.getFormData(), costEstimate: this.costEstimate || undefined, ...await this.formGuard.getFields() }
+            });
+            
+            this.discardCostEstimate();
+            if (bookings) {
+                this.showFamilySuccess(bookings, confirmationSent);
+            } else {
+                this.showFormSuccess(booking, confirmationSent, calendarUrl, {
+                    anamnesisLinks: [{ label: 'Anamnesebogen jetzt online ausfüllen', url: anamnesisUrl }]
+                });
+            }
+            this.resetForm();
+            this.closeContactForm();
+        } catch (error) {
+            this.showServerFieldErrors(error.fields);
+            this.showFormError(error.message);
+            
+            // The slot may have been taken in the meantime
+            if (error.status === 409) {
+                this.loadSlots();
+            }
+        } finally {
+            this.hideLoadingState();
+        }
+    }
+    
+    showServerFieldErrors(fields = {}) {
+        Object.entries(fields).forEach(([name, message]) => {
+            const field = this.form.querySelector(`[name="${name}"]`);
+            if (field) {
+                this.showFieldError(field, message);
+            }
+        });
+    }
+    
+    showLoadingState() {
+        const submitButton = this.form?.querySelector('button[type="submit"]');
+        if (submitButton) {
+            submitButton.disabled = true;
+            submitButton.innerHTML = `
+                <svg class="loading-spinner" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M21 12a9 9 0 11-6.219-8.56"/>
+                </svg>
+                Wird gesendet...
+            `;
+        }
+    }
+    
+    hideLoadingState() {
+        const submitButton = this.form?.querySelector('button[type="submit"]');
+        if (submitButton) {
+            submitButton.disabled = false;
+            submitButton.innerHTML = 'Anfrage senden';
+        }
+    }
+    
+    showFormSuccess(booking, confirmationSent = false, calendarUrl = null, { title = null, message = null, anamnesisLinks = [] } = {}) {
+        let details = message || 'Vielen Dank für Ihre Anfrage. Wir melden uns innerhalb von 24 Stunden bei Ihnen zurück.';
+        
+        if (booking) {
+            details = `Ihr Termin (${booking.treatment}) am ${this.formatDateLabel(booking.date)} um ${booking.start} Uhr ist gebucht.`;
+            details += confirmationSent
+                ? ' Die Bestätigung haben wir Ihnen per E-Mail gesendet.'
+                : ' Wir freuen uns auf Ihren Besuch.';
+        }
+        
+        // Create success notification
+        const notification = document.createElement('div');
+        notification.className = 'form-notification success';
+        notification.innerHTML = `
+            <div class="notification-content">
+                <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z"/>
+                </svg>
+                <div>
+                    <h4>${title || (booking ? 'Termin erfolgreich gebucht!' : 'Anfrage erfolgreich gesendet!')}</h4>
+                    <p>${details}</p>
+                    ${calendarUrl ? `<p><a href="${calendarUrl}" download>Zum Kalender hinzufügen (.ics)</a></p>` : ''}
+                    ${anamnesisLinks.filter(link => link.url).map(link => `<p><a href="${link.url}">${this.escapeHtml(link.label)}</a></p>`).join('')}
+                </div>
+            </div>
+        `;
+        
+        document.body.appendChild(notification);
+        
+        // Remove notification after 5 seconds, or 15 when it offers links to follow
+        setTimeout(() => {
+            notification.remove();
+        }, calendarUrl || anamnesisLinks.length > 0 ? 15000 : 5000);
+    }
+    
+    showFamilySuccess(bookings, confirmationSent = false) {
+        const appointments = bookings
+            .map(booking => `${booking.start} Uhr ${this.escapeHtml(booking.patient.firstName)} (${booking.treatment})`)
+            .join(', ');
+        let message = `Ihre Termine am ${this.formatDateLabel(bookings[0].date)} sind gebucht: ${appointments}.`;
+        message += confirmationSent
+            ? ' Die Bestätigung mit allen Terminen haben wir Ihnen per E-Mail gesendet.'
+            : ' Wir freuen uns auf Ihren Besuch.';
+        
+        this.showFormSuccess(null, false, null, {
+            title: 'Termine erfolgreich gebucht!',
+            message,
+            anamnesisLinks: bookings.map(booking => ({
+                label: `Anamnesebogen für ${booking.patient.firstName} ausfüllen`,
+                url: booking.anamnesisUrl
+            }))
+        });
+    }
+    
+    showFormError(message) {
+        // Create error notification
+        const notification = document.createElement('div');
+        notification.className = 'form-notification error';
+        notification.innerHTML = `
+            <div class="notification-content">
+                <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"/>
+                    <line x1="12" y1="9" x2="12" y2="13"/>
+                    <line x1="12" y1="17" x2="12.01" y2="17"/>
+                </svg>
+                <div>
+                    <h4>Fehler beim Senden</h4>
+                    <p>${message}</p>
+                </div>
+            </div>
+        `;
+        
+        document.body.appendChild(notification);
+        
+        // Remove notification after 5 seconds
+        setTimeout(() => {
+            notification.remove();
+        }, 5000);
+    }
+    
+    showInfo(title, message, duration = 5000) {
+        const notification = document.createElement('div');
+        notification.className = 'form-notification info';
+        notification.innerHTML = `
+            <div class="notification-content">
+                <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <circle cx="12" cy="12" r="10"/>
+                    <path d="M12 16v-4M12 8h.01"/>
+                </svg>
+                <div>
+                    <h4>${title}</h4>
+                    <p>${message}</p>
+                </div>
+            </div>
+        `;
+        
+        document.body.appendChild(notification);
+        
+        setTimeout(() => {
+            notification.remove();
+        }, duration);
+        
+        return notification;
+    }
+    
+    /**
+     * Doctolib and Calendly buttons: when the practice calendar is synced with
+     * that provider, the own form shows the same free times and the booking
+     * lands there too; otherwise the patient is sent to the provider's page.
+     */
+    async openOnlineBooking(provider) {
+        const label = { doctolib: 'Doctolib', calendly: 'Calendly' }[provider];
+        let providers;
+        
+        try {
+            providers = await this.requestJson('/providers');
+        } catch (error) {
+            this.showFormError(error.message);
+            return;
+        }
+        
+        if (providers.active === provider) {
+            this.openContactForm();
+            this.showInfo(
+                `Abgeglichen mit ${label}`,
+                `Unser Kalender ist mit ${label} abgeglichen. Sie sehen hier dieselben freien Zeiten, und Ihr Termin wird automatisch bei ${label} eingetragen.`
+            );
+            return;
+        }
+        
+        const url = providers.links?.[provider];
+        if (!url) {
+            this.openContactForm();
+            this.showFormError(`Die Buchung über ${label} ist derzeit nicht möglich. Bitte nutzen Sie unser Terminformular.`);
+            return;
+        }
+        
+        const notification = this.showInfo(`Weiterleitung zu ${label}`, `Sie werden zur ${label}-Terminbuchung weitergeleitet...`, 2000);
+        
+        // Redirect after 2 seconds
+        setTimeout(() => {
+            window.open(url, '_blank');
+            notification.remove();
+        }, 2000);
+    }
+    
+    resetForm() {
+        if (!this.form) return;
+        
+        this.form.reset();
+        
+        // Clear all error states
+        const fields = this.form.querySelectorAll('input, select, textarea');
+        fields.forEach(field => {
+            this.clearFieldError(field);
+        });
+        
+        this.getAdditionalPatientFieldsets().forEach(fieldset => fieldset.remove());
+        this.renumberPatients();
+        
+        this.clearSlotError();
+        this.renderSlotHint('Bitte wählen Sie zuerst Behandlungsart und Wunschtermin.');
+    }
+    
+    openContactForm() {
+        if (!this.modal) return;
+        
+        this.modal.classList.add('show');
+        this.modal.setAttribute('aria-hidden', 'false');
+        
+        // Focus first input
+        const firstInput = this.modal.querySelector('input, select, textarea');
+        if (firstInput) {
+            firstInput.focus();
+        }
+        
+        // Prevent body scroll
+        document.body.style.overflow = 'hidden';
+        
+        // Announce to screen readers
+        this.announceModalOpen();
+    }
+    
+    closeContactForm() {
+        if (!this.modal) return;
+        
+        this.modal.classList.remove('show');
+        this.modal.setAttribute('aria-hidden', 'true');
+        
+        // Restore body scroll
+        document.body.style.overflow = '';
+        
+        // Reset form
+        this.resetForm();
+        
+        // Announce to screen readers
+        this.announceModalClose();
+    }
+    
+    announceModalOpen() {
+        const announcement = document.createElement('div');
+        announcement.setAttribute('aria-live', 'polite');
+        announcement.setAttribute('aria-atomic', 'true');
+        announcement.className = 'sr-only';
+        announcement.textContent = 'Kontaktformular geöffnet';
+        document.body.appendChild(announcement);
+        
+        setTimeout(() => announcement.remove(), 1000);
+    }
+    
+    announceModalClose() {
+        const announcement = document.createElement('div');
+        announcement.setAttribute('aria-live', 'polite');
+        announcement.setAttribute('aria-atomic', 'true');
+        announcement.className = 'sr-only';
+        announcement.textContent = 'Kontaktformular geschlossen';
+        document.body.appendChild(announcement);
+        
+        setTimeout(() => announcement.remove(), 1000);
+    }
+    
+    // Public methods for external control
+    getFormData() {
+        if (!this.form) return null;
+        
+        const formData = new FormData(this.form);
+        const data = {};
+        
+        for (let [key, value] of formData.entries()) {
+            // Further patients are sent as a list below
+            if (/^patient-\d+-/.test(key)) continue;
+            data[key] = value;
+        }
+        
+        if (this.hasAdditionalPatients()) {
+            data.patients = this.getAdditionalPatients();
+        }
+        
+        return data;
+    }
+    
+    setFormData(data) {
+        if (!this.form) return;
+        
+        Object.entries(data).forEach(([key, value]) => {
+            const field = this.form.querySelector(`[name="${key}"]`);
+            if (field) {
+                field.value = value;
+            }
+        });
+    }
+    
+    destroy() {
+        // Remove event listeners
+        if (this.form) {
+            this.form.removeEventListener('submit', this.handleFormSubmit);
+        }
+        
+        // Close modal if open
+        this.closeContactForm();
+    }
+}
+
+// Global functions for onclick handlers
+function openContactForm() {
+    if (window.bookingSystem) {
+        window.bookingSystem.openContactForm();
+    }
+}
+
+function closeContactForm() {
+    if (window.bookingSystem) {
+        window.bookingSystem.closeContactForm();
+    }
+}
+
+function openDoctolib() {
+    if (window.bookingSystem) {
+        window.bookingSystem.openOnlineBooking('doctolib');
+    }
+}
+
+function openCalendly() {
+    if (window.bookingSystem) {
+        window.bookingSystem.openOnlineBooking('calendly');
+    }
+}
+
+// Initialize the booking system when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.bookingSystem = new BookingSystem();
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BookingSystem;
+}
+
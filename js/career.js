@@ -0,0 +1,250 @@
+/**
+ * Career Page
+ * Handles the job application form including validation and CV upload
+ */
+class CareerPage {
+    constructor() {
+        this.form = null;
+        this.apiBase = '/api';
+        this.maxCvSize = 5 * 1024 * 1024;
+        this.init();
+    }
+
+    init() {
+        this.setupElements();
+        this.setupEventListeners();
+    }
+
+    setupElements() {
+        this.form = document.getElementById('application-form');
+        this.submitButton = this.form?.querySelector('button[type="submit"]');
+        this.formGuard = this.form ? new FormGuard('application', { apiBase: this.apiBase }) : null;
+    }
+
+    setupEventListeners() {
+        if (!this.form) return;
+
+        this.form.addEventListener('submit', (e) => this.handleFormSubmit(e));
+        this.form.addEventListener('input', (e) => this.clearFieldError(e.target));
+        this.form.addEventListener('change', (e) => this.clearFieldError(e.target));
+        this.form.addEventListener('reset', () => this.clearAllErrors());
+    }
+
+    validateField(field) {
+        const value = field.type === 'file' ? '' : field.value.trim();
+        let errorMessage = '';
+
+        if (field.type === 'checkbox') {
+            if (field.required && !field.checked) {
+                errorMessage = 'Sie müssen der Datenschutzerklärung zustimmen.';
+            }
+        } else if (field.type === 'file') {
+            const file = field.files[0];
+            if (field.required && !file) {
+                errorMessage = 'Bitte laden Sie Ihren Lebenslauf hoch.';
+            } else if (file && !/\.pdf$/i.test(file.name)) {
+                errorMessage = 'Bitte laden Sie Ihren Lebenslauf als PDF hoch.';
+            } else if (file && file.size > this.maxCvSize) {
+                errorMessage = 'Der Lebenslauf darf höchstens 5 MB groß sein.';
+            }
+        } else if (field.required && !value) {
+            errorMessage = 'Dieses Feld ist erforderlich.';
+        } else if (field.type === 'email' && value && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+            errorMessage = 'Bitte geben Sie eine gültige E-Mail-Adresse ein.';
+        } else if (field.type === 'tel' && value && !/^[\+]?[0-9\s\-\(\)]{6,}$/.test(value)) {
+            errorMessage = 'Bitte geben Sie eine gültige Telefonnummer ein.';
+        } else if ((field.name === 'firstName' || field.name === 'lastName') && value && value.length < 2) {
+            errorMessage = 'Der Name muss mindestens 2 Zeichen lang sein.';
+        } else if (field.tagName === 'TEXTAREA' && value && value.length < 10) {
+            errorMessage = 'Die Nachricht muss mindestens 10 Zeichen lang sein.';
+        }
+
+        if (errorMessage) {
+            this.showFieldError(field, errorMessage);
+            return false;
+        }
+
+        this.clearFieldError(field);
+        return true;
+    }
+
+    validateForm() {
+        const fields = this.form.querySelectorAll('input, select, textarea');
+        let isValid = true;
+
+        fields.forEach(field => {
+            if (!this.validateField(field)) {
+                isValid = false;
+            }
+        });
+
+        return isValid;
+    }
+
+    showFieldError(field, message) {
+        field.classList.add('error');
+        const errorDiv = document.getElementById(`${field.id}-error`);
+        if (errorDiv) {
+            errorDiv.textContent = message;
+            errorDiv.style.display = 'block';
+        }
+    }
+
+    clearFieldError(field) {
+        if (!field.id) return;
+
+        field.classList.remove('error');
+        const errorDiv = document.getElementById(`${field.id}-error`);
+        if (errorDiv) {
+            errorDiv.textContent = '';
+            errorDiv.style.display = 'none';
+        }
+    }
+
+    clearAllErrors() {
+        this.form.querySelectorAll('input, select, textarea').forEach(field => this.clearFieldError(field));
+    }
+
+    async handleFormSubmit(e) {
+        e.preventDefault();
+
+        if (!this.validateForm()) {
+            this.showNotification('Bitte überprüfen Sie Ihre Eingaben.', 'error');
+            return;
+        }
+
+        this.showLoadingState();
+
+        try {
+            await this.postApplication({ ...await this.getFormData(), ...await this.formGuard.getFields() });
+            this.showNotification('Vielen Dank für Ihre Bewerbung! Wir haben Ihnen eine Eingangsbestätigung per E-Mail gesendet.', 'success');
+            this.form.reset();
+        } catch (error) {
+            Object.entries(error.fields || {}).forEach(([name, message]) => {
+                const field = this.form.querySelector(`[name="${name}"]`);
+                if (field) {
+                    this.showFieldError(field, message);
+                }
+            });
+            this.showNotification(error.message, 'error');
+        } finally {
+            this.hideLoadingState();
+        }
+    }
+
+    async getFormData() {
+        const formData = new FormData(this.form);
+        const data = {};
+
+        for (let [key, value] of formData.entries()) {
+            if (!(value instanceof File)) {
+                data[key] = value;
+            }
+        }
+
+        const cvFile = this.form.querySelector('[name="cv"]').files[0];
+        data.cv = {
+            name: cvFile.name,
+            data: await this.readFileAsBase64(cvFile)
+        };
+
+        return data;
+    }
+
+    readFileAsBase64(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            // The data URL prefix ("data:application/pdf;base64,") is not needed by the server
+            reader.onload = () => resolve(reader.result.split(',')[1]);
+            reader.onerror = () => reject(new Error('Die Datei konnte nicht gelesen werden.'));
+            reader.readAsDataURL(file);
+        });
+    }
+
+    async postApplication(data) {
+        let response;
+
+        try {
+            response = await fetch(`${this.apiBase}/applications`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(data)
+            });
+        } catch (error) {
+            throw new Error('Der Server ist nicht erreichbar. Bitte versuchen Sie es später erneut.');
+        }
+
+        const result = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            const error = new Error(result.error || 'Ihre Bewerbung konnte nicht gesendet werden.');
+            error.fields = result.details?.fields || {};
+            throw error;
+        }
+
+        return result;
+    }
+
+    showLoadingState() {
+        if (!this.submitButton) return;
+
+        this.submitButton.disabled = true;
+        this.submitButton.setAttribute('aria-busy', 'true');
+        this.submitButton.innerHTML = `
+            <svg class="loading-spinner" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M21 12a9 9 0 11-6.219-8.56"/>
+            </svg>
+            Wird gesendet...
+        `;
+    }
+
+    hideLoadingState() {
+        if (!this.submitButton) return;
+
+        this.submitButton.disabled = false;
+        this.submitButton.removeAttribute('aria-busy');
+        this.submitButton.innerHTML = 'Bewerbung senden';
+    }
+
+    showNotification(message, type = 'info') {
+        const titles = {
+            success: 'Bewerbung gesendet',
+            error: 'Fehler beim Senden',
+            info: 'Information'
+        };
+
+        const notification = document.createElement('div');
+        notification.className = `form-notification ${type}`;
+        notification.setAttribute('role', type === 'error' ? 'alert' : 'status');
+        notification.innerHTML = `
+            <div class="notification-content">
+                <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    ${type === 'success'
+                        ? '<path d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z"/>'
+                        : '<circle cx="12" cy="12" r="10"/><path d="M12 16v-4M12 8h.01"/>'}
+                </svg>
+                <div>
+                    <h4>${titles[type] || titles.info}</h4>
+                    <p>${message}</p>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(notification);
+
+        // Remove notification after 5 seconds
+        setTimeout(() => {
+            notification.remove();
+        }, 5000);
+    }
+}
+
+// Initialize the career page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.careerPage = new CareerPage();
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CareerPage;
+}
@@ -0,0 +1,311 @@
+/**
+ * Consent Manager
+ * First-party consent banner for the optional parts of the website. The
+ * texts come from the server in their current version and every decision is
+ * recorded there; a copy in localStorage keeps the banner away until the
+ * texts change.
+ *
+ * Optional third-party scripts are written as
+ * <script type="text/plain" data-consent="externalMedia" data-src="…"> and
+ * only run once their category has been accepted. Page scripts use
+ * consent.loadScript() / consent.whenGranted() for the same purpose.
+ */
+const CONSENT_STORAGE_KEY = 'consent';
+
+class ConsentManager {
+    constructor({ apiBase = '/api' } = {}) {
+        this.apiBase = apiBase;
+        this.policy = null;
+        this.decision = this.readDecision();
+        this.waiting = [];
+        this.loaded = new Map();
+        this.banner = null;
+
+        this.setupEventListeners();
+        this.ready = this.loadPolicy();
+    }
+
+    setupEventListeners() {
+        document.addEventListener('click', (e) => {
+            const link = e.target.closest('[data-consent-settings]');
+            if (!link) return;
+
+            e.preventDefault();
+            this.openSettings();
+        });
+    }
+
+    async loadPolicy() {
+        try {
+            const response = await fetch(`${this.apiBase}/consent/policy`);
+            if (!response.ok) {
+                throw new Error(`Consent policy request answered ${response.status}`);
+            }
+            ({ policy: this.policy } = await response.json());
+        } catch (error) {
+            // Without the texts no banner can be shown; optional content stays blocked
+            console.warn('Consent policy could not be loaded:', error);
+            return;
+        }
+
+        if (!this.isCurrent()) {
+            this.showBanner();
+        } else if (this.decision.pending) {
+            await this.record();
+        }
+
+        this.applyDecision();
+    }
+
+    // Stored decision
+
+    readDecision() {
+        try {
+            return JSON.parse(localStorage.getItem(CONSENT_STORAGE_KEY));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    writeDecision() {
+        try {
+            localStorage.setItem(CONSENT_STORAGE_KEY, JSON.stringify(this.decision));
+        } catch (error) {
+            // Private browsing: the choice only lasts for this page
+        }
+    }
+
+    // A decision for an older version of the texts no longer counts
+    isCurrent() {
+        return Boolean(this.decision && this.policy && this.decision.version === this.policy.version);
+    }
+
+    has(category) {
+        if (category === 'necessary') return true;
+        return this.isCurrent() && this.decision.categories[category] === true;
+    }
+
+    // Public API for page scripts
+
+    async whenGranted(category) {
+        await this.ready;
+        if (this.has(category)) return;
+
+        await new Promise(resolve => this.waiting.push({ category, resolve }));
+    }
+
+    loadScript(category, src) {
+        return this.load(category, src, () => {
+            const script = document.createElement('script');
+            script.src = src;
+            return script;
+        });
+    }
+
+    loadStylesheet(category, href) {
+        return this.load(category, href, () => {
+            const link = document.createElement('link');
+            link.rel = 'stylesheet';
+            link.href = href;
+            return link;
+        });
+    }
+
+    load(category, url, createElement) {
+        if (!this.loaded.has(url)) {
+            this.loaded.set(url, this.whenGranted(category).then(() => new Promise((resolve, reject) => {
+                const element = createElement();
+                element.onload = resolve;
+                element.onerror = () => reject(new Error(`${url} could not be loaded`));
+                document.head.appendChild(element);
+            })));
+        }
+        return this.loaded.get(url);
+    }
+
+    // Accepts a single category, e.g. from the "Karte laden" button on the contact page
+    async grant(category) {
+        await this.ready;
+        if (!this.policy) return this.openSettings();
+
+        const current = this.isCurrent() ? this.decision.categories : {};
+        return this.save({ ...current, [category]: true });
+    }
+
+    async openSettings() {
+        await this.ready;
+        if (!this.policy) {
+            window.alert('Die Datenschutz-Einstellungen konnten nicht geladen werden. Bitte versuchen Sie es später erneut.');
+            return;
+        }
+        this.showBanner({ expanded: true });
+    }
+
+    // Saving and applying
+
+    async save(categories) {
+        const previous = this.isCurrent() ? this.decision.categories : {};
+        const revoked = Object.keys(previous).some(category => previous[category] && !categories[category]);
+
+        this.decision = {
+            consentId: this.decision?.consentId || null,
+            version: this.policy.version,
+            categories: Object.fromEntries(this.policy.categories.map(category => [
+                category.id,
+                Boolean(category.required || categories[category.id])
+            ])),
+            decidedAt: new Date().toISOString(),
+            pending: true
+        };
+        this.writeDecision();
+        this.hideBanner();
+
+        await this.record();
+
+        // Scripts that already run cannot be unloaded again
+        if (revoked) {
+            window.location.reload();
+            return;
+        }
+        this.applyDecision();
+    }
+
+    // Failed records stay pending and are sent again on the next page view
+    async record() {
+        try {
+            const response = await fetch(`${this.apiBase}/consent`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    consentId: this.decision.consentId,
+                    version: this.decision.version,
+                    categories: this.decision.categories
+                })
+            });
+            if (!response.ok) {
+                throw new Error(`Consent record answered ${response.status}`);
+            }
+
+            const { consent } = await response.json();
+            this.decision = { ...consent, pending: false };
+            this.writeDecision();
+        } catch (error) {
+            console.warn('Consent could not be recorded:', error);
+        }
+    }
+
+    applyDecision() {
+        this.activateScripts();
+
+        this.waiting = this.waiting.filter(({ category, resolve }) => {
+            if (!this.has(category)) return true;
+            resolve();
+            return false;
+        });
+
+        document.dispatchEvent(new CustomEvent('consentchange', {
+            detail: { categories: this.decision?.categories || { necessary: true } }
+        }));
+    }
+
+    activateScripts() {
+        document.querySelectorAll('script[type="text/plain"][data-consent]').forEach(placeholder => {
+            if (!this.has(placeholder.dataset.consent)) return;
+
+            const script = document.createElement('script');
+            Array.from(placeholder.attributes).forEach(({ name, value }) => {
+                if (name === 'type' || name === 'data-consent') return;
+                script.setAttribute(name === 'data-src' ? 'src' : name, value);
+            });
+            script.text = placeholder.text;
+            placeholder.replaceWith(script);
+        });
+    }
+
+    // Banner
+
+    showBanner({ expanded = false } = {}) {
+        this.hideBanner();
+
+        const escape = value => this.escapeHtml(value);
+        const checked = category => category.required || (this.isCurrent() && this.decision.categories[category.id]);
+
+        this.banner = document.createElement('div');
+        this.banner.className = 'consent-banner';
+        this.banner.setAttribute('role', 'dialog');
+        this.banner.setAttribute('aria-labelledby', 'consent-title');
+        this.banner.innerHTML = `
+            <div class="consent-content">
+                <h2 id="consent-title">${escape(this.policy.title)}</h2>
+                <p>${escape(this.policy.intro)} Mehr dazu in unserer <a href="datenschutz.html">Datenschutzerklärung</a>.</p>
+                <form class="consent-categories" ${expanded ? '' : 'hidden'}>
+                    ${this.policy.categories.map(category => `
+                        <label class="checkbox-label">
+                            <input type="checkbox" name="${escape(category.id)}" ${checked(category) ? 'checked' : ''} ${category.required ? 'disabled' : ''}>
+                            <span class="checkmark"></span>
+                            <span>
+                                <strong>${escape(category.label)}</strong>${category.required ? ' (immer aktiv)' : ''}<br>
+                                ${escape(category.description)}<br>
+                                <small>${category.services.map(escape).join(' · ')}</small>
+                            </span>
+                        </label>
+                    `).join('')}
+                    ${this.decision?.consentId ? `<p class="consent-id"><small>Ihre Einwilligungs-ID: ${escape(this.decision.consentId)}</small></p>` : ''}
+                </form>
+                <div class="consent-actions">
+                    <button type="button" class="btn btn-secondary btn-small" data-consent-action="necessary">Nur notwendige</button>
+                    <button type="button" class="btn btn-secondary btn-small" data-consent-action="settings" ${expanded ? 'hidden' : ''}>Einstellungen</button>
+                    <button type="button" class="btn btn-secondary btn-small" data-consent-action="save" ${expanded ? '' : 'hidden'}>Auswahl speichern</button>
+                    <button type="button" class="btn btn-primary btn-small" data-consent-action="all">Alle akzeptieren</button>
+                </div>
+            </div>
+        `;
+
+        this.banner.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-consent-action]');
+            if (button) this.handleAction(button.dataset.consentAction);
+        });
+
+        document.body.appendChild(this.banner);
+        this.banner.querySelector('button').focus();
+    }
+
+    hideBanner() {
+        this.banner?.remove();
+        this.banner = null;
+    }
+
+    handleAction(action) {
+        const form = this.banner.querySelector('.consent-categories');
+
+        if (action === 'settings') {
+            form.hidden = false;
+            this.banner.querySelector('[data-consent-action="settings"]').hidden = true;
+            this.banner.querySelector('[data-consent-action="save"]').hidden = false;
+            return;
+        }
+
+        const categories = {};
+        this.policy.categories.forEach(category => {
+            categories[category.id] = action === 'all' || (action === 'save' && form.elements[category.id].checked);
+        });
+        this.save(categories);
+    }
+
+    escapeHtml(value) {
+        return String(value ?? '').replace(/[&<>"']/g, char => ({
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#39;'
+        })[char]);
+    }
+}
+
+// Created right away so that the page scripts find it when the DOM is ready
+window.consent = new ConsentManager();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConsentManager;
+}
@@ -1,31 +1,28 @@
 /**
  * Cost Calculator
- * Handles the interactive cost calculation for dental treatments
+ * Handles the interactive cost calculation for dental treatments. Prices are
+ * not kept in this file: the current price list comes from the server
+ * (server/config/price-list.json) and every estimate is added up from its
+ * fee schedule positions, points times point value times GOZ factor. The
+ * optional InsuranceEstimate (js/insurance-estimate.js) turns the total into
+ * the patient's own share, FinancingCalculator (js/financing-calculator.js)
+ * offers instalment financing for it and EstimatePrint (js/estimate-print.js)
+ * prints the estimate with a reference number.
+ *
+ * Several treatments can be collected in a basket, per tooth or with a
+ * quantity, and are estimated together. The basket is handed to the booking
+ * form on termin.html through sessionStorage.
  */
 class CostCalculator {
     constructor() {
-        this.pricingData = {
-            prophylaxe: {
-                short: { simple: 80, medium: 120, complex: 160 },
-                medium: { simple: 100, medium: 150, complex: 200 },
-                long: { simple: 120, medium: 180, complex: 240 }
-            },
-            'fuellungen': {
-                short: { simple: 150, medium: 250, complex: 350 },
-                medium: { simple: 200, medium: 300, complex: 400 },
-                long: { simple: 250, medium: 350, complex: 500 }
-            },
-            wurzelbehandlung: {
-                short: { simple: 300, medium: 450, complex: 600 },
-                medium: { simple: 400, medium: 550, complex: 700 },
-                long: { simple: 500, medium: 650, complex: 800 }
-            },
-            kinderzahnheilkunde: {
-                short: { simple: 60, medium: 90, complex: 120 },
-                medium: { simple: 80, medium: 120, complex: 160 },
-                long: { simple: 100, medium: 150, complex: 200 }
-            }
-        };
+        this.apiBase = '/api';
+        this.priceList = null;
+        this.basket = [];
+        this.estimate = null;
+        this.estimateStorageKey = 'cost-estimate';
+        this.insurance = typeof InsuranceEstimate !== 'undefined' ? new InsuranceEstimate(this) : null;
+        this.financing = typeof FinancingCalculator !== 'undefined' ? new FinancingCalculator(this) : null;
+        this.print = typeof EstimatePrint !== 'undefined' ? new EstimatePrint(this) : null;
         
         this.init();
     }
@@ -34,16 +31,24 @@ class CostCalculator {
         this.setupElements();
         this.setupEventListeners();
         this.setupAccessibility();
+        // A stored estimate can only be opened once both are there
+        Promise.all([this.loadPriceList(), this.financing?.load()])
+            .then(() => this.print?.openFromUrl());
     }
     
     setupElements() {
         this.treatmentType = document.getElementById('treatment-type');
-        this.treatmentDuration = document.getElementById('treatment-duration');
+        this.treatmentVariant = document.getElementById('treatment-variant');
         this.complexity = document.getElementById('complexity');
-        this.calculateButton = document.querySelector('.calculator-form .btn');
+        this.teethGroup = document.getElementById('treatment-teeth-group');
+        this.teethInput = document.getElementById('treatment-teeth');
+        this.quantityInput = document.getElementById('treatment-quantity');
+        this.addButton = document.getElementById('basket-add');
+        this.basketList = document.getElementById('calculator-basket');
+        this.calculateButton = document.getElementById('calculate-cost');
         this.resultContainer = document.getElementById('calculator-result');
         
-        if (!this.treatmentType || !this.treatmentDuration || !this.complexity || !this.calculateButton || !this.resultContainer) {
+        if (!this.treatmentType || !this.treatmentVariant || !this.complexity || !this.calculateButton || !this.resultContainer) {
             console.warn('Cost calculator elements not found');
             return;
         }
@@ -51,40 +56,47 @@ class CostCalculator {
     
     setupEventListeners() {
         // Form field changes
-        this.treatmentType?.addEventListener('change', () => this.validateForm());
-        this.treatmentDuration?.addEventListener('change', () => this.validateForm());
+        this.treatmentType?.addEventListener('change', () => {
+            this.renderVariantOptions();
+            this.validateForm();
+        });
+        this.treatmentVariant?.addEventListener('change', () => {
+            this.toggleTeethField();
+            this.validateForm();
+        });
         this.complexity?.addEventListener('change', () => this.validateForm());
         
-        // Calculate button
-        this.calculateButton?.addEventListener('click', () => this.calculateCost());
-        
-        // Keyboard support
-        this.treatmentType?.addEventListener('keydown', (e) => {
+        // Basket
+        this.addButton?.addEventListener('click', () => this.addToBasket());
+        this.teethInput?.addEventListener('keydown', (e) => {
             if (e.key === 'Enter') {
                 e.preventDefault();
-                this.calculateCost();
+                this.addToBasket();
             }
         });
-        
-        this.treatmentDuration?.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter') {
-                e.preventDefault();
-                this.calculateCost();
-            }
+        this.basketList?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-remove-item]');
+            if (button) this.removeFromBasket(Number(button.dataset.removeItem));
         });
         
-        this.complexity?.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter') {
-                e.preventDefault();
-                this.calculateCost();
-            }
+        // Calculate button
+        this.calculateButton?.addEventListener('click', () => this.calculateCost());
+        
+        // Keyboard support
+        [this.treatmentType, this.treatmentVariant, this.complexity].forEach(select => {
+            select?.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.calculateCost();
+                }
+            });
         });
     }
     
     setupAccessibility() {
         // Set ARIA attributes
         this.treatmentType?.setAttribute('aria-describedby', 'treatment-type-help');
-        this.treatmentDuration?.setAttribute('aria-describedby', 'duration-help');
+        this.treatmentVariant?.setAttribute('aria-describedby', 'treatment-variant-help');
         this.complexity?.setAttribute('aria-describedby', 'complexity-help');
         
         // Add help text
@@ -100,9 +112,11 @@ class CostCalculator {
     
     addHelpText() {
         const helpTexts = {
-            'treatment-type': 'Wählen Sie die Art der kieferorthopädischen Behandlung aus.',
-            'treatment-duration': 'Wählen Sie die geschätzte Behandlungsdauer aus.',
-            'complexity': 'Wählen Sie die Komplexität Ihrer Zahnfehlstellung aus.'
+            'treatment-type': 'Wählen Sie die Behandlung aus.',
+            'treatment-variant': 'Wählen Sie die Leistung aus, z. B. die Größe der Füllung oder die Zahl der Wurzelkanäle.',
+            'complexity': 'Der Schwierigkeitsgrad bestimmt den Steigerungsfaktor nach GOZ. Ein Faktor über 2,3 wird auf der Rechnung begründet.',
+            'treatment-teeth': 'Zahnnummern nach dem FDI-Schema, z. B. 36 für den ersten unteren linken Backenzahn. Die Anzahl ergibt sich dann aus den Zähnen.',
+            'treatment-quantity': 'Wie oft die Leistung anfällt, z. B. die Zahl der Zähne oder Sitzungen.'
         };
         
         Object.entries(helpTexts).forEach(([id, text]) => {
@@ -118,11 +132,111 @@ class CostCalculator {
         });
     }
     
+    // Price list
+    
+    async loadPriceList() {
+        this.validateForm();
+        
+        try {
+            const response = await fetch(`${this.apiBase}/prices`);
+            if (!response.ok) {
+                throw new Error(`Price list request answered ${response.status}`);
+            }
+            ({ priceList: this.priceList } = await response.json());
+        } catch (error) {
+            console.warn('Price list could not be loaded:', error);
+            this.renderPlaceholder('Die Preisliste konnte nicht geladen werden. Bitte versuchen Sie es später erneut oder rufen Sie uns an.');
+            return;
+        }
+        
+        this.renderTreatmentOptions();
+        this.renderComplexityOptions();
+        this.insurance?.show();
+        this.renderPriceRanges();
+        this.validateForm();
+    }
+    
+    renderTreatmentOptions() {
+        if (!this.treatmentType) return;
+        
+        this.treatmentType.innerHTML = `
+            <option value="">Bitte wählen</option>
+            ${Object.entries(this.priceList.treatments).map(([id, treatment]) => `
+                <option value="${id}">${treatment.label}</option>
+            `).join('')}
+        `;
+        this.renderVariantOptions();
+    }
+    
+    renderVariantOptions() {
+        if (!this.treatmentVariant) return;
+        
+        const treatment = this.priceList?.treatments[this.treatmentType.value];
+        this.treatmentVariant.disabled = !treatment;
+        this.treatmentVariant.innerHTML = `
+            <option value="">${treatment ? 'Bitte wählen' : 'Bitte zuerst die Behandlung wählen'}</option>
+            ${treatment ? Object.entries(treatment.variants).map(([id, variant]) => `
+                <option value="${id}">${variant.label}</option>
+            `).join('') : ''}
+        `;
+        this.toggleTeethField();
+    }
+    
+    // Teeth can only be named for services that are charged per tooth
+    toggleTeethField() {
+        if (!this.teethGroup) return;
+        
+        const variant = this.priceList?.treatments[this.treatmentType.value]?.variants[this.treatmentVariant.value];
+        this.teethGroup.hidden = !variant?.perTooth;
+        if (this.teethGroup.hidden && this.teethInput) this.teethInput.value = '';
+    }
+    
+    renderComplexityOptions() {
+        if (!this.complexity) return;
+        
+        this.complexity.innerHTML = `
+            <option value="">Bitte wählen</option>
+            ${Object.entries(this.priceList.complexity).map(([id, level]) => `
+                <option value="${id}" title="${level.description}">${level.label} (${this.formatFactor(level.factor)})</option>
+            `).join('')}
+        `;
+    }
+    
+    // The "ab … bis …" prices of the cards on preise.html, cheapest variant at the lowest factor to the dearest at the highest
+    renderPriceRanges() {
+        const levels = Object.keys(this.priceList.complexity);
+        
+        document.querySelectorAll('[data-price-range]').forEach(element => {
+            const treatment = this.priceList.treatments[element.dataset.priceRange];
+            if (!treatment) return;
+            
+            const totals = Object.keys(treatment.variants).flatMap(variant =>
+                levels.map(level => this.calculateDetailedCost(element.dataset.priceRange, variant, level).subtotal)
+            );
+            
+            const amount = element.querySelector('.price-amount');
+            const note = element.querySelector('.price-note');
+            if (amount) amount.textContent = `ab ${Math.floor(Math.min(...totals))}€`;
+            if (note) note.textContent = `bis ${Math.ceil(Math.max(...totals))}€`;
+        });
+    }
+    
+    hasSelection() {
+        return Boolean(this.priceList &&
+                       this.treatmentType?.value &&
+                       this.treatmentVariant?.value &&
+                       this.complexity?.value);
+    }
+    
+    // Without a basket the current selection is estimated on its own
     validateForm() {
-        const isValid = this.treatmentType?.value && 
-                       this.treatmentDuration?.value && 
-                       this.complexity?.value;
+        const hasSelection = this.hasSelection();
+        const isValid = hasSelection || (Boolean(this.priceList) && this.basket.length > 0);
         
+        if (this.addButton) {
+            this.addButton.disabled = !hasSelection;
+            this.addButton.setAttribute('aria-disabled', !hasSelection);
+        }
         if (this.calculateButton) {
             this.calculateButton.disabled = !isValid;
             this.calculateButton.setAttribute('aria-disabled', !isValid);
@@ -137,139 +251,401 @@ class CostCalculator {
             return;
         }
         
-        const treatmentType = this.treatmentType.value;
-        const duration = this.treatmentDuration.value;
-        const complexity = this.complexity.value;
+        let items = this.basket;
+        let insurance = null;
+        try {
+            if (items.length === 0) items = [this.readItem()];
+            insurance = this.insurance?.readSettings() || null;
+        } catch (error) {
+            this.showError(error.message);
+            return;
+        }
         
-        const basePrice = this.pricingData[treatmentType]?.[duration]?.[complexity];
+        const result = this.calculateBasketCost(items, insurance);
         
-        if (!basePrice) {
+        if (!result) {
             this.showError('Kombination nicht verfügbar. Bitte wählen Sie andere Optionen.');
             return;
         }
         
-        const result = this.calculateDetailedCost(basePrice, treatmentType, duration, complexity);
+        this.estimate = this.serializeBasket(items, insurance);
         this.displayResult(result);
+        return result;
+    }
+    
+    // Basket
+    
+    // The current selection as a basket item; throws with a message for the patient
+    readItem() {
+        const treatment = this.treatmentType.value;
+        const variant = this.treatmentVariant.value;
+        const complexity = this.complexity.value;
+        const perTooth = Boolean(this.priceList.treatments[treatment]?.variants[variant]?.perTooth);
+        
+        const teeth = perTooth ? this.parseTeeth(this.teethInput?.value || '') : [];
+        const quantity = teeth.length > 0 ? teeth.length : Number(this.quantityInput?.value || 1);
+        if (!Number.isInteger(quantity) || quantity < 1 || quantity > 32) {
+            throw new Error('Bitte geben Sie eine Anzahl zwischen 1 und 32 an.');
+        }
+        
+        return { treatment, variant, complexity, teeth, quantity };
+    }
+    
+    // "36, 37 46" -> ['36', '37', '46'], FDI numbers of permanent and milk teeth
+    parseTeeth(value) {
+        const teeth = value.split(/[\s,;]+/).filter(Boolean);
+        if (teeth.some(tooth => !/^([1-4][1-8]|[5-8][1-5])$/.test(tooth))) {
+            throw new Error('Bitte geben Sie die Zähne als Zahnnummern an, z. B. 36, 37.');
+        }
+        if (new Set(teeth).size !== teeth.length) {
+            throw new Error('Bitte geben Sie jeden Zahn nur einmal an.');
+        }
+        return teeth;
+    }
+    
+    addToBasket() {
+        if (!this.hasSelection()) return;
+        
+        try {
+            this.basket.push(this.readItem());
+        } catch (error) {
+            this.showError(error.message);
+            return;
+        }
+        
+        if (this.teethInput) this.teethInput.value = '';
+        if (this.quantityInput) this.quantityInput.value = '1';
+        this.renderBasket();
+        this.validateForm();
+    }
+    
+    removeFromBasket(index) {
+        this.basket.splice(index, 1);
+        this.renderBasket();
+        this.validateForm();
+    }
+    
+    renderBasket() {
+        if (!this.basketList) return;
+        
+        if (this.basket.length === 0) {
+            this.basketList.innerHTML = '<li class="basket-empty">Noch keine Behandlung im Plan. Sie können auch eine einzelne Behandlung direkt berechnen.</li>';
+            return;
+        }
+        
+        this.basketList.innerHTML = this.basket.map((item, index) => `
+            <li class="basket-item">
+                <span>
+                    <strong>${this.getTreatmentName(item.treatment)}:</strong> ${this.describeItem(item)}
+                    <small class="breakdown-detail">${this.getComplexityName(item.complexity)}</small>
+                </span>
+                <button type="button" class="basket-remove" data-remove-item="${index}" aria-label="${this.getVariantName(item.treatment, item.variant)} entfernen">Entfernen</button>
+            </li>
+        `).join('');
     }
     
-    calculateDetailedCost(basePrice, treatmentType, duration, complexity) {
-        // Calculate additional costs
-        const consultationFee = 150;
-        const diagnosticFee = 200;
-        const retentionFee = 300;
+    describeItem(item) {
+        const variant = this.getVariantName(item.treatment, item.variant);
+        if (item.teeth.length > 0) return `${variant}, ${item.teeth.length === 1 ? 'Zahn' : 'Zähne'} ${item.teeth.join(', ')}`;
+        return item.quantity > 1 ? `${variant}, ${item.quantity}×` : variant;
+    }
+    
+    /**
+     * Plain data for the booking request: the price list version, the
+     * treatments and the insurance answers. The server checks it against the
+     * price list again (PriceListService.readBasket).
+     */
+    serializeBasket(items = this.basket, insurance = null) {
+        return {
+            priceListVersion: this.priceList.version,
+            items: items.map(({ treatment, variant, complexity, teeth, quantity }) => ({ treatment, variant, complexity, teeth, quantity })),
+            insurance
+        };
+    }
+    
+    /**
+     * Recalculation of a printed estimate on request of the staff
+     * (EstimatePrint.recalculate): the basket and answers as stored, with the
+     * price list version it was made with. Returns the result like calculateCost.
+     */
+    restoreEstimate(estimate, priceList) {
+        this.priceList = priceList;
+        this.renderTreatmentOptions();
+        this.renderComplexityOptions();
+        this.insurance?.show();
+        this.insurance?.applySettings(estimate.insurance);
+        if (this.financing && estimate.financing) {
+            this.financing.selection = { productId: estimate.financing.productId, months: estimate.financing.months };
+        }
         
-        // Calculate total
-        const subtotal = basePrice + consultationFee + diagnosticFee + retentionFee;
+        this.basket = estimate.items.map(({ treatment, variant, complexity, teeth, quantity }) => ({ treatment, variant, complexity, teeth, quantity }));
+        this.renderBasket();
+        this.validateForm();
+        return this.calculateCost();
+    }
+    
+    // Called from the "Termin vereinbaren" link of the result
+    handOverEstimate() {
+        try {
+            sessionStorage.setItem(this.estimateStorageKey, JSON.stringify(this.estimate));
+        } catch (error) {
+            // Private browsing: the booking is sent without the estimate
+        }
+    }
+    
+    /**
+     * One line of the estimate. GOZ and GOÄ positions are multiplied with the
+     * chosen factor unless the price list fixes one (technical services such
+     * as X-rays); BEMA positions have no factor. Laboratory work has a fixed
+     * amount instead of points.
+     */
+    calculatePosition(code, quantity, factor) {
+        const position = this.priceList.positions[code];
+        const schedule = this.priceList.schedules[position.schedule];
+        const appliedFactor = schedule.factors ? (position.factor || factor) : null;
+        const unitFee = position.amount !== undefined
+            ? position.amount
+            : this.roundCents(position.points * schedule.pointValue * (appliedFactor || 1));
+        
+        return {
+            code,
+            label: position.label,
+            category: position.category,
+            quantity,
+            points: position.points || null,
+            factor: appliedFactor,
+            unitFee,
+            amount: this.roundCents(unitFee * quantity)
+        };
+    }
+    
+    /**
+     * One treatment, count times (teeth or sessions). The consultation is
+     * charged once however many teeth are treated; in a basket it is left out
+     * here and charged once for all treatments (calculateConsultation).
+     * Without insurance settings the estimate is for a self-payer.
+     */
+    calculateDetailedCost(treatmentType, variant, complexity, insurance = null, count = 1, { withConsultation = true } = {}) {
+        const treatment = this.priceList?.treatments[treatmentType];
+        const selected = treatment?.variants[variant];
+        const level = this.priceList?.complexity[complexity];
+        if (!selected || !level) return null;
         
-        // Calculate monthly payment (assuming 24 months)
-        const monthlyPayment = Math.round(subtotal / 24);
+        const isConsultation = code => this.priceList.positions[code].category === 'consultation';
+        const included = ({ code }) => withConsultation || !isConsultation(code);
+        const times = code => (isConsultation(code) ? 1 : count);
+        const positions = selected.positions.filter(included).map(({ code, quantity }) => this.calculatePosition(code, quantity * times(code), level.factor));
+        const sumOf = category => this.roundCents(positions
+            .filter(position => position.category === category)
+            .reduce((sum, position) => sum + position.amount, 0));
         
-        // Calculate insurance coverage (example: 50% for children)
-        const insuranceCoverage = Math.round(subtotal * 0.5);
-        const patientShare = subtotal - insuranceCoverage;
+        const basePrice = sumOf('treatment');
+        const consultationFee = sumOf('consultation');
+        const diagnosticFee = sumOf('diagnostic');
+        const laboratoryFee = sumOf('laboratory');
+        const subtotal = this.roundCents(basePrice + consultationFee + diagnosticFee + laboratoryFee);
+        
+        // What the statutory insurance pays: the comparable BEMA services, or the fixed subsidy for dentures
+        const statutoryFee = this.roundCents(selected.statutory
+            .filter(included)
+            .map(({ code, quantity }) => this.calculatePosition(code, quantity * times(code), level.factor))
+            .reduce((sum, position) => sum + position.amount, 0));
+        const fixedSubsidy = selected.fixedSubsidy
+            ? { code: selected.fixedSubsidy, ...this.priceList.statutoryInsurance.fixedSubsidies[selected.fixedSubsidy], quantity: count }
+            : null;
+        
+        const coverage = this.calculateCoverage([{ subtotal, statutoryFee, fixedSubsidy }], insurance);
         
         return {
             treatmentType: this.getTreatmentName(treatmentType),
-            duration: this.getDurationName(duration),
+            variant: this.getVariantName(treatmentType, variant),
             complexity: this.getComplexityName(complexity),
+            factor: level.factor,
+            count,
             basePrice,
             consultationFee,
             diagnosticFee,
-            retentionFee,
+            laboratoryFee,
             subtotal,
-            monthlyPayment,
-            insuranceCoverage,
-            patientShare,
+            statutoryFee,
+            fixedSubsidy,
+            insurance: coverage,
+            insuranceCoverage: coverage.insuranceCoverage,
+            patientShare: coverage.patientShare,
+            positions,
+            priceList: {
+                version: this.priceList.version,
+                title: this.priceList.title,
+                validFrom: this.priceList.validFrom
+            },
             breakdown: {
                 basePrice,
                 consultationFee,
                 diagnosticFee,
-                retentionFee
+                laboratoryFee
             }
         };
     }
     
-    getTreatmentName(type) {
-        const names = {
-            'invisalign': 'Invisalign',
-            'feste-spange': 'Feste Spange',
-            'lingual': 'Lingualtechnik',
-            'fruehbehandlung': 'Frühbehandlung'
+    // All treatments of the basket with one consultation, one insurance share and one instalment plan
+    calculateBasketCost(items, insurance = null) {
+        const results = items.map(item => {
+            const cost = this.calculateDetailedCost(item.treatment, item.variant, item.complexity, null, item.quantity, { withConsultation: false });
+            return cost && { ...cost, description: this.describeItem(item) };
+        });
+        if (results.length === 0 || results.some(result => !result)) return null;
+        
+        const consultation = this.calculateConsultation(items);
+        const costs = consultation ? [...results, consultation] : results;
+        const total = key => this.roundCents(costs.reduce((sum, result) => sum + result[key], 0));
+        const subtotal = total('subtotal');
+        const coverage = this.calculateCoverage(costs, insurance);
+        const financing = this.financing?.getOffer(coverage.patientShare) || null;
+        
+        return {
+            items: results,
+            consultation,
+            subtotal,
+            statutoryFee: total('statutoryFee'),
+            financing,
+            monthlyPayment: financing ? financing.monthlyPayment : null,
+            insurance: coverage,
+            insuranceCoverage: coverage.insuranceCoverage,
+            patientShare: coverage.patientShare,
+            priceList: results[0].priceList,
+            breakdown: {
+                basePrice: total('basePrice'),
+                consultationFee: total('consultationFee'),
+                diagnosticFee: total('diagnosticFee'),
+                laboratoryFee: total('laboratoryFee')
+            }
         };
-        return names[type] || type;
     }
     
-    getDurationName(duration) {
-        const names = {
-            'short': 'Kurz (6-12 Monate)',
-            'medium': 'Mittel (12-18 Monate)',
-            'long': 'Lang (18-24 Monate)'
+    /**
+     * The consultation positions of all treatments in a basket, each charged
+     * once at the highest factor chosen for them; null if none has one.
+     */
+    calculateConsultation(items) {
+        const isConsultation = ({ code }) => this.priceList.positions[code].category === 'consultation';
+        const collect = (key) => {
+            const found = new Map();
+            items.forEach(item => {
+                const { factor } = this.priceList.complexity[item.complexity];
+                this.priceList.treatments[item.treatment].variants[item.variant][key].filter(isConsultation).forEach(({ code, quantity }) => {
+                    const known = found.get(code);
+                    found.set(code, { quantity: Math.max(quantity, known?.quantity || 0), factor: Math.max(factor, known?.factor || 0) });
+                });
+            });
+            return [...found].map(([code, { quantity, factor }]) => this.calculatePosition(code, quantity, factor));
+        };
+        const sum = positions => this.roundCents(positions.reduce((total, position) => total + position.amount, 0));
+        
+        const positions = collect('positions');
+        const statutory = collect('statutory');
+        if (positions.length === 0 && statutory.length === 0) return null;
+        
+        const subtotal = sum(positions);
+        return {
+            positions,
+            subtotal,
+            basePrice: 0,
+            consultationFee: subtotal,
+            diagnosticFee: 0,
+            laboratoryFee: 0,
+            statutoryFee: sum(statutory),
+            fixedSubsidy: null
         };
-        return names[duration] || duration;
+    }
+    
+    calculateCoverage(costs, insurance) {
+        const subtotal = this.roundCents(costs.reduce((sum, cost) => sum + cost.subtotal, 0));
+        return insurance && this.insurance
+            ? this.insurance.calculate(costs, insurance)
+            : { type: 'self', label: 'Selbstzahler', lines: [], insuranceCoverage: 0, patientShare: subtotal, assumptions: [] };
+    }
+    
+    getTreatmentName(type) {
+        return this.priceList?.treatments[type]?.label || type;
+    }
+    
+    getVariantName(type, variant) {
+        return this.priceList?.treatments[type]?.variants[variant]?.label || variant;
     }
     
     getComplexityName(complexity) {
-        const names = {
-            'simple': 'Einfach',
-            'medium': 'Mittel',
-            'complex': 'Komplex'
-        };
-        return names[complexity] || complexity;
+        return this.priceList?.complexity[complexity]?.label || complexity;
+    }
+    
+    // The treatments of a result and, charged once for all of them, the consultation
+    getBreakdownGroups(result) {
+        return result.consultation
+            ? [...result.items, { ...result.consultation, treatmentType: 'Beratung', description: 'einmal für alle Behandlungen' }]
+            : result.items;
     }
     
+    // result comes from calculateBasketCost
     displayResult(result) {
         if (!this.resultContainer) return;
         
+        // A single treatment is listed without group headings, its consultation included
+        const grouped = result.items.length > 1;
         const resultHTML = `
             <div class="calculation-result">
                 <div class="result-header">
                     <h3>Ihre Kostenschätzung</h3>
                     <div class="result-summary">
                         <div class="treatment-info">
-                            <p><strong>Behandlung:</strong> ${result.treatmentType}</p>
-                            <p><strong>Dauer:</strong> ${result.duration}</p>
-                            <p><strong>Komplexität:</strong> ${result.complexity}</p>
+                            ${result.items.map(item => `
+                                <p><strong>${item.treatmentType}:</strong> ${item.description}, ${item.complexity} (${this.formatFactor(item.factor)})</p>
+                            `).join('')}
                         </div>
                     </div>
                 </div>
                 
                 <div class="cost-breakdown">
                     <h4>Kostenaufschlüsselung</h4>
-                    <div class="breakdown-item">
-                        <span>Behandlung (${result.treatmentType})</span>
-                        <span>${result.basePrice.toLocaleString('de-DE')} €</span>
-                    </div>
-                    <div class="breakdown-item">
-                        <span>Erstberatung</span>
-                        <span>${result.consultationFee.toLocaleString('de-DE')} €</span>
-                    </div>
-                    <div class="breakdown-item">
-                        <span>Diagnostik</span>
-                        <span>${result.diagnosticFee.toLocaleString('de-DE')} €</span>
-                    </div>
-                    <div class="breakdown-item">
-                        <span>Retainer</span>
-                        <span>${result.retentionFee.toLocaleString('de-DE')} €</span>
-                    </div>
+                    ${this.getBreakdownGroups(result).map(item => `
+                        ${grouped ? `<h5 class="breakdown-group">${item.treatmentType}: ${item.description}</h5>` : ''}
+                        ${item.positions.map(position => `
+                            <div class="breakdown-item">
+                                <span>
+                                    ${position.code} ${position.label}
+                                    <small class="breakdown-detail">${position.points
+                                        ? `${position.quantity} × ${position.points} Punkte${position.factor ? `, ${this.formatFactor(position.factor)}` : ''}`
+                                        : `${position.quantity} × ${this.formatAmount(position.unitFee)}`}</small>
+                                </span>
+                                <span>${this.formatAmount(position.amount)}</span>
+                            </div>
+                        `).join('')}
+                        ${grouped ? `
+                            <div class="breakdown-item breakdown-subtotal">
+                                <span>Summe ${item.treatmentType}</span>
+                                <span>${this.formatAmount(item.subtotal)}</span>
+                            </div>
+                        ` : ''}
+                    `).join('')}
                     <div class="breakdown-total">
                         <span><strong>Gesamtkosten</strong></span>
-                        <span><strong>${result.subtotal.toLocaleString('de-DE')} €</strong></span>
+                        <span><strong>${this.formatAmount(result.subtotal)}</strong></span>
                     </div>
                 </div>
                 
                 <div class="payment-options">
                     <h4>Zahlungsoptionen</h4>
-                    <div class="payment-option">
-                        <div class="option-icon">
-                            <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                                <path d="M12 2L2 7l10 5 10-5-10-5zM2 17l10 5 10-5M2 12l10 5 10-5"/>
-                            </svg>
-                        </div>
-                        <div class="option-details">
-                            <h5>Ratenzahlung (24 Monate)</h5>
-                            <p class="monthly-payment">${result.monthlyPayment.toLocaleString('de-DE')} € pro Monat</p>
+                    ${this.financing ? `
+                        <div class="payment-option financing-option">
+                            <div class="option-icon">
+                                <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                    <path d="M12 2L2 7l10 5 10-5-10-5zM2 17l10 5 10-5M2 12l10 5 10-5"/>
+                                </svg>
+                            </div>
+                            <div class="option-details">
+                                <h5>Finanzierung Ihres Anteils</h5>
+                                <div class="financing-offer" data-financing></div>
+                            </div>
                         </div>
-                    </div>
+                    ` : ''}
                     
                     <div class="payment-option">
                         <div class="option-icon">
@@ -278,29 +654,45 @@ class CostCalculator {
                             </svg>
                         </div>
                         <div class="option-details">
-                            <h5>Mit Krankenkassenleistung</h5>
-                            <p class="insurance-info">Geschätzte Kostenübernahme: ${result.insuranceCoverage.toLocaleString('de-DE')} €</p>
-                            <p class="patient-share">Ihr Anteil: ${result.patientShare.toLocaleString('de-DE')} €</p>
+                            <h5>${result.insurance.label}</h5>
+                            ${result.insurance.lines.map(line => `
+                                <p class="insurance-info">${line.label}: ${this.formatAmount(line.amount)}</p>
+                            `).join('')}
+                            <p class="patient-share">Ihr Anteil: ${this.formatAmount(result.patientShare)}</p>
                         </div>
                     </div>
                 </div>
                 
                 <div class="result-disclaimer">
                     <p><strong>Hinweis:</strong> Dies ist eine Kostenschätzung. Die tatsächlichen Kosten können abweichen und werden bei der persönlichen Beratung ermittelt.</p>
+                    ${result.insurance.assumptions.length > 0 ? `
+                        <ul class="insurance-assumptions">
+                            ${result.insurance.assumptions.map(assumption => `<li>${assumption}</li>`).join('')}
+                        </ul>
+                    ` : ''}
+                    <p>Berechnet nach ${result.priceList.title}, gültig ab ${this.formatDate(result.priceList.validFrom)}. ${this.priceList.note}</p>
                 </div>
                 
                 <div class="result-actions">
-                    <a href="termin.html" class="btn btn-primary">Termin vereinbaren</a>
+                    <a href="termin.html?kostenschaetzung=1" class="btn btn-primary" data-estimate-handover>Termin vereinbaren</a>
+                    ${this.print?.isAvailable ? `
+                        <button type="button" class="btn btn-secondary" data-estimate-print>Drucken / als PDF speichern</button>
+                    ` : ''}
                     <a href="kontakt.html" class="btn btn-secondary">Kontakt aufnehmen</a>
                 </div>
+                <p class="estimate-print-error" role="alert" data-print-error hidden></p>
             </div>
         `;
         
         this.resultContainer.innerHTML = resultHTML;
+        this.financing?.render(this.resultContainer.querySelector('[data-financing]'), result.patientShare);
+        this.resultContainer.querySelector('[data-estimate-handover]')?.addEventListener('click', () => this.handOverEstimate());
+        this.resultContainer.querySelector('[data-estimate-print]')?.addEventListener('click', (e) => this.print.print(result, e.currentTarget));
         
         // Announce to screen readers
         if (this.liveRegion) {
-            this.liveRegion.textContent = `Kostenschätzung berechnet: ${result.subtotal.toLocaleString('de-DE')} Euro für ${result.treatmentType}`;
+            this.liveRegion.textContent = `Kostenschätzung berechnet: ${this.formatAmount(result.subtotal)} für ${result.items.map(item => `${item.treatmentType}, ${item.description}`).join('; ')}`;
+            this.resultContainer.appendChild(this.liveRegion);
         }
         
         // Add animation
@@ -334,39 +726,64 @@ class CostCalculator {
         }
     }
     
+    renderPlaceholder(message) {
+        if (!this.resultContainer) return;
+        
+        this.resultContainer.innerHTML = `
+            <div class="result-placeholder">
+                <p>${message}</p>
+            </div>
+        `;
+        this.resultContainer.classList.remove('result-visible');
+    }
+    
+    // Formatting
+    
+    roundCents(value) {
+        return Math.round(value * 100) / 100;
+    }
+    
+    formatAmount(value) {
+        return `${value.toLocaleString('de-DE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} €`;
+    }
+    
+    formatFactor(factor) {
+        return `${factor.toLocaleString('de-DE', { minimumFractionDigits: 1 })}-fach`;
+    }
+    
+    formatDate(value) {
+        return new Date(`${value}T00:00:00`).toLocaleDateString('de-DE');
+    }
+    
     // Public methods for external control
     getPricingData() {
-        return this.pricingData;
+        return this.priceList;
     }
     
-    calculateCustomCost(treatmentType, duration, complexity) {
-        const basePrice = this.pricingData[treatmentType]?.[duration]?.[complexity];
-        if (!basePrice) return null;
-        
-        return this.calculateDetailedCost(basePrice, treatmentType, duration, complexity);
+    calculateCustomCost(treatmentType, variant, complexity) {
+        return this.calculateDetailedCost(treatmentType, variant, complexity);
+    }
+    
+    getBasket() {
+        return this.priceList ? this.serializeBasket() : null;
     }
     
     resetCalculator() {
         if (this.treatmentType) this.treatmentType.value = '';
-        if (this.treatmentDuration) this.treatmentDuration.value = '';
+        this.renderVariantOptions();
         if (this.complexity) this.complexity.value = '';
+        this.basket = [];
+        this.estimate = null;
+        this.renderBasket();
         
         this.validateForm();
-        
-        if (this.resultContainer) {
-            this.resultContainer.innerHTML = `
-                <div class="result-placeholder">
-                    <p>Wählen Sie Ihre Behandlungsoptionen aus, um eine Kostenschätzung zu erhalten.</p>
-                </div>
-            `;
-            this.resultContainer.classList.remove('result-visible');
-        }
+        this.renderPlaceholder('Wählen Sie Ihre Behandlungsoptionen aus, um eine Kostenschätzung zu erhalten.');
     }
     
     destroy() {
         // Remove event listeners
         this.treatmentType?.removeEventListener('change', this.validateForm);
-        this.treatmentDuration?.removeEventListener('change', this.validateForm);
+        this.treatmentVariant?.removeEventListener('change', this.validateForm);
         this.complexity?.removeEventListener('change', this.validateForm);
         this.calculateButton?.removeEventListener('click', this.calculateCost);
         
@@ -391,4 +808,3 @@ document.addEventListener('DOMContentLoaded', () => {
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = CostCalculator;
 }
-
@@ -0,0 +1,291 @@
+/**
+ * Estimate Print
+ * The printable cost estimate of the calculator on preise.html, which the
+ * browser's print dialog also saves as PDF. Before printing, the estimate is
+ * registered with the server (/api/estimates) to get a reference number for
+ * the sheet. Staff open preise.html?schaetzung=<reference> to see the
+ * estimate as it was printed; calculating it again from its price list
+ * version, with today's date and financing terms, is a separate step.
+ * Created by CostCalculator.
+ */
+class EstimatePrint {
+    constructor(calculator) {
+        this.calculator = calculator;
+        this.sheet = document.getElementById('estimate-print');
+        this.formGuard = typeof FormGuard !== 'undefined' ? new FormGuard('estimate', { apiBase: calculator.apiBase }) : null;
+        // The estimate the last reference was issued for, so printing twice keeps the number
+        this.registered = null;
+
+        window.addEventListener('afterprint', () => document.body.classList.remove('printing-estimate'));
+    }
+
+    get isAvailable() {
+        return Boolean(this.sheet && this.formGuard);
+    }
+
+    // Printing
+
+    // What the server keeps under the reference, besides the basket
+    describe(result) {
+        return {
+            costEstimate: this.calculator.estimate,
+            totals: { subtotal: result.subtotal, patientShare: result.patientShare },
+            financing: result.financing && {
+                productId: result.financing.productId,
+                months: result.financing.months,
+                nominalRate: result.financing.nominalRate,
+                effectiveRate: result.financing.effectiveRate,
+                monthlyPayment: result.financing.monthlyPayment
+            }
+        };
+    }
+
+    async print(calculated, button) {
+        // The patient may have picked another financing term below the estimate
+        const result = { ...calculated, financing: this.calculator.financing?.getOffer(calculated.patientShare) || null };
+        const data = this.describe(result);
+        const key = JSON.stringify(data);
+
+        if (button) {
+            button.disabled = true;
+            button.textContent = 'Wird vorbereitet...';
+        }
+
+        try {
+            if (this.registered?.key !== key) {
+                this.registered = { key, ...await this.register(data) };
+            }
+        } catch (error) {
+            this.showError(error.message);
+            return;
+        } finally {
+            if (button) {
+                button.disabled = false;
+                button.textContent = 'Drucken / als PDF speichern';
+            }
+        }
+
+        this.render(result, this.registered);
+        document.body.classList.add('printing-estimate');
+        window.print();
+    }
+
+    async register(data) {
+        const response = await fetch(`${this.calculator.apiBase}/estimates`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...data, ...await this.formGuard.getFields() })
+        });
+        const payload = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(payload.error || 'Die Kostenschätzung konnte nicht vorbereitet werden. Bitte versuchen Sie es erneut.');
+        }
+        return payload.estimate;
+    }
+
+    showError(message) {
+        const error = this.calculator.resultContainer?.querySelector('[data-print-error]');
+        if (!error) return;
+
+        error.textContent = message;
+        error.hidden = false;
+    }
+
+    // result comes from CostCalculator.calculateBasketCost, estimate is { reference, createdAt }
+    render(result, estimate) {
+        const format = value => this.calculator.formatAmount(value);
+        const percent = value => `${value.toLocaleString('de-DE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} %`;
+        const date = new Date(estimate.createdAt).toLocaleDateString('de-DE');
+        const { financing } = result;
+
+        this.sheet.querySelector('[data-print-body]').innerHTML = `
+            <div class="estimate-print-meta">
+                <h1>Kostenschätzung</h1>
+                <dl>
+                    <dt>Nummer</dt><dd>${estimate.reference}</dd>
+                    <dt>Datum</dt><dd>${date}</dd>
+                    <dt>Grundlage</dt><dd>${result.priceList.title}, gültig ab ${this.calculator.formatDate(result.priceList.validFrom)}</dd>
+                </dl>
+            </div>
+
+            <table class="estimate-print-table">
+                <thead>
+                    <tr><th>Position</th><th>Leistung</th><th>Berechnung</th><th>Betrag</th></tr>
+                </thead>
+                ${this.calculator.getBreakdownGroups(result).map(item => `
+                    <tbody>
+                        <tr class="estimate-print-group">
+                            <th colspan="4">${item.treatmentType}: ${item.description}${item.complexity ? `, ${item.complexity} (${this.calculator.formatFactor(item.factor)})` : ''}</th>
+                        </tr>
+                        ${item.positions.map(position => `
+                            <tr>
+                                <td>${position.code}</td>
+                                <td>${position.label}</td>
+                                <td>${position.points
+                                    ? `${position.quantity} × ${position.points} Punkte${position.factor ? `, ${this.calculator.formatFactor(position.factor)}` : ''}`
+                                    : `${position.quantity} × ${format(position.unitFee)}`}</td>
+                                <td>${format(position.amount)}</td>
+                            </tr>
+                        `).join('')}
+                        <tr class="estimate-print-subtotal">
+                            <td colspan="3">Summe ${item.treatmentType}</td>
+                            <td>${format(item.subtotal)}</td>
+                        </tr>
+                    </tbody>
+                `).join('')}
+                <tfoot>
+                    <tr>
+                        <td colspan="3">Gesamtkosten</td>
+                        <td>${format(result.subtotal)}</td>
+                    </tr>
+                </tfoot>
+            </table>
+
+            <h2>${result.insurance.label}</h2>
+            <table class="estimate-print-table">
+                <tbody>
+                    ${result.insurance.lines.map(line => `
+                        <tr><td>${line.label}</td><td>${format(line.amount)}</td></tr>
+                    `).join('')}
+                </tbody>
+                <tfoot>
+                    <tr><td>Ihr Anteil</td><td>${format(result.patientShare)}</td></tr>
+                </tfoot>
+            </table>
+            ${result.insurance.assumptions.length > 0 ? `
+                <h3>Annahmen</h3>
+                <ul>
+                    ${result.insurance.assumptions.map(assumption => `<li>${assumption}</li>`).join('')}
+                </ul>
+            ` : ''}
+
+            ${financing ? `
+                <h2>Finanzierung: ${financing.label}</h2>
+                <p>
+                    ${financing.months} Monate, ${financing.months - 1} × ${format(financing.monthlyPayment)} und 1 × ${format(financing.lastPayment)}.
+                    Nettodarlehensbetrag ${format(financing.amount)}, gebundener Sollzinssatz ${percent(financing.nominalRate)} p. a.,
+                    effektiver Jahreszins ${percent(financing.effectiveRate)}, Gesamtbetrag ${format(financing.totalAmount)}.
+                    Kreditgeber: ${financing.lender}. ${this.calculator.financing?.intermediary || ''}
+                </p>
+            ` : ''}
+
+            <div class="estimate-print-disclaimer">
+                <p><strong>Hinweis:</strong> Dies ist eine Kostenschätzung. Die tatsächlichen Kosten können abweichen und werden bei der persönlichen Beratung ermittelt. Sie ersetzt keinen Heil- und Kostenplan.</p>
+                <p>${this.calculator.priceList.note}</p>
+                <p>Bitte nennen Sie bei Rückfragen die Nummer ${estimate.reference}.</p>
+            </div>
+        `;
+    }
+
+    // Staff lookup
+
+    async openFromUrl() {
+        const reference = new URLSearchParams(window.location.search).get('schaetzung');
+        if (!reference) return;
+
+        try {
+            const { estimate } = await this.requestJson(`/staff/estimates/${encodeURIComponent(reference)}`);
+            this.renderStoredEstimate(estimate);
+        } catch (error) {
+            this.calculator.showError(error.status === 401
+                ? 'Bitte melden Sie sich mit Ihrem Mitarbeiterkonto im <a href="portal.html">Patientenportal</a> an, um gespeicherte Kostenschätzungen zu öffnen.'
+                : error.message);
+        }
+    }
+
+    // Only on request: the waiting period and the financing products of today may change the figures
+    async recalculate(estimate) {
+        try {
+            const { priceList } = await this.requestJson(`/prices/${estimate.priceListVersion}`);
+            const result = this.calculator.restoreEstimate(estimate, priceList);
+            // Printed again unchanged, the sheet keeps its number
+            if (result) {
+                this.registered = { key: JSON.stringify(this.describe(result)), reference: estimate.reference, createdAt: estimate.createdAt };
+            }
+            this.renderStoredNote(estimate);
+        } catch (error) {
+            this.calculator.showError(error.message);
+        }
+    }
+
+    async requestJson(path) {
+        const response = await fetch(`${this.calculator.apiBase}${path}`);
+        const payload = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const error = new Error(payload.error || 'Die Kostenschätzung konnte nicht geladen werden.');
+            error.status = response.status;
+            throw error;
+        }
+        return payload;
+    }
+
+    // The estimate as the patient has it in hand, from the figures stored with the reference
+    renderStoredEstimate(estimate) {
+        const container = this.calculator.resultContainer;
+        if (!container) return;
+
+        const format = value => this.calculator.formatAmount(value);
+        const percent = value => `${value.toLocaleString('de-DE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} %`;
+        const describe = item => (item.teeth.length > 0
+            ? `, ${item.teeth.length === 1 ? 'Zahn' : 'Zähne'} ${item.teeth.join(', ')}`
+            : (item.quantity > 1 ? `, ${item.quantity}×` : ''));
+        const { totals, financing } = estimate;
+
+        container.innerHTML = `
+            <div class="calculation-result">
+                <div class="result-header">
+                    <h3>Kostenschätzung ${estimate.reference}</h3>
+                    <p>vom ${new Date(estimate.createdAt).toLocaleDateString('de-DE')}, berechnet nach ${estimate.priceListTitle}</p>
+                </div>
+
+                <div class="cost-breakdown">
+                    <h4>Behandlungen</h4>
+                    ${estimate.items.map(item => `
+                        <div class="breakdown-item">
+                            <span>${item.treatmentLabel}: ${item.variantLabel}${describe(item)}</span>
+                            <span>${this.calculator.formatFactor(item.factor)}</span>
+                        </div>
+                    `).join('')}
+                    <div class="breakdown-total">
+                        <span><strong>Gesamtkosten</strong></span>
+                        <span><strong>${format(totals.subtotal)}</strong></span>
+                    </div>
+                    <div class="breakdown-item">
+                        <span>Eigenanteil</span>
+                        <span>${format(totals.patientShare)}</span>
+                    </div>
+                </div>
+
+                ${financing ? `
+                    <p>Finanzierung: ${financing.label} über ${financing.months} Monate zu ${format(financing.monthlyPayment)} monatlich,
+                        Sollzins ${percent(financing.nominalRate)} p. a., effektiver Jahreszins ${percent(financing.effectiveRate)}.</p>
+                ` : ''}
+
+                <div class="result-actions">
+                    <button type="button" class="btn btn-secondary" data-estimate-recalculate>Mit heutigen Konditionen neu berechnen</button>
+                </div>
+            </div>
+        `;
+        container.classList.add('result-visible');
+        container.querySelector('[data-estimate-recalculate]')?.addEventListener('click', () => this.recalculate(estimate));
+    }
+
+    // What the patient's printout says, shown above a recalculation for comparison
+    renderStoredNote(estimate) {
+        const format = value => this.calculator.formatAmount(value);
+        const note = document.createElement('div');
+        note.className = 'estimate-stored-note';
+        note.innerHTML = `
+            <p><strong>Kostenschätzung ${estimate.reference}</strong> vom ${new Date(estimate.createdAt).toLocaleDateString('de-DE')}</p>
+            <p>Laut Ausdruck: Gesamtkosten ${format(estimate.totals.subtotal)}, Eigenanteil ${format(estimate.totals.patientShare)}${estimate.financing
+                ? `, ${estimate.financing.label} über ${estimate.financing.months} Monate zu ${format(estimate.financing.monthlyPayment)} monatlich`
+                : ''}.</p>
+        `;
+        this.calculator.resultContainer?.prepend(note);
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EstimatePrint;
+}
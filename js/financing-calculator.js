@@ -0,0 +1,194 @@
+/**
+ * Financing Calculator
+ * Instalment financing for the estimate of the cost calculator on preise.html.
+ * The products come from the server (/api/financing); the monthly rate is an
+ * annuity on the nominal rate, rounded to the cent, with the last rate taking
+ * the rounding difference. The effective annual rate is worked out from that
+ * actual payment plan as required by § 6 PAngV. Created by CostCalculator.
+ */
+class FinancingCalculator {
+    constructor(calculator) {
+        this.calculator = calculator;
+        this.products = [];
+        this.intermediary = '';
+        this.selection = null;
+    }
+
+    async load() {
+        try {
+            const response = await fetch(`${this.calculator.apiBase}/financing`);
+            if (!response.ok) {
+                throw new Error(`Financing request answered ${response.status}`);
+            }
+            ({ products: this.products, intermediary: this.intermediary } = await response.json());
+        } catch (error) {
+            // The estimate is shown without financing
+            console.warn('Financing products could not be loaded:', error);
+            this.products = [];
+        }
+    }
+
+    // Calculation
+
+    getNominalRate(product, months) {
+        return product.promotion && months <= product.promotion.maxMonths ? product.promotion.nominalRate : product.nominalRate;
+    }
+
+    // Terms of a product that fit the amount and keep the rate above the product's minimum
+    getTerms(product, amount) {
+        if (amount < product.minAmount || amount > product.maxAmount) return [];
+        return product.terms.filter(months => this.calculate(amount, product, months).monthlyPayment >= product.minInstalment);
+    }
+
+    calculate(amount, product, months) {
+        const round = value => this.calculator.roundCents(value);
+        const nominalRate = this.getNominalRate(product, months);
+        const monthlyRate = nominalRate / 100 / 12;
+        const monthlyPayment = round(monthlyRate === 0
+            ? amount / months
+            : amount * monthlyRate / (1 - Math.pow(1 + monthlyRate, -months)));
+
+        let balance = amount;
+        const schedule = Array.from({ length: months }, (_, index) => {
+            const interest = round(balance * monthlyRate);
+            const payment = index === months - 1 ? round(balance + interest) : monthlyPayment;
+            const principal = round(payment - interest);
+            balance = round(balance - principal);
+            return { number: index + 1, payment, interest, principal, balance };
+        });
+
+        const totalAmount = round(schedule.reduce((sum, instalment) => sum + instalment.payment, 0));
+
+        return {
+            productId: product.id,
+            label: product.label,
+            lender: product.lender,
+            amount,
+            months,
+            nominalRate,
+            effectiveRate: this.calculateEffectiveRate(amount, schedule),
+            monthlyPayment,
+            lastPayment: schedule[months - 1].payment,
+            totalInterest: round(totalAmount - amount),
+            totalAmount,
+            schedule
+        };
+    }
+
+    /**
+     * The annual rate X at which the payments, discounted to the day of the
+     * payout, add up to the loan: amount = Σ payment / (1 + X)^(month / 12).
+     * Found by bisection and given in percent with two decimals.
+     */
+    calculateEffectiveRate(amount, schedule) {
+        const presentValue = rate => schedule.reduce(
+            (sum, instalment) => sum + instalment.payment / Math.pow(1 + rate, instalment.number / 12), 0
+        );
+        if (presentValue(0) <= amount) return 0;
+
+        let low = 0;
+        let high = 1;
+        for (let step = 0; step < 60; step++) {
+            const rate = (low + high) / 2;
+            if (presentValue(rate) > amount) low = rate;
+            else high = rate;
+        }
+        return Math.round(low * 10000) / 100;
+    }
+
+    // The chosen product and term, or the term closest to two years of the first product that fits
+    getOffer(amount) {
+        const available = this.products
+            .map(product => ({ product, terms: this.getTerms(product, amount) }))
+            .filter(({ terms }) => terms.length > 0);
+        if (available.length === 0) return null;
+
+        const chosen = available.find(({ product }) => product.id === this.selection?.productId) || available[0];
+        const months = chosen.terms.includes(this.selection?.months)
+            ? this.selection.months
+            : chosen.terms.reduce((best, term) => (Math.abs(term - 24) < Math.abs(best - 24) ? term : best));
+
+        return this.calculate(amount, chosen.product, months);
+    }
+
+    // Output
+
+    render(container, amount) {
+        if (!container) return;
+
+        const offer = this.getOffer(amount);
+        if (!offer) {
+            container.innerHTML = `<p class="financing-note">Für ${this.calculator.formatAmount(amount)} können wir keine Finanzierung anbieten. Sprechen Sie uns gerne auf eine Ratenzahlung an.</p>`;
+            return;
+        }
+
+        const format = value => this.calculator.formatAmount(value);
+        const percent = value => `${value.toLocaleString('de-DE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} %`;
+        const product = this.products.find(candidate => candidate.id === offer.productId);
+
+        container.innerHTML = `
+            <div class="financing-choice">
+                <label>
+                    Angebot
+                    <select data-financing-product>
+                        ${this.products.filter(candidate => this.getTerms(candidate, amount).length > 0).map(candidate => `
+                            <option value="${candidate.id}" ${candidate.id === offer.productId ? 'selected' : ''}>${candidate.label}</option>
+                        `).join('')}
+                    </select>
+                </label>
+                <label>
+                    Laufzeit
+                    <select data-financing-months>
+                        ${this.getTerms(product, amount).map(months => `
+                            <option value="${months}" ${months === offer.months ? 'selected' : ''}>${months} Monate</option>
+                        `).join('')}
+                    </select>
+                </label>
+            </div>
+            <p class="monthly-payment">${format(offer.monthlyPayment)} pro Monat</p>
+            ${product.promotion ? `<p class="financing-promotion">${product.promotion.label}</p>` : ''}
+            <dl class="financing-terms">
+                <dt>Nettodarlehensbetrag</dt><dd>${format(offer.amount)}</dd>
+                <dt>Gebundener Sollzinssatz p. a.</dt><dd>${percent(offer.nominalRate)}</dd>
+                <dt>Effektiver Jahreszins</dt><dd>${percent(offer.effectiveRate)}</dd>
+                <dt>Laufzeit</dt><dd>${offer.months} Monate, ${offer.months - 1} × ${format(offer.monthlyPayment)} und 1 × ${format(offer.lastPayment)}</dd>
+                <dt>Zinsen</dt><dd>${format(offer.totalInterest)}</dd>
+                <dt>Gesamtbetrag</dt><dd>${format(offer.totalAmount)}</dd>
+            </dl>
+            <details class="financing-schedule">
+                <summary>Tilgungsplan anzeigen</summary>
+                <table>
+                    <thead>
+                        <tr><th>Rate</th><th>Betrag</th><th>Zinsen</th><th>Tilgung</th><th>Restschuld</th></tr>
+                    </thead>
+                    <tbody>
+                        ${offer.schedule.map(instalment => `
+                            <tr>
+                                <td>${instalment.number}</td>
+                                <td>${format(instalment.payment)}</td>
+                                <td>${format(instalment.interest)}</td>
+                                <td>${format(instalment.principal)}</td>
+                                <td>${format(instalment.balance)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </details>
+            <p class="financing-note">Kreditgeber: ${offer.lender}. ${this.intermediary}</p>
+        `;
+
+        container.querySelector('[data-financing-product]').addEventListener('change', (e) => {
+            this.selection = { productId: e.target.value, months: this.selection?.months || offer.months };
+            this.render(container, amount);
+        });
+        container.querySelector('[data-financing-months]').addEventListener('change', (e) => {
+            this.selection = { productId: offer.productId, months: Number(e.target.value) };
+            this.render(container, amount);
+        });
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FinancingCalculator;
+}
@@ -0,0 +1,70 @@
+/**
+ * Form Guard
+ * Spam protection for the public forms without a third-party captcha. Fetches
+ * a challenge from the server as soon as the page is loaded and solves the
+ * small proof of work in the background while the visitor is typing. The
+ * token and the proof are sent along with the form data.
+ */
+class FormGuard {
+    constructor(formName, { apiBase = '/api' } = {}) {
+        this.formName = formName;
+        this.apiBase = apiBase;
+        this.pending = null;
+        this.prepare();
+    }
+
+    prepare() {
+        this.pending = this.solve();
+        // Failures are reported when the form is sent
+        this.pending.catch(() => {});
+    }
+
+    async solve() {
+        const response = await fetch(`${this.apiBase}/forms/${this.formName}/challenge`);
+        if (!response.ok) {
+            throw new Error(`Challenge request answered ${response.status}`);
+        }
+
+        const { token, difficulty } = await response.json();
+        const encoder = new TextEncoder();
+
+        for (let proof = 0; ; proof++) {
+            const hash = await crypto.subtle.digest('SHA-256', encoder.encode(`${token}:${proof}`));
+            if (this.countLeadingZeroBits(new Uint8Array(hash)) >= difficulty) {
+                return { 'form-token': token, 'form-proof': String(proof) };
+            }
+        }
+    }
+
+    countLeadingZeroBits(bytes) {
+        let bits = 0;
+        for (const byte of bytes) {
+            if (byte === 0) {
+                bits += 8;
+                continue;
+            }
+            return bits + Math.clz32(byte) - 24;
+        }
+        return bits;
+    }
+
+    /**
+     * Fields for the next submission. Every token is valid once, so the
+     * challenge for the following submission is prepared right away.
+     */
+    async getFields() {
+        const pending = this.pending;
+        this.prepare();
+
+        try {
+            return await pending;
+        } catch (error) {
+            throw new Error('Das Formular konnte nicht vorbereitet werden. Bitte versuchen Sie es in einigen Sekunden erneut oder rufen Sie uns an.');
+        }
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FormGuard;
+}
@@ -0,0 +1,262 @@
+/**
+ * Insurance Estimate
+ * The insurance part of the cost calculator on preise.html. Asks how the
+ * patient is insured and works out what the statutory insurance (BEMA value
+ * or fixed subsidy for dentures with the Bonusheft level), a private tariff
+ * or a supplementary dental policy would pay of an estimate. Created by
+ * CostCalculator, whose price list and rounding it uses.
+ */
+const INSURANCE_TYPES = {
+    gkv: 'Gesetzlich versichert',
+    supplementary: 'Gesetzlich versichert mit Zahnzusatzversicherung',
+    pkv: 'Privat versichert',
+    self: 'Selbstzahler'
+};
+
+// Waiting periods end by the practice's calendar, not by the clock of the visitor's device
+const PRACTICE_TIME_ZONE = 'Europe/Berlin';
+
+class InsuranceEstimate {
+    constructor(calculator) {
+        this.calculator = calculator;
+        this.setupElements();
+        this.setupEventListeners();
+    }
+
+    setupElements() {
+        this.typeSelect = document.getElementById('insurance-type');
+        this.bonusSelect = document.getElementById('insurance-bonus');
+        this.fields = document.querySelectorAll('[data-insurance]');
+    }
+
+    setupEventListeners() {
+        this.typeSelect?.addEventListener('change', () => this.toggleFields());
+    }
+
+    get priceList() {
+        return this.calculator.priceList;
+    }
+
+    // Called once the price list is there; the bonus levels come from it
+    show() {
+        if (this.bonusSelect) {
+            this.bonusSelect.innerHTML = Object.entries(this.priceList.statutoryInsurance.bonusLevels)
+                .map(([id, level]) => `<option value="${id}">${level.label} (${level.subsidyPercent} %)</option>`)
+                .join('');
+        }
+        this.toggleFields();
+    }
+
+    // Only the questions for the chosen kind of insurance are shown
+    toggleFields() {
+        const type = this.typeSelect?.value;
+        this.fields.forEach(field => {
+            field.hidden = !field.dataset.insurance.split(' ').includes(type);
+        });
+    }
+
+    // Form values
+
+    readSettings() {
+        const value = id => document.getElementById(id)?.value.trim() || '';
+        const percent = (id, label) => {
+            const rate = Number(value(id).replace(',', '.'));
+            if (value(id) === '' || !Number.isFinite(rate) || rate < 0 || rate > 100) {
+                throw new Error(`Bitte geben Sie für „${label}“ einen Prozentsatz zwischen 0 und 100 an.`);
+            }
+            return rate;
+        };
+
+        const type = this.typeSelect?.value || 'self';
+        const settings = { type };
+
+        if (type === 'gkv' || type === 'supplementary') {
+            settings.bonus = this.bonusSelect?.value || 'none';
+        }
+        if (type === 'pkv') {
+            settings.treatmentRate = percent('insurance-pkv-rate', 'Erstattung Zahnbehandlung');
+            settings.dentureRate = percent('insurance-pkv-denture-rate', 'Erstattung Zahnersatz');
+        }
+        if (type === 'supplementary') {
+            settings.rate = percent('insurance-supplementary-rate', 'Erstattung der Zusatzversicherung');
+
+            const remaining = value('insurance-remaining-benefit');
+            settings.remainingBenefit = remaining === '' ? null : Number(remaining.replace(',', '.'));
+            if (settings.remainingBenefit !== null && !(settings.remainingBenefit >= 0)) {
+                throw new Error('Bitte geben Sie die noch verfügbare Jahresleistung als Betrag in Euro an.');
+            }
+
+            settings.insuredSince = value('insurance-since') || null;
+            if (settings.insuredSince && !/^\d{4}-\d{2}$/.test(settings.insuredSince)) {
+                throw new Error('Bitte geben Sie an, seit wann die Zusatzversicherung besteht.');
+            }
+            settings.waitingMonths = Number(value('insurance-waiting-months') || 0);
+            if (!Number.isInteger(settings.waitingMonths) || settings.waitingMonths < 0) {
+                throw new Error('Bitte geben Sie die Wartezeit in ganzen Monaten an.');
+            }
+        }
+
+        return settings;
+    }
+
+    // The answers of a stored estimate back into the form; settings as readSettings returns them
+    applySettings(settings) {
+        const fields = {
+            'insurance-bonus': settings?.bonus,
+            'insurance-pkv-rate': settings?.treatmentRate,
+            'insurance-pkv-denture-rate': settings?.dentureRate,
+            'insurance-supplementary-rate': settings?.rate,
+            'insurance-remaining-benefit': settings?.remainingBenefit,
+            'insurance-since': settings?.insuredSince,
+            'insurance-waiting-months': settings?.waitingMonths
+        };
+
+        if (this.typeSelect) this.typeSelect.value = settings?.type || 'self';
+        Object.entries(fields).forEach(([id, value]) => {
+            const field = document.getElementById(id);
+            if (field && value !== undefined && value !== null) field.value = String(value);
+        });
+        this.toggleFields();
+    }
+
+    // Calculation
+
+    /**
+     * costs are the treatments of the basket, each with its subtotal,
+     * statutoryFee and fixedSubsidy from CostCalculator.calculateDetailedCost.
+     * Returns the reimbursements line by line, the patient's own share and the
+     * assumptions behind them, which are shown with the estimate. today is
+     * the practice date ('YYYY-MM-DD') the waiting period is checked against.
+     */
+    calculate(costs, settings, today = this.getToday()) {
+        const round = value => this.calculator.roundCents(value);
+        const subtotal = round(costs.reduce((sum, cost) => sum + cost.subtotal, 0));
+        const lines = new Map();
+        const assumptions = new Set();
+        const addLine = (label, amount) => lines.set(label, round((lines.get(label) || 0) + amount));
+
+        if (settings.type === 'self') {
+            assumptions.add('Sie tragen die Kosten selbst, eine Erstattung ist nicht berücksichtigt.');
+        }
+
+        if (settings.type === 'pkv') {
+            costs.forEach(cost => {
+                const rate = cost.fixedSubsidy ? settings.dentureRate : settings.treatmentRate;
+                addLine(`Erstattung der privaten Krankenversicherung (${rate} %)`, cost.subtotal * rate / 100);
+                assumptions.add(`Ihr Tarif erstattet ${rate} % für ${cost.fixedSubsidy ? 'Zahnersatz' : 'Zahnbehandlung'}.`);
+            });
+            assumptions.add('Jahreshöchstbeträge und Begrenzungen des Steigerungsfaktors in Ihrem Tarif sind nicht berücksichtigt.');
+        }
+
+        if (settings.type === 'gkv' || settings.type === 'supplementary') {
+            let statutoryAmount = 0;
+            costs.forEach(cost => {
+                const statutory = this.calculateStatutoryShare(cost, settings);
+                addLine(statutory.label, statutory.amount);
+                assumptions.add(statutory.assumption);
+                statutoryAmount += statutory.amount;
+            });
+
+            // The annual cap of the supplementary policy applies to the whole basket
+            if (settings.type === 'supplementary') {
+                const supplementary = this.calculateSupplementaryShare({ subtotal }, settings, round(statutoryAmount), today);
+                addLine(`Erstattung der Zahnzusatzversicherung (${settings.rate} %)`, supplementary.amount);
+                supplementary.assumptions.forEach(assumption => assumptions.add(assumption));
+            }
+        }
+
+        const insuranceCoverage = round(Math.min(subtotal, [...lines.values()].reduce((sum, amount) => sum + amount, 0)));
+
+        return {
+            type: settings.type,
+            label: INSURANCE_TYPES[settings.type],
+            lines: [...lines].map(([label, amount]) => ({ label, amount })),
+            insuranceCoverage,
+            patientShare: round(subtotal - insuranceCoverage),
+            assumptions: [...assumptions]
+        };
+    }
+
+    // Dentures get the fixed subsidy of their finding, everything else the value of the comparable BEMA service
+    calculateStatutoryShare(cost, settings) {
+        if (cost.fixedSubsidy) {
+            const level = this.priceList.statutoryInsurance.bonusLevels[settings.bonus];
+            return {
+                label: `Festzuschuss der Krankenkasse (${level.subsidyPercent} %)`,
+                amount: Math.min(cost.subtotal, this.calculator.roundCents(cost.fixedSubsidy.regularCareCost * level.subsidyPercent / 100) * cost.fixedSubsidy.quantity),
+                assumption: `Festzuschuss je Zahn für Befund ${cost.fixedSubsidy.code} (${cost.fixedSubsidy.label}) mit ${level.subsidyPercent} % der Regelversorgung – ${level.label}. Der Zuschuss hängt nicht von der gewählten Versorgung ab.`
+            };
+        }
+
+        if (cost.statutoryFee === 0) {
+            return {
+                label: 'Leistung der Krankenkasse',
+                amount: 0,
+                assumption: 'Diese Leistung gehört nicht zum Leistungskatalog der gesetzlichen Krankenkassen.'
+            };
+        }
+
+        return {
+            label: 'Kassenleistung nach BEMA',
+            amount: Math.min(cost.subtotal, cost.statutoryFee),
+            assumption: 'Die Krankenkasse übernimmt den Betrag der vergleichbaren Kassenleistung nach BEMA; die Mehrkosten der privat vereinbarten Versorgung tragen Sie.'
+        };
+    }
+
+    /**
+     * Most supplementary tariffs pay a percentage of the invoice including
+     * what the statutory insurance has paid, nothing during the waiting
+     * period and at most the benefit left for the calendar year.
+     */
+    calculateSupplementaryShare(cost, settings, statutoryAmount, today) {
+        const round = value => this.calculator.roundCents(value);
+        const assumptions = [`Ihre Zahnzusatzversicherung erstattet ${settings.rate} % des Rechnungsbetrags einschließlich der Leistung der Krankenkasse.`];
+
+        const waitingUntil = this.getWaitingPeriodEnd(settings, today);
+        if (waitingUntil) {
+            assumptions.push(`Die Wartezeit Ihrer Zusatzversicherung endet erst im ${waitingUntil}; bis dahin erstattet sie nichts.`);
+            return { amount: 0, assumptions };
+        }
+        if (!settings.insuredSince) {
+            assumptions.push('Die Wartezeit ist als abgelaufen angenommen.');
+        }
+
+        let amount = Math.max(0, Math.min(cost.subtotal - statutoryAmount, cost.subtotal * settings.rate / 100 - statutoryAmount));
+        if (settings.remainingBenefit !== null && amount > settings.remainingBenefit) {
+            amount = settings.remainingBenefit;
+            assumptions.push(`Begrenzt auf die in diesem Jahr noch verfügbare Leistung von ${this.calculator.formatAmount(settings.remainingBenefit)}.`);
+        }
+
+        return { amount: round(amount), assumptions };
+    }
+
+    // Month and year the waiting period ends, or null when it is over by today ('YYYY-MM-DD')
+    getWaitingPeriodEnd(settings, today) {
+        if (!settings.insuredSince || settings.waitingMonths === 0) return null;
+
+        const months = date => {
+            const [year, month] = date.split('-').map(Number);
+            return year * 12 + (month - 1);
+        };
+        const end = months(settings.insuredSince) + settings.waitingMonths;
+        if (months(today) >= end) return null;
+
+        return `${String(end % 12 + 1).padStart(2, '0')}/${Math.floor(end / 12)}`;
+    }
+
+    getToday(now = new Date()) {
+        const parts = new Intl.DateTimeFormat('en-CA', {
+            timeZone: PRACTICE_TIME_ZONE,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit'
+        }).formatToParts(now);
+        const value = type => parts.find(part => part.type === type).value;
+        return `${value('year')}-${value('month')}-${value('day')}`;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InsuranceEstimate;
+}
@@ -0,0 +1,375 @@
+/**
+ * Portal Invoices
+ * Invoices in the patient portal: patients pay them online, in full or in
+ * monthly instalments, and come back here from the provider's checkout.
+ * Staff accounts put invoices in and record payments by bank transfer.
+ */
+const PAYMENT_RESULTS = {
+    paid: ['Vielen Dank, Ihre Zahlung ist eingegangen.', 'success'],
+    open: ['Ihre Zahlung wird noch bearbeitet. Der Status wird hier aktualisiert, sobald sie bestätigt ist.', 'info'],
+    cancelled: ['Die Zahlung wurde abgebrochen. Sie können es jederzeit erneut versuchen.', 'info'],
+    failed: ['Die Zahlung ist fehlgeschlagen. Bitte versuchen Sie es erneut oder wählen Sie eine andere Zahlungsart.', 'error'],
+    expired: ['Die Zahlung ist abgelaufen. Bitte starten Sie sie erneut.', 'error']
+};
+
+class PortalInvoices {
+    constructor(portal) {
+        this.portal = portal;
+        this.user = null;
+        this.invoice = null;
+
+        // Set by the provider's redirect after the checkout
+        const params = new URLSearchParams(window.location.search);
+        this.pendingPaymentId = params.get('payment');
+        if (this.pendingPaymentId) {
+            window.history.replaceState({}, '', window.location.pathname);
+        }
+
+        this.setupElements();
+        this.setupEventListeners();
+    }
+
+    setupElements() {
+        this.card = document.getElementById('invoices');
+        this.invoiceList = document.getElementById('invoice-list');
+        this.modal = document.getElementById('invoice-modal');
+        this.instalmentView = document.getElementById('instalment-offer');
+        this.instalmentForm = document.getElementById('instalment-form');
+        this.createForm = document.getElementById('invoice-create-form');
+    }
+
+    setupEventListeners() {
+        if (!this.card) return;
+
+        this.instalmentForm?.addEventListener('submit', (e) => this.handleInstalmentPlan(e));
+        this.createForm?.addEventListener('submit', (e) => this.handleCreate(e));
+
+        [this.instalmentForm, this.createForm].forEach(form => {
+            form?.addEventListener('input', (e) => this.portal.clearFieldError(e.target));
+            form?.addEventListener('change', (e) => this.portal.clearFieldError(e.target));
+        });
+
+        document.getElementById('invoice-new')?.addEventListener('click', () => this.showCreate());
+
+        this.invoiceList?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            const invoiceId = button.closest('[data-invoice-id]').dataset.invoiceId;
+            if (button.dataset.action === 'pay') this.startPayment(invoiceId, button);
+            if (button.dataset.action === 'instalments') this.showInstalmentOffer(invoiceId);
+            if (button.dataset.action === 'mark-paid') this.markPaid(invoiceId);
+        });
+    }
+
+    get isStaff() {
+        return this.user?.role === 'staff';
+    }
+
+    async show(user) {
+        if (!this.card) return;
+
+        this.user = user;
+        this.invoices = [];
+        document.getElementById('invoice-new').hidden = !this.isStaff;
+        document.getElementById('invoice-intro').textContent = this.isStaff
+            ? 'Rechnungen, die Sie hier anlegen, können im Portal online bezahlt werden. Überweisungen tragen Sie über „Als bezahlt markieren“ ein.'
+            : 'Hier finden Sie Ihre Rechnungen. Offene Beträge können Sie direkt online bezahlen, ab einem höheren Betrag auch zinsfrei in Monatsraten.';
+
+        if (this.pendingPaymentId && !this.isStaff) {
+            const paymentId = this.pendingPaymentId;
+            this.pendingPaymentId = null;
+            await this.checkPayment(paymentId);
+        }
+
+        await this.loadInvoices();
+    }
+
+    reset() {
+        this.user = null;
+        this.invoice = null;
+        this.invoices = [];
+        if (this.invoiceList) this.invoiceList.innerHTML = '';
+    }
+
+    // Invoice list
+
+    async loadInvoices() {
+        try {
+            const { invoices } = await this.portal.requestJson(this.isStaff ? '/staff/invoices' : '/portal/invoices');
+            this.invoices = invoices;
+            this.renderInvoices(invoices);
+        } catch (error) {
+            this.portal.showNotification(error.message, 'error');
+        }
+    }
+
+    renderInvoices(invoices) {
+        if (invoices.length === 0) {
+            this.invoiceList.innerHTML = `<p class="portal-empty">${this.isStaff
+                ? 'Es wurden noch keine Rechnungen angelegt.'
+                : 'Derzeit liegen keine Rechnungen für Sie vor.'}</p>`;
+            return;
+        }
+
+        const escape = value => this.portal.escapeHtml(value);
+        this.invoiceList.innerHTML = `<ul class="portal-list">${invoices.map(invoice => `
+            <li class="portal-list-item invoice-item" data-invoice-id="${invoice.id}">
+                <div>
+                    <strong>${escape(invoice.title)}</strong>
+                    <span>${this.isStaff && invoice.patient ? `${escape(invoice.patient.name)} · ` : ''}${escape(invoice.number)} vom ${this.formatDate(invoice.date)} · ${this.formatAmount(invoice.amount)}</span>
+                    <span>${this.getDueText(invoice)}</span>
+                    ${invoice.documentId ? `<a href="${this.getDocumentUrl(invoice.documentId)}" target="_blank" rel="noopener">Rechnung öffnen</a>` : ''}
+                    ${invoice.instalmentPlan ? this.renderSchedule(invoice.instalmentPlan) : ''}
+                    ${this.isStaff ? this.renderPayments(invoice.payments) : ''}
+                </div>
+                <div class="invoice-actions">
+                    <span class="portal-status ${invoice.status === 'paid' ? 'confirmed' : (invoice.overdue ? 'cancelled' : '')}">${this.getStatusLabel(invoice)}</span>
+                    ${this.renderActions(invoice)}
+                </div>
+            </li>
+        `).join('')}</ul>`;
+    }
+
+    getStatusLabel(invoice) {
+        if (invoice.status === 'paid') return 'Bezahlt';
+        if (invoice.status === 'instalments') {
+            return `Rate ${invoice.instalmentPlan.paidCount} von ${invoice.instalmentPlan.months} bezahlt`;
+        }
+        return invoice.overdue ? 'Überfällig' : 'Offen';
+    }
+
+    getDueText(invoice) {
+        if (invoice.status === 'paid') {
+            return invoice.paidAt ? `Bezahlt am ${this.formatDate(invoice.paidAt.slice(0, 10))}` : 'Bezahlt';
+        }
+        if (invoice.nextCharge?.instalment) {
+            return `Nächste Rate: ${this.formatAmount(invoice.nextCharge.amount)}, fällig am ${this.formatDate(invoice.nextCharge.dueDate)}`;
+        }
+        return `Offen: ${this.formatAmount(invoice.openAmount)}, zahlbar bis ${this.formatDate(invoice.dueDate)}`;
+    }
+
+    renderActions(invoice) {
+        if (invoice.status === 'paid') return '';
+        if (this.isStaff) {
+            return '<button type="button" class="btn btn-secondary btn-small" data-action="mark-paid">Als bezahlt markieren</button>';
+        }
+        if (!invoice.onlinePayment) return '';
+
+        const payLabel = invoice.nextCharge.instalment
+            ? `Rate ${invoice.nextCharge.instalment} bezahlen`
+            : `${this.formatAmount(invoice.nextCharge.amount)} bezahlen`;
+
+        return `
+            <button type="button" class="btn btn-primary btn-small" data-action="pay">${payLabel}</button>
+            ${invoice.instalmentOffer ? `<button type="button" class="btn btn-secondary btn-small" data-action="instalments">In ${invoice.instalmentOffer.months} Raten zahlen</button>` : ''}
+        `;
+    }
+
+    renderSchedule(plan) {
+        const rows = plan.schedule.map(instalment => `
+            <tr class="${instalment.overdue ? 'overdue' : ''}">
+                <td>${instalment.number}</td>
+                <td>${this.formatDate(instalment.dueDate)}</td>
+                <td class="plan-amount">${this.formatAmount(instalment.amount)}</td>
+                <td>${instalment.paidAt ? 'Bezahlt' : (instalment.overdue ? 'Überfällig' : 'Offen')}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <details class="instalment-schedule">
+                <summary>Ratenplan: ${plan.months} × ${this.formatAmount(plan.monthlyAmount)}</summary>
+                <table class="plan-item-table">
+                    <thead><tr><th>Rate</th><th>Fällig am</th><th class="plan-amount">Betrag</th><th>Status</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </details>
+        `;
+    }
+
+    renderPayments(payments) {
+        if (payments.length === 0) return '';
+
+        const labels = { open: 'offen', paid: 'bezahlt', cancelled: 'abgebrochen', failed: 'fehlgeschlagen', expired: 'abgelaufen' };
+        return `
+            <details class="invoice-payments">
+                <summary>${payments.length} Zahlungsversuch(e)</summary>
+                <ul>${payments.map(payment => `
+                    <li>${this.formatDateTime(payment.createdAt)}: ${this.formatAmount(payment.amount)}${payment.instalment ? ` (Rate ${payment.instalment})` : ''}, ${labels[payment.status]}${payment.duplicate ? ' – doppelt bezahlt, bitte erstatten' : ''}</li>
+                `).join('')}</ul>
+            </details>
+        `;
+    }
+
+    getDocumentUrl(documentId) {
+        return this.isStaff
+            ? `${this.portal.apiBase}/staff/documents/${documentId}/file`
+            : `${this.portal.apiBase}/portal/documents/${documentId}/file?disposition=inline`;
+    }
+
+    // Paying
+
+    async startPayment(invoiceId, button) {
+        this.portal.setLoading(button, true, 'Weiterleitung...');
+
+        try {
+            const { checkoutUrl } = await this.portal.requestJson(`/portal/invoices/${encodeURIComponent(invoiceId)}/payments`, {
+                method: 'POST',
+                body: {}
+            });
+            window.location.href = checkoutUrl;
+        } catch (error) {
+            this.portal.showNotification(error.message, 'error');
+            this.portal.setLoading(button, false);
+        }
+    }
+
+    async checkPayment(paymentId) {
+        try {
+            const { payment } = await this.portal.requestJson(`/portal/payments/${encodeURIComponent(paymentId)}`);
+            const [message, type] = PAYMENT_RESULTS[payment.status] || PAYMENT_RESULTS.open;
+            this.portal.showNotification(message, type);
+        } catch (error) {
+            this.portal.showNotification(error.message, 'error');
+        }
+    }
+
+    // Instalments
+
+    showInstalmentOffer(invoiceId) {
+        const invoice = this.invoices.find(candidate => candidate.id === invoiceId);
+        if (!invoice?.instalmentOffer) return;
+
+        const offer = invoice.instalmentOffer;
+        this.invoice = invoice;
+
+        document.getElementById('invoice-modal-title').textContent = `Ratenzahlung – ${invoice.number}`;
+        this.instalmentView.innerHTML = `
+            <div class="cost-breakdown">
+                <div class="breakdown-item">
+                    <span>Rechnungsbetrag</span>
+                    <span>${this.formatAmount(invoice.amount)}</span>
+                </div>
+                <div class="breakdown-item">
+                    <span>Anzahl Raten</span>
+                    <span>${offer.months}</span>
+                </div>
+                <div class="breakdown-total">
+                    <span><strong>Monatliche Rate</strong></span>
+                    <span><strong>${this.formatAmount(offer.monthlyAmount)}</strong></span>
+                </div>
+                ${offer.lastAmount !== offer.monthlyAmount ? `
+                <div class="breakdown-item">
+                    <span>Letzte Rate</span>
+                    <span>${this.formatAmount(offer.lastAmount)}</span>
+                </div>` : ''}
+            </div>
+            <div class="result-disclaimer">
+                <p><strong>Hinweis:</strong> Die Ratenzahlung ist zinsfrei. Die erste Rate ist sofort fällig, die weiteren jeweils einen Monat später. Jede Rate bezahlen Sie hier im Portal.</p>
+            </div>
+        `;
+
+        this.instalmentView.hidden = false;
+        this.instalmentForm.hidden = false;
+        this.instalmentForm.reset();
+        this.createForm.hidden = true;
+        this.portal.openModal(this.modal);
+    }
+
+    async handleInstalmentPlan(e) {
+        e.preventDefault();
+        if (!this.invoice || !this.portal.validateForm(this.instalmentForm)) return;
+
+        const submitButton = this.instalmentForm.querySelector('button[type="submit"]');
+        this.portal.setLoading(submitButton, true, 'Wird vereinbart...');
+
+        try {
+            await this.portal.requestJson(`/portal/invoices/${this.invoice.id}/instalment-plan`, {
+                method: 'POST',
+                body: { terms: this.instalmentForm.terms.checked }
+            });
+            this.portal.closeModal();
+            await this.loadInvoices();
+            this.portal.showNotification('Die Ratenzahlung ist vereinbart. Sie können die erste Rate jetzt bezahlen.', 'success');
+        } catch (error) {
+            this.portal.showServerFieldErrors(this.instalmentForm, error.fields);
+            this.portal.showNotification(error.message, 'error');
+        } finally {
+            this.portal.setLoading(submitButton, false);
+        }
+    }
+
+    // Staff
+
+    showCreate() {
+        this.invoice = null;
+        this.createForm.reset();
+
+        document.getElementById('invoice-modal-title').textContent = 'Neue Rechnung';
+        this.createForm.hidden = false;
+        this.instalmentView.hidden = true;
+        this.instalmentForm.hidden = true;
+        this.portal.openModal(this.modal);
+    }
+
+    async handleCreate(e) {
+        e.preventDefault();
+        if (!this.portal.validateForm(this.createForm)) return;
+
+        const form = this.createForm;
+        const submitButton = form.querySelector('button[type="submit"]');
+        this.portal.setLoading(submitButton, true, 'Wird gespeichert...');
+
+        try {
+            const file = form.file.files[0];
+            await this.portal.requestJson('/staff/invoices', {
+                method: 'POST',
+                body: {
+                    email: form.email.value.trim(),
+                    title: form.title.value.trim(),
+                    amount: form.amount.value.trim(),
+                    dueDate: form.dueDate.value,
+                    file: file ? { name: file.name, data: await this.portal.readFileAsBase64(file) } : undefined
+                }
+            });
+            this.portal.closeModal();
+            await this.loadInvoices();
+            this.portal.showNotification('Die Rechnung wurde angelegt und das Patientenkonto per E-Mail benachrichtigt.', 'success');
+        } catch (error) {
+            this.portal.showServerFieldErrors(form, error.fields);
+            this.portal.showNotification(error.message, 'error');
+        } finally {
+            this.portal.setLoading(submitButton, false);
+        }
+    }
+
+    async markPaid(invoiceId) {
+        if (!window.confirm('Diese Rechnung als vollständig bezahlt markieren?')) return;
+
+        try {
+            await this.portal.requestJson(`/staff/invoices/${encodeURIComponent(invoiceId)}/mark-paid`, { method: 'POST', body: {} });
+            await this.loadInvoices();
+        } catch (error) {
+            this.portal.showNotification(error.message, 'error');
+        }
+    }
+
+    // Formatting
+
+    formatAmount(value) {
+        return `${value.toLocaleString('de-DE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} €`;
+    }
+
+    formatDate(value) {
+        return new Date(`${value}T00:00:00`).toLocaleDateString('de-DE');
+    }
+
+    formatDateTime(value) {
+        return new Date(value).toLocaleString('de-DE', { dateStyle: 'medium', timeStyle: 'short' });
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PortalInvoices;
+}
@@ -49,8 +49,8 @@ class DentalWebsite {
         document.addEventListener('click', this.handleDocumentClick.bind(this));
         document.addEventListener('keydown', this.handleKeydown.bind(this));
 
-        // Form events
-        const forms = document.querySelectorAll('form');
+        // Form events (only generic forms that declare their endpoint, page scripts handle the others)
+        const forms = document.querySelectorAll('form[data-endpoint]');
         forms.forEach(form => {
             form.addEventListener('submit', this.handleFormSubmit.bind(this));
         });
@@ -552,29 +552,67 @@ class DentalWebsite {
             return;
         }
         
-        // Show success message (in real implementation, this would submit to server)
-        this.showFormSuccess(form);
+        this.submitForm(form, formData);
     }
 
-    showFormSuccess(form) {
+    async submitForm(form, formData) {
         const submitButton = form.querySelector('button[type="submit"]');
         const originalText = submitButton.textContent;
         
         submitButton.textContent = 'Wird gesendet...';
         submitButton.disabled = true;
         
-        // Simulate form submission
-        setTimeout(() => {
-            form.reset();
-            submitButton.textContent = 'Erfolgreich gesendet!';
-            submitButton.classList.add('success');
+        try {
+            const response = await fetch(form.dataset.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(Object.fromEntries(formData.entries()))
+            });
+            const result = await response.json().catch(() => ({}));
+            
+            if (!response.ok) {
+                Object.entries(result.details?.fields || {}).forEach(([name, message]) => {
+                    const field = form.querySelector(`[name="${name}"]`);
+                    if (field) {
+                        this.showFieldError(field, message);
+                    }
+                });
+                throw new Error(result.error || 'Das Formular konnte nicht gesendet werden.');
+            }
             
-            setTimeout(() => {
-                submitButton.textContent = originalText;
-                submitButton.disabled = false;
-                submitButton.classList.remove('success');
-            }, 3000);
-        }, 1500);
+            this.showFormSuccess(form, submitButton, originalText);
+        } catch (error) {
+            const message = error instanceof TypeError
+                ? 'Der Server ist nicht erreichbar. Bitte versuchen Sie es später erneut.'
+                : error.message;
+            this.showFormError(form, submitButton, originalText, message);
+        }
+    }
+
+    showFormSuccess(form, submitButton, originalText) {
+        form.reset();
+        submitButton.textContent = 'Erfolgreich gesendet!';
+        submitButton.classList.add('success');
+        
+        setTimeout(() => {
+            submitButton.textContent = originalText;
+            submitButton.disabled = false;
+            submitButton.classList.remove('success');
+        }, 3000);
+    }
+
+    showFormError(form, submitButton, originalText, message) {
+        submitButton.textContent = originalText;
+        submitButton.disabled = false;
+        
+        // Replace a previous error so repeated attempts do not stack messages
+        form.querySelector('.form-submit-error')?.remove();
+        
+        const errorElement = document.createElement('div');
+        errorElement.className = 'field-error form-submit-error';
+        errorElement.textContent = message;
+        errorElement.setAttribute('role', 'alert');
+        submitButton.parentNode.appendChild(errorElement);
     }
 
     setupInitialStates() {
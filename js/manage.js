@@ -0,0 +1,336 @@
+/**
+ * Appointment Manager
+ * Lets patients reschedule or cancel a booking through the signed link
+ * from their confirmation e-mail (termin-verwalten.html?token=…)
+ */
+class AppointmentManager {
+    constructor() {
+        this.apiBase = '/api';
+        this.token = new URLSearchParams(window.location.search).get('token');
+        this.booking = null;
+        this.slotRequestId = 0;
+        this.init();
+    }
+
+    init() {
+        this.setupElements();
+        this.setupEventListeners();
+        this.loadBooking();
+    }
+
+    setupElements() {
+        this.details = document.getElementById('manage-details');
+        this.rescheduleForm = document.getElementById('reschedule-form');
+        this.cancelForm = document.getElementById('cancel-form');
+        this.dateInput = document.getElementById('manage-date');
+        this.slotPicker = document.getElementById('slot-picker');
+    }
+
+    setupEventListeners() {
+        this.rescheduleForm?.addEventListener('submit', (e) => this.handleReschedule(e));
+        this.cancelForm?.addEventListener('submit', (e) => this.handleCancel(e));
+        this.dateInput?.addEventListener('change', () => this.loadSlots());
+    }
+
+    get basePath() {
+        return `/manage/${encodeURIComponent(this.token)}`;
+    }
+
+    async loadBooking() {
+        if (!this.token) {
+            this.renderMessage('Dieser Link ist unvollständig. Bitte verwenden Sie den Link aus Ihrer Bestätigungs-E-Mail.');
+            return;
+        }
+
+        try {
+            const { booking } = await this.requestJson(this.basePath);
+            this.booking = booking;
+            this.renderBooking();
+        } catch (error) {
+            this.renderMessage(error.message);
+        }
+    }
+
+    renderMessage(message) {
+        this.details.innerHTML = `<p class="portal-empty">${message}</p>`;
+        this.rescheduleForm.hidden = true;
+        this.cancelForm.hidden = true;
+    }
+
+    renderBooking() {
+        const booking = this.booking;
+        const statusText = booking.status === 'cancelled'
+            ? '<p class="portal-status cancelled">Dieser Termin wurde abgesagt.</p>'
+            : '';
+
+        let hint = '';
+        if (booking.status !== 'cancelled' && !booking.canChange) {
+            hint = `<p class="portal-empty">Änderungen sind nur bis ${booking.cutoffHours} Stunden vor dem Termin online möglich. Bitte rufen Sie uns unter <a href="tel:+498912345678">+49 89 123 456 78</a> an.</p>`;
+        }
+
+        this.details.innerHTML = `
+            <h3>Ihr Termin</h3>
+            <div class="appointment-info">
+                <p><strong>Patient:</strong> ${this.escapeHtml(booking.patient.firstName)} ${this.escapeHtml(booking.patient.lastName)}</p>
+                <p><strong>Behandlung:</strong> ${this.escapeHtml(booking.treatment)}</p>
+                <p><strong>Datum:</strong> ${this.formatDateLabel(booking.date)}</p>
+                <p><strong>Uhrzeit:</strong> ${booking.start} – ${booking.end} Uhr</p>
+            </div>
+            ${booking.status === 'confirmed' ? `<a href="${this.apiBase}${this.basePath}/calendar.ics" class="btn btn-secondary" download>Zum Kalender hinzufügen (.ics)</a>` : ''}
+            ${statusText}
+            ${hint}
+            ${booking.status === 'cancelled' ? '<a href="termin.html" class="btn btn-primary">Neuen Termin buchen</a>' : ''}
+        `;
+
+        this.rescheduleForm.hidden = !booking.canChange;
+        this.cancelForm.hidden = !booking.canChange;
+
+        if (booking.canChange && this.dateInput) {
+            this.dateInput.min = this.formatDateValue(new Date());
+        }
+    }
+
+    async loadSlots() {
+        const date = this.dateInput.value;
+        if (!date) {
+            this.renderSlotHint('Bitte wählen Sie zuerst ein Datum.');
+            return;
+        }
+
+        // Only the answer to the latest request is rendered
+        const requestId = ++this.slotRequestId;
+        this.renderSlotHint('Freie Termine werden geladen...');
+
+        try {
+            const data = await this.requestJson(`${this.basePath}/slots?date=${encodeURIComponent(date)}`);
+            if (requestId === this.slotRequestId) {
+                this.renderSlots(data);
+            }
+        } catch (error) {
+            if (requestId === this.slotRequestId) {
+                this.renderSlotHint(error.message);
+            }
+        }
+    }
+
+    renderSlots(data) {
+        this.clearSlotError();
+
+        if (data.slots.length === 0) {
+            const nextDate = data.nextAvailableDate;
+
+            this.slotPicker.innerHTML = `
+                <p class="slot-hint">An diesem Tag sind leider keine Termine mehr frei.</p>
+                ${nextDate ? `
+                    <button type="button" class="btn btn-secondary slot-next" data-date="${nextDate}">
+                        Nächster freier Tag: ${this.formatDateLabel(nextDate)}
+                    </button>
+                ` : ''}
+            `;
+
+            this.slotPicker.querySelector('.slot-next')?.addEventListener('click', (e) => {
+                this.dateInput.value = e.currentTarget.dataset.date;
+                this.loadSlots();
+            });
+            return;
+        }
+
+        this.slotPicker.innerHTML = data.slots.map(slot => `
+            <label class="slot-option">
+                <input type="radio" name="slot" value="${slot.start}">
+                <span>${slot.start} Uhr</span>
+            </label>
+        `).join('');
+
+        this.slotPicker.querySelectorAll('input[name="slot"]').forEach(radio => {
+            radio.addEventListener('change', () => this.clearSlotError());
+        });
+    }
+
+    renderSlotHint(message) {
+        this.slotPicker.innerHTML = `<p class="slot-hint">${message}</p>`;
+    }
+
+    showSlotError(message) {
+        const errorElement = document.getElementById('slot-error');
+        if (errorElement) {
+            errorElement.textContent = message;
+            errorElement.style.display = 'block';
+        }
+    }
+
+    clearSlotError() {
+        const errorElement = document.getElementById('slot-error');
+        if (errorElement) {
+            errorElement.textContent = '';
+            errorElement.style.display = 'none';
+        }
+    }
+
+    async handleReschedule(e) {
+        e.preventDefault();
+
+        const slot = this.rescheduleForm.querySelector('input[name="slot"]:checked');
+        if (!this.dateInput.value || !slot) {
+            this.showSlotError('Bitte wählen Sie eine freie Uhrzeit.');
+            return;
+        }
+
+        const submitButton = this.rescheduleForm.querySelector('button[type="submit"]');
+        this.setLoading(submitButton, true, 'Wird gespeichert...');
+
+        try {
+            const { booking } = await this.requestJson(`${this.basePath}/reschedule`, {
+                method: 'POST',
+                body: { date: this.dateInput.value, slot: slot.value }
+            });
+            this.booking = booking;
+            this.renderBooking();
+            this.rescheduleForm.reset();
+            this.renderSlotHint('Bitte wählen Sie zuerst ein Datum.');
+            this.showNotification(`Ihr Termin wurde auf ${this.formatDateLabel(booking.date)}, ${booking.start} Uhr verschoben. Sie erhalten eine Bestätigung per E-Mail.`, 'success');
+        } catch (error) {
+            if (error.status === 409) {
+                this.loadSlots();
+            }
+            this.showNotification(error.message, 'error');
+        } finally {
+            this.setLoading(submitButton, false);
+        }
+    }
+
+    async handleCancel(e) {
+        e.preventDefault();
+
+        if (!window.confirm('Möchten Sie diesen Termin wirklich absagen?')) return;
+
+        const submitButton = this.cancelForm.querySelector('button[type="submit"]');
+        this.setLoading(submitButton, true, 'Wird abgesagt...');
+
+        try {
+            const { booking } = await this.requestJson(`${this.basePath}/cancel`, {
+                method: 'POST',
+                body: { reason: this.cancelForm.querySelector('[name="reason"]').value }
+            });
+            this.booking = booking;
+            this.renderBooking();
+            this.showNotification('Ihr Termin wurde abgesagt. Sie erhalten eine Bestätigung per E-Mail.', 'success');
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        } finally {
+            this.setLoading(submitButton, false);
+        }
+    }
+
+    async requestJson(path, { method = 'GET', body } = {}) {
+        let response;
+
+        try {
+            response = await fetch(`${this.apiBase}${path}`, {
+                method,
+                headers: body ? { 'Content-Type': 'application/json' } : {},
+                body: body ? JSON.stringify(body) : undefined
+            });
+        } catch (error) {
+            throw new Error('Der Server ist nicht erreichbar. Bitte versuchen Sie es später erneut oder rufen Sie uns an.');
+        }
+
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            const error = new Error(data.error || 'Ihre Anfrage konnte nicht verarbeitet werden.');
+            error.status = response.status;
+            error.fields = data.details?.fields || {};
+            throw error;
+        }
+
+        return data;
+    }
+
+    setLoading(button, isLoading, text = '') {
+        if (!button) return;
+
+        if (isLoading) {
+            button.dataset.originalText = button.textContent;
+            button.disabled = true;
+            button.setAttribute('aria-busy', 'true');
+            button.innerHTML = `
+                <svg class="loading-spinner" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M21 12a9 9 0 11-6.219-8.56"/>
+                </svg>
+                ${text}
+            `;
+        } else {
+            button.disabled = false;
+            button.removeAttribute('aria-busy');
+            button.textContent = button.dataset.originalText || button.textContent;
+        }
+    }
+
+    formatDateValue(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    formatDateLabel(value) {
+        return new Date(`${value}T00:00:00`).toLocaleDateString('de-DE', {
+            weekday: 'long',
+            day: 'numeric',
+            month: 'long',
+            year: 'numeric'
+        });
+    }
+
+    escapeHtml(value) {
+        return String(value ?? '').replace(/[&<>"']/g, char => ({
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#39;'
+        })[char]);
+    }
+
+    showNotification(message, type = 'info') {
+        const titles = {
+            success: 'Erfolgreich',
+            error: 'Fehler',
+            info: 'Information'
+        };
+
+        const notification = document.createElement('div');
+        notification.className = `form-notification ${type}`;
+        notification.setAttribute('role', type === 'error' ? 'alert' : 'status');
+        notification.innerHTML = `
+            <div class="notification-content">
+                <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    ${type === 'success'
+                        ? '<path d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z"/>'
+                        : '<circle cx="12" cy="12" r="10"/><path d="M12 16v-4M12 8h.01"/>'}
+                </svg>
+                <div>
+                    <h4>${titles[type] || titles.info}</h4>
+                    <p>${message}</p>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(notification);
+
+        // Remove notification after 6 seconds
+        setTimeout(() => {
+            notification.remove();
+        }, 6000);
+    }
+}
+
+// Initialize the manage page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.appointmentManager = new AppointmentManager();
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AppointmentManager;
+}
@@ -0,0 +1,360 @@
+/**
+ * Portal Inbox
+ * The secure messages card of the patient portal. Patients write to the
+ * practice and read the answers; staff accounts see every patient thread,
+ * assign it and close it. Created by PatientPortal, whose request, modal and
+ * notification helpers it uses.
+ */
+class PortalInbox {
+    constructor(portal) {
+        this.portal = portal;
+        this.user = null;
+        this.thread = null;
+        this.team = [];
+        this.filters = { status: 'open', assignedTo: '' };
+
+        // Link from the notification e-mail
+        const params = new URLSearchParams(window.location.search);
+        this.pendingThreadId = params.get('message');
+        if (this.pendingThreadId) {
+            window.history.replaceState({}, '', window.location.pathname);
+        }
+
+        this.setupElements();
+        this.setupEventListeners();
+    }
+
+    setupElements() {
+        this.card = document.getElementById('message-inbox');
+        this.threadList = document.getElementById('message-threads');
+        this.staffFilters = document.getElementById('message-filters');
+        this.modal = document.getElementById('message-modal');
+        this.threadView = document.getElementById('message-thread');
+        this.composeForm = document.getElementById('message-compose-form');
+        this.replyForm = document.getElementById('message-reply-form');
+    }
+
+    setupEventListeners() {
+        if (!this.card) return;
+
+        document.getElementById('message-new')?.addEventListener('click', () => this.showCompose());
+        this.composeForm?.addEventListener('submit', (e) => this.handleCompose(e));
+        this.replyForm?.addEventListener('submit', (e) => this.handleReply(e));
+
+        [this.composeForm, this.replyForm].forEach(form => {
+            form?.addEventListener('input', (e) => this.portal.clearFieldError(e.target));
+            form?.addEventListener('change', (e) => this.portal.clearFieldError(e.target));
+        });
+
+        this.staffFilters?.addEventListener('change', (e) => {
+            this.filters[e.target.name] = e.target.value;
+            this.loadThreads();
+        });
+
+        this.threadList?.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-thread-id]');
+            if (item) this.openThread(item.dataset.threadId);
+        });
+    }
+
+    get isStaff() {
+        return this.user?.role === 'staff';
+    }
+
+    // Patients and staff reach the same threads through different endpoints
+    get basePath() {
+        return this.isStaff ? '/staff/messages' : '/portal/messages';
+    }
+
+    async show(user) {
+        if (!this.card) return;
+
+        this.user = user;
+        this.staffFilters.hidden = !this.isStaff;
+        document.getElementById('message-new').hidden = this.isStaff;
+        document.getElementById('message-intro').hidden = this.isStaff;
+
+        if (this.isStaff && this.team.length === 0) {
+            try {
+                ({ team: this.team } = await this.portal.requestJson('/staff/team'));
+                this.renderTeamOptions();
+            } catch (error) {
+                // Assigning stays unavailable, reading and answering still work
+            }
+        }
+
+        await this.loadThreads();
+
+        if (this.pendingThreadId) {
+            const threadId = this.pendingThreadId;
+            this.pendingThreadId = null;
+            await this.openThread(threadId);
+        }
+    }
+
+    reset() {
+        this.user = null;
+        this.thread = null;
+        this.team = [];
+        if (this.threadList) this.threadList.innerHTML = '';
+    }
+
+    renderTeamOptions() {
+        const options = this.team
+            .map(member => `<option value="${member.id}">${this.portal.escapeHtml(member.name)}</option>`)
+            .join('');
+        const filter = this.staffFilters.querySelector('[name="assignedTo"]');
+        filter.innerHTML = `
+            <option value="">Alle</option>
+            <option value="me">Mir zugewiesen</option>
+            <option value="none">Nicht zugewiesen</option>
+            ${options}
+        `;
+        filter.value = this.filters.assignedTo;
+    }
+
+    // Thread list
+
+    async loadThreads() {
+        const query = this.isStaff
+            ? `?${new URLSearchParams(Object.entries(this.filters).filter(([, value]) => value))}`
+            : '';
+
+        try {
+            const { threads } = await this.portal.requestJson(`${this.basePath}${query}`);
+            this.renderThreads(threads);
+        } catch (error) {
+            this.portal.showNotification(error.message, 'error');
+        }
+    }
+
+    renderThreads(threads) {
+        if (threads.length === 0) {
+            this.threadList.innerHTML = `<p class="portal-empty">${this.isStaff
+                ? 'Keine Unterhaltungen für diese Auswahl.'
+                : 'Sie haben noch keine Nachrichten geschrieben.'}</p>`;
+            return;
+        }
+
+        const escape = value => this.portal.escapeHtml(value);
+        this.threadList.innerHTML = `<ul class="portal-list">${threads.map(thread => `
+            <li class="portal-list-item message-thread-item${thread.unread > 0 ? ' unread' : ''}" data-thread-id="${thread.id}" tabindex="0" role="button">
+                <div>
+                    <strong>${escape(thread.subject)}</strong>
+                    <span>${this.isStaff && thread.patient ? `${escape(thread.patient.name)} · ` : ''}${escape(thread.topicLabel)} · ${this.formatDateTime(thread.lastMessageAt)}</span>
+                    ${this.isStaff ? `<span>${thread.assignedName ? `Zugewiesen: ${escape(thread.assignedName)}` : 'Nicht zugewiesen'}</span>` : ''}
+                </div>
+                <span class="portal-status ${thread.status === 'closed' ? '' : 'confirmed'}">
+                    ${thread.unread > 0 ? `${thread.unread} neu` : this.getStatusLabel(thread)}
+                </span>
+            </li>
+        `).join('')}</ul>`;
+
+        this.threadList.querySelectorAll('[data-thread-id]').forEach(item => {
+            item.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this.openThread(item.dataset.threadId);
+            });
+        });
+    }
+
+    getStatusLabel(thread) {
+        if (thread.status === 'closed') return 'Erledigt';
+        if (this.isStaff) return thread.lastMessageBy === 'patient' ? 'Offen' : 'Beantwortet';
+        return thread.lastMessageBy === 'staff' ? 'Beantwortet' : 'Gesendet';
+    }
+
+    // Writing
+
+    showCompose() {
+        this.thread = null;
+        this.composeForm.hidden = false;
+        this.threadView.hidden = true;
+        this.replyForm.hidden = true;
+        document.getElementById('message-modal-title').textContent = 'Neue Nachricht';
+        this.portal.openModal(this.modal);
+    }
+
+    async readFiles(input) {
+        return Promise.all(Array.from(input.files).map(async file => ({
+            name: file.name,
+            data: await this.portal.readFileAsBase64(file)
+        })));
+    }
+
+    async handleCompose(e) {
+        e.preventDefault();
+        if (!this.portal.validateForm(this.composeForm)) return;
+
+        const form = this.composeForm;
+        const submitButton = form.querySelector('button[type="submit"]');
+        this.portal.setLoading(submitButton, true, 'Wird gesendet...');
+
+        try {
+            const { thread } = await this.portal.requestJson('/portal/messages', {
+                method: 'POST',
+                body: {
+                    topic: form.topic.value,
+                    subject: form.subject.value.trim(),
+                    message: form.message.value.trim(),
+                    files: await this.readFiles(form.file)
+                }
+            });
+            form.reset();
+            this.showThread(thread);
+            await this.loadThreads();
+            this.portal.showNotification('Ihre Nachricht wurde an das Praxisteam gesendet.', 'success');
+        } catch (error) {
+            this.portal.showServerFieldErrors(form, error.fields);
+            this.portal.showNotification(error.message, 'error');
+        } finally {
+            this.portal.setLoading(submitButton, false);
+        }
+    }
+
+    async handleReply(e) {
+        e.preventDefault();
+        if (!this.thread || !this.portal.validateForm(this.replyForm)) return;
+
+        const form = this.replyForm;
+        const submitButton = form.querySelector('button[type="submit"]');
+        this.portal.setLoading(submitButton, true, 'Wird gesendet...');
+
+        try {
+            const { thread } = await this.portal.requestJson(`${this.basePath}/${this.thread.id}/replies`, {
+                method: 'POST',
+                body: { message: form.message.value.trim(), files: await this.readFiles(form.file) }
+            });
+            form.reset();
+            this.showThread(thread);
+            await this.loadThreads();
+        } catch (error) {
+            this.portal.showServerFieldErrors(form, error.fields);
+            this.portal.showNotification(error.message, 'error');
+        } finally {
+            this.portal.setLoading(submitButton, false);
+        }
+    }
+
+    // Reading
+
+    async openThread(threadId) {
+        try {
+            const { thread } = await this.portal.requestJson(`${this.basePath}/${encodeURIComponent(threadId)}`);
+            this.showThread(thread);
+            // Opening marked the messages as read
+            await this.loadThreads();
+        } catch (error) {
+            this.portal.showNotification(error.message, 'error');
+        }
+    }
+
+    showThread(thread) {
+        this.thread = thread;
+        this.composeForm.hidden = true;
+        this.threadView.hidden = false;
+        this.replyForm.hidden = false;
+        document.getElementById('message-modal-title').textContent = thread.subject;
+
+        this.renderThreadMeta(thread);
+        this.renderMessages(thread);
+
+        if (this.portal.activeModal !== this.modal) {
+            this.portal.openModal(this.modal);
+        }
+        const list = document.getElementById('message-list');
+        list.scrollTop = list.scrollHeight;
+    }
+
+    renderThreadMeta(thread) {
+        const meta = document.getElementById('message-thread-meta');
+        const escape = value => this.portal.escapeHtml(value);
+
+        if (!this.isStaff) {
+            meta.innerHTML = `<p>${escape(thread.topicLabel)}${thread.status === 'closed' ? ' · Erledigt – mit einer Antwort öffnen Sie die Unterhaltung wieder.' : ''}</p>`;
+            return;
+        }
+
+        const patient = thread.patient
+            ? `${escape(thread.patient.name)} · <a href="mailto:${escape(thread.patient.email)}">${escape(thread.patient.email)}</a> · geb. ${new Date(`${thread.patient.birthDate}T00:00:00`).toLocaleDateString('de-DE')}`
+            : 'Konto gelöscht';
+
+        meta.innerHTML = `
+            <p>${patient}<br>${escape(thread.topicLabel)}</p>
+            <div class="message-thread-controls">
+                <label>Zugewiesen an
+                    <select name="assignedTo">
+                        <option value="">Niemand</option>
+                        ${this.team.map(member => `<option value="${member.id}">${escape(member.name)}</option>`).join('')}
+                    </select>
+                </label>
+                <label>Status
+                    <select name="status">
+                        <option value="open">Offen</option>
+                        <option value="closed">Erledigt</option>
+                    </select>
+                </label>
+            </div>
+        `;
+        meta.querySelector('[name="assignedTo"]').value = thread.assignedTo || '';
+        meta.querySelector('[name="status"]').value = thread.status;
+        meta.querySelectorAll('select').forEach(select => {
+            select.addEventListener('change', () => this.updateThread({ [select.name]: select.value || null }));
+        });
+    }
+
+    async updateThread(changes) {
+        try {
+            const { thread } = await this.portal.requestJson(`/staff/messages/${this.thread.id}`, { method: 'PATCH', body: changes });
+            this.thread = { ...this.thread, ...thread };
+            await this.loadThreads();
+            this.portal.showNotification('Die Unterhaltung wurde aktualisiert.', 'success');
+        } catch (error) {
+            this.portal.showNotification(error.message, 'error');
+        }
+    }
+
+    renderMessages(thread) {
+        const escape = value => this.portal.escapeHtml(value);
+        const ownRole = this.isStaff ? 'staff' : 'patient';
+
+        document.getElementById('message-list').innerHTML = thread.messages.map(message => {
+            const own = message.authorRole === ownRole;
+            const author = message.authorRole === 'staff'
+                ? `${escape(message.authorName || 'Praxisteam')} (Praxisteam)`
+                : (this.isStaff ? escape(message.authorName || 'Patient') : 'Sie');
+            // Read receipts only matter for what you wrote yourself
+            const receipt = own
+                ? `<span class="message-receipt">${message.readAt ? `Gelesen am ${this.formatDateTime(message.readAt)}` : 'Noch nicht gelesen'}</span>`
+                : '';
+            const attachments = message.attachments.map(attachment => `
+                <a href="${this.portal.apiBase}${this.basePath}/${thread.id}/attachments/${attachment.id}" class="message-attachment" download>
+                    ${escape(attachment.fileName)} (${Math.max(1, Math.round(attachment.size / 1024))} KB)
+                </a>
+            `).join('');
+
+            return `
+                <article class="message-item ${own ? 'own' : ''}">
+                    <header><strong>${author}</strong> · ${this.formatDateTime(message.createdAt)}</header>
+                    <p>${escape(message.body).replace(/\n/g, '<br>')}</p>
+                    ${attachments ? `<div class="message-attachments">${attachments}</div>` : ''}
+                    ${receipt}
+                </article>
+            `;
+        }).join('');
+    }
+
+    formatDateTime(value) {
+        return new Date(value).toLocaleString('de-DE', {
+            day: '2-digit',
+            month: '2-digit',
+            year: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PortalInbox;
+}
@@ -0,0 +1,1087 @@
+/**
+ * Patient Portal
+ * Handles login (including the two-factor step), registration, password
+ * reset and the patient dashboard
+ */
+class PatientPortal {
+    constructor() {
+        this.apiBase = '/api';
+        this.user = null;
+        this.activeModal = null;
+        this.resetToken = null;
+        this.recoveryToken = null;
+        // Issued after a correct password when the account needs a code as well
+        this.loginChallenge = null;
+        this.inbox = typeof PortalInbox !== 'undefined' ? new PortalInbox(this) : null;
+        this.treatmentPlans = typeof PortalTreatmentPlans !== 'undefined' ? new PortalTreatmentPlans(this) : null;
+        this.bonusBooklet = typeof PortalBonusBooklet !== 'undefined' ? new PortalBonusBooklet(this) : null;
+        this.invoices = typeof PortalInvoices !== 'undefined' ? new PortalInvoices(this) : null;
+        this.privacy = typeof PortalPrivacy !== 'undefined' ? new PortalPrivacy(this) : null;
+        this.init();
+    }
+
+    init() {
+        this.setupElements();
+        this.setupEventListeners();
+        this.handleQueryParams();
+        this.restoreSession();
+    }
+
+    setupElements() {
+        this.loginSection = document.getElementById('portal-login');
+        this.dashboard = document.getElementById('dashboard');
+        this.loginForm = document.getElementById('login-form');
+        this.loginLinks = document.getElementById('login-links');
+        this.twoFactorForm = document.getElementById('two-factor-form');
+        this.registrationModal = document.getElementById('registration-modal');
+        this.registrationForm = document.getElementById('registration-form');
+        this.passwordModal = document.getElementById('password-modal');
+        this.forgotPasswordForm = document.getElementById('forgot-password-form');
+        this.resetPasswordForm = document.getElementById('reset-password-form');
+        this.documentModal = document.getElementById('document-modal');
+        this.documentUploadForm = document.getElementById('document-upload-form');
+        this.twoFactorModal = document.getElementById('two-factor-modal');
+        this.twoFactorSetupForm = document.getElementById('two-factor-setup-form');
+        this.backupCodesForm = document.getElementById('backup-codes-form');
+        this.twoFactorDisableForm = document.getElementById('two-factor-disable-form');
+        this.twoFactorRecoveryForm = document.getElementById('two-factor-recovery-form');
+    }
+
+    setupEventListeners() {
+        this.loginForm?.addEventListener('submit', (e) => this.handleLogin(e));
+        this.registrationForm?.addEventListener('submit', (e) => this.handleRegistration(e));
+        this.forgotPasswordForm?.addEventListener('submit', (e) => this.handleForgotPassword(e));
+        this.resetPasswordForm?.addEventListener('submit', (e) => this.handleResetPassword(e));
+        this.documentUploadForm?.addEventListener('submit', (e) => this.handleDocumentUpload(e));
+        this.twoFactorForm?.addEventListener('submit', (e) => this.handleTwoFactorLogin(e));
+        this.twoFactorSetupForm?.addEventListener('submit', (e) => this.handleTwoFactorSetup(e));
+        this.backupCodesForm?.addEventListener('submit', (e) => this.handleBackupCodes(e));
+        this.twoFactorDisableForm?.addEventListener('submit', (e) => this.handleTwoFactorDisable(e));
+        this.twoFactorRecoveryForm?.addEventListener('submit', (e) => this.handleTwoFactorRecovery(e));
+
+        this.twoFactorForm?.querySelector('[data-action="back"]').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.showLoginStep();
+        });
+        this.twoFactorForm?.querySelector('[data-action="recovery"]').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.requestTwoFactorRecovery();
+        });
+
+        [
+            this.loginForm, this.twoFactorForm, this.registrationForm, this.forgotPasswordForm, this.resetPasswordForm,
+            this.documentUploadForm, this.twoFactorSetupForm, this.backupCodesForm, this.twoFactorDisableForm
+        ].forEach(form => {
+            form?.addEventListener('input', (e) => this.clearFieldError(e.target));
+            form?.addEventListener('change', (e) => this.clearFieldError(e.target));
+        });
+
+        // Close modals on backdrop click and Escape
+        document.addEventListener('click', (e) => {
+            if (e.target === this.activeModal) {
+                this.closeModal();
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.activeModal) {
+                this.closeModal();
+            }
+        });
+    }
+
+    handleQueryParams() {
+        const params = new URLSearchParams(window.location.search);
+
+        if (params.get('verified') === '1') {
+            this.showNotification('Ihre E-Mail-Adresse wurde bestätigt. Sie können sich jetzt anmelden.', 'success');
+        } else if (params.get('verified') === 'invalid') {
+            this.showNotification('Der Bestätigungslink ist ungültig oder abgelaufen. Bitte registrieren Sie sich erneut.', 'error');
+        }
+
+        if (params.has('reset')) {
+            this.resetToken = params.get('reset');
+            this.showPasswordModal('reset');
+        }
+
+        if (params.has('recovery')) {
+            this.recoveryToken = params.get('recovery');
+            this.showTwoFactorModal('recovery');
+        }
+
+        // Confirmation link of a data export or deletion request
+        const privacyMessages = {
+            export: ['Ihr Antrag ist bestätigt. Die Datenauskunft steht nach der Anmeldung unter „Datenschutz“ zum Download bereit.', 'success'],
+            deletion: ['Ihr Löschantrag ist bestätigt. Wir prüfen ihn und informieren Sie per E-Mail über das Ergebnis.', 'success'],
+            invalid: ['Der Bestätigungslink ist ungültig oder abgelaufen. Bitte stellen Sie den Antrag im Portal erneut.', 'error']
+        };
+        if (privacyMessages[params.get('privacy')]) {
+            this.showNotification(...privacyMessages[params.get('privacy')]);
+        }
+
+        // Tokens should not stay in the address bar or the browser history
+        if (params.has('verified') || params.has('reset') || params.has('recovery') || params.has('privacy')) {
+            window.history.replaceState({}, '', window.location.pathname);
+        }
+    }
+
+    async restoreSession() {
+        try {
+            const { user } = await this.requestJson('/auth/session');
+            this.user = user;
+            await this.showDashboard();
+        } catch (error) {
+            // Not logged in (401) – the login form stays visible
+            this.showLogin();
+        }
+    }
+
+    // Validation
+
+    validateField(field) {
+        const value = field.type === 'password' ? field.value : field.value.trim();
+        let errorMessage = '';
+
+        if (field.type === 'checkbox') {
+            if (field.required && !field.checked) {
+                errorMessage = field.dataset.requiredMessage || 'Sie müssen der Datenschutzerklärung zustimmen.';
+            }
+        } else if (field.required && !value) {
+            errorMessage = 'Dieses Feld ist erforderlich.';
+        } else if (field.type === 'email' && value && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+            errorMessage = 'Bitte geben Sie eine gültige E-Mail-Adresse ein.';
+        } else if ((field.name === 'firstName' || field.name === 'lastName') && value && value.length < 2) {
+            errorMessage = 'Der Name muss mindestens 2 Zeichen lang sein.';
+        } else if (field.tagName === 'TEXTAREA' && field.dataset.minLength && value && value.length < Number(field.dataset.minLength)) {
+            errorMessage = `Die Nachricht muss mindestens ${field.dataset.minLength} Zeichen lang sein.`;
+        } else if (field.dataset.minLength && value && value.length < Number(field.dataset.minLength)) {
+            errorMessage = `Das Passwort muss mindestens ${field.dataset.minLength} Zeichen lang sein.`;
+        } else if (field.dataset.matches && value !== field.form.querySelector(`[name="${field.dataset.matches}"]`).value) {
+            errorMessage = 'Die Passwörter stimmen nicht überein.';
+        }
+
+        if (errorMessage) {
+            this.showFieldError(field, errorMessage);
+            return false;
+        }
+
+        this.clearFieldError(field);
+        return true;
+    }
+
+    validateForm(form) {
+        let isValid = true;
+
+        form.querySelectorAll('input, select, textarea').forEach(field => {
+            if (!this.validateField(field)) {
+                isValid = false;
+            }
+        });
+
+        return isValid;
+    }
+
+    showFieldError(field, message) {
+        field.classList.add('error');
+        const errorDiv = document.getElementById(`${field.id}-error`);
+        if (errorDiv) {
+            errorDiv.textContent = message;
+            errorDiv.style.display = 'block';
+        }
+    }
+
+    clearFieldError(field) {
+        if (!field.id) return;
+
+        field.classList.remove('error');
+        const errorDiv = document.getElementById(`${field.id}-error`);
+        if (errorDiv) {
+            errorDiv.textContent = '';
+            errorDiv.style.display = 'none';
+        }
+    }
+
+    showServerFieldErrors(form, fields = {}) {
+        Object.entries(fields).forEach(([name, message]) => {
+            const field = form.querySelector(`[name="${name}"]`);
+            if (field) {
+                this.showFieldError(field, message);
+            }
+        });
+    }
+
+    getFormValues(form) {
+        const values = {};
+        new FormData(form).forEach((value, key) => {
+            values[key] = value;
+        });
+        return values;
+    }
+
+    // Login and logout
+
+    async handleLogin(e) {
+        e.preventDefault();
+        if (!this.validateForm(this.loginForm)) return;
+
+        const values = this.getFormValues(this.loginForm);
+        const submitButton = this.loginForm.querySelector('button[type="submit"]');
+        this.setLoading(submitButton, true, 'Wird angemeldet...');
+
+        try {
+            const result = await this.requestJson('/auth/login', {
+                method: 'POST',
+                body: {
+                    username: values.username,
+                    password: values.password,
+                    remember: values.remember === 'on'
+                }
+            });
+
+            if (result.twoFactorRequired) {
+                this.showTwoFactorStep(result.challenge);
+                return;
+            }
+
+            this.user = result.user;
+            this.loginForm.reset();
+            await this.showDashboard();
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        } finally {
+            this.setLoading(submitButton, false);
+        }
+    }
+
+    showTwoFactorStep(challenge) {
+        this.loginChallenge = challenge;
+        this.loginForm.hidden = true;
+        if (this.loginLinks) this.loginLinks.hidden = true;
+        this.twoFactorForm.hidden = false;
+        this.twoFactorForm.code.focus();
+    }
+
+    showLoginStep() {
+        this.loginChallenge = null;
+        this.twoFactorForm.reset();
+        this.clearFieldError(this.twoFactorForm.code);
+        this.twoFactorForm.hidden = true;
+        this.loginForm.hidden = false;
+        if (this.loginLinks) this.loginLinks.hidden = false;
+    }
+
+    async handleTwoFactorLogin(e) {
+        e.preventDefault();
+        if (!this.validateForm(this.twoFactorForm)) return;
+
+        const submitButton = this.twoFactorForm.querySelector('button[type="submit"]');
+        this.setLoading(submitButton, true, 'Wird geprüft...');
+
+        try {
+            const { user } = await this.requestJson('/auth/login/verify', {
+                method: 'POST',
+                body: { challenge: this.loginChallenge, code: this.twoFactorForm.code.value.trim() }
+            });
+            this.user = user;
+            this.loginForm.reset();
+            this.showLoginStep();
+            await this.showDashboard();
+        } catch (error) {
+            // Expired or too many attempts: start over with the password
+            if (error.status === 401 || error.status === 429) {
+                this.showLoginStep();
+            }
+            this.showServerFieldErrors(this.twoFactorForm, error.fields);
+            this.showNotification(error.message, 'error');
+        } finally {
+            this.setLoading(submitButton, false);
+        }
+    }
+
+    async requestTwoFactorRecovery() {
+        if (!window.confirm('Wir senden Ihnen einen Link an Ihre E-Mail-Adresse, mit dem Sie die Zwei-Faktor-Anmeldung abschalten können. Fortfahren?')) return;
+
+        try {
+            await this.requestJson('/auth/two-factor/recovery/request', {
+                method: 'POST',
+                body: { challenge: this.loginChallenge }
+            });
+            this.showLoginStep();
+            this.showNotification('Wir haben Ihnen einen Link per E-Mail gesendet. Er ist eine Stunde gültig.', 'success');
+        } catch (error) {
+            if (error.status === 401) {
+                this.showLoginStep();
+            }
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    async logout() {
+        try {
+            await this.requestJson('/auth/logout', { method: 'POST' });
+        } catch (error) {
+            // The session cookie is cleared by the server; nothing else to do offline
+        }
+
+        this.user = null;
+        this.inbox?.reset();
+        this.treatmentPlans?.reset();
+        this.bonusBooklet?.reset();
+        this.invoices?.reset();
+        this.privacy?.reset();
+        this.showLogin();
+        this.showNotification('Sie wurden erfolgreich abgemeldet.', 'success');
+    }
+
+    // Registration
+
+    showRegistration() {
+        this.openModal(this.registrationModal);
+    }
+
+    async handleRegistration(e) {
+        e.preventDefault();
+        if (!this.validateForm(this.registrationForm)) return;
+
+        const values = this.getFormValues(this.registrationForm);
+        const submitButton = this.registrationForm.querySelector('button[type="submit"]');
+        this.setLoading(submitButton, true, 'Wird gesendet...');
+
+        try {
+            await this.requestJson('/auth/register', {
+                method: 'POST',
+                body: {
+                    firstName: values.firstName,
+                    lastName: values.lastName,
+                    email: values.email,
+                    birthDate: values.birthDate,
+                    password: values.password,
+                    privacy: values.privacy
+                }
+            });
+            this.closeModal();
+            this.showNotification(`Fast geschafft! Wir haben einen Bestätigungslink an ${this.escapeHtml(values.email)} gesendet. Bitte bestätigen Sie Ihre E-Mail-Adresse, bevor Sie sich anmelden.`, 'success');
+        } catch (error) {
+            this.showServerFieldErrors(this.registrationForm, error.fields);
+            this.showNotification(error.message, 'error');
+        } finally {
+            this.setLoading(submitButton, false);
+        }
+    }
+
+    // Password reset
+
+    showPasswordModal(mode) {
+        this.forgotPasswordForm.hidden = mode !== 'request';
+        this.resetPasswordForm.hidden = mode !== 'reset';
+        document.getElementById('password-modal-title').textContent =
+            mode === 'reset' ? 'Neues Passwort festlegen' : 'Passwort vergessen';
+        this.openModal(this.passwordModal);
+    }
+
+    async handleForgotPassword(e) {
+        e.preventDefault();
+        if (!this.validateForm(this.forgotPasswordForm)) return;
+
+        const values = this.getFormValues(this.forgotPasswordForm);
+        const submitButton = this.forgotPasswordForm.querySelector('button[type="submit"]');
+        this.setLoading(submitButton, true, 'Wird gesendet...');
+
+        try {
+            await this.requestJson('/auth/password-reset/request', { method: 'POST', body: { email: values.email } });
+            this.closeModal();
+            this.showNotification('Falls zu dieser Adresse ein Konto besteht, haben wir Ihnen einen Link zum Zurücksetzen gesendet.', 'success');
+        } catch (error) {
+            this.showServerFieldErrors(this.forgotPasswordForm, error.fields);
+            this.showNotification(error.message, 'error');
+        } finally {
+            this.setLoading(submitButton, false);
+        }
+    }
+
+    async handleResetPassword(e) {
+        e.preventDefault();
+        if (!this.validateForm(this.resetPasswordForm)) return;
+
+        const values = this.getFormValues(this.resetPasswordForm);
+        const submitButton = this.resetPasswordForm.querySelector('button[type="submit"]');
+        this.setLoading(submitButton, true, 'Wird gespeichert...');
+
+        try {
+            await this.requestJson('/auth/password-reset', {
+                method: 'POST',
+                body: { token: this.resetToken, password: values.password }
+            });
+            this.resetToken = null;
+            this.closeModal();
+            this.showNotification('Ihr Passwort wurde geändert. Bitte melden Sie sich mit dem neuen Passwort an.', 'success');
+        } catch (error) {
+            this.showServerFieldErrors(this.resetPasswordForm, error.fields);
+            this.showNotification(error.message, 'error');
+        } finally {
+            this.setLoading(submitButton, false);
+        }
+    }
+
+    // Dashboard
+
+    showLogin() {
+        if (this.loginSection) this.loginSection.style.display = '';
+        if (this.dashboard) this.dashboard.style.display = 'none';
+    }
+
+    async showDashboard() {
+        if (!this.dashboard) return;
+
+        let data;
+        try {
+            data = await this.requestJson('/portal/dashboard');
+        } catch (error) {
+            if (error.status === 401) {
+                this.showLogin();
+            }
+            this.showNotification(error.message, 'error');
+            return;
+        }
+
+        this.user = data.user;
+        document.getElementById('user-name').textContent = data.user.firstName;
+        this.renderNextAppointment(data.appointments.upcoming);
+        this.renderAppointments(data.appointments);
+        this.renderDocuments(data.documents);
+        this.renderAnamnesis(data.anamnesis);
+        this.renderTwoFactor(data.twoFactor);
+        this.renderStaffTools();
+        this.renderCalendarFeed(data.calendarFeedUrl);
+        this.renderRecallPreferences(data.recall);
+        this.inbox?.show(data.user);
+        this.treatmentPlans?.show(data.user);
+        this.bonusBooklet?.show(data.user);
+        this.invoices?.show(data.user);
+        this.privacy?.show(data.user);
+
+        if (this.loginSection) this.loginSection.style.display = 'none';
+        this.dashboard.style.display = '';
+    }
+
+    renderNextAppointment(upcoming) {
+        const container = document.getElementById('next-appointment');
+        if (!container) return;
+
+        const next = upcoming[0];
+        if (!next) {
+            container.innerHTML = `
+                <p class="portal-empty">Sie haben derzeit keinen bevorstehenden Termin.</p>
+                <a href="termin.html" class="btn btn-primary">Termin buchen</a>
+            `;
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="appointment-info">
+                <p><strong>Datum:</strong> ${this.formatDateLabel(next.date)}</p>
+                <p><strong>Uhrzeit:</strong> ${next.start} – ${next.end} Uhr</p>
+                <p><strong>Behandlung:</strong> ${this.escapeHtml(next.treatment)}</p>
+            </div>
+            ${next.manageUrl
+                ? `<a href="${next.manageUrl}" class="btn btn-primary">Termin ändern</a>`
+                : '<p class="portal-empty">Kurzfristige Änderungen bitte telefonisch.</p>'}
+            ${next.calendarUrl ? `<a href="${next.calendarUrl}" class="btn btn-secondary" download>Zum Kalender hinzufügen (.ics)</a>` : ''}
+        `;
+    }
+
+    renderAppointments({ upcoming, past }) {
+        const container = document.getElementById('appointments-list');
+        if (!container) return;
+
+        const statusLabels = {
+            confirmed: 'Bestätigt',
+            cancelled: 'Abgesagt'
+        };
+
+        const renderItem = appointment => `
+            <li class="portal-list-item">
+                <div>
+                    <strong>${this.formatDateLabel(appointment.date)}, ${appointment.start} Uhr</strong>
+                    <span>${this.escapeHtml(appointment.treatment)}</span>
+                </div>
+                ${appointment.manageUrl
+                    ? `<a href="${appointment.manageUrl}" class="portal-status">Ändern</a>`
+                    : `<span class="portal-status ${appointment.status}">${statusLabels[appointment.status] || appointment.status}</span>`}
+            </li>
+        `;
+
+        if (upcoming.length === 0 && past.length === 0) {
+            container.innerHTML = '<p class="portal-empty">Es sind noch keine Termine hinterlegt.</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            ${upcoming.length > 0 ? `<h4>Bevorstehend</h4><ul class="portal-list">${upcoming.map(renderItem).join('')}</ul>` : ''}
+            ${past.length > 0 ? `<h4>Vergangen</h4><ul class="portal-list">${past.map(renderItem).join('')}</ul>` : ''}
+        `;
+    }
+
+    renderDocuments(documents) {
+        const container = document.getElementById('documents-list');
+        if (!container) return;
+
+        if (documents.length === 0) {
+            container.innerHTML = '<p class="portal-empty">Für Sie liegen noch keine Dokumente vor.</p>';
+            return;
+        }
+
+        this.documents = documents;
+        container.innerHTML = documents.map(document => `
+            <div class="document-link">
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/>
+                    <polyline points="14,2 14,8 20,8"/>
+                </svg>
+                <div class="document-info">
+                    <span>${this.escapeHtml(document.title || document.fileName)}</span>
+                    <span class="message-date">${this.escapeHtml(document.categoryLabel)} · ${new Date(document.createdAt).toLocaleDateString('de-DE')}</span>
+                </div>
+                <div class="document-actions">
+                    <button type="button" class="btn btn-secondary btn-small" data-preview="${document.id}">Ansehen</button>
+                    <a href="${this.getDocumentUrl(document)}" class="btn btn-secondary btn-small" download>Herunterladen</a>
+                </div>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('[data-preview]').forEach(button => {
+            button.addEventListener('click', () => this.previewDocument(button.dataset.preview));
+        });
+    }
+
+    getDocumentUrl(document, inline = false) {
+        return `${this.apiBase}/portal/documents/${encodeURIComponent(document.id)}/file${inline ? '?disposition=inline' : ''}`;
+    }
+
+    // PDFs open in the browser's viewer, X-ray images as picture; both are logged like a download
+    previewDocument(documentId) {
+        const document = this.documents.find(candidate => candidate.id === documentId);
+        const preview = window.document.getElementById('document-preview');
+        if (!document || !preview) return;
+
+        const title = this.escapeHtml(document.title || document.fileName);
+        window.document.getElementById('document-modal-title').textContent = document.title || document.fileName;
+        window.document.getElementById('document-download').href = this.getDocumentUrl(document);
+        preview.innerHTML = document.contentType === 'application/pdf'
+            ? `<iframe src="${this.getDocumentUrl(document, true)}" title="${title}"></iframe>`
+            : `<img src="${this.getDocumentUrl(document, true)}" alt="${title}">`;
+
+        this.openModal(this.documentModal);
+    }
+
+    renderAnamnesis(anamnesis) {
+        const container = document.getElementById('anamnesis-status');
+        const link = document.getElementById('anamnesis-link');
+        if (!container || !link || !anamnesis) return;
+
+        let text = 'Füllen Sie die Fragen zu Ihrer Gesundheit bequem vor Ihrem nächsten Termin aus.';
+        let label = 'Anamnesebogen ausfüllen';
+
+        if (anamnesis.status === 'draft') {
+            text = `Ihr Entwurf vom ${new Date(anamnesis.savedAt).toLocaleDateString('de-DE')} ist noch nicht unterschrieben.`;
+            label = 'Weiter ausfüllen';
+        } else if (anamnesis.status === 'submitted') {
+            text = `Unterschrieben am ${new Date(anamnesis.submittedAt).toLocaleDateString('de-DE')}. Hat sich etwas geändert? Dann füllen Sie den Bogen bitte erneut aus.`;
+            label = 'Anamnesebogen aktualisieren';
+        }
+
+        container.innerHTML = `<p class="portal-empty">${text}</p>`;
+        link.textContent = label;
+    }
+
+    // Two-factor login
+
+    renderTwoFactor(status) {
+        const container = document.getElementById('two-factor-status');
+        if (!container || !status) return;
+
+        if (!status.enabled) {
+            container.innerHTML = `
+                <p class="portal-empty">Nicht eingerichtet.</p>
+                <button type="button" class="btn btn-primary" data-action="setup">Jetzt einrichten</button>
+            `;
+            container.querySelector('[data-action="setup"]').addEventListener('click', () => this.startTwoFactorSetup());
+            return;
+        }
+
+        const devices = status.trustedDevices === 1 ? '1 Gerät' : `${status.trustedDevices} Geräte`;
+        container.innerHTML = `
+            <p>Aktiv seit ${new Date(status.enabledAt).toLocaleDateString('de-DE')}. Noch ${status.backupCodesLeft} von 10 Backup-Codes übrig.</p>
+            <p>Ohne Code angemeldet (durch „Angemeldet bleiben“): ${devices}</p>
+            <div class="two-factor-actions">
+                <button type="button" class="btn btn-secondary btn-small" data-action="backup-codes">Neue Backup-Codes</button>
+                ${status.trustedDevices > 0 ? '<button type="button" class="btn btn-secondary btn-small" data-action="revoke">Geräte vergessen</button>' : ''}
+                <button type="button" class="btn btn-secondary btn-small" data-action="disable">Abschalten</button>
+            </div>
+        `;
+        container.querySelector('[data-action="backup-codes"]').addEventListener('click', () => this.showTwoFactorModal('backup-codes'));
+        container.querySelector('[data-action="revoke"]')?.addEventListener('click', () => this.revokeTrustedDevices());
+        container.querySelector('[data-action="disable"]').addEventListener('click', () => this.showTwoFactorModal('disable'));
+    }
+
+    showTwoFactorModal(mode) {
+        const titles = {
+            setup: 'Zwei-Faktor-Anmeldung einrichten',
+            'backup-codes': 'Backup-Codes',
+            'backup-codes-new': 'Ihre Backup-Codes',
+            disable: 'Zwei-Faktor-Anmeldung abschalten',
+            recovery: 'Zwei-Faktor-Anmeldung zurücksetzen'
+        };
+
+        this.twoFactorSetupForm.hidden = mode !== 'setup';
+        this.backupCodesForm.hidden = mode !== 'backup-codes';
+        document.getElementById('two-factor-backup').hidden = mode !== 'backup-codes-new';
+        this.twoFactorDisableForm.hidden = mode !== 'disable';
+        this.twoFactorRecoveryForm.hidden = mode !== 'recovery';
+        document.getElementById('two-factor-modal-title').textContent = titles[mode];
+
+        if (this.activeModal === this.twoFactorModal) {
+            this.twoFactorModal.querySelector('form:not([hidden]) input')?.focus();
+        } else {
+            this.openModal(this.twoFactorModal);
+        }
+    }
+
+    async startTwoFactorSetup() {
+        try {
+            const { secret, qrCode } = await this.requestJson('/portal/two-factor/setup', { method: 'POST' });
+            this.showTwoFactorModal('setup');
+            // The SVG is generated by our own server, see server/lib/qr-code.js
+            document.getElementById('two-factor-qr').innerHTML = qrCode;
+            document.getElementById('two-factor-secret').textContent = secret.match(/.{1,4}/g).join(' ');
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    async handleTwoFactorSetup(e) {
+        e.preventDefault();
+        if (!this.validateForm(this.twoFactorSetupForm)) return;
+
+        const submitButton = this.twoFactorSetupForm.querySelector('button[type="submit"]');
+        this.setLoading(submitButton, true, 'Wird geprüft...');
+
+        try {
+            const { backupCodes } = await this.requestJson('/portal/two-factor/enable', {
+                method: 'POST',
+                body: { code: this.twoFactorSetupForm.code.value.trim() }
+            });
+            this.showBackupCodes(backupCodes);
+            this.showNotification('Die Zwei-Faktor-Anmeldung ist jetzt aktiv.', 'success');
+            await this.refreshTwoFactorStatus();
+        } catch (error) {
+            this.showServerFieldErrors(this.twoFactorSetupForm, error.fields);
+            this.showNotification(error.message, 'error');
+        } finally {
+            this.setLoading(submitButton, false);
+        }
+    }
+
+    showBackupCodes(backupCodes) {
+        this.showTwoFactorModal('backup-codes-new');
+        document.getElementById('backup-codes-list').innerHTML = backupCodes
+            .map(code => `<li>${this.escapeHtml(code)}</li>`)
+            .join('');
+    }
+
+    async handleBackupCodes(e) {
+        e.preventDefault();
+        if (!this.validateForm(this.backupCodesForm)) return;
+
+        const submitButton = this.backupCodesForm.querySelector('button[type="submit"]');
+        this.setLoading(submitButton, true, 'Wird erzeugt...');
+
+        try {
+            const { backupCodes } = await this.requestJson('/portal/two-factor/backup-codes', {
+                method: 'POST',
+                body: { code: this.backupCodesForm.code.value.trim() }
+            });
+            this.showBackupCodes(backupCodes);
+            await this.refreshTwoFactorStatus();
+        } catch (error) {
+            this.showServerFieldErrors(this.backupCodesForm, error.fields);
+            this.showNotification(error.message, 'error');
+        } finally {
+            this.setLoading(submitButton, false);
+        }
+    }
+
+    async handleTwoFactorDisable(e) {
+        e.preventDefault();
+        if (!this.validateForm(this.twoFactorDisableForm)) return;
+
+        const values = this.getFormValues(this.twoFactorDisableForm);
+        const submitButton = this.twoFactorDisableForm.querySelector('button[type="submit"]');
+        this.setLoading(submitButton, true, 'Wird abgeschaltet...');
+
+        try {
+            await this.requestJson('/portal/two-factor/disable', {
+                method: 'POST',
+                body: { password: values.password, code: values.code.trim() }
+            });
+            this.closeModal();
+            this.showNotification('Die Zwei-Faktor-Anmeldung wurde abgeschaltet.', 'success');
+            await this.refreshTwoFactorStatus();
+        } catch (error) {
+            this.showServerFieldErrors(this.twoFactorDisableForm, error.fields);
+            this.showNotification(error.message, 'error');
+        } finally {
+            this.setLoading(submitButton, false);
+        }
+    }
+
+    async revokeTrustedDevices() {
+        if (!window.confirm('Auf allen Geräten wird bei der nächsten Anmeldung wieder ein Code abgefragt. Fortfahren?')) return;
+
+        try {
+            const status = await this.requestJson('/portal/two-factor/trusted-devices/revoke', { method: 'POST' });
+            this.renderTwoFactor(status);
+            this.showNotification('Alle Geräte wurden vergessen.', 'success');
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    async refreshTwoFactorStatus() {
+        try {
+            this.renderTwoFactor(await this.requestJson('/portal/two-factor'));
+        } catch (error) {
+            // The card keeps its old state until the next page load
+        }
+    }
+
+    async handleTwoFactorRecovery(e) {
+        e.preventDefault();
+
+        const submitButton = this.twoFactorRecoveryForm.querySelector('button[type="submit"]');
+        this.setLoading(submitButton, true, 'Wird abgeschaltet...');
+
+        try {
+            await this.requestJson('/auth/two-factor/recovery', {
+                method: 'POST',
+                body: { token: this.recoveryToken }
+            });
+            this.recoveryToken = null;
+            this.closeModal();
+            this.user = null;
+            this.showLogin();
+            this.showNotification('Die Zwei-Faktor-Anmeldung wurde abgeschaltet. Bitte melden Sie sich mit Ihrem Passwort an und richten Sie sie neu ein.', 'success');
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        } finally {
+            this.setLoading(submitButton, false);
+        }
+    }
+
+    renderStaffTools() {
+        ['staff-inbox-link', 'staff-documents'].forEach(id => {
+            const card = document.getElementById(id);
+            if (card) {
+                card.hidden = this.user?.role !== 'staff';
+            }
+        });
+    }
+
+    async handleDocumentUpload(e) {
+        e.preventDefault();
+
+        const form = e.currentTarget;
+        if (!this.validateForm(form)) return;
+
+        const submitButton = form.querySelector('button[type="submit"]');
+        this.setLoading(submitButton, true, 'Wird hochgeladen...');
+
+        try {
+            const file = form.file.files[0];
+            const { document } = await this.requestJson('/staff/documents', {
+                method: 'POST',
+                body: {
+                    email: form.email.value.trim(),
+                    category: form.category.value,
+                    title: form.title.value.trim(),
+                    file: { name: file.name, data: await this.readFileAsBase64(file) }
+                }
+            });
+            form.reset();
+            this.showNotification(`„${this.escapeHtml(document.title)}“ wurde hochgeladen. Der Patient wurde per E-Mail benachrichtigt.`, 'success');
+        } catch (error) {
+            this.showServerFieldErrors(form, error.fields);
+            this.showNotification(error.message, 'error');
+        } finally {
+            this.setLoading(submitButton, false);
+        }
+    }
+
+    readFileAsBase64(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result.split(',')[1]);
+            reader.onerror = () => reject(new Error('Die Datei konnte nicht gelesen werden.'));
+            reader.readAsDataURL(file);
+        });
+    }
+
+    renderCalendarFeed(feedUrl) {
+        const container = document.getElementById('calendar-feed');
+        if (!container || !feedUrl) return;
+
+        // webcal:// makes the browser hand the feed to the calendar app as a subscription
+        const webcalUrl = feedUrl.replace(/^https?:/, 'webcal:');
+
+        container.innerHTML = `
+            <a href="${webcalUrl}" class="btn btn-primary">Kalender abonnieren</a>
+            <div class="form-group">
+                <label for="calendar-feed-url">Oder diese Adresse im Kalender hinzufügen:</label>
+                <input type="text" id="calendar-feed-url" value="${feedUrl}" readonly>
+            </div>
+            <div class="calendar-feed-actions">
+                <button type="button" class="btn btn-secondary" data-action="copy">Adresse kopieren</button>
+                <button type="button" class="btn btn-secondary" data-action="reset">Neue Adresse erzeugen</button>
+            </div>
+        `;
+
+        container.querySelector('[data-action="copy"]').addEventListener('click', () => this.copyCalendarFeedUrl());
+        container.querySelector('[data-action="reset"]').addEventListener('click', () => this.resetCalendarFeed());
+    }
+
+    async copyCalendarFeedUrl() {
+        const input = document.getElementById('calendar-feed-url');
+
+        try {
+            await navigator.clipboard.writeText(input.value);
+            this.showNotification('Die Kalender-Adresse wurde kopiert.', 'success');
+        } catch (error) {
+            input.select();
+            this.showNotification('Bitte kopieren Sie die markierte Adresse manuell.', 'info');
+        }
+    }
+
+    async resetCalendarFeed() {
+        if (!window.confirm('Die bisherige Adresse funktioniert danach nicht mehr. Bereits eingerichtete Abos müssen neu hinzugefügt werden. Fortfahren?')) return;
+
+        try {
+            const { calendarFeedUrl } = await this.requestJson('/portal/calendar-feed/reset', { method: 'POST' });
+            this.renderCalendarFeed(calendarFeedUrl);
+            this.showNotification('Es wurde eine neue Kalender-Adresse erzeugt.', 'success');
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    renderRecallPreferences(preferences) {
+        const form = document.getElementById('recall-form');
+        if (!form || !preferences) return;
+
+        form.intervalMonths.innerHTML = preferences.allowedIntervals
+            .map(months => `<option value="${months}">${months} Monaten</option>`)
+            .join('');
+        form.intervalMonths.value = String(preferences.intervalMonths);
+        form.sms.checked = preferences.sms;
+        form.optOut.checked = preferences.optOut;
+        document.getElementById('recall-sms-group').hidden = !preferences.smsAvailable;
+
+        if (!form.dataset.bound) {
+            form.dataset.bound = 'true';
+            form.addEventListener('submit', (e) => this.handleRecallPreferences(e));
+        }
+    }
+
+    async handleRecallPreferences(e) {
+        e.preventDefault();
+
+        const form = e.currentTarget;
+        const submitButton = form.querySelector('button[type="submit"]');
+        this.setLoading(submitButton, true, 'Wird gespeichert...');
+
+        try {
+            const { preferences } = await this.requestJson('/portal/recall', {
+                method: 'POST',
+                body: {
+                    intervalMonths: Number(form.intervalMonths.value),
+                    sms: form.sms.checked,
+                    optOut: form.optOut.checked
+                }
+            });
+            this.showNotification(preferences.optOut
+                ? 'Sie erhalten keine Recall-Erinnerungen mehr.'
+                : `Wir erinnern Sie ${preferences.intervalMonths} Monate nach Ihrer letzten Zahnreinigung.`, 'success');
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        } finally {
+            this.setLoading(submitButton, false);
+        }
+    }
+
+    // Modals
+
+    openModal(modal) {
+        if (!modal) return;
+        if (this.activeModal && this.activeModal !== modal) {
+            this.closeModal();
+        }
+
+        this.activeModal = modal;
+        modal.classList.add('show');
+        modal.setAttribute('aria-hidden', 'false');
+        document.body.style.overflow = 'hidden';
+
+        const firstInput = modal.querySelector('form:not([hidden]) :is(input, select, textarea)');
+        if (firstInput) {
+            firstInput.focus();
+        }
+    }
+
+    closeModal() {
+        const modal = this.activeModal;
+        if (!modal) return;
+
+        modal.classList.remove('show');
+        modal.setAttribute('aria-hidden', 'true');
+        document.body.style.overflow = '';
+
+        modal.querySelectorAll('form').forEach(form => {
+            form.reset();
+            form.querySelectorAll('input, select, textarea').forEach(field => this.clearFieldError(field));
+        });
+        // Unloads the previewed document
+        modal.querySelectorAll('.document-preview').forEach(preview => {
+            preview.innerHTML = '';
+        });
+        // Secrets and backup codes should not stay in the page once the dialog is closed
+        modal.querySelectorAll('.two-factor-sensitive').forEach(element => {
+            element.innerHTML = '';
+        });
+        this.activeModal = null;
+    }
+
+    // Helpers
+
+    async requestJson(path, { method = 'GET', body } = {}) {
+        let response;
+
+        try {
+            response = await fetch(`${this.apiBase}${path}`, {
+                method,
+                credentials: 'same-origin',
+                headers: body ? { 'Content-Type': 'application/json' } : {},
+                body: body ? JSON.stringify(body) : undefined
+            });
+        } catch (error) {
+            throw new Error('Der Server ist nicht erreichbar. Bitte versuchen Sie es später erneut.');
+        }
+
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            const error = new Error(data.error || 'Ihre Anfrage konnte nicht verarbeitet werden.');
+            error.status = response.status;
+            error.fields = data.details?.fields || {};
+            throw error;
+        }
+
+        return data;
+    }
+
+    setLoading(button, isLoading, text = '') {
+        if (!button) return;
+
+        if (isLoading) {
+            button.dataset.originalText = button.textContent;
+            button.disabled = true;
+            button.setAttribute('aria-busy', 'true');
+            button.innerHTML = `
+                <svg class="loading-spinner" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M21 12a9 9 0 11-6.219-8.56"/>
+                </svg>
+                ${text}
+            `;
+        } else {
+            button.disabled = false;
+            button.removeAttribute('aria-busy');
+            button.textContent = button.dataset.originalText || button.textContent;
+        }
+    }
+
+    formatDateLabel(value) {
+        return new Date(`${value}T00:00:00`).toLocaleDateString('de-DE', {
+            weekday: 'short',
+            day: 'numeric',
+            month: 'long',
+            year: 'numeric'
+        });
+    }
+
+    escapeHtml(value) {
+        return String(value ?? '').replace(/[&<>"']/g, char => ({
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#39;'
+        })[char]);
+    }
+
+    showNotification(message, type = 'info') {
+        const titles = {
+            success: 'Erfolgreich',
+            error: 'Fehler',
+            info: 'Information'
+        };
+
+        const notification = document.createElement('div');
+        notification.className = `form-notification ${type}`;
+        notification.setAttribute('role', type === 'error' ? 'alert' : 'status');
+        notification.innerHTML = `
+            <div class="notification-content">
+                <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    ${type === 'success'
+                        ? '<path d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z"/>'
+                        : '<circle cx="12" cy="12" r="10"/><path d="M12 16v-4M12 8h.01"/>'}
+                </svg>
+                <div>
+                    <h4>${titles[type] || titles.info}</h4>
+                    <p>${message}</p>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(notification);
+
+        // Remove notification after 6 seconds
+        setTimeout(() => {
+            notification.remove();
+        }, 6000);
+    }
+}
+
+// Global functions for onclick handlers
+function showForgotPassword() {
+    window.patientPortal?.showPasswordModal('request');
+}
+
+function showRegistration() {
+    window.patientPortal?.showRegistration();
+}
+
+function closePortalModal() {
+    window.patientPortal?.closeModal();
+}
+
+function logout() {
+    window.patientPortal?.logout();
+}
+
+// Initialize the portal when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.patientPortal = new PatientPortal();
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PatientPortal;
+}
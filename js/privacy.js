@@ -0,0 +1,333 @@
+/**
+ * Portal Privacy
+ * The "Datenschutz" card of the patient portal: patients request a copy of
+ * their data or the deletion of their account and follow the requests.
+ * Staff accounts review deletion requests and see each request's history.
+ */
+const PRIVACY_STATUS = {
+    unconfirmed: 'Bestätigung per E-Mail ausstehend',
+    review: 'In Prüfung',
+    completed: 'Abgeschlossen',
+    rejected: 'Abgelehnt',
+    cancelled: 'Zurückgezogen',
+    expired: 'Nicht bestätigt'
+};
+
+const PRIVACY_ACTIONS = {
+    requested: 'Antrag gestellt',
+    confirmed: 'Per E-Mail bestätigt',
+    downloaded: 'Export heruntergeladen',
+    approved: 'Löschung genehmigt',
+    rejected: 'Abgelehnt',
+    completed: 'Abgeschlossen',
+    cancelled: 'Zurückgezogen',
+    expired: 'Bestätigungslink abgelaufen'
+};
+
+class PortalPrivacy {
+    constructor(portal) {
+        this.portal = portal;
+        this.user = null;
+        this.request = null;
+        this.codeRequired = false;
+
+        this.setupElements();
+        this.setupEventListeners();
+    }
+
+    setupElements() {
+        this.card = document.getElementById('privacy');
+        this.requestList = document.getElementById('privacy-request-list');
+        this.modal = document.getElementById('privacy-modal');
+        this.requestForm = document.getElementById('privacy-request-form');
+        this.reviewView = document.getElementById('privacy-review');
+        this.decisionForm = document.getElementById('privacy-decision-form');
+    }
+
+    setupEventListeners() {
+        if (!this.card) return;
+
+        this.requestForm?.addEventListener('submit', (e) => this.handleRequest(e));
+        this.decisionForm?.addEventListener('submit', (e) => this.handleDecision(e));
+
+        [this.requestForm, this.decisionForm].forEach(form => {
+            form?.addEventListener('input', (e) => this.portal.clearFieldError(e.target));
+            form?.addEventListener('change', (e) => this.portal.clearFieldError(e.target));
+        });
+
+        this.card.querySelectorAll('[data-privacy-type]').forEach(button => {
+            button.addEventListener('click', () => this.showRequestForm(button.dataset.privacyType));
+        });
+
+        this.requestList?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            const requestId = button.closest('[data-request-id]').dataset.requestId;
+            if (button.dataset.action === 'cancel') this.cancelRequest(requestId);
+            if (button.dataset.action === 'review') this.openReview(requestId);
+        });
+    }
+
+    get isStaff() {
+        return this.user?.role === 'staff';
+    }
+
+    async show(user) {
+        if (!this.card) return;
+
+        this.user = user;
+        document.getElementById('privacy-actions').hidden = this.isStaff;
+        document.getElementById('privacy-intro').innerHTML = this.isStaff
+            ? 'Anträge auf Datenauskunft und Löschung aus dem Portal. Löschanträge müssen innerhalb eines Monats beantwortet werden.'
+            : 'Sie können jederzeit eine Kopie Ihrer bei uns gespeicherten Daten anfordern oder die Löschung Ihres Kontos beantragen. Mehr dazu in unserer <a href="datenschutz.html">Datenschutzerklärung</a>.';
+
+        await this.loadRequests();
+    }
+
+    reset() {
+        this.user = null;
+        this.request = null;
+        if (this.requestList) this.requestList.innerHTML = '';
+    }
+
+    // Request list
+
+    async loadRequests() {
+        try {
+            if (this.isStaff) {
+                const { requests } = await this.portal.requestJson('/staff/privacy-requests');
+                this.renderRequests(requests);
+            } else {
+                const { requests, codeRequired } = await this.portal.requestJson('/portal/privacy/requests');
+                this.codeRequired = codeRequired;
+                this.renderRequests(requests);
+            }
+        } catch (error) {
+            this.portal.showNotification(error.message, 'error');
+        }
+    }
+
+    renderRequests(requests) {
+        if (requests.length === 0) {
+            this.requestList.innerHTML = this.isStaff
+                ? '<p class="portal-empty">Es liegen keine Anträge vor.</p>'
+                : '';
+            return;
+        }
+
+        const escape = value => this.portal.escapeHtml(value);
+        this.requestList.innerHTML = `<ul class="portal-list">${requests.map(request => `
+            <li class="portal-list-item" data-request-id="${request.id}">
+                <div>
+                    <strong>${escape(request.typeLabel)}</strong>
+                    <span>${this.isStaff ? `${escape(request.patient.name)} · ` : ''}Beantragt am ${this.formatDateTime(request.createdAt)}</span>
+                    ${request.status === 'review' ? `<span>Frist: ${this.formatDate(request.dueDate)}</span>` : ''}
+                    ${request.status === 'rejected' && request.decisionNote ? `<span>${escape(request.decisionNote)}</span>` : ''}
+                    ${request.exportAvailable ? `<span>Download bis ${this.formatDateTime(request.exportAvailableUntil)}</span>` : ''}
+                </div>
+                <div class="privacy-request-actions">
+                    <span class="portal-status ${request.status === 'completed' ? 'confirmed' : ''}">${this.getStatusLabel(request)}</span>
+                    ${this.renderActions(request)}
+                </div>
+            </li>
+        `).join('')}</ul>`;
+    }
+
+    getStatusLabel(request) {
+        if (request.confirmationExpired) return PRIVACY_STATUS.expired;
+        return PRIVACY_STATUS[request.status] || request.status;
+    }
+
+    renderActions(request) {
+        if (this.isStaff) {
+            return `<button type="button" class="btn btn-secondary btn-small" data-action="review">${request.status === 'review' ? 'Prüfen' : 'Verlauf'}</button>`;
+        }
+
+        const actions = [];
+        if (request.exportAvailable) {
+            actions.push(`<a href="${this.portal.apiBase}/portal/privacy/requests/${request.id}/export" class="btn btn-primary btn-small" download>Herunterladen</a>`);
+        }
+        if (['unconfirmed', 'review'].includes(request.status) && !request.confirmationExpired) {
+            actions.push('<button type="button" class="btn btn-secondary btn-small" data-action="cancel">Zurückziehen</button>');
+        }
+        return actions.join('');
+    }
+
+    // New request
+
+    showRequestForm(type) {
+        const form = this.requestForm;
+        form.reset();
+        form.type.value = type;
+
+        const deletion = type === 'deletion';
+        document.getElementById('privacy-modal-title').textContent = deletion ? 'Löschung beantragen' : 'Datenauskunft anfordern';
+        document.getElementById('privacy-request-intro').textContent = deletion
+            ? 'Nach Ihrer Bestätigung per E-Mail prüfen wir den Antrag. Ihr Konto, Ihre Nachrichten und Einstellungen werden dann gelöscht. Behandlungsunterlagen und Rechnungen müssen wir für die gesetzlichen Fristen aufbewahren; sie werden bis dahin nur noch zu diesem Zweck gespeichert.'
+            : 'Sie erhalten alle zu Ihrem Konto gespeicherten Daten als JSON-Datei (Termine, Nachrichten, Dokumente, Rechnungen, Newsletter-Status u. a.). Nach Ihrer Bestätigung per E-Mail steht die Datei 7 Tage zum Download bereit.';
+        document.getElementById('privacy-note-group').hidden = !deletion;
+
+        const codeGroup = document.getElementById('privacy-code-group');
+        codeGroup.hidden = !this.codeRequired;
+        form.code.required = this.codeRequired;
+
+        form.querySelector('button[type="submit"]').textContent = deletion ? 'Löschung beantragen' : 'Auskunft anfordern';
+        form.hidden = false;
+        this.reviewView.hidden = true;
+        this.decisionForm.hidden = true;
+        this.portal.openModal(this.modal);
+    }
+
+    async handleRequest(e) {
+        e.preventDefault();
+        if (!this.portal.validateForm(this.requestForm)) return;
+
+        const form = this.requestForm;
+        const submitButton = form.querySelector('button[type="submit"]');
+        this.portal.setLoading(submitButton, true, 'Wird gesendet...');
+
+        try {
+            await this.portal.requestJson('/portal/privacy/requests', {
+                method: 'POST',
+                body: {
+                    type: form.type.value,
+                    password: form.password.value,
+                    code: form.code.value.trim(),
+                    note: form.note.value.trim()
+                }
+            });
+            this.portal.closeModal();
+            await this.loadRequests();
+            this.portal.showNotification('Wir haben Ihnen eine E-Mail geschickt. Bitte bestätigen Sie den Antrag innerhalb von 24 Stunden über den Link darin.', 'success');
+        } catch (error) {
+            this.portal.showServerFieldErrors(form, error.fields);
+            this.portal.showNotification(error.message, 'error');
+        } finally {
+            this.portal.setLoading(submitButton, false);
+        }
+    }
+
+    async cancelRequest(requestId) {
+        if (!window.confirm('Diesen Antrag zurückziehen?')) return;
+
+        try {
+            await this.portal.requestJson(`/portal/privacy/requests/${encodeURIComponent(requestId)}/cancel`, { method: 'POST', body: {} });
+            await this.loadRequests();
+        } catch (error) {
+            this.portal.showNotification(error.message, 'error');
+        }
+    }
+
+    // Review (staff)
+
+    async openReview(requestId) {
+        try {
+            const { request } = await this.portal.requestJson(`/staff/privacy-requests/${encodeURIComponent(requestId)}`);
+            this.showReview(request);
+        } catch (error) {
+            this.portal.showNotification(error.message, 'error');
+        }
+    }
+
+    showReview(request) {
+        this.request = request;
+        document.getElementById('privacy-modal-title').textContent = `${request.typeLabel}: ${request.patient.name}`;
+        this.reviewView.innerHTML = this.renderReview(request);
+        this.reviewView.hidden = false;
+        this.requestForm.hidden = true;
+        this.decisionForm.hidden = request.status !== 'review';
+        this.decisionForm.reset();
+
+        if (this.portal.activeModal !== this.modal) {
+            this.portal.openModal(this.modal);
+        }
+    }
+
+    renderReview(request) {
+        const escape = value => this.portal.escapeHtml(value);
+        const summary = request.outcome || request.preview;
+
+        const warnings = [];
+        if (request.preview?.openInvoices > 0) {
+            warnings.push(`${request.preview.openInvoices} offene Rechnung(en) – nach der Löschung ist keine Online-Zahlung mehr möglich.`);
+        }
+        if (request.preview?.upcomingBookings > 0) {
+            warnings.push(`${request.preview.upcomingBookings} anstehende(r) Termin(e) – bitte mit dem Patienten klären, ob sie bestehen bleiben.`);
+        }
+
+        const history = request.audit.map(entry => `
+            <li>${this.formatDateTime(entry.at)}: ${PRIVACY_ACTIONS[entry.action] || escape(entry.action)}
+                ${entry.actor ? `(${escape(entry.actor)})` : `(${entry.actorRole === 'patient' ? 'Patient' : entry.actorRole === 'staff' ? 'Praxisteam' : 'System'})`}
+                ${entry.note ? `<br><small>${escape(entry.note)}</small>` : ''}
+            </li>
+        `).join('');
+
+        return `
+            <div class="plan-status ${request.status === 'completed' ? 'approved' : ''}">
+                <p>${escape(request.patient.name)}${request.patient.email ? ` · ${escape(request.patient.email)}` : ''}</p>
+                <p><strong>${this.getStatusLabel(request)}</strong>${request.status === 'review' ? ` – Frist ${this.formatDate(request.dueDate)}` : ''}</p>
+                ${request.note ? `<p>Anmerkung: ${escape(request.note)}</p>` : ''}
+                ${request.decision?.note ? `<p>Begründung: ${escape(request.decision.note)}</p>` : ''}
+            </div>
+            ${warnings.length > 0 ? `<div class="result-disclaimer">${warnings.map(warning => `<p>${warning}</p>`).join('')}</div>` : ''}
+            ${summary ? `
+            <div class="privacy-outcome">
+                <h4>${request.outcome ? 'Gelöscht' : 'Wird gelöscht'}</h4>
+                <ul>${summary.deleted.map(entry => `<li>${escape(entry.label)} (${entry.count})</li>`).join('')}</ul>
+                <h4>${request.outcome ? 'Aufbewahrt' : 'Bleibt aufbewahrt'}</h4>
+                <ul>${summary.retained.map(entry => `<li>${escape(entry.label)} (${entry.count}) – ${escape(entry.reason)}, bis ${this.formatDate(entry.retainUntil)}</li>`).join('')}</ul>
+            </div>` : ''}
+            <div class="privacy-audit">
+                <h4>Verlauf</h4>
+                <ul>${history}</ul>
+            </div>
+        `;
+    }
+
+    async handleDecision(e) {
+        e.preventDefault();
+        if (!this.request) return;
+
+        const form = this.decisionForm;
+        if (!this.portal.validateForm(form)) return;
+
+        const decision = form.decision.value;
+        if (decision === 'approve' && !window.confirm('Die Daten werden jetzt endgültig gelöscht. Fortfahren?')) return;
+
+        const submitButton = form.querySelector('button[type="submit"]');
+        this.portal.setLoading(submitButton, true, 'Wird gespeichert...');
+
+        try {
+            const { request } = await this.portal.requestJson(`/staff/privacy-requests/${this.request.id}/decision`, {
+                method: 'POST',
+                body: { decision, note: form.note.value.trim() }
+            });
+            this.showReview(request);
+            await this.loadRequests();
+            this.portal.showNotification(decision === 'approve'
+                ? 'Die Daten wurden gelöscht und der Patient per E-Mail informiert.'
+                : 'Der Antrag wurde abgelehnt und der Patient per E-Mail informiert.', 'success');
+        } catch (error) {
+            this.portal.showServerFieldErrors(form, error.fields);
+            this.portal.showNotification(error.message, 'error');
+        } finally {
+            this.portal.setLoading(submitButton, false);
+        }
+    }
+
+    // Formatting
+
+    formatDate(value) {
+        return new Date(`${value}T00:00:00`).toLocaleDateString('de-DE');
+    }
+
+    formatDateTime(value) {
+        return new Date(value).toLocaleString('de-DE', { dateStyle: 'medium', timeStyle: 'short' });
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PortalPrivacy;
+}
@@ -0,0 +1,229 @@
+/**
+ * Slot Offer Page
+ * Shows a freed slot offered to a waitlisted patient (termin-angebot.html?token=…)
+ * and lets them book or decline it before the offer expires
+ */
+class SlotOfferPage {
+    constructor() {
+        this.apiBase = '/api';
+        this.token = new URLSearchParams(window.location.search).get('token');
+        this.offer = null;
+        this.init();
+    }
+
+    init() {
+        this.setupElements();
+        this.setupEventListeners();
+        this.loadOffer();
+    }
+
+    setupElements() {
+        this.details = document.getElementById('offer-details');
+        this.actions = document.getElementById('offer-actions');
+        this.claimButton = document.getElementById('offer-claim');
+        this.declineButton = document.getElementById('offer-decline');
+    }
+
+    setupEventListeners() {
+        this.claimButton?.addEventListener('click', () => this.handleClaim());
+        this.declineButton?.addEventListener('click', () => this.handleDecline());
+    }
+
+    get basePath() {
+        return `/waitlist/offers/${encodeURIComponent(this.token)}`;
+    }
+
+    async loadOffer() {
+        if (!this.token) {
+            this.renderMessage('Dieser Link ist unvollständig. Bitte verwenden Sie den Link aus Ihrer E-Mail.');
+            return;
+        }
+
+        try {
+            const { offer } = await this.requestJson(this.basePath);
+            this.offer = offer;
+            this.renderOffer();
+        } catch (error) {
+            this.renderMessage(error.message);
+        }
+    }
+
+    renderMessage(message) {
+        this.details.innerHTML = `
+            <p class="portal-empty">${message}</p>
+            <a href="termin.html" class="btn btn-primary">Termin buchen</a>
+        `;
+        this.actions.hidden = true;
+    }
+
+    renderOffer() {
+        const offer = this.offer;
+        const expiresAt = new Date(offer.expiresAt);
+
+        this.details.innerHTML = `
+            <h3>Frei gewordener Termin</h3>
+            <div class="appointment-info">
+                <p><strong>Patient:</strong> ${this.escapeHtml(offer.patient.firstName)} ${this.escapeHtml(offer.patient.lastName)}</p>
+                <p><strong>Behandlung:</strong> ${this.escapeHtml(offer.treatment)}</p>
+                <p><strong>Datum:</strong> ${this.formatDateLabel(offer.date)}</p>
+                <p><strong>Uhrzeit:</strong> ${offer.start} – ${offer.end} Uhr</p>
+            </div>
+            <p class="portal-status">Reserviert bis ${expiresAt.toLocaleDateString('de-DE')}, ${expiresAt.toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' })} Uhr</p>
+        `;
+        this.actions.hidden = false;
+    }
+
+    renderBooked({ booking, manageUrl, calendarUrl }) {
+        this.details.innerHTML = `
+            <h3>Ihr Termin ist gebucht</h3>
+            <div class="appointment-info">
+                <p><strong>Behandlung:</strong> ${this.escapeHtml(booking.treatment)}</p>
+                <p><strong>Datum:</strong> ${this.formatDateLabel(booking.date)}</p>
+                <p><strong>Uhrzeit:</strong> ${booking.start} – ${booking.end} Uhr</p>
+            </div>
+            <a href="${calendarUrl}" class="btn btn-secondary" download>Zum Kalender hinzufügen (.ics)</a>
+            <a href="${manageUrl}" class="btn btn-secondary">Termin verwalten</a>
+        `;
+        this.actions.hidden = true;
+    }
+
+    async handleClaim() {
+        this.setLoading(this.claimButton, true, 'Wird gebucht...');
+        this.declineButton.disabled = true;
+
+        try {
+            const data = await this.requestJson(`${this.basePath}/claim`, { method: 'POST' });
+            this.renderBooked(data);
+            this.showNotification('Ihr Termin ist gebucht. Die Bestätigung haben wir Ihnen per E-Mail gesendet.', 'success');
+        } catch (error) {
+            this.renderMessage(error.message);
+            this.showNotification(error.message, 'error');
+        } finally {
+            this.setLoading(this.claimButton, false);
+            this.declineButton.disabled = false;
+        }
+    }
+
+    async handleDecline() {
+        if (!window.confirm('Möchten Sie diesen Termin wirklich ablehnen?')) return;
+
+        this.setLoading(this.declineButton, true, 'Wird abgelehnt...');
+        this.claimButton.disabled = true;
+
+        try {
+            await this.requestJson(`${this.basePath}/decline`, { method: 'POST' });
+            this.renderMessage('Sie haben den Termin abgelehnt und bleiben auf der Warteliste. Wir melden uns, sobald ein weiterer Termin frei wird.');
+        } catch (error) {
+            this.renderMessage(error.message);
+        } finally {
+            this.setLoading(this.declineButton, false);
+            this.claimButton.disabled = false;
+        }
+    }
+
+    async requestJson(path, { method = 'GET', body } = {}) {
+        let response;
+
+        try {
+            response = await fetch(`${this.apiBase}${path}`, {
+                method,
+                headers: body ? { 'Content-Type': 'application/json' } : {},
+                body: body ? JSON.stringify(body) : undefined
+            });
+        } catch (error) {
+            throw new Error('Der Server ist nicht erreichbar. Bitte versuchen Sie es später erneut oder rufen Sie uns an.');
+        }
+
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            const error = new Error(data.error || 'Ihre Anfrage konnte nicht verarbeitet werden.');
+            error.status = response.status;
+            error.fields = data.details?.fields || {};
+            throw error;
+        }
+
+        return data;
+    }
+
+    setLoading(button, isLoading, text = '') {
+        if (!button) return;
+
+        if (isLoading) {
+            button.dataset.originalText = button.textContent;
+            button.disabled = true;
+            button.setAttribute('aria-busy', 'true');
+            button.innerHTML = `
+                <svg class="loading-spinner" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M21 12a9 9 0 11-6.219-8.56"/>
+                </svg>
+                ${text}
+            `;
+        } else {
+            button.disabled = false;
+            button.removeAttribute('aria-busy');
+            button.textContent = button.dataset.originalText || button.textContent;
+        }
+    }
+
+    formatDateLabel(value) {
+        return new Date(`${value}T00:00:00`).toLocaleDateString('de-DE', {
+            weekday: 'long',
+            day: 'numeric',
+            month: 'long',
+            year: 'numeric'
+        });
+    }
+
+    escapeHtml(value) {
+        return String(value ?? '').replace(/[&<>"']/g, char => ({
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#39;'
+        })[char]);
+    }
+
+    showNotification(message, type = 'info') {
+        const titles = {
+            success: 'Erfolgreich',
+            error: 'Fehler',
+            info: 'Information'
+        };
+
+        const notification = document.createElement('div');
+        notification.className = `form-notification ${type}`;
+        notification.setAttribute('role', type === 'error' ? 'alert' : 'status');
+        notification.innerHTML = `
+            <div class="notification-content">
+                <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    ${type === 'success'
+                        ? '<path d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z"/>'
+                        : '<circle cx="12" cy="12" r="10"/><path d="M12 16v-4M12 8h.01"/>'}
+                </svg>
+                <div>
+                    <h4>${titles[type] || titles.info}</h4>
+                    <p>${message}</p>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(notification);
+
+        // Remove notification after 6 seconds
+        setTimeout(() => {
+            notification.remove();
+        }, 6000);
+    }
+}
+
+// Initialize the offer page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.slotOfferPage = new SlotOfferPage();
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SlotOfferPage;
+}
@@ -0,0 +1,526 @@
+/**
+ * Staff Inbox
+ * anfragen.html: bookings, contact messages, applications and newsletter
+ * sign-ups in one list for the practice team. Staff filter and assign the
+ * requests, move them through new / in progress / done, keep internal notes
+ * and answer by e-mail from a template. Login happens in the patient portal;
+ * patient accounts only get a notice.
+ */
+class StaffInbox {
+    constructor() {
+        this.apiBase = '/api';
+        this.user = null;
+        this.team = [];
+        this.item = null;
+        this.replyTemplates = [];
+        this.filters = { type: '', status: 'new', assignedTo: '', q: '' };
+        this.listRequestId = 0;
+        this.searchTimer = null;
+
+        // Link from a notification or another page: anfragen.html?type=contact&id=…
+        const params = new URLSearchParams(window.location.search);
+        this.pendingItem = params.get('type') && params.get('id')
+            ? { type: params.get('type'), id: params.get('id') }
+            : null;
+
+        this.init();
+    }
+
+    init() {
+        this.setupElements();
+        this.setupEventListeners();
+        this.start();
+    }
+
+    setupElements() {
+        this.access = document.getElementById('inbox-access');
+        this.app = document.getElementById('inbox-app');
+        this.tabs = document.getElementById('inbox-tabs');
+        this.filterForm = document.getElementById('inbox-filters');
+        this.list = document.getElementById('inbox-list');
+        this.detail = document.getElementById('inbox-detail');
+        this.statusSelect = document.getElementById('inbox-status');
+        this.assigneeSelect = document.getElementById('inbox-assignee');
+        this.replyForm = document.getElementById('inbox-reply-form');
+        this.noteForm = document.getElementById('inbox-note-form');
+    }
+
+    setupEventListeners() {
+        this.tabs?.addEventListener('click', (e) => {
+            const tab = e.target.closest('[data-type]');
+            if (!tab) return;
+
+            this.tabs.querySelectorAll('[data-type]').forEach(button => {
+                button.classList.toggle('active', button === tab);
+                button.setAttribute('aria-selected', String(button === tab));
+            });
+            this.filters.type = tab.dataset.type;
+            this.loadItems();
+        });
+
+        this.filterForm?.addEventListener('change', (e) => {
+            if (e.target.name === 'q') return;
+            this.filters[e.target.name] = e.target.value;
+            this.loadItems();
+        });
+
+        // The search waits until typing pauses
+        this.filterForm?.addEventListener('input', (e) => {
+            if (e.target.name !== 'q') return;
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => {
+                this.filters.q = e.target.value.trim();
+                this.loadItems();
+            }, 300);
+        });
+        this.filterForm?.addEventListener('submit', (e) => e.preventDefault());
+
+        this.list?.addEventListener('click', (e) => {
+            const entry = e.target.closest('[data-item-id]');
+            if (entry) this.openItem(entry.dataset.itemType, entry.dataset.itemId);
+        });
+        this.list?.addEventListener('keydown', (e) => {
+            const entry = e.target.closest('[data-item-id]');
+            if (entry && e.key === 'Enter') this.openItem(entry.dataset.itemType, entry.dataset.itemId);
+        });
+
+        this.statusSelect?.addEventListener('change', () => this.updateItem({ status: this.statusSelect.value }));
+        this.assigneeSelect?.addEventListener('change', () => this.updateItem({ assignedTo: this.assigneeSelect.value || null }));
+
+        this.replyForm?.template.addEventListener('change', () => this.applyTemplate());
+        this.replyForm?.addEventListener('submit', (e) => this.handleReply(e));
+        this.noteForm?.addEventListener('submit', (e) => this.handleNote(e));
+
+        [this.replyForm, this.noteForm].forEach(form => {
+            form?.addEventListener('input', (e) => this.clearFieldError(e.target));
+        });
+    }
+
+    // Access
+
+    async start() {
+        try {
+            ({ user: this.user } = await this.requestJson('/auth/session'));
+        } catch (error) {
+            if (error.status === 401) {
+                this.renderAccessMessage('Bitte melden Sie sich mit Ihrem Mitarbeiterkonto im <a href="portal.html">Patientenportal</a> an und öffnen Sie diese Seite danach erneut.');
+            } else {
+                this.renderAccessMessage(this.escapeHtml(error.message));
+            }
+            return;
+        }
+
+        if (this.user.role !== 'staff') {
+            this.renderAccessMessage('Dieser Bereich ist dem Praxisteam vorbehalten. Zurück zum <a href="portal.html">Patientenportal</a>.');
+            return;
+        }
+
+        try {
+            ({ team: this.team } = await this.requestJson('/staff/team'));
+            this.renderTeamOptions();
+        } catch (error) {
+            // Assigning stays unavailable, everything else still works
+        }
+
+        this.access.hidden = true;
+        this.app.hidden = false;
+        await this.loadItems();
+
+        if (this.pendingItem) {
+            const { type, id } = this.pendingItem;
+            this.pendingItem = null;
+            await this.openItem(type, id);
+        }
+    }
+
+    renderAccessMessage(html) {
+        this.access.innerHTML = `<p class="portal-empty">${html}</p>`;
+        this.access.hidden = false;
+        this.app.hidden = true;
+    }
+
+    renderTeamOptions() {
+        const options = this.team
+            .map(member => `<option value="${member.id}">${this.escapeHtml(member.name)}</option>`)
+            .join('');
+
+        const filter = this.filterForm.assignedTo;
+        filter.innerHTML = `
+            <option value="">Alle</option>
+            <option value="me">Mir zugewiesen</option>
+            <option value="none">Nicht zugewiesen</option>
+            ${options}
+        `;
+        filter.value = this.filters.assignedTo;
+
+        this.assigneeSelect.innerHTML = `<option value="">Niemand</option>${options}`;
+    }
+
+    // List
+
+    async loadItems() {
+        const query = new URLSearchParams(Object.entries(this.filters).filter(([, value]) => value));
+        // Only the answer to the latest filter is rendered
+        const requestId = ++this.listRequestId;
+
+        try {
+            const { items, newCounts } = await this.requestJson(`/staff/inbox?${query}`);
+            if (requestId !== this.listRequestId) return;
+
+            this.renderItems(items);
+            this.renderCounts(newCounts);
+        } catch (error) {
+            if (requestId === this.listRequestId) {
+                this.showNotification(this.escapeHtml(error.message), 'error');
+            }
+        }
+    }
+
+    renderCounts(newCounts) {
+        const total = Object.values(newCounts).reduce((sum, count) => sum + count, 0);
+
+        this.tabs.querySelectorAll('[data-count]').forEach(badge => {
+            const count = badge.dataset.count ? newCounts[badge.dataset.count] : total;
+            badge.textContent = count > 0 ? count : '';
+            badge.hidden = !count;
+        });
+    }
+
+    renderItems(items) {
+        if (items.length === 0) {
+            this.list.innerHTML = '<p class="portal-empty">Keine Anfragen für diese Auswahl.</p>';
+            return;
+        }
+
+        const escape = value => this.escapeHtml(value);
+        this.list.innerHTML = `<ul class="portal-list">${items.map(item => `
+            <li class="portal-list-item inbox-item${this.isOpen(item) ? ' active' : ''}" data-item-type="${item.type}" data-item-id="${item.id}" tabindex="0" role="button">
+                <div>
+                    <strong>${escape(item.name || item.email)}</strong>
+                    <span>${escape(item.typeLabel)} · ${escape(item.subject)}</span>
+                    <span>${this.formatDateTime(item.createdAt)} · ${item.assignedName ? `Zugewiesen: ${escape(item.assignedName)}` : 'Nicht zugewiesen'}</span>
+                </div>
+                <span class="portal-status inbox-status ${item.status}">${escape(item.statusLabel)}</span>
+            </li>
+        `).join('')}</ul>`;
+    }
+
+    isOpen(item) {
+        return Boolean(this.item && this.item.type === item.type && this.item.id === item.id);
+    }
+
+    // Detail
+
+    async openItem(type, id) {
+        try {
+            const data = await this.requestJson(`/staff/inbox/${encodeURIComponent(type)}/${encodeURIComponent(id)}`);
+            this.replyTemplates = data.replyTemplates;
+            this.replyForm.reset();
+            this.noteForm.reset();
+            this.renderTemplateOptions();
+            this.showItem(data.item);
+            this.detail.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        } catch (error) {
+            this.showNotification(this.escapeHtml(error.message), 'error');
+        }
+    }
+
+    showItem(item) {
+        this.item = item;
+        this.detail.hidden = false;
+
+        const escape = value => this.escapeHtml(value);
+        const contact = [
+            item.email ? `<a href="mailto:${escape(item.email)}">${escape(item.email)}</a>` : '',
+            item.phone ? `<a href="tel:${escape(item.phone)}">${escape(item.phone)}</a>` : ''
+        ].filter(Boolean).join(' · ');
+
+        document.getElementById('inbox-summary').innerHTML = `
+            <h3>${escape(item.typeLabel)}: ${escape(item.subject)}</h3>
+            <div class="appointment-info">
+                ${item.name ? `<p><strong>Name:</strong> ${escape(item.name)}</p>` : ''}
+                ${contact ? `<p><strong>Kontakt:</strong> ${contact}</p>` : ''}
+                <p><strong>Eingegangen:</strong> ${this.formatDateTime(item.createdAt)}</p>
+                ${item.fields.map(field => `<p><strong>${escape(field.label)}:</strong> ${escape(field.value)}</p>`).join('')}
+            </div>
+            ${item.message ? `<blockquote class="inbox-message">${escape(item.message).replace(/\n/g, '<br>')}</blockquote>` : ''}
+            ${item.cvAvailable ? `<a href="${this.apiBase}/staff/inbox/application/${item.id}/cv" class="btn btn-secondary btn-small" target="_blank" rel="noopener">Lebenslauf öffnen</a>` : ''}
+        `;
+
+        this.statusSelect.value = item.status;
+        this.assigneeSelect.value = item.assignedTo || '';
+        this.replyForm.hidden = !item.email;
+        this.renderHistory(item.history);
+    }
+
+    renderHistory(history) {
+        const list = document.getElementById('inbox-history');
+        if (history.length === 0) {
+            list.innerHTML = '<li class="portal-empty">Noch keine Einträge.</li>';
+            return;
+        }
+
+        const escape = value => this.escapeHtml(value);
+        const describe = entry => {
+            if (entry.action === 'status') return `Status: ${escape(entry.previous)} → ${escape(entry.current)}`;
+            if (entry.action === 'assigned') return `Zuständig: ${escape(entry.previous)} → ${escape(entry.current)}`;
+            if (entry.action === 'reply') return `E-Mail gesendet: „${escape(entry.subject)}“`;
+            return `Notiz: ${escape(entry.text).replace(/\n/g, '<br>')}`;
+        };
+
+        list.innerHTML = history.slice().reverse().map(entry => `
+            <li class="inbox-history-entry ${entry.action}">
+                <div>
+                    ${describe(entry)}
+                    <span>${escape(entry.authorName || 'Praxisteam')} · ${this.formatDateTime(entry.createdAt)}</span>
+                </div>
+            </li>
+        `).join('');
+    }
+
+    // Changes
+
+    async updateItem(changes) {
+        try {
+            const { item } = await this.requestJson(this.itemPath, { method: 'PATCH', body: changes });
+            this.showItem(item);
+            await this.loadItems();
+            this.showNotification('Die Anfrage wurde aktualisiert.', 'success');
+        } catch (error) {
+            // The selects go back to what is stored
+            this.showItem(this.item);
+            this.showNotification(this.escapeHtml(error.message), 'error');
+        }
+    }
+
+    get itemPath() {
+        return `/staff/inbox/${this.item.type}/${encodeURIComponent(this.item.id)}`;
+    }
+
+    renderTemplateOptions() {
+        this.replyForm.template.innerHTML = `
+            <option value="">Ohne Vorlage</option>
+            ${this.replyTemplates.map(template => `<option value="${template.id}">${this.escapeHtml(template.label)}</option>`).join('')}
+        `;
+    }
+
+    // A template fills subject and text; both can still be edited before sending
+    applyTemplate() {
+        const template = this.replyTemplates.find(candidate => candidate.id === this.replyForm.template.value);
+        if (!template) return;
+
+        const edited = this.replyForm.message.value.trim();
+        if (edited && !window.confirm('Den bisherigen Text durch die Vorlage ersetzen?')) {
+            this.replyForm.template.value = '';
+            return;
+        }
+
+        this.replyForm.subject.value = template.subject;
+        this.replyForm.message.value = template.text;
+        this.clearFieldError(this.replyForm.subject);
+        this.clearFieldError(this.replyForm.message);
+    }
+
+    async handleReply(e) {
+        e.preventDefault();
+        if (!this.item || !this.validateForm(this.replyForm)) return;
+        if (!window.confirm(`Diese E-Mail jetzt an ${this.item.email} senden?`)) return;
+
+        const form = this.replyForm;
+        const submitButton = form.querySelector('button[type="submit"]');
+        this.setLoading(submitButton, true, 'Wird gesendet...');
+
+        try {
+            const { item } = await this.requestJson(`${this.itemPath}/replies`, {
+                method: 'POST',
+                body: { subject: form.subject.value.trim(), message: form.message.value.trim() }
+            });
+            form.reset();
+            this.showItem(item);
+            await this.loadItems();
+            this.showNotification(`Die E-Mail wurde an ${this.escapeHtml(item.email)} gesendet.`, 'success');
+        } catch (error) {
+            this.showServerFieldErrors(form, error.fields);
+            this.showNotification(this.escapeHtml(error.message), 'error');
+        } finally {
+            this.setLoading(submitButton, false);
+        }
+    }
+
+    async handleNote(e) {
+        e.preventDefault();
+        if (!this.item || !this.validateForm(this.noteForm)) return;
+
+        const form = this.noteForm;
+        const submitButton = form.querySelector('button[type="submit"]');
+        this.setLoading(submitButton, true, 'Wird gespeichert...');
+
+        try {
+            const { item } = await this.requestJson(`${this.itemPath}/notes`, {
+                method: 'POST',
+                body: { note: form.note.value.trim() }
+            });
+            form.reset();
+            this.showItem(item);
+            await this.loadItems();
+        } catch (error) {
+            this.showServerFieldErrors(form, error.fields);
+            this.showNotification(this.escapeHtml(error.message), 'error');
+        } finally {
+            this.setLoading(submitButton, false);
+        }
+    }
+
+    // Forms
+
+    validateForm(form) {
+        let isValid = true;
+
+        form.querySelectorAll('[required]').forEach(field => {
+            if (!field.value.trim()) {
+                this.showFieldError(field, 'Dieses Feld ist erforderlich.');
+                isValid = false;
+            }
+        });
+
+        return isValid;
+    }
+
+    showFieldError(field, message) {
+        field.classList.add('error');
+        const errorDiv = document.getElementById(`${field.id}-error`);
+        if (errorDiv) {
+            errorDiv.textContent = message;
+            errorDiv.style.display = 'block';
+        }
+    }
+
+    clearFieldError(field) {
+        if (!field.id) return;
+
+        field.classList.remove('error');
+        const errorDiv = document.getElementById(`${field.id}-error`);
+        if (errorDiv) {
+            errorDiv.textContent = '';
+            errorDiv.style.display = 'none';
+        }
+    }
+
+    showServerFieldErrors(form, fields = {}) {
+        Object.entries(fields).forEach(([name, message]) => {
+            const field = form.querySelector(`[name="${name}"]`);
+            if (field) {
+                this.showFieldError(field, message);
+            }
+        });
+    }
+
+    // Helpers
+
+    async requestJson(path, { method = 'GET', body } = {}) {
+        let response;
+
+        try {
+            response = await fetch(`${this.apiBase}${path}`, {
+                method,
+                headers: body ? { 'Content-Type': 'application/json' } : {},
+                body: body ? JSON.stringify(body) : undefined
+            });
+        } catch (error) {
+            throw new Error('Der Server ist nicht erreichbar. Bitte versuchen Sie es später erneut.');
+        }
+
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            const error = new Error(data.error || 'Ihre Anfrage konnte nicht verarbeitet werden.');
+            error.status = response.status;
+            error.fields = data.details?.fields || {};
+            throw error;
+        }
+
+        return data;
+    }
+
+    setLoading(button, isLoading, text = '') {
+        if (!button) return;
+
+        if (isLoading) {
+            button.dataset.originalText = button.textContent;
+            button.disabled = true;
+            button.setAttribute('aria-busy', 'true');
+            button.innerHTML = `
+                <svg class="loading-spinner" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M21 12a9 9 0 11-6.219-8.56"/>
+                </svg>
+                ${text}
+            `;
+        } else {
+            button.disabled = false;
+            button.removeAttribute('aria-busy');
+            button.textContent = button.dataset.originalText || button.textContent;
+        }
+    }
+
+    formatDateTime(value) {
+        return new Date(value).toLocaleString('de-DE', {
+            day: '2-digit',
+            month: '2-digit',
+            year: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+
+    escapeHtml(value) {
+        return String(value ?? '').replace(/[&<>"']/g, char => ({
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#39;'
+        })[char]);
+    }
+
+    showNotification(message, type = 'info') {
+        const titles = {
+            success: 'Erfolgreich',
+            error: 'Fehler',
+            info: 'Information'
+        };
+
+        const notification = document.createElement('div');
+        notification.className = `form-notification ${type}`;
+        notification.setAttribute('role', type === 'error' ? 'alert' : 'status');
+        notification.innerHTML = `
+            <div class="notification-content">
+                <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    ${type === 'success'
+                        ? '<path d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z"/>'
+                        : '<circle cx="12" cy="12" r="10"/><path d="M12 16v-4M12 8h.01"/>'}
+                </svg>
+                <div>
+                    <h4>${titles[type] || titles.info}</h4>
+                    <p>${message}</p>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(notification);
+
+        // Remove notification after 6 seconds
+        setTimeout(() => {
+            notification.remove();
+        }, 6000);
+    }
+}
+
+// Initialize the inbox when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.staffInbox = new StaffInbox();
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StaffInbox;
+}
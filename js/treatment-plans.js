@@ -0,0 +1,435 @@
+/**
+ * Portal Treatment Plans
+ * Treatment and cost plans in the patient portal. Patients see the line
+ * items and their share, approve the plan or ask about it; staff accounts
+ * put new plans in and follow which ones were approved. The cost breakdown
+ * uses the markup of the cost calculator's result.
+ */
+const PLAN_CATEGORIES = {
+    treatment: 'Behandlung',
+    consultation: 'Beratung',
+    diagnostic: 'Diagnostik',
+    retention: 'Retention und Nachsorge'
+};
+
+class PortalTreatmentPlans {
+    constructor(portal) {
+        this.portal = portal;
+        this.user = null;
+        this.plan = null;
+
+        // Link from the notification e-mail
+        const params = new URLSearchParams(window.location.search);
+        this.pendingPlanId = params.get('plan');
+        if (this.pendingPlanId) {
+            window.history.replaceState({}, '', window.location.pathname);
+        }
+
+        this.setupElements();
+        this.setupEventListeners();
+    }
+
+    setupElements() {
+        this.card = document.getElementById('treatment-plans');
+        this.planList = document.getElementById('treatment-plan-list');
+        this.modal = document.getElementById('treatment-plan-modal');
+        this.planView = document.getElementById('treatment-plan-view');
+        this.approvalForm = document.getElementById('plan-approval-form');
+        this.questionForm = document.getElementById('plan-question-form');
+        this.createForm = document.getElementById('treatment-plan-create-form');
+        this.itemRows = document.getElementById('plan-item-rows');
+    }
+
+    setupEventListeners() {
+        if (!this.card) return;
+
+        this.approvalForm?.addEventListener('submit', (e) => this.handleApproval(e));
+        this.questionForm?.addEventListener('submit', (e) => this.handleQuestion(e));
+        this.createForm?.addEventListener('submit', (e) => this.handleCreate(e));
+
+        [this.approvalForm, this.questionForm, this.createForm].forEach(form => {
+            form?.addEventListener('input', (e) => this.portal.clearFieldError(e.target));
+            form?.addEventListener('change', (e) => this.portal.clearFieldError(e.target));
+        });
+
+        document.getElementById('treatment-plan-new')?.addEventListener('click', () => this.showCreate());
+        document.getElementById('plan-item-add')?.addEventListener('click', () => this.addItemRow());
+
+        this.itemRows?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action="remove-item"]');
+            if (button && this.itemRows.children.length > 1) {
+                button.closest('.plan-item-row').remove();
+            }
+        });
+
+        this.planList?.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-plan-id]');
+            if (item) this.openPlan(item.dataset.planId);
+        });
+    }
+
+    get isStaff() {
+        return this.user?.role === 'staff';
+    }
+
+    get basePath() {
+        return this.isStaff ? '/staff/treatment-plans' : '/portal/treatment-plans';
+    }
+
+    async show(user) {
+        if (!this.card) return;
+
+        this.user = user;
+        document.getElementById('treatment-plan-new').hidden = !this.isStaff;
+        document.getElementById('treatment-plan-intro').textContent = this.isStaff
+            ? 'Pläne, die Sie hier anlegen, erscheinen im Portal des Patientenkontos und können dort online freigegeben oder mit Rückfragen versehen werden.'
+            : 'Hier finden Sie die Behandlungs- und Kostenpläne, die wir für Sie erstellt haben.';
+
+        await this.loadPlans();
+
+        if (this.pendingPlanId) {
+            const planId = this.pendingPlanId;
+            this.pendingPlanId = null;
+            await this.openPlan(planId);
+        }
+    }
+
+    reset() {
+        this.user = null;
+        this.plan = null;
+        if (this.planList) this.planList.innerHTML = '';
+    }
+
+    // Plan list
+
+    async loadPlans() {
+        try {
+            const { plans } = await this.portal.requestJson(this.basePath);
+            this.renderPlans(plans);
+        } catch (error) {
+            this.portal.showNotification(error.message, 'error');
+        }
+    }
+
+    renderPlans(plans) {
+        if (plans.length === 0) {
+            this.planList.innerHTML = `<p class="portal-empty">${this.isStaff
+                ? 'Es wurden noch keine Behandlungspläne angelegt.'
+                : 'Derzeit liegt kein Behandlungsplan für Sie vor.'}</p>`;
+            return;
+        }
+
+        const escape = value => this.portal.escapeHtml(value);
+        this.planList.innerHTML = `<ul class="portal-list">${plans.map(plan => `
+            <li class="portal-list-item treatment-plan-item" data-plan-id="${plan.id}" tabindex="0" role="button">
+                <div>
+                    <strong>${escape(plan.title)}</strong>
+                    <span>${this.isStaff && plan.patient ? `${escape(plan.patient.name)} · ` : ''}Eigenanteil ${this.formatAmount(plan.patientShare)}</span>
+                    ${plan.validUntil ? `<span>Gültig bis ${this.formatDate(plan.validUntil)}</span>` : ''}
+                </div>
+                <span class="portal-status ${plan.status === 'approved' ? 'confirmed' : ''}">${this.getStatusLabel(plan)}</span>
+            </li>
+        `).join('')}</ul>`;
+
+        this.planList.querySelectorAll('[data-plan-id]').forEach(item => {
+            item.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this.openPlan(item.dataset.planId);
+            });
+        });
+    }
+
+    getStatusLabel(plan) {
+        if (plan.status === 'approved') return 'Freigegeben';
+        if (plan.expired) return 'Abgelaufen';
+        return this.isStaff ? 'Offen' : 'Zur Freigabe';
+    }
+
+    // Viewing a plan
+
+    async openPlan(planId) {
+        try {
+            const { plan } = await this.portal.requestJson(`${this.basePath}/${encodeURIComponent(planId)}`);
+            this.showPlan(plan);
+        } catch (error) {
+            this.portal.showNotification(error.message, 'error');
+        }
+    }
+
+    showPlan(plan) {
+        this.plan = plan;
+        document.getElementById('treatment-plan-modal-title').textContent = plan.title;
+        this.createForm.hidden = true;
+        this.planView.hidden = false;
+        this.planView.innerHTML = this.renderPlan(plan);
+
+        // Only an open, still valid plan can be approved by the patient
+        const canApprove = !this.isStaff && plan.status !== 'approved' && !plan.expired;
+        this.approvalForm.hidden = !canApprove;
+        this.questionForm.hidden = this.isStaff;
+        this.approvalForm.reset();
+        this.questionForm.reset();
+
+        if (this.portal.activeModal !== this.modal) {
+            this.portal.openModal(this.modal);
+        }
+    }
+
+    renderPlan(plan) {
+        const escape = value => this.portal.escapeHtml(value);
+        const { cost } = plan;
+
+        const items = plan.items.map(item => `
+            <tr>
+                <td>${escape(item.code) || '–'}</td>
+                <td>${escape(item.label)}${item.tooth ? ` <span class="plan-item-tooth">Zahn ${escape(item.tooth)}</span>` : ''}</td>
+                <td>${escape(item.categoryLabel)}</td>
+                <td class="plan-amount">${this.formatAmount(item.amount)}</td>
+            </tr>
+        `).join('');
+
+        return `
+            ${this.renderPlanStatus(plan)}
+            ${plan.description ? `<p class="plan-description">${escape(plan.description).replace(/\n/g, '<br>')}</p>` : ''}
+
+            <div class="plan-items">
+                <h4>Positionen</h4>
+                <table class="plan-item-table">
+                    <thead>
+                        <tr><th>Nr.</th><th>Leistung</th><th>Art</th><th class="plan-amount">Betrag</th></tr>
+                    </thead>
+                    <tbody>${items}</tbody>
+                </table>
+            </div>
+
+            <div class="cost-breakdown">
+                <h4>Kostenaufschlüsselung</h4>
+                <div class="breakdown-item">
+                    <span>Behandlung</span>
+                    <span>${this.formatAmount(cost.basePrice)}</span>
+                </div>
+                <div class="breakdown-item">
+                    <span>Beratung</span>
+                    <span>${this.formatAmount(cost.consultationFee)}</span>
+                </div>
+                <div class="breakdown-item">
+                    <span>Diagnostik</span>
+                    <span>${this.formatAmount(cost.diagnosticFee)}</span>
+                </div>
+                <div class="breakdown-item">
+                    <span>Retention und Nachsorge</span>
+                    <span>${this.formatAmount(cost.retentionFee)}</span>
+                </div>
+                <div class="breakdown-total">
+                    <span><strong>Gesamtkosten</strong></span>
+                    <span><strong>${this.formatAmount(cost.subtotal)}</strong></span>
+                </div>
+                <div class="breakdown-item">
+                    <span>Anteil der Krankenkasse</span>
+                    <span>− ${this.formatAmount(cost.insuranceCoverage)}</span>
+                </div>
+                <div class="breakdown-total">
+                    <span><strong>Ihr Eigenanteil</strong></span>
+                    <span><strong>${this.formatAmount(cost.patientShare)}</strong></span>
+                </div>
+            </div>
+
+            <div class="payment-options">
+                <div class="payment-option">
+                    <div class="option-details">
+                        <h5>Ratenzahlung (24 Monate)</h5>
+                        <p class="monthly-payment">${cost.monthlyPayment.toLocaleString('de-DE')} € pro Monat</p>
+                    </div>
+                </div>
+            </div>
+
+            ${plan.documentId ? `<p><a href="${this.getDocumentUrl(plan.documentId)}" target="_blank" rel="noopener">Heil- und Kostenplan als Dokument öffnen</a></p>` : ''}
+
+            <div class="result-disclaimer">
+                <p><strong>Hinweis:</strong> Der Kassenanteil entspricht dem genehmigten Festzuschuss bzw. der Kostenzusage Ihrer Krankenkasse. Ändert sich der Behandlungsverlauf, passen wir den Plan an und besprechen das mit Ihnen.</p>
+            </div>
+        `;
+    }
+
+    // The scanned paper plan, stored in the document vault
+    getDocumentUrl(documentId) {
+        return this.isStaff
+            ? `${this.portal.apiBase}/staff/documents/${documentId}/file`
+            : `${this.portal.apiBase}/portal/documents/${documentId}/file?disposition=inline`;
+    }
+
+    renderPlanStatus(plan) {
+        const escape = value => this.portal.escapeHtml(value);
+        let status;
+
+        if (plan.status === 'approved') {
+            status = `Freigegeben am ${this.formatDateTime(plan.approvedAt)}`;
+            if (plan.approvalValid === false) {
+                status += ' – der Plan wurde danach geändert, bitte sprechen Sie mit uns.';
+            }
+        } else if (plan.expired) {
+            status = `Abgelaufen am ${this.formatDate(plan.validUntil)} – bitte sprechen Sie uns an, damit wir den Plan aktualisieren.`;
+        } else {
+            status = plan.validUntil ? `Zur Freigabe bis ${this.formatDate(plan.validUntil)}` : 'Zur Freigabe';
+        }
+
+        const patient = this.isStaff && plan.patient
+            ? `<p>${escape(plan.patient.name)} · <a href="mailto:${escape(plan.patient.email)}">${escape(plan.patient.email)}</a><br>
+                ${plan.viewedAt ? `Angesehen am ${this.formatDateTime(plan.viewedAt)}` : 'Noch nicht angesehen'}${plan.questionThreadIds.length > 0 ? ` · ${plan.questionThreadIds.length} Rückfrage(n) in den Nachrichten` : ''}</p>`
+            : '';
+
+        return `<div class="plan-status ${plan.status === 'approved' ? 'approved' : ''}">${patient}<p><strong>${status}</strong></p></div>`;
+    }
+
+    async handleApproval(e) {
+        e.preventDefault();
+        if (!this.plan || !this.portal.validateForm(this.approvalForm)) return;
+
+        const submitButton = this.approvalForm.querySelector('button[type="submit"]');
+        this.portal.setLoading(submitButton, true, 'Wird freigegeben...');
+
+        try {
+            const { plan } = await this.portal.requestJson(`/portal/treatment-plans/${this.plan.id}/approve`, {
+                method: 'POST',
+                body: { approval: this.approvalForm.approval.checked }
+            });
+            this.showPlan(plan);
+            await this.loadPlans();
+            this.portal.showNotification('Vielen Dank, der Behandlungsplan wurde freigegeben.', 'success');
+        } catch (error) {
+            this.portal.showServerFieldErrors(this.approvalForm, error.fields);
+            this.portal.showNotification(error.message, 'error');
+        } finally {
+            this.portal.setLoading(submitButton, false);
+        }
+    }
+
+    async handleQuestion(e) {
+        e.preventDefault();
+        if (!this.plan || !this.portal.validateForm(this.questionForm)) return;
+
+        const submitButton = this.questionForm.querySelector('button[type="submit"]');
+        this.portal.setLoading(submitButton, true, 'Wird gesendet...');
+
+        try {
+            await this.portal.requestJson(`/portal/treatment-plans/${this.plan.id}/questions`, {
+                method: 'POST',
+                body: { message: this.questionForm.message.value.trim() }
+            });
+            this.questionForm.reset();
+            await this.portal.inbox?.loadThreads();
+            this.portal.showNotification('Ihre Frage wurde gesendet. Die Antwort finden Sie unter „Nachrichten“.', 'success');
+        } catch (error) {
+            this.portal.showServerFieldErrors(this.questionForm, error.fields);
+            this.portal.showNotification(error.message, 'error');
+        } finally {
+            this.portal.setLoading(submitButton, false);
+        }
+    }
+
+    // Creating a plan (staff)
+
+    showCreate() {
+        this.plan = null;
+        this.createForm.reset();
+        this.itemRows.innerHTML = '';
+        this.addItemRow();
+
+        document.getElementById('treatment-plan-modal-title').textContent = 'Neuer Behandlungsplan';
+        this.createForm.hidden = false;
+        this.planView.hidden = true;
+        this.approvalForm.hidden = true;
+        this.questionForm.hidden = true;
+        this.portal.openModal(this.modal);
+    }
+
+    addItemRow() {
+        const row = document.createElement('div');
+        row.className = 'plan-item-row';
+        row.innerHTML = `
+            <select data-field="category" aria-label="Art">
+                ${Object.entries(PLAN_CATEGORIES).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+            </select>
+            <input type="text" data-field="code" placeholder="GOZ/BEMA" aria-label="Gebührennummer" maxlength="20">
+            <input type="text" data-field="label" placeholder="Leistung" aria-label="Leistung">
+            <input type="text" data-field="tooth" placeholder="Zahn" aria-label="Zahn" maxlength="20">
+            <input type="number" data-field="amount" placeholder="Betrag €" aria-label="Betrag in Euro" min="0" step="0.01">
+            <button type="button" class="btn btn-secondary btn-small" data-action="remove-item" aria-label="Position entfernen">×</button>
+        `;
+        this.itemRows.appendChild(row);
+        row.querySelector('[data-field="label"]').focus();
+    }
+
+    readItems() {
+        return Array.from(this.itemRows.querySelectorAll('.plan-item-row'))
+            .map(row => {
+                const value = field => row.querySelector(`[data-field="${field}"]`).value.trim();
+                return {
+                    category: value('category'),
+                    code: value('code'),
+                    label: value('label'),
+                    tooth: value('tooth'),
+                    amount: value('amount')
+                };
+            })
+            // Rows left completely empty are ignored
+            .filter(item => item.label || item.code || item.amount);
+    }
+
+    async handleCreate(e) {
+        e.preventDefault();
+        if (!this.portal.validateForm(this.createForm)) return;
+
+        const form = this.createForm;
+        const submitButton = form.querySelector('button[type="submit"]');
+        this.portal.setLoading(submitButton, true, 'Wird gespeichert...');
+
+        try {
+            const file = form.file.files[0];
+            const { plan } = await this.portal.requestJson('/staff/treatment-plans', {
+                method: 'POST',
+                body: {
+                    email: form.email.value.trim(),
+                    title: form.title.value.trim(),
+                    description: form.description.value.trim(),
+                    validUntil: form.validUntil.value,
+                    insuranceCoverage: form.insuranceCoverage.value || 0,
+                    items: this.readItems(),
+                    file: file ? { name: file.name, data: await this.portal.readFileAsBase64(file) } : undefined
+                }
+            });
+            this.showPlan(plan);
+            await this.loadPlans();
+            this.portal.showNotification('Der Behandlungsplan wurde angelegt. Der Patient wurde per E-Mail benachrichtigt.', 'success');
+        } catch (error) {
+            this.portal.showServerFieldErrors(form, error.fields);
+            this.portal.showNotification(error.message, 'error');
+        } finally {
+            this.portal.setLoading(submitButton, false);
+        }
+    }
+
+    // Formatting
+
+    formatAmount(value) {
+        return `${value.toLocaleString('de-DE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} €`;
+    }
+
+    formatDate(value) {
+        return new Date(`${value}T00:00:00`).toLocaleDateString('de-DE');
+    }
+
+    formatDateTime(value) {
+        return new Date(value).toLocaleString('de-DE', {
+            day: '2-digit',
+            month: '2-digit',
+            year: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PortalTreatmentPlans;
+}
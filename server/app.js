@@ -0,0 +1,355 @@
+/**
+ * Practice App
+ * Wires the store, services and routes together and serves the website
+ */
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JsonStore = require('./lib/json-store');
+const SlotEngine = require('./lib/slot-engine');
+const BookingManager = require('./lib/booking-manager');
+const WaitlistService = require('./lib/waitlist-service');
+const { RecallService } = require('./lib/recall-service');
+const { DocumentVault } = require('./lib/document-vault');
+const { AnamnesisService } = require('./lib/anamnesis-service');
+const { MessageService } = require('./lib/message-service');
+const { TreatmentPlanService } = require('./lib/treatment-plan-service');
+const { BonusBookletService } = require('./lib/bonus-booklet-service');
+const { InvoiceService, createPaymentProvider } = require('./lib/invoice-service');
+const { PrivacyService } = require('./lib/privacy-service');
+const { ConsentService } = require('./lib/consent-service');
+const { RequestInbox } = require('./lib/request-inbox');
+const { PriceListService } = require('./lib/price-list-service');
+const { FinancingService } = require('./lib/financing-service');
+const { EstimateService } = require('./lib/estimate-service');
+const { CalendarSync, createBookingProvider } = require('./lib/calendar-sync');
+const { LinkSigner, loadOrCreateSecret } = require('./lib/signed-links');
+const StaticFiles = require('./lib/static-files');
+const FormGuard = require('./lib/form-guard');
+const NewsletterService = require('./lib/newsletter-service');
+const { AuthService } = require('./lib/auth-service');
+const { TwoFactorService } = require('./lib/two-factor-service');
+const { Mailer, createTransport } = require('./lib/mailer');
+const { SmsSender, createSmsTransport } = require('./lib/sms');
+const { Router, sendJson } = require('./lib/router');
+const registerBookingRoutes = require('./routes/booking');
+const registerContactRoutes = require('./routes/contact');
+const registerNewsletterRoutes = require('./routes/newsletter');
+const registerApplicationRoutes = require('./routes/application');
+const registerPortalRoutes = require('./routes/portal');
+const registerManageRoutes = require('./routes/manage');
+const registerCalendarRoutes = require('./routes/calendar');
+const registerWaitlistRoutes = require('./routes/waitlist');
+const registerRecallRoutes = require('./routes/recall');
+const registerProviderRoutes = require('./routes/providers');
+const registerFormRoutes = require('./routes/forms');
+const registerDocumentRoutes = require('./routes/documents');
+const registerAnamnesisRoutes = require('./routes/anamnesis');
+const registerTwoFactorRoutes = require('./routes/two-factor');
+const registerMessageRoutes = require('./routes/messages');
+const registerTreatmentPlanRoutes = require('./routes/treatment-plans');
+const registerBonusBookletRoutes = require('./routes/bonus-booklet');
+const registerInvoiceRoutes = require('./routes/invoices');
+const registerPrivacyRoutes = require('./routes/privacy');
+const registerConsentRoutes = require('./routes/consent');
+const registerInboxRoutes = require('./routes/inbox');
+const registerPriceRoutes = require('./routes/prices');
+const registerFinancingRoutes = require('./routes/financing');
+const registerEstimateRoutes = require('./routes/estimates');
+
+// How often expired waitlist offers are passed on to the next patient
+const WAITLIST_TICK_MS = 60 * 1000;
+// How often due recall reminders are looked for; each one is only sent once
+const RECALL_CHECK_MS = 60 * 60 * 1000;
+// How often busy times are pulled from the booking provider and failed pushes retried
+const CALENDAR_SYNC_MS = 5 * 60 * 1000;
+
+class PracticeApp {
+    constructor(config) {
+        this.config = config;
+        this.store = new JsonStore({ directory: config.dataDir });
+        this.uploadsDir = config.dataDir
+            ? path.join(config.dataDir, 'uploads')
+            : fs.mkdtempSync(path.join(os.tmpdir(), 'praxis-uploads-'));
+        this.slotEngine = new SlotEngine({
+            practice: config.practice,
+            store: this.store,
+            clock: config.clock
+        });
+        this.signer = new LinkSigner({
+            secret: config.linkSecret || loadOrCreateSecret(config.dataDir),
+            clock: config.clock
+        });
+        this.formGuard = new FormGuard({
+            signer: this.signer,
+            settings: config.practice.formProtection,
+            clock: config.clock
+        });
+        this.mailer = new Mailer({
+            transport: createTransport(config.mail),
+            from: config.mail.from,
+            practiceAddress: config.mail.practiceAddress
+        });
+        this.sms = new SmsSender({
+            transport: createSmsTransport(config.sms),
+            from: config.sms.from
+        });
+        this.bookingManager = new BookingManager({
+            store: this.store,
+            slotEngine: this.slotEngine,
+            mailer: this.mailer,
+            signer: this.signer,
+            practice: config.practice,
+            publicUrl: config.publicUrl
+        });
+        this.waitlist = new WaitlistService({
+            store: this.store,
+            slotEngine: this.slotEngine,
+            bookingManager: this.bookingManager,
+            mailer: this.mailer,
+            signer: this.signer,
+            practice: config.practice,
+            publicUrl: config.publicUrl
+        });
+        this.bookingManager.on('slot-freed', slot => {
+            this.waitlist.offerSlot(slot).catch(error => {
+                console.error('Waitlist offer failed:', error);
+            });
+        });
+        this.calendarSync = new CalendarSync({
+            store: this.store,
+            slotEngine: this.slotEngine,
+            provider: createBookingProvider(config.bookingProvider),
+            practice: config.practice
+        });
+        // push() never throws, failures are retried by the next sync
+        this.bookingManager.on('booking-changed', ({ booking }) => this.calendarSync.push(booking));
+        this.recall = new RecallService({
+            store: this.store,
+            mailer: this.mailer,
+            sms: this.sms,
+            signer: this.signer,
+            slotEngine: this.slotEngine,
+            practice: config.practice,
+            publicUrl: config.publicUrl
+        });
+        this.bonusBooklet = new BonusBookletService({
+            store: this.store,
+            bookingManager: this.bookingManager,
+            slotEngine: this.slotEngine,
+            practice: config.practice
+        });
+        this.documentVault = new DocumentVault({
+            store: this.store,
+            mailer: this.mailer,
+            directory: config.dataDir
+                ? path.join(config.dataDir, 'documents')
+                : fs.mkdtempSync(path.join(os.tmpdir(), 'praxis-documents-')),
+            key: config.documentKey || loadOrCreateSecret(config.dataDir, 'document-key'),
+            practice: config.practice,
+            publicUrl: config.publicUrl
+        });
+        this.anamnesis = new AnamnesisService({
+            store: this.store,
+            signer: this.signer,
+            documentVault: this.documentVault,
+            slotEngine: this.slotEngine,
+            practice: config.practice,
+            clock: config.clock
+        });
+        this.messages = new MessageService({
+            store: this.store,
+            documentVault: this.documentVault,
+            mailer: this.mailer,
+            practice: config.practice,
+            publicUrl: config.publicUrl,
+            clock: config.clock
+        });
+        this.treatmentPlans = new TreatmentPlanService({
+            store: this.store,
+            documentVault: this.documentVault,
+            messages: this.messages,
+            mailer: this.mailer,
+            practice: config.practice,
+            publicUrl: config.publicUrl,
+            clock: config.clock
+        });
+        this.paymentProvider = createPaymentProvider({
+            ...config.payments,
+            publicUrl: config.publicUrl,
+            clock: config.clock
+        });
+        this.invoices = new InvoiceService({
+            store: this.store,
+            provider: this.paymentProvider,
+            documentVault: this.documentVault,
+            mailer: this.mailer,
+            practice: config.practice,
+            publicUrl: config.publicUrl,
+            clock: config.clock
+        });
+        this.newsletter = new NewsletterService({
+            store: this.store,
+            mailer: this.mailer,
+            practice: config.practice,
+            publicUrl: config.publicUrl
+        });
+        this.auth = new AuthService({
+            store: this.store,
+            mailer: this.mailer,
+            practice: config.practice,
+            publicUrl: config.publicUrl,
+            clock: config.clock
+        });
+        this.twoFactor = new TwoFactorService({
+            store: this.store,
+            auth: this.auth,
+            mailer: this.mailer,
+            practice: config.practice,
+            publicUrl: config.publicUrl,
+            clock: config.clock
+        });
+        this.privacy = new PrivacyService({
+            store: this.store,
+            auth: this.auth,
+            twoFactor: this.twoFactor,
+            documentVault: this.documentVault,
+            mailer: this.mailer,
+            practice: config.practice,
+            publicUrl: config.publicUrl,
+            clock: config.clock
+        });
+        this.consent = new ConsentService({
+            store: this.store,
+            policies: config.consentPolicies
+        });
+        this.inbox = new RequestInbox({
+            store: this.store,
+            mailer: this.mailer,
+            practice: config.practice,
+            publicUrl: config.publicUrl,
+            uploadsDir: this.uploadsDir
+        });
+        this.priceList = new PriceListService({
+            priceLists: config.priceLists,
+            practice: config.practice,
+            clock: config.clock
+        });
+        this.financing = new FinancingService({
+            financing: config.financing,
+            practice: config.practice,
+            clock: config.clock
+        });
+        this.estimates = new EstimateService({
+            store: this.store,
+            priceList: this.priceList,
+            financing: this.financing
+        });
+        this.staticFiles = new StaticFiles({
+            root: config.publicRoot,
+            privateDirectories: [config.dataDir, this.uploadsDir].filter(Boolean)
+        });
+        this.router = new Router();
+
+        registerBookingRoutes(this.router, this);
+        registerContactRoutes(this.router, this);
+        registerNewsletterRoutes(this.router, this);
+        registerApplicationRoutes(this.router, this);
+        registerPortalRoutes(this.router, this);
+        registerManageRoutes(this.router, this);
+        registerCalendarRoutes(this.router, this);
+        registerWaitlistRoutes(this.router, this);
+        registerRecallRoutes(this.router, this);
+        registerProviderRoutes(this.router, this);
+        registerFormRoutes(this.router, this);
+        registerDocumentRoutes(this.router, this);
+        registerAnamnesisRoutes(this.router, this);
+        registerTwoFactorRoutes(this.router, this);
+        registerMessageRoutes(this.router, this);
+        registerTreatmentPlanRoutes(this.router, this);
+        registerBonusBookletRoutes(this.router, this);
+        registerInvoiceRoutes(this.router, this);
+        registerPrivacyRoutes(this.router, this);
+        registerConsentRoutes(this.router, this);
+        registerInboxRoutes(this.router, this);
+        registerPriceRoutes(this.router, this);
+        registerFinancingRoutes(this.router, this);
+        registerEstimateRoutes(this.router, this);
+
+        this.server = http.createServer((req, res) => {
+            this.handleRequest(req, res).catch(error => {
+                console.error('Request failed:', req.method, req.url, error);
+                if (res.headersSent) {
+                    res.destroy();
+                } else {
+                    sendJson(res, 500, { error: 'Es ist ein interner Fehler aufgetreten. Bitte versuchen Sie es später erneut.' });
+                }
+            });
+        });
+    }
+
+    async handleRequest(req, res) {
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+        if (await this.router.handle(req, res, url)) return;
+        if (this.staticFiles.handle(req, res, url)) return;
+
+        if (url.pathname.startsWith('/api/')) {
+            sendJson(res, 404, { error: 'Nicht gefunden.' });
+        } else {
+            res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Nicht gefunden');
+        }
+    }
+
+    listen(port = this.config.port, host = this.config.host) {
+        return new Promise(resolve => {
+            this.server.listen(port, host, () => {
+                this.waitlistTimer = setInterval(() => {
+                    this.waitlist.tick().catch(error => {
+                        console.error('Waitlist check failed:', error);
+                    });
+                }, WAITLIST_TICK_MS);
+                this.waitlistTimer.unref();
+                this.startRecallScheduler();
+                this.startCalendarSync();
+                resolve(this.server.address());
+            });
+        });
+    }
+
+    startRecallScheduler() {
+        if (this.config.recallMode === 'off') return;
+
+        const dryRun = this.config.recallMode === 'dry-run';
+        const check = () => this.recall.run({ dryRun }).catch(error => {
+            console.error('Recall check failed:', error);
+        });
+
+        check();
+        this.recallTimer = setInterval(check, RECALL_CHECK_MS);
+        this.recallTimer.unref();
+    }
+
+    startCalendarSync() {
+        if (!this.calendarSync.provider) return;
+
+        const sync = () => this.calendarSync.sync().catch(error => {
+            console.error('Calendar sync failed:', error);
+        });
+
+        sync();
+        this.calendarSyncTimer = setInterval(sync, CALENDAR_SYNC_MS);
+        this.calendarSyncTimer.unref();
+    }
+
+    close() {
+        clearInterval(this.waitlistTimer);
+        clearInterval(this.recallTimer);
+        clearInterval(this.calendarSyncTimer);
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+}
+
+module.exports = PracticeApp;
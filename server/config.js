@@ -0,0 +1,87 @@
+/**
+ * Server Configuration
+ * Reads settings from environment variables and the practice configuration file
+ */
+const fs = require('fs');
+const path = require('path');
+
+function loadConfig(env = process.env) {
+    const practiceFile = env.PRACTICE_CONFIG || path.join(__dirname, 'config', 'practice.json');
+    const consentFile = env.CONSENT_CONFIG || path.join(__dirname, 'config', 'consent.json');
+    const priceListFile = env.PRICE_LIST_CONFIG || path.join(__dirname, 'config', 'price-list.json');
+    const financingFile = env.FINANCING_CONFIG || path.join(__dirname, 'config', 'financing.json');
+
+    const practice = JSON.parse(fs.readFileSync(practiceFile, 'utf8'));
+    const port = Number(env.PORT) || 3000;
+    const host = env.HOST || '127.0.0.1';
+    // DATA_DIR=memory keeps everything in memory, e.g. for local test runs
+    const dataDir = env.DATA_DIR === 'memory' ? null : (env.DATA_DIR || path.join(__dirname, 'data'));
+
+    return {
+        port,
+        host,
+        publicUrl: (env.PUBLIC_URL || `http://${host}:${port}`).replace(/\/$/, ''),
+        publicRoot: env.PUBLIC_ROOT || path.join(__dirname, '..'),
+        dataDir,
+        // Signs the links in e-mails; generated and kept in DATA_DIR when not set
+        linkSecret: env.LINK_SECRET || null,
+        // Encrypts the patient documents (64 hex characters); generated and kept in DATA_DIR when not set
+        documentKey: env.DOCUMENT_KEY || null,
+        practice,
+        // Versioned texts of the consent banner, the last entry is the current one
+        consentPolicies: JSON.parse(fs.readFileSync(consentFile, 'utf8')),
+        // GOZ/BEMA positions of the cost calculator, each version applies from its validFrom date
+        priceLists: JSON.parse(fs.readFileSync(priceListFile, 'utf8')),
+        // Instalment financing products of our financing partner
+        financing: JSON.parse(fs.readFileSync(financingFile, 'utf8')),
+        bookingProvider: {
+            // none (default) keeps the calendar local, doctolib or calendly sync availability and bookings with that provider
+            provider: env.BOOKING_PROVIDER || 'none',
+            timeZone: practice.timeZone,
+            doctolib: {
+                url: env.DOCTOLIB_API_URL || null,
+                token: env.DOCTOLIB_API_TOKEN || null,
+                agendaId: env.DOCTOLIB_AGENDA_ID || null
+            },
+            calendly: {
+                url: env.CALENDLY_API_URL || 'https://api.calendly.com',
+                token: env.CALENDLY_API_TOKEN || null,
+                userUri: env.CALENDLY_USER_URI || null,
+                eventTypeUri: env.CALENDLY_EVENT_TYPE_URI || null
+            }
+        },
+        // send (default) delivers recall reminders, dry-run only logs who would get one, off disables them
+        recallMode: env.RECALL_MODE || 'send',
+        payments: {
+            // none (default) disables online payment, mock completes checkouts on a local test page
+            provider: env.PAYMENT_PROVIDER || 'none'
+        },
+        sms: {
+            // log (default) writes messages to a file, http hands them to the gateway, memory keeps them in the process
+            transport: env.SMS_TRANSPORT || 'log',
+            logFile: env.SMS_LOG_FILE || (dataDir ? path.join(dataDir, 'sms.log') : null),
+            from: env.SMS_FROM || 'Praxis',
+            http: {
+                url: env.SMS_GATEWAY_URL || null,
+                token: env.SMS_GATEWAY_TOKEN || null
+            }
+        },
+        mail: {
+            // log (default) writes mails to a file, smtp delivers them, memory keeps them in the process
+            transport: env.MAIL_TRANSPORT || 'log',
+            logFile: env.MAIL_LOG_FILE || (dataDir ? path.join(dataDir, 'mail.log') : null),
+            from: env.MAIL_FROM || `"${practice.name}" <noreply@zahnarztpraxis-muenchen.de>`,
+            practiceAddress: env.PRACTICE_EMAIL || practice.email,
+            smtp: {
+                host: env.SMTP_HOST || '127.0.0.1',
+                port: Number(env.SMTP_PORT) || 25,
+                secure: env.SMTP_SECURE === 'true',
+                requireTls: env.SMTP_REQUIRE_TLS === 'true',
+                user: env.SMTP_USER || null,
+                pass: env.SMTP_PASS || null
+            }
+        }
+    };
+}
+
+module.exports = loadConfig;
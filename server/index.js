@@ -0,0 +1,16 @@
+/**
+ * Server Entry Point
+ * Starts the practice backend: node server/index.js
+ */
+const loadConfig = require('./config');
+const PracticeApp = require('./app');
+
+const app = new PracticeApp(loadConfig());
+
+app.listen().then(address => {
+    console.log(`Praxis-Server läuft auf http://${address.address}:${address.port}`);
+});
+
+process.on('SIGINT', () => {
+    app.close().then(() => process.exit(0));
+});
@@ -0,0 +1,370 @@
+/**
+ * Anamnesis Service
+ * The medical history questionnaire patients fill in before their visit,
+ * either through the signed link from the booking confirmation or in the
+ * patient portal. Answers are kept as a draft until the patient signs; the
+ * signed questionnaire is stored as JSON and as a PDF in the document vault.
+ */
+const { HttpError } = require('./errors');
+const { validateForm, SCHEMAS } = require('./validation');
+const { PdfDocument } = require('./pdf');
+
+const FIELDS = Object.keys(SCHEMAS.anamnesis);
+const MAX_ANSWER_LENGTH = 2000;
+
+const CHOICES = {
+    ja: 'Ja',
+    nein: 'Nein',
+    unbekannt: 'Weiß ich nicht',
+    'nicht-zutreffend': 'Nicht zutreffend',
+    gkv: 'Gesetzlich versichert',
+    pkv: 'Privat versichert',
+    selbstzahler: 'Selbstzahler',
+    'unter-1-jahr': 'Vor weniger als einem Jahr',
+    '1-2-jahre': 'Vor ein bis zwei Jahren',
+    'ueber-2-jahre': 'Vor mehr als zwei Jahren'
+};
+
+// Layout of the PDF, in the order of the steps in anamnese.html
+const SECTIONS = [
+    {
+        title: 'Persönliche Angaben',
+        questions: [
+            ['first-name', 'Vorname'],
+            ['last-name', 'Nachname'],
+            ['birth-date', 'Geburtsdatum'],
+            ['phone', 'Telefon'],
+            ['insurance', 'Versicherung'],
+            ['insurance-name', 'Krankenkasse / Versicherung']
+        ]
+    },
+    {
+        title: 'Medikamente',
+        questions: [
+            ['medication', 'Nehmen Sie regelmäßig Medikamente ein?'],
+            ['medication-list', 'Welche Medikamente (mit Dosierung)?']
+        ]
+    },
+    {
+        title: 'Allergien',
+        questions: [
+            ['allergies', 'Haben Sie Allergien oder Unverträglichkeiten?'],
+            ['allergy-list', 'Welche Allergien?']
+        ]
+    },
+    {
+        title: 'Blutgerinnung',
+        questions: [
+            ['anticoagulants', 'Nehmen Sie blutverdünnende Medikamente ein?'],
+            ['anticoagulant-name', 'Welches Präparat?'],
+            ['bleeding-tendency', 'Neigen Sie zu verstärkten oder langen Blutungen?']
+        ]
+    },
+    {
+        title: 'Schwangerschaft',
+        questions: [
+            ['pregnancy', 'Sind Sie schwanger?'],
+            ['pregnancy-week', 'Schwangerschaftswoche']
+        ]
+    },
+    {
+        title: 'Frühere Behandlungen',
+        questions: [
+            ['last-visit', 'Wann waren Sie zuletzt beim Zahnarzt?'],
+            ['previous-treatments', 'Frühere Behandlungen (z. B. Implantate, Wurzelbehandlungen, Zahnersatz)'],
+            ['anaesthesia-problems', 'Hatten Sie schon einmal Probleme mit einer Betäubung?'],
+            ['anaesthesia-details', 'Welche Probleme?'],
+            ['notes', 'Sonstige Hinweise']
+        ]
+    }
+];
+
+const SIGNATURE_LIMITS = { strokes: 200, points: 10000, size: 2000 };
+
+function formatDate(value) {
+    const [year, month, day] = value.split('-');
+    return `${day}.${month}.${year}`;
+}
+
+function formatAnswer(field, value) {
+    if (!value) return '–';
+    if (field === 'birth-date') return formatDate(value);
+    return CHOICES[value] || value;
+}
+
+// Keeps the known fields of a draft, nothing is validated until the patient signs
+function sanitizeAnswers(answers) {
+    const values = {};
+    FIELDS.forEach(field => {
+        const value = answers && answers[field];
+        if (typeof value === 'string') {
+            values[field] = value.slice(0, MAX_ANSWER_LENGTH);
+        } else if (typeof value === 'boolean') {
+            values[field] = value;
+        }
+    });
+    return values;
+}
+
+/**
+ * Checks the strokes of the signature pad: { width, height, strokes } with
+ * every stroke a list of [x, y] points in canvas pixels.
+ */
+function validateSignature(signature) {
+    const invalid = () => new HttpError(400, 'Bitte überprüfen Sie Ihre Eingaben.', {
+        fields: { signature: 'Bitte unterschreiben Sie im Unterschriftenfeld.' }
+    });
+
+    if (!signature || !Array.isArray(signature.strokes)) throw invalid();
+
+    const { width, height, strokes } = signature;
+    const isSize = value => Number.isFinite(value) && value > 0 && value <= SIGNATURE_LIMITS.size;
+    if (!isSize(width) || !isSize(height) || strokes.length > SIGNATURE_LIMITS.strokes) throw invalid();
+
+    let points = 0;
+    const cleaned = strokes.map(stroke => {
+        if (!Array.isArray(stroke)) throw invalid();
+        points += stroke.length;
+        return stroke.map(point => {
+            if (!Array.isArray(point) || !point.every(Number.isFinite)) throw invalid();
+            return [
+                Math.round(Math.min(Math.max(point[0], 0), width) * 10) / 10,
+                Math.round(Math.min(Math.max(point[1], 0), height) * 10) / 10
+            ];
+        });
+    });
+
+    // A couple of dots are not a signature
+    if (points < 10 || points > SIGNATURE_LIMITS.points) throw invalid();
+
+    return { width, height, strokes: cleaned };
+}
+
+class AnamnesisService {
+    constructor({ store, signer, documentVault, slotEngine, practice, clock = () => new Date() }) {
+        this.store = store;
+        this.signer = signer;
+        this.documentVault = documentVault;
+        this.slotEngine = slotEngine;
+        this.practice = practice;
+        this.clock = clock;
+    }
+
+    findBookingByToken(token) {
+        const data = this.signer.verify('anamnesis', token);
+        const booking = data && this.store.findById('bookings', data.bookingId);
+        if (!booking) {
+            throw new HttpError(404, 'Dieser Link ist ungültig. Bitte wenden Sie sich telefonisch an die Praxis.');
+        }
+        return booking;
+    }
+
+    /**
+     * A questionnaire belongs either to a booking (signed link) or to a portal
+     * account. The owner also brings the details that are filled in already.
+     */
+    ownerForBooking(booking) {
+        return {
+            key: { bookingId: booking.id },
+            email: booking.patient.email,
+            prefill: {
+                'first-name': booking.patient.firstName,
+                'last-name': booking.patient.lastName,
+                'birth-date': booking.patient.birthDate || '',
+                'phone': booking.patient.phone || ''
+            },
+            // Whoever has the link must not read a questionnaire that was already signed
+            showSubmitted: false
+        };
+    }
+
+    ownerForUser(user) {
+        return {
+            key: { userId: user.id },
+            email: user.email,
+            patientId: user.id,
+            prefill: {
+                'first-name': user.firstName,
+                'last-name': user.lastName,
+                'birth-date': user.birthDate || ''
+            },
+            showSubmitted: true
+        };
+    }
+
+    findLatest(owner) {
+        const [key, value] = Object.entries(owner.key)[0];
+        return this.store.find('anamneses', record => record[key] === value)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))[0] || null;
+    }
+
+    getQuestionnaire(owner) {
+        const record = this.findLatest(owner);
+
+        if (!record) {
+            return { status: 'new', answers: owner.prefill };
+        }
+        if (record.status === 'draft') {
+            return { status: 'draft', answers: record.answers, savedAt: record.updatedAt };
+        }
+
+        return {
+            status: 'submitted',
+            submittedAt: record.submittedAt,
+            // A new questionnaire starts from the signed answers in the portal, and empty otherwise
+            answers: owner.showSubmitted ? { ...record.answers, confirm: false } : owner.prefill
+        };
+    }
+
+    // After a signed questionnaire, the next draft becomes a new questionnaire
+    saveDraft(owner, answers) {
+        const record = this.findLatest(owner);
+        const values = sanitizeAnswers(answers);
+
+        if (record && record.status === 'draft') {
+            return this.store.update('anamneses', record.id, { answers: values });
+        }
+
+        return this.store.insert('anamneses', {
+            ...owner.key,
+            email: owner.email,
+            status: 'draft',
+            answers: values
+        });
+    }
+
+    async submit(owner, { answers, signature }, { ip = null } = {}) {
+        const values = validateForm('anamnesis', sanitizeAnswers(answers));
+        const signed = validateSignature(signature);
+        const submittedAt = this.clock().toISOString();
+        const draft = this.findLatest(owner);
+
+        const changes = {
+            status: 'submitted',
+            answers: values,
+            patient: {
+                firstName: values['first-name'],
+                lastName: values['last-name'],
+                birthDate: values['birth-date'],
+                email: owner.email
+            },
+            signature: signed,
+            submittedAt,
+            ip
+        };
+
+        // The PDF is stored first, so a questionnaire is never marked signed without it
+        const document = this.documentVault.add({
+            patientId: owner.patientId || null,
+            category: 'anamnesis',
+            title: `Anamnesebogen vom ${formatDate(submittedAt.slice(0, 10))}`,
+            fileName: `anamnese-${values['last-name']}-${submittedAt.slice(0, 10)}.pdf`.replace(/[^\w\-äöüÄÖÜß.]/g, '_'),
+            contentType: 'application/pdf',
+            content: this.renderPdf({ ...owner.key, ...changes })
+        });
+        changes.documentId = document.id;
+
+        return draft && draft.status === 'draft'
+            ? this.store.update('anamneses', draft.id, changes)
+            : this.store.insert('anamneses', { ...owner.key, email: owner.email, ...changes });
+    }
+
+    renderPdf(record) {
+        const { practice } = this;
+        const booking = record.bookingId ? this.store.findById('bookings', record.bookingId) : null;
+        const pdf = new PdfDocument({ title: `Anamnesebogen ${record.patient.firstName} ${record.patient.lastName}` });
+
+        pdf.text(practice.name, { size: 9, spaceAfter: 0 });
+        pdf.text(`${practice.address.street}, ${practice.address.postalCode} ${practice.address.city}`, { size: 9, spaceAfter: 12 });
+        pdf.text('Anamnesebogen', { font: 'bold', size: 18, spaceAfter: 2 });
+        pdf.text(`${record.patient.firstName} ${record.patient.lastName}, geboren am ${formatDate(record.patient.birthDate)}`, { size: 11, spaceAfter: 2 });
+        if (booking) {
+            const treatment = this.slotEngine.getTreatment(booking.treatmentType);
+            pdf.text(`Termin: ${treatment.label} am ${formatDate(booking.date)} um ${booking.start} Uhr`, { size: 10 });
+        }
+        pdf.moveDown(6);
+
+        SECTIONS.forEach(section => {
+            pdf.ensureSpace(60);
+            pdf.text(section.title, { font: 'bold', size: 12, spaceAfter: 2 });
+            pdf.rule({ spaceAfter: 6 });
+            section.questions.forEach(([field, label]) => {
+                pdf.ensureSpace(30);
+                pdf.text(label, { size: 9, spaceAfter: 0 });
+                pdf.text(formatAnswer(field, record.answers[field]), { font: 'bold', size: 10, indent: 12 });
+            });
+            pdf.moveDown(6);
+        });
+
+        const signedAt = new Date(record.submittedAt);
+        const time = signedAt.toLocaleString('de-DE', { timeZone: practice.timeZone, dateStyle: 'medium', timeStyle: 'short' });
+        pdf.ensureSpace(150);
+        pdf.text('Ich bestätige, dass meine Angaben vollständig und richtig sind. Änderungen meines Gesundheitszustands oder meiner Medikamente teile ich der Praxis mit.', { size: 9, spaceAfter: 8 });
+        pdf.drawStrokes(record.signature.strokes, {
+            sourceWidth: record.signature.width,
+            sourceHeight: record.signature.height,
+            width: 220,
+            height: 80
+        });
+        pdf.rule({ spaceAfter: 4 });
+        pdf.text(`Digital unterschrieben am ${time} Uhr`, { size: 9 });
+
+        pdf.addFooter((page, pages) => `Anamnesebogen ${record.patient.firstName} ${record.patient.lastName} – Seite ${page} von ${pages}`);
+        return pdf.toBuffer();
+    }
+
+    // For the practice team: the answers that matter before the treatment starts
+    getAlerts(record) {
+        const { answers } = record;
+        return [
+            answers.anticoagulants === 'ja' ? `Blutverdünner: ${answers['anticoagulant-name']}` : null,
+            answers.allergies === 'ja' ? `Allergien: ${answers['allergy-list']}` : null,
+            answers.pregnancy === 'ja' ? `Schwanger${answers['pregnancy-week'] ? ` (SSW ${answers['pregnancy-week']})` : ''}` : null,
+            answers['anaesthesia-problems'] === 'ja' ? `Probleme mit Betäubung: ${answers['anaesthesia-details']}` : null,
+            answers['bleeding-tendency'] === 'ja' ? 'Blutungsneigung' : null
+        ].filter(Boolean);
+    }
+
+    listSubmitted({ email = null } = {}) {
+        return this.store.find('anamneses', record =>
+            record.status === 'submitted' && (!email || record.email === email.trim().toLowerCase())
+        ).sort((a, b) => b.submittedAt.localeCompare(a.submittedAt));
+    }
+
+    findSubmitted(id) {
+        const record = this.store.findById('anamneses', id);
+        if (!record || record.status !== 'submitted') {
+            throw new HttpError(404, 'Dieser Anamnesebogen wurde nicht gefunden.');
+        }
+        return record;
+    }
+
+    toStaffSummary(record) {
+        const booking = record.bookingId ? this.store.findById('bookings', record.bookingId) : null;
+        return {
+            id: record.id,
+            patient: record.patient,
+            appointment: booking ? { date: booking.date, start: booking.start } : null,
+            submittedAt: record.submittedAt,
+            documentId: record.documentId,
+            alerts: this.getAlerts(record)
+        };
+    }
+
+    // Questions and answers with their labels, as printed in the PDF
+    toStaffRecord(record) {
+        return {
+            ...this.toStaffSummary(record),
+            sections: SECTIONS.map(section => ({
+                title: section.title,
+                answers: section.questions.map(([field, label]) => ({
+                    field,
+                    label,
+                    value: formatAnswer(field, record.answers[field])
+                }))
+            }))
+        };
+    }
+}
+
+module.exports = { AnamnesisService, SECTIONS };
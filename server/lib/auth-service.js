@@ -0,0 +1,304 @@
+/**
+ * Auth Service
+ * Patient accounts for the portal: registration with e-mail verification,
+ * login sessions, "Angemeldet bleiben" and password reset
+ */
+const crypto = require('crypto');
+const { HttpError } = require('./errors');
+const { parseCookies, serializeCookie, appendCookie } = require('./cookies');
+const { templates } = require('./mail-templates');
+
+const SESSION_COOKIE = 'praxis_session';
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const MIN_PASSWORD_LENGTH = 10;
+const MAX_FAILED_LOGINS = 5;
+const LOCK_DURATION = 15 * 60 * 1000;
+
+// Compared against when the account does not exist, so response times do not reveal it
+let dummyPasswordHash = null;
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function createToken() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(password, salt, 64, SCRYPT_PARAMS);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, Buffer.from(salt, 'hex'), expected.length, SCRYPT_PARAMS);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+class AuthService {
+    constructor({ store, mailer, practice, publicUrl, clock = () => new Date() }) {
+        this.store = store;
+        this.mailer = mailer;
+        this.practice = practice;
+        this.publicUrl = publicUrl;
+        this.clock = clock;
+        this.secureCookies = publicUrl.startsWith('https://');
+
+        // Lifetimes of the two kinds of sessions and of e-mail links
+        this.sessionDuration = 12 * HOUR;
+        this.rememberDuration = 30 * DAY;
+        this.resetDuration = 1 * HOUR;
+        this.verificationDuration = 7 * DAY;
+    }
+
+    now() {
+        return this.clock().getTime();
+    }
+
+    findUserByEmail(email) {
+        const normalized = String(email || '').trim().toLowerCase();
+        return this.store.findOne('users', user => user.email === normalized);
+    }
+
+    validatePassword(password) {
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            throw new HttpError(400, 'Bitte überprüfen Sie Ihre Eingaben.', {
+                fields: { password: `Das Passwort muss mindestens ${MIN_PASSWORD_LENGTH} Zeichen lang sein.` }
+            });
+        }
+    }
+
+    async register({ firstName, lastName, email, birthDate, password }) {
+        this.validatePassword(password);
+
+        const existing = this.findUserByEmail(email);
+        if (existing) {
+            // Same answer as for a new account, so the form cannot be used to probe for patients
+            if (!existing.emailVerified) {
+                await this.sendVerification(existing);
+            }
+            return;
+        }
+
+        const user = this.store.insert('users', {
+            email: email.trim().toLowerCase(),
+            firstName,
+            lastName,
+            birthDate,
+            role: 'patient',
+            passwordHash: hashPassword(password),
+            emailVerified: false,
+            failedLogins: 0,
+            lockedUntil: null
+        });
+
+        await this.sendVerification(user);
+    }
+
+    async sendVerification(user) {
+        const token = createToken();
+        this.store.update('users', user.id, {
+            verificationTokenHash: hashToken(token),
+            verificationExpiresAt: new Date(this.now() + this.verificationDuration).toISOString()
+        });
+
+        const verifyUrl = `${this.publicUrl}/api/auth/verify?token=${token}`;
+        const sent = await this.mailer.trySend({
+            to: user.email,
+            ...templates.accountVerification({ user, verifyUrl, practice: this.practice })
+        });
+
+        if (!sent) {
+            throw new HttpError(502, 'Die Bestätigungs-E-Mail konnte nicht versendet werden. Bitte versuchen Sie es später erneut.');
+        }
+    }
+
+    verifyEmail(token) {
+        if (typeof token !== 'string' || !token) return null;
+
+        const tokenHash = hashToken(token);
+        const user = this.store.findOne('users', candidate => candidate.verificationTokenHash === tokenHash);
+        if (!user || new Date(user.verificationExpiresAt).getTime() < this.now()) return null;
+
+        return this.store.update('users', user.id, {
+            emailVerified: true,
+            verificationTokenHash: null,
+            verificationExpiresAt: null
+        });
+    }
+
+    /**
+     * Checks the password of the first login step. Accounts with two-factor
+     * login still need a code before createSession(), see TwoFactorService.
+     */
+    authenticate({ username, password }) {
+        const invalid = new HttpError(401, 'Benutzername oder Passwort ist falsch.');
+        const user = this.findUserByEmail(username);
+
+        if (!user) {
+            dummyPasswordHash = dummyPasswordHash || hashPassword(createToken());
+            verifyPassword(String(password || ''), dummyPasswordHash);
+            throw invalid;
+        }
+
+        if (user.lockedUntil && new Date(user.lockedUntil).getTime() > this.now()) {
+            throw new HttpError(429, 'Zu viele fehlgeschlagene Anmeldeversuche. Bitte versuchen Sie es in 15 Minuten erneut.');
+        }
+
+        if (!verifyPassword(String(password || ''), user.passwordHash)) {
+            const failedLogins = (user.failedLogins || 0) + 1;
+            this.store.update('users', user.id, {
+                failedLogins: failedLogins >= MAX_FAILED_LOGINS ? 0 : failedLogins,
+                lockedUntil: failedLogins >= MAX_FAILED_LOGINS ? new Date(this.now() + LOCK_DURATION).toISOString() : null
+            });
+            throw invalid;
+        }
+
+        if (!user.emailVerified) {
+            throw new HttpError(403, 'Bitte bestätigen Sie zuerst Ihre E-Mail-Adresse über den Link in unserer E-Mail.');
+        }
+
+        this.store.update('users', user.id, { failedLogins: 0, lockedUntil: null, lastLoginAt: this.clock().toISOString() });
+        return user;
+    }
+
+    createSession(user, persistent) {
+        const token = createToken();
+        const duration = persistent ? this.rememberDuration : this.sessionDuration;
+
+        this.store.insert('sessions', {
+            tokenHash: hashToken(token),
+            userId: user.id,
+            persistent,
+            expiresAt: new Date(this.now() + duration).toISOString()
+        });
+
+        return { token, user, persistent, maxAge: duration / 1000 };
+    }
+
+    getSession(token) {
+        if (!token) return null;
+
+        const tokenHash = hashToken(token);
+        const session = this.store.findOne('sessions', candidate => candidate.tokenHash === tokenHash);
+        if (!session) return null;
+
+        if (new Date(session.expiresAt).getTime() < this.now()) {
+            this.store.remove('sessions', session.id);
+            return null;
+        }
+
+        const user = this.store.findById('users', session.userId);
+        return user ? { session, user } : null;
+    }
+
+    logout(token) {
+        const current = this.getSession(token);
+        if (current) {
+            this.store.remove('sessions', current.session.id);
+        }
+    }
+
+    endAllSessions(userId) {
+        this.store.find('sessions', session => session.userId === userId)
+            .forEach(session => this.store.remove('sessions', session.id));
+    }
+
+    async requestPasswordReset(email) {
+        const user = this.findUserByEmail(email);
+        // Unknown addresses get the same response, see register()
+        if (!user) return;
+
+        const token = createToken();
+        this.store.update('users', user.id, {
+            resetTokenHash: hashToken(token),
+            resetExpiresAt: new Date(this.now() + this.resetDuration).toISOString()
+        });
+
+        const resetUrl = `${this.publicUrl}/portal.html?reset=${token}`;
+        await this.mailer.trySend({
+            to: user.email,
+            ...templates.passwordReset({ user, resetUrl, practice: this.practice })
+        });
+    }
+
+    resetPassword(token, password) {
+        this.validatePassword(password);
+
+        const tokenHash = hashToken(String(token || ''));
+        const user = this.store.findOne('users', candidate => candidate.resetTokenHash === tokenHash);
+
+        if (!user || new Date(user.resetExpiresAt).getTime() < this.now()) {
+            throw new HttpError(400, 'Der Link zum Zurücksetzen ist ungültig oder abgelaufen. Bitte fordern Sie einen neuen an.');
+        }
+
+        this.store.update('users', user.id, {
+            passwordHash: hashPassword(password),
+            resetTokenHash: null,
+            resetExpiresAt: null,
+            failedLogins: 0,
+            lockedUntil: null,
+            // Opening the reset link proves access to the mailbox
+            emailVerified: true
+        });
+
+        // Sessions that may have been opened with the old password are no longer valid
+        this.endAllSessions(user.id);
+    }
+
+    // Cookie helpers for the routes
+
+    getSessionToken(req) {
+        return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+    }
+
+    setSessionCookie(res, { token, persistent, maxAge }) {
+        // Without "Angemeldet bleiben" the cookie disappears when the browser is closed
+        appendCookie(res, serializeCookie(SESSION_COOKIE, token, {
+            maxAge: persistent ? maxAge : null,
+            secure: this.secureCookies
+        }));
+    }
+
+    clearSessionCookie(res) {
+        appendCookie(res, serializeCookie(SESSION_COOKIE, '', { maxAge: 0, secure: this.secureCookies }));
+    }
+
+    requireUser(ctx) {
+        const current = this.getSession(this.getSessionToken(ctx.req));
+        if (!current) {
+            throw new HttpError(401, 'Bitte melden Sie sich an.');
+        }
+        return current.user;
+    }
+
+    // Practice staff, see server/tools/set-role.js
+    requireStaff(ctx) {
+        const user = this.requireUser(ctx);
+        if (user.role !== 'staff') {
+            throw new HttpError(403, 'Dieser Bereich ist dem Praxisteam vorbehalten.');
+        }
+        return user;
+    }
+
+    toPublicUser(user) {
+        return {
+            id: user.id,
+            email: user.email,
+            firstName: user.firstName,
+            lastName: user.lastName,
+            birthDate: user.birthDate,
+            role: user.role
+        };
+    }
+}
+
+module.exports = { AuthService, hashPassword, verifyPassword, hashToken, createToken };
@@ -0,0 +1,213 @@
+/**
+ * Bonus Booklet Service
+ * The digital Bonusheft: statutory insurers raise their subsidy for dentures
+ * (Festzuschuss) from 60 to 70 percent after five years of documented
+ * check-ups and to 75 percent after ten. Check-ups come from completed
+ * appointments; the practice can add older ones, e.g. from the paper booklet.
+ */
+const { HttpError } = require('./errors');
+const { validateForm } = require('./validation');
+const { getPatientKey } = require('./recall-service');
+const { PdfDocument } = require('./pdf');
+const { getPracticeNow, toMinutes } = require('./practice-time');
+
+const BASE_SUBSIDY = 60;
+// Checked from the highest level down; the ten-year bonus tolerates one missing year
+const BONUS_LEVELS = [
+    { years: 10, allowedGaps: 1, subsidyPercent: 75 },
+    { years: 5, allowedGaps: 0, subsidyPercent: 70 }
+];
+// Below this age a check-up is needed in each half of the year
+const ADULT_AGE = 18;
+
+function formatDate(value) {
+    const [year, month, day] = value.split('-');
+    return `${day}.${month}.${year}`;
+}
+
+function isMinorOn(birthDate, date) {
+    if (!birthDate) return false;
+    const [year, rest] = [Number(birthDate.slice(0, 4)), birthDate.slice(4)];
+    return date < `${year + ADULT_AGE}${rest}`;
+}
+
+class BonusBookletService {
+    constructor({ store, bookingManager, slotEngine, practice }) {
+        this.store = store;
+        this.bookingManager = bookingManager;
+        this.slotEngine = slotEngine;
+        this.practice = practice;
+    }
+
+    get settings() {
+        return this.practice.bonusBooklet;
+    }
+
+    now() {
+        return getPracticeNow(this.practice.timeZone, this.slotEngine.clock());
+    }
+
+    // Check-ups
+
+    /**
+     * Appointments of the patient (matched by e-mail and name, family members
+     * share addresses) that are over and count as a check-up.
+     */
+    getAppointmentCheckups(patient) {
+        const now = this.now();
+        const key = getPatientKey(patient);
+
+        return this.bookingManager.findByPatientEmail(patient.email)
+            .filter(booking =>
+                booking.status === 'confirmed'
+                && this.settings.treatments.includes(booking.treatmentType)
+                && getPatientKey(booking.patient) === key
+                && (booking.date < now.date || (booking.date === now.date && toMinutes(booking.end) <= now.minutes))
+            )
+            .map(booking => ({
+                date: booking.date,
+                source: 'appointment',
+                label: this.slotEngine.getTreatment(booking.treatmentType)?.label || booking.treatmentType
+            }));
+    }
+
+    getManualEntries(patientId) {
+        return this.store.find('bonus-entries', entry => entry.patientId === patientId);
+    }
+
+    getCheckups(patient) {
+        const manual = this.getManualEntries(patient.id).map(entry => ({
+            id: entry.id,
+            date: entry.date,
+            source: 'practice',
+            label: entry.note || 'Vorsorgeuntersuchung'
+        }));
+        return [...this.getAppointmentCheckups(patient), ...manual].sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    addEntry(body, { createdBy }) {
+        const data = validateForm('bonusEntry', body, { today: this.now().date });
+        const patient = this.store.findOne('users', user => user.email === data.email.toLowerCase());
+        if (!patient) {
+            throw new HttpError(400, 'Bitte überprüfen Sie Ihre Eingaben.', {
+                fields: { email: 'Für diese E-Mail-Adresse gibt es kein Patientenkonto.' }
+            });
+        }
+
+        return this.store.insert('bonus-entries', {
+            patientId: patient.id,
+            date: data.date,
+            note: data.note,
+            createdBy: createdBy.id
+        });
+    }
+
+    removeEntry(entryId) {
+        if (!this.store.remove('bonus-entries', entryId)) {
+            throw new HttpError(404, 'Dieser Eintrag wurde nicht gefunden.');
+        }
+    }
+
+    // Years and bonus
+
+    /**
+     * One entry per calendar year from the first check-up on. Adults need one
+     * check-up a year; for the half-years in which the patient was under 18,
+     * each half needs its own. The running year stays open until it is documented.
+     */
+    getYears(patient, checkups) {
+        const currentYear = Number(this.now().date.slice(0, 4));
+        const firstYear = checkups.length > 0 ? Number(checkups[0].date.slice(0, 4)) : currentYear;
+        const years = [];
+
+        for (let year = firstYear; year <= currentYear; year++) {
+            const dates = checkups.filter(checkup => checkup.date.startsWith(`${year}-`)).map(checkup => checkup.date);
+            const halves = [[`${year}-01-01`, `${year}-06-30`], [`${year}-07-01`, `${year}-12-31`]];
+            const minorHalves = halves.filter(([start]) => isMinorOn(patient.birthDate, start));
+
+            const documented = minorHalves.length > 0
+                ? minorHalves.every(([start, end]) => dates.some(date => date >= start && date <= end))
+                : dates.length > 0;
+
+            years.push({
+                year,
+                dates: [...new Set(dates)],
+                required: minorHalves.length > 0 ? 'halbjährlich' : 'jährlich',
+                documented,
+                current: year === currentYear
+            });
+        }
+        return years;
+    }
+
+    getBooklet(patient) {
+        const checkups = this.getCheckups(patient);
+        const years = this.getYears(patient, checkups);
+
+        // An open current year does not break the chain
+        const counted = years.filter(year => !year.current || year.documented).reverse();
+        let consecutiveYears = 0;
+        while (consecutiveYears < counted.length && counted[consecutiveYears].documented) {
+            consecutiveYears++;
+        }
+
+        const level = BONUS_LEVELS.find(({ years: span, allowedGaps }) => {
+            const window = counted.slice(0, span);
+            return window.length === span && window.filter(year => !year.documented).length <= allowedGaps;
+        });
+        const subsidyPercent = level ? level.subsidyPercent : BASE_SUBSIDY;
+        const next = [...BONUS_LEVELS].reverse().find(candidate => candidate.subsidyPercent > subsidyPercent);
+
+        return {
+            checkups,
+            years,
+            consecutiveYears,
+            subsidyPercent,
+            bonusPercent: subsidyPercent - BASE_SUBSIDY,
+            currentYearDocumented: years[years.length - 1]?.documented || false,
+            next: next ? { subsidyPercent: next.subsidyPercent, yearsMissing: Math.max(1, next.years - consecutiveYears) } : null
+        };
+    }
+
+    // Confirmation for the insurer
+
+    renderPdf(patient, booklet = this.getBooklet(patient)) {
+        const { practice } = this;
+        const today = this.now().date;
+        const name = `${patient.firstName} ${patient.lastName}`;
+        const pdf = new PdfDocument({ title: `Bonusheft ${name}` });
+
+        pdf.text(practice.name, { size: 9, spaceAfter: 0 });
+        pdf.text(`${practice.address.street}, ${practice.address.postalCode} ${practice.address.city}`, { size: 9, spaceAfter: 12 });
+        pdf.text('Bestätigung über zahnärztliche Vorsorgeuntersuchungen (Bonusheft)', { font: 'bold', size: 16, spaceAfter: 2 });
+        pdf.text(`${name}${patient.birthDate ? `, geboren am ${formatDate(patient.birthDate)}` : ''}`, { size: 11, spaceAfter: 12 });
+
+        pdf.text('Wir bestätigen, dass die folgenden Untersuchungen zur Verhütung von Zahnerkrankungen in unserer Praxis durchgeführt bzw. uns nachgewiesen wurden:', { size: 10, spaceAfter: 8 });
+
+        booklet.years.forEach(year => {
+            pdf.ensureSpace(30);
+            const status = year.documented ? 'nachgewiesen' : (year.current ? 'laufendes Jahr' : 'keine Untersuchung');
+            pdf.text(`${year.year} (${year.required}): ${status}`, { font: 'bold', size: 10, spaceAfter: 0 });
+            pdf.text(year.dates.length > 0 ? year.dates.map(formatDate).join(', ') : '–', { size: 10, indent: 12 });
+        });
+        pdf.moveDown(6);
+        pdf.rule({ spaceAfter: 6 });
+
+        pdf.text(`Lückenlos nachgewiesene Jahre: ${booklet.consecutiveYears}`, { size: 11, spaceAfter: 2 });
+        pdf.text(`Festzuschuss nach § 55 SGB V: ${booklet.subsidyPercent} %${booklet.bonusPercent > 0 ? ` (Bonus ${booklet.bonusPercent} Prozentpunkte)` : ''}`, { font: 'bold', size: 11, spaceAfter: 12 });
+        pdf.text('Die Entscheidung über den Festzuschuss trifft Ihre Krankenkasse. Bitte legen Sie diese Bestätigung zusammen mit dem Heil- und Kostenplan vor.', { size: 9, spaceAfter: 24 });
+
+        pdf.text(`${practice.address.city}, ${formatDate(today)}`, { size: 10, spaceAfter: 30 });
+        pdf.rule({ spaceAfter: 4 });
+        pdf.text(`Praxisstempel und Unterschrift – ${practice.name}`, { size: 9 });
+
+        pdf.addFooter((page, pages) => `Bonusheft ${name} – Seite ${page} von ${pages}`);
+        return pdf.toBuffer();
+    }
+
+    getPdfFileName(patient) {
+        return `bonusheft-${patient.lastName}-${this.now().date}.pdf`.replace(/[^\w\-äöüÄÖÜß.]/g, '_');
+    }
+}
+
+module.exports = { BonusBookletService, BONUS_LEVELS };
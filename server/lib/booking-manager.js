@@ -0,0 +1,314 @@
+/**
+ * Booking Manager
+ * Self-service for existing bookings: signed manage links, rescheduling and
+ * cancelling within the cut-off, and the change log the front desk works from
+ */
+const EventEmitter = require('events');
+const { HttpError } = require('./errors');
+const { templates } = require('./mail-templates');
+const { buildCalendar } = require('./icalendar');
+const { getPracticeNow, toMinutes, toLocalTimestamp, toUtcDate, addDays } = require('./practice-time');
+
+/**
+ * Emits "slot-freed" ({ date, start, end, treatmentType, bookingId }) whenever a
+ * cancellation or a move gives a slot back, e.g. for the waitlist, and
+ * "booking-changed" ({ booking, action }) for every recorded event, e.g. for
+ * the calendar sync.
+ */
+class BookingManager extends EventEmitter {
+    constructor({ store, slotEngine, mailer, signer, practice, publicUrl }) {
+        super();
+        this.store = store;
+        this.slotEngine = slotEngine;
+        this.mailer = mailer;
+        this.signer = signer;
+        this.practice = practice;
+        this.publicUrl = publicUrl;
+    }
+
+    get cutoffMinutes() {
+        return this.practice.manageCutoffHours * 60;
+    }
+
+    getManageUrl(booking) {
+        const token = this.signer.sign('manage', { bookingId: booking.id });
+        return `${this.publicUrl}/termin-verwalten.html?token=${token}`;
+    }
+
+    // Medical history questionnaire for the patient of this booking, see AnamnesisService
+    getAnamnesisUrl(booking) {
+        const token = this.signer.sign('anamnesis', { bookingId: booking.id });
+        return `${this.publicUrl}/anamnese.html?token=${token}`;
+    }
+
+    getCalendarUrl(booking) {
+        const token = this.signer.sign('manage', { bookingId: booking.id });
+        return `${this.publicUrl}/api/manage/${token}/calendar.ics`;
+    }
+
+    // Personal subscription feed of a portal user; bumping calendarFeedVersion revokes old links
+    getCalendarFeedUrl(user) {
+        const token = this.signer.sign('calendar-feed', { userId: user.id, version: user.calendarFeedVersion || 0 });
+        return `${this.publicUrl}/api/calendar/${token}.ics`;
+    }
+
+    findUserByFeedToken(token) {
+        const data = this.signer.verify('calendar-feed', token);
+        const user = data && this.store.findById('users', data.userId);
+        if (!user || (user.calendarFeedVersion || 0) !== data.version) {
+            throw new HttpError(404, 'Dieser Kalender-Link ist nicht mehr gültig.');
+        }
+        return user;
+    }
+
+    findByPatientEmail(email) {
+        return this.store.find('bookings', booking => booking.patient && booking.patient.email === email && !booking.restricted)
+            .sort((a, b) => `${a.date} ${a.start}`.localeCompare(`${b.date} ${b.start}`));
+    }
+
+    findByToken(token) {
+        const data = this.signer.verify('manage', token);
+        const booking = data && this.store.findById('bookings', data.bookingId);
+        if (!booking) {
+            throw new HttpError(404, 'Dieser Link ist ungültig. Bitte wenden Sie sich telefonisch an die Praxis.');
+        }
+        return booking;
+    }
+
+    // Minutes from now (practice time) until the appointment starts
+    minutesUntil(booking) {
+        const now = getPracticeNow(this.practice.timeZone, this.slotEngine.clock());
+        return toLocalTimestamp(booking.date, toMinutes(booking.start)) - toLocalTimestamp(now.date, now.minutes);
+    }
+
+    canChange(booking) {
+        return booking.status === 'confirmed' && this.minutesUntil(booking) >= this.cutoffMinutes;
+    }
+
+    assertChangeable(booking) {
+        if (booking.status === 'cancelled') {
+            throw new HttpError(409, 'Dieser Termin wurde bereits abgesagt.');
+        }
+        if (!this.canChange(booking)) {
+            throw new HttpError(409, `Änderungen sind nur bis ${this.practice.manageCutoffHours} Stunden vor dem Termin online möglich. Bitte rufen Sie uns an.`);
+        }
+    }
+
+    // Free slots a booking can be moved to: its own slot counts as free, slots inside the cut-off do not
+    getRescheduleSlots(booking, date) {
+        return this.slotEngine.getAvailableSlots(date, booking.treatmentType, { ignoreBookingId: booking.id })
+            .filter(slot => this.minutesUntil(slot) >= this.cutoffMinutes);
+    }
+
+    findNextRescheduleDate(booking, fromDate) {
+        const today = getPracticeNow(this.practice.timeZone, this.slotEngine.clock()).date;
+        const lastDate = addDays(today, this.practice.maxDaysAhead);
+        let date = fromDate > today ? fromDate : today;
+
+        while (date <= lastDate) {
+            if (this.getRescheduleSlots(booking, date).length > 0) {
+                return date;
+            }
+            date = addDays(date, 1);
+        }
+
+        return null;
+    }
+
+    toPublicBooking(booking) {
+        const treatment = this.slotEngine.getTreatment(booking.treatmentType);
+        return {
+            date: booking.date,
+            start: booking.start,
+            end: booking.end,
+            status: booking.status,
+            treatmentType: treatment.key,
+            treatment: treatment.label,
+            patient: {
+                firstName: booking.patient.firstName,
+                lastName: booking.patient.lastName
+            },
+            canChange: this.canChange(booking),
+            cutoffHours: this.practice.manageCutoffHours
+        };
+    }
+
+    /**
+     * Stores one entry of the change log.
+     * actor is "patient" (manage link or portal), "staff" or "system".
+     */
+    recordEvent(booking, action, { actor = 'patient', previous = null, reason = null, ip = null } = {}) {
+        const event = this.store.insert('booking-events', {
+            bookingId: booking.id,
+            action,
+            actor,
+            previous,
+            current: { date: booking.date, start: booking.start, end: booking.end, status: booking.status },
+            reason,
+            ip
+        });
+
+        this.emit('booking-changed', { booking, action });
+        return event;
+    }
+
+    getEvents(bookingId) {
+        return this.store.find('booking-events', event => event.bookingId === bookingId)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    // One VEVENT for the .ics download and the portal feed; the UID stays the same when a booking moves
+    toCalendarEvent(booking) {
+        const { practice } = this;
+        const treatment = this.slotEngine.getTreatment(booking.treatmentType);
+        const changes = this.getEvents(booking.id).filter(event => event.action !== 'created').length;
+        const address = `${practice.address.street}, ${practice.address.postalCode} ${practice.address.city}`;
+        const manageUrl = this.getManageUrl(booking);
+
+        return {
+            uid: `${booking.id}@${practice.email.split('@')[1]}`,
+            start: toUtcDate(booking.date, booking.start, practice.timeZone),
+            end: toUtcDate(booking.date, booking.end, practice.timeZone),
+            // Family bookings land in one calendar, so the patient is named
+            summary: booking.groupId
+                ? `${treatment.label} (${booking.patient.firstName}) – ${practice.name}`
+                : `${treatment.label} – ${practice.name}`,
+            location: `${practice.name}, ${address}`,
+            description: [
+                `Ihr Termin: ${treatment.label}`,
+                '',
+                'Vorbereitung:',
+                practice.calendar.preparation,
+                treatment.preparation || null,
+                '',
+                `Termin verschieben oder absagen (bis ${practice.manageCutoffHours} Stunden vorher):`,
+                manageUrl,
+                '',
+                `Telefon: ${practice.phone}`
+            ].filter(line => line !== null).join('\n'),
+            url: manageUrl,
+            status: booking.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+            sequence: changes,
+            alarmMinutes: practice.calendar.alarmMinutes,
+            alarmText: `Erinnerung: ${treatment.label} um ${booking.start} Uhr bei ${practice.name}`
+        };
+    }
+
+    async reschedule(booking, { date, start }, { actor = 'patient', ip = null } = {}) {
+        this.assertChangeable(booking);
+
+        // The new slot has to respect the cut-off as well
+        if (actor === 'patient' && !this.getRescheduleSlots(booking, date).some(slot => slot.start === start)) {
+            throw new HttpError(409, 'Dieser Termin ist leider nicht mehr verfügbar. Bitte wählen Sie eine andere Uhrzeit.');
+        }
+
+        const previous = { date: booking.date, start: booking.start, end: booking.end };
+        const moved = this.slotEngine.moveBooking(booking.id, { date, start });
+        this.recordEvent(moved, 'rescheduled', { actor, previous, ip });
+
+        await this.notify(moved, 'rescheduled', { previous });
+        this.emit('slot-freed', { ...previous, treatmentType: booking.treatmentType, bookingId: booking.id });
+        return moved;
+    }
+
+    async cancel(booking, { reason = null } = {}, { actor = 'patient', ip = null } = {}) {
+        this.assertChangeable(booking);
+
+        const cancelled = this.store.update('bookings', booking.id, {
+            status: 'cancelled',
+            cancelledAt: this.slotEngine.clock().toISOString()
+        });
+        this.recordEvent(cancelled, 'cancelled', { actor, reason, ip });
+
+        await this.notify(cancelled, 'cancelled', { reason });
+        this.emit('slot-freed', {
+            date: booking.date,
+            start: booking.start,
+            end: booking.end,
+            treatmentType: booking.treatmentType,
+            bookingId: booking.id
+        });
+        return cancelled;
+    }
+
+    // Confirmation with .ics attachment to the patient and a notification to the practice inbox
+    async sendConfirmation(booking) {
+        const treatment = this.slotEngine.getTreatment(booking.treatmentType);
+
+        const confirmationSent = await this.mailer.trySend({
+            to: booking.patient.email,
+            ...templates.bookingConfirmation({
+                booking,
+                treatment,
+                manageUrl: this.getManageUrl(booking),
+                anamnesisUrl: this.getAnamnesisUrl(booking),
+                practice: this.practice
+            }),
+            attachments: [{
+                filename: `termin-${booking.date}.ics`,
+                contentType: 'text/calendar; charset=utf-8; method=PUBLISH',
+                content: buildCalendar({ events: [this.toCalendarEvent(booking)], stamp: this.slotEngine.clock() })
+            }]
+        });
+        const notificationSent = await this.mailer.trySend({
+            to: this.mailer.practiceAddress,
+            ...templates.bookingNotification({ booking, treatment })
+        });
+
+        return this.store.update('bookings', booking.id, { confirmationSent, notificationSent });
+    }
+
+    // One mail and one .ics file for all appointments of a family booking
+    async sendGroupConfirmation(bookings) {
+        const appointments = bookings.map(booking => ({
+            booking,
+            treatment: this.slotEngine.getTreatment(booking.treatmentType),
+            manageUrl: this.getManageUrl(booking),
+            anamnesisUrl: this.getAnamnesisUrl(booking)
+        }));
+        const [first] = bookings;
+
+        const confirmationSent = await this.mailer.trySend({
+            to: first.patient.email,
+            ...templates.groupBookingConfirmation({ appointments, practice: this.practice }),
+            attachments: [{
+                filename: `termine-${first.date}.ics`,
+                contentType: 'text/calendar; charset=utf-8; method=PUBLISH',
+                content: buildCalendar({
+                    events: bookings.map(booking => this.toCalendarEvent(booking)),
+                    stamp: this.slotEngine.clock()
+                })
+            }]
+        });
+        const notificationSent = await this.mailer.trySend({
+            to: this.mailer.practiceAddress,
+            ...templates.groupBookingNotification({ appointments })
+        });
+
+        return bookings.map(booking => this.store.update('bookings', booking.id, { confirmationSent, notificationSent }));
+    }
+
+    // Confirmation to the patient plus a note for the front desk; failures are logged, not thrown
+    async notify(booking, action, { previous = null, reason = null } = {}) {
+        const treatment = this.slotEngine.getTreatment(booking.treatmentType);
+        const manageUrl = this.getManageUrl(booking);
+
+        await this.mailer.trySend({
+            to: booking.patient.email,
+            ...templates.bookingChanged({
+                booking,
+                treatment,
+                action,
+                manageUrl,
+                bookingUrl: `${this.publicUrl}/termin.html`,
+                practice: this.practice
+            })
+        });
+        await this.mailer.trySend({
+            to: this.mailer.practiceAddress,
+            ...templates.bookingChangeNotification({ booking, treatment, action, previous, reason })
+        });
+    }
+}
+
+module.exports = BookingManager;
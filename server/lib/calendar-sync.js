@@ -0,0 +1,175 @@
+/**
+ * Calendar Sync
+ * Keeps the practice calendar in step with an external booking provider
+ * (doctolib or calendly). Appointments booked there are pulled in as busy
+ * blocks that occupy a chair in the slot engine, and every booking made,
+ * moved or cancelled here is pushed there.
+ *
+ * A provider offers getBusyTimes(from, to), createAppointment(times),
+ * moveAppointment(id, times) and cancelAppointment(id), where times is
+ * { booking, treatment, start, end } with start and end as Date.
+ */
+const DoctolibProvider = require('./providers/doctolib-provider');
+const CalendlyProvider = require('./providers/calendly-provider');
+const { getPracticeNow, formatMinutes, addDays, toUtcDate } = require('./practice-time');
+
+const DAY_MS = 24 * 60 * 60000;
+
+const PROVIDERS = {
+    doctolib: options => new DoctolibProvider(options.doctolib),
+    calendly: options => new CalendlyProvider({ ...options.calendly, timeZone: options.timeZone })
+};
+
+function createBookingProvider(options) {
+    if (!options.provider || options.provider === 'none') return null;
+
+    // A ready-made provider object can be passed in directly
+    if (typeof options.provider === 'object') return options.provider;
+
+    const factory = PROVIDERS[options.provider];
+    if (!factory) {
+        throw new Error(`Unknown booking provider: ${options.provider}`);
+    }
+    return factory(options);
+}
+
+class CalendarSync {
+    constructor({ store, slotEngine, provider = null, practice }) {
+        this.store = store;
+        this.slotEngine = slotEngine;
+        this.provider = provider;
+        this.practice = practice;
+        this.lastSyncAt = null;
+        // Pushes and pulls run one after another, so a booking is never created twice
+        this.queue = Promise.resolve();
+    }
+
+    getStatus() {
+        return {
+            provider: this.provider ? this.provider.name : null,
+            lastSyncAt: this.lastSyncAt
+        };
+    }
+
+    enqueue(task) {
+        const run = this.queue.then(task);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    // Pulling
+
+    /**
+     * Replaces the stored busy blocks with the provider's appointments from
+     * now until the end of the booking window. Our own pushed bookings are
+     * left out, they already occupy their chair.
+     */
+    pull() {
+        if (!this.provider) return Promise.resolve(null);
+
+        return this.enqueue(async () => {
+            const from = this.slotEngine.clock();
+            const to = new Date(from.getTime() + (this.practice.maxDaysAhead + 1) * DAY_MS);
+            const busy = await this.provider.getBusyTimes(from, to);
+
+            const ownIds = new Set(this.store.find('bookings', booking => booking.external?.id)
+                .map(booking => booking.external.id));
+
+            this.store.all('external-busy').forEach(block => this.store.remove('external-busy', block.id));
+            busy.filter(entry => !entry.id || !ownIds.has(entry.id)).forEach(entry => {
+                this.toBlocks(entry).forEach(block => this.store.insert('external-busy', {
+                    provider: this.provider.name,
+                    externalId: entry.id,
+                    ...block
+                }));
+            });
+
+            this.lastSyncAt = this.slotEngine.clock().toISOString();
+            return this.store.all('external-busy').length;
+        });
+    }
+
+    // Appointments running past midnight are split into one block per day
+    toBlocks({ start, end }) {
+        const { timeZone } = this.practice;
+        const until = getPracticeNow(timeZone, new Date(end));
+        let from = getPracticeNow(timeZone, new Date(start));
+        const blocks = [];
+
+        while (from.date < until.date) {
+            blocks.push({ date: from.date, start: formatMinutes(from.minutes), end: '24:00' });
+            from = { date: addDays(from.date, 1), minutes: 0 };
+        }
+        if (until.minutes > from.minutes) {
+            blocks.push({ date: from.date, start: formatMinutes(from.minutes), end: formatMinutes(until.minutes) });
+        }
+
+        return blocks;
+    }
+
+    // Pushing
+
+    /**
+     * Brings the provider in line with the current state of the booking:
+     * creates, moves or cancels the appointment there. Never throws; a failed
+     * push is marked on the booking and tried again by the next sync.
+     */
+    push(booking) {
+        if (!this.provider) return Promise.resolve(null);
+
+        return this.enqueue(() => this.pushNow(booking.id));
+    }
+
+    async pushNow(bookingId) {
+        const booking = this.store.findById('bookings', bookingId);
+        // Bookings of a deleted account only leave the provider's calendar, nothing else is sent
+        if (!booking || (booking.restricted && booking.status !== 'cancelled')) return null;
+
+        const provider = this.provider.name;
+        const current = booking.external?.provider === provider ? booking.external.id : null;
+
+        try {
+            let id = current;
+            if (booking.status === 'cancelled') {
+                if (current) await this.provider.cancelAppointment(current);
+            } else if (current) {
+                id = await this.provider.moveAppointment(current, this.getTimes(booking));
+            } else {
+                id = await this.provider.createAppointment(this.getTimes(booking));
+            }
+
+            return this.store.update('bookings', booking.id, {
+                external: { provider, id, status: 'synced', syncedAt: this.slotEngine.clock().toISOString() }
+            });
+        } catch (error) {
+            console.error('Calendar push failed:', error);
+            return this.store.update('bookings', booking.id, {
+                external: { provider, id: current, status: 'failed', error: error.message }
+            });
+        }
+    }
+
+    getTimes(booking) {
+        const { timeZone } = this.practice;
+        return {
+            booking,
+            treatment: this.slotEngine.getTreatment(booking.treatmentType),
+            start: toUtcDate(booking.date, booking.start, timeZone),
+            end: toUtcDate(booking.date, booking.end, timeZone)
+        };
+    }
+
+    // Retries failed pushes, then pulls the busy times
+    async sync() {
+        if (!this.provider) return null;
+
+        const failed = this.store.find('bookings', booking =>
+            booking.external?.provider === this.provider.name && booking.external.status === 'failed'
+        );
+        await Promise.all(failed.map(booking => this.push(booking)));
+
+        return this.pull();
+    }
+}
+
+module.exports = { CalendarSync, createBookingProvider };
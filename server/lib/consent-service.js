@@ -0,0 +1,117 @@
+/**
+ * Consent Service
+ * Records the visitors' choices from the consent banner. The banner texts are
+ * versioned in config/consent.json; every record names the version and a
+ * hash of the exact text it was given for, so a consent can be proven later
+ * even after the texts have changed.
+ */
+const crypto = require('crypto');
+const { HttpError } = require('./errors');
+
+const CONSENT_ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+function hashPolicy(policy) {
+    return crypto.createHash('sha256').update(JSON.stringify(policy)).digest('hex');
+}
+
+// The last part of the address is dropped, the record does not need to identify the visitor
+function anonymizeIp(ip) {
+    if (!ip) return null;
+
+    const address = ip.replace(/^::ffff:/, '');
+    if (address.includes('.')) {
+        return address.split('.').slice(0, 3).concat('0').join('.');
+    }
+
+    // IPv6 keeps the first 48 bits; a "::" is expanded first so the groups are counted right
+    const [head, tail] = address.split('::');
+    const groups = tail === undefined
+        ? head.split(':')
+        : [...(head ? head.split(':') : []), '0', '0', '0', '0', '0', '0', '0', '0'];
+    return `${groups.slice(0, 3).join(':')}::`;
+}
+
+class ConsentService {
+    constructor({ store, policies }) {
+        this.store = store;
+        this.policies = policies.versions;
+    }
+
+    getCurrentPolicy() {
+        return this.policies[this.policies.length - 1];
+    }
+
+    getPolicy(version) {
+        const policy = this.policies.find(candidate => candidate.version === Number(version));
+        if (!policy) {
+            throw new HttpError(404, 'Diese Fassung der Datenschutz-Einstellungen gibt es nicht.');
+        }
+        return policy;
+    }
+
+    /**
+     * Stores one decision. The visitor sends the id of an earlier record, so
+     * every change of mind ends up in the same history.
+     */
+    record(body, { ip, userAgent }) {
+        const policy = this.getCurrentPolicy();
+        if (Number(body?.version) !== policy.version) {
+            throw new HttpError(409, 'Die Datenschutz-Einstellungen wurden inzwischen geändert. Bitte laden Sie die Seite neu.');
+        }
+        if (!body.categories || typeof body.categories !== 'object') {
+            throw new HttpError(400, 'Bitte treffen Sie eine Auswahl.');
+        }
+
+        const categories = Object.fromEntries(policy.categories.map(category => [
+            category.id,
+            category.required || body.categories[category.id] === true
+        ]));
+
+        const known = CONSENT_ID_PATTERN.test(body.consentId || '')
+            && this.store.findOne('consents', record => record.consentId === body.consentId);
+
+        return this.store.insert('consents', {
+            consentId: known ? body.consentId : crypto.randomUUID(),
+            policyVersion: policy.version,
+            policyHash: hashPolicy(policy),
+            categories,
+            ip: anonymizeIp(ip),
+            userAgent: String(userAgent || '').slice(0, 300) || null
+        });
+    }
+
+    getHistory(consentId) {
+        const records = this.store.find('consents', record => record.consentId === consentId)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+        if (records.length === 0) {
+            throw new HttpError(404, 'Zu dieser Einwilligungs-ID liegen keine Einträge vor.');
+        }
+        return records;
+    }
+
+    toPublicPolicy(policy) {
+        return { ...policy, hash: hashPolicy(policy) };
+    }
+
+    toPublicConsent(record) {
+        return {
+            consentId: record.consentId,
+            version: record.policyVersion,
+            categories: record.categories,
+            decidedAt: record.createdAt
+        };
+    }
+
+    // The practice's proof: which text was shown, what was chosen, when and from where
+    toStaffConsent(record) {
+        return {
+            ...this.toPublicConsent(record),
+            policyHash: record.policyHash,
+            ip: record.ip,
+            userAgent: record.userAgent
+        };
+    }
+}
+
+module.exports = { ConsentService, anonymizeIp };
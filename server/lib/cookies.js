@@ -0,0 +1,40 @@
+/**
+ * Cookies
+ * Parsing and serialising of the Cookie / Set-Cookie headers
+ */
+function parseCookies(header = '') {
+    const cookies = {};
+
+    header.split(';').forEach(pair => {
+        const index = pair.indexOf('=');
+        if (index === -1) return;
+
+        const name = pair.slice(0, index).trim();
+        const value = pair.slice(index + 1).trim();
+        try {
+            cookies[name] = decodeURIComponent(value);
+        } catch (error) {
+            cookies[name] = value;
+        }
+    });
+
+    return cookies;
+}
+
+function serializeCookie(name, value, { maxAge = null, path = '/', httpOnly = true, secure = false, sameSite = 'Strict' } = {}) {
+    const parts = [`${name}=${encodeURIComponent(value)}`, `Path=${path}`, `SameSite=${sameSite}`];
+
+    if (maxAge !== null) parts.push(`Max-Age=${Math.floor(maxAge)}`);
+    if (httpOnly) parts.push('HttpOnly');
+    if (secure) parts.push('Secure');
+
+    return parts.join('; ');
+}
+
+// Adds a Set-Cookie header without dropping cookies that were set before
+function appendCookie(res, cookie) {
+    const existing = res.getHeader('Set-Cookie') || [];
+    res.setHeader('Set-Cookie', [].concat(existing, cookie));
+}
+
+module.exports = { parseCookies, serializeCookie, appendCookie };
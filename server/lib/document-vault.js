@@ -0,0 +1,211 @@
+/**
+ * Document Vault
+ * Invoices, treatment plans, X-ray reports and consent forms for the patient
+ * portal. Files are stored on the local filesystem encrypted with AES-256-GCM,
+ * one random IV per file, and the document id as additional data so files
+ * cannot be swapped. Every preview and download is written to an access log.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { HttpError } = require('./errors');
+const { templates } = require('./mail-templates');
+
+const CATEGORIES = {
+    invoice: 'Rechnung',
+    'treatment-plan': 'Heil- und Kostenplan',
+    'xray-report': 'Röntgenbefund',
+    consent: 'Einwilligung',
+    anamnesis: 'Anamnesebogen'
+};
+
+// Recognised by their first bytes, the file name alone is not trusted
+const FILE_TYPES = [
+    { contentType: 'application/pdf', extension: 'pdf', magic: Buffer.from('%PDF-', 'latin1') },
+    { contentType: 'image/jpeg', extension: 'jpg', magic: Buffer.from([0xff, 0xd8, 0xff]) },
+    { contentType: 'image/png', extension: 'png', magic: Buffer.from([0x89, 0x50, 0x4e, 0x47]) }
+];
+
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+function invalid(field, message) {
+    return new HttpError(400, 'Bitte überprüfen Sie Ihre Eingaben.', { fields: { [field]: message } });
+}
+
+class DocumentVault {
+    constructor({ store, mailer, directory, key, practice, publicUrl }) {
+        this.store = store;
+        this.mailer = mailer;
+        this.directory = directory;
+        this.key = Buffer.from(key, 'hex');
+        this.practice = practice;
+        this.publicUrl = publicUrl;
+
+        if (this.key.length !== 32) {
+            throw new Error('The document key must be 32 bytes, written as 64 hex characters');
+        }
+    }
+
+    getFilePath(documentId) {
+        return path.join(this.directory, `${documentId}.bin`);
+    }
+
+    encrypt(documentId, content) {
+        const iv = crypto.randomBytes(IV_LENGTH);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+        cipher.setAAD(Buffer.from(documentId));
+        const encrypted = Buffer.concat([cipher.update(content), cipher.final()]);
+        return Buffer.concat([iv, cipher.getAuthTag(), encrypted]);
+    }
+
+    decrypt(documentId, stored) {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, stored.subarray(0, IV_LENGTH));
+        decipher.setAAD(Buffer.from(documentId));
+        decipher.setAuthTag(stored.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+        return Buffer.concat([decipher.update(stored.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+    }
+
+    // The file arrives base64 encoded inside the JSON body, like the CV of an application
+    decodeFile(file) {
+        if (!file || typeof file.data !== 'string' || typeof file.name !== 'string') {
+            throw invalid('file', 'Bitte wählen Sie eine Datei aus.');
+        }
+
+        const content = Buffer.from(file.data, 'base64');
+        const type = FILE_TYPES.find(candidate => content.subarray(0, candidate.magic.length).equals(candidate.magic));
+
+        if (!type) {
+            throw invalid('file', 'Bitte laden Sie eine PDF-, JPEG- oder PNG-Datei hoch.');
+        }
+        if (content.length > MAX_FILE_SIZE) {
+            throw invalid('file', 'Die Datei darf höchstens 10 MB groß sein.');
+        }
+
+        const baseName = path.basename(file.name).replace(/\.[^.]*$/, '').replace(/[^\w\-äöüÄÖÜß ]/g, '_') || 'dokument';
+        return { content, contentType: type.contentType, fileName: `${baseName}.${type.extension}` };
+    }
+
+    async upload({ email, category, title, file }, { uploadedBy }) {
+        const patient = this.store.findOne('users', user => user.email === String(email || '').trim().toLowerCase());
+        if (!patient) {
+            throw invalid('email', 'Für diese E-Mail-Adresse gibt es kein Patientenkonto.');
+        }
+        if (!Object.hasOwn(CATEGORIES, category)) {
+            throw invalid('category', 'Bitte wählen Sie eine Dokumentart.');
+        }
+
+        const { content, contentType, fileName } = this.decodeFile(file);
+        const document = this.add({
+            patientId: patient.id,
+            category,
+            title: String(title || '').trim() || CATEGORIES[category],
+            fileName,
+            contentType,
+            content,
+            uploadedBy: uploadedBy.id
+        });
+
+        // The mail only says that something is there; the document itself stays in the portal
+        await this.mailer.trySend({
+            to: patient.email,
+            ...templates.documentAvailable({ user: patient, portalUrl: `${this.publicUrl}/portal.html`, practice: this.practice })
+        });
+
+        return document;
+    }
+
+    /**
+     * Stores a file the server produced itself, e.g. the PDF of an anamnesis.
+     * Without a patientId the document is only visible to the practice team.
+     */
+    add({ patientId = null, category, title, fileName, contentType, content, uploadedBy = null }) {
+        const document = this.store.insert('documents', {
+            patientId,
+            category,
+            title,
+            fileName,
+            contentType,
+            size: content.length,
+            uploadedBy
+        });
+
+        try {
+            fs.mkdirSync(this.directory, { recursive: true });
+            fs.writeFileSync(this.getFilePath(document.id), this.encrypt(document.id, content), { mode: 0o600 });
+        } catch (error) {
+            this.store.remove('documents', document.id);
+            throw error;
+        }
+
+        return document;
+    }
+
+    listForPatient(patientId) {
+        return this.store.find('documents', document => document.patientId === patientId)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    findById(documentId) {
+        const document = this.store.findById('documents', documentId);
+        if (!document) {
+            throw new HttpError(404, 'Dieses Dokument wurde nicht gefunden.');
+        }
+        return document;
+    }
+
+    // Patients only ever see their own documents; others look like missing ones
+    findForPatient(patientId, documentId) {
+        const document = this.findById(documentId);
+        if (document.patientId !== patientId) {
+            throw new HttpError(404, 'Dieses Dokument wurde nicht gefunden.');
+        }
+        return document;
+    }
+
+    /**
+     * Decrypts a document and records who opened it. action is "download" or
+     * "preview"; both hand out the full file and are logged alike.
+     */
+    open(document, { user, action, ip }) {
+        const content = this.decrypt(document.id, fs.readFileSync(this.getFilePath(document.id)));
+
+        this.store.insert('document-access-log', {
+            documentId: document.id,
+            patientId: document.patientId,
+            userId: user.id,
+            role: user.role,
+            action,
+            ip
+        });
+
+        return content;
+    }
+
+    // Removes the record and the encrypted file; the access log stays
+    remove(document) {
+        fs.rmSync(this.getFilePath(document.id), { force: true });
+        return this.store.remove('documents', document.id);
+    }
+
+    getAccessLog(documentId) {
+        return this.store.find('document-access-log', entry => entry.documentId === documentId)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    toPublicDocument(document) {
+        return {
+            id: document.id,
+            category: document.category,
+            categoryLabel: CATEGORIES[document.category] || document.category,
+            title: document.title,
+            fileName: document.fileName,
+            contentType: document.contentType,
+            size: document.size,
+            createdAt: document.createdAt
+        };
+    }
+}
+
+module.exports = { DocumentVault, CATEGORIES };
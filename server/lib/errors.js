@@ -0,0 +1,22 @@
+/**
+ * HTTP Errors
+ * Errors that carry an HTTP status and a message that is safe to show to patients
+ */
+class HttpError extends Error {
+    constructor(status, message, details = null) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.details = details;
+    }
+
+    toJSON() {
+        const body = { error: this.message };
+        if (this.details) {
+            body.details = this.details;
+        }
+        return body;
+    }
+}
+
+module.exports = { HttpError };
@@ -0,0 +1,92 @@
+/**
+ * Estimate Service
+ * Cost estimates that patients print or save as PDF from the cost calculator
+ * on preise.html. Each printed estimate gets a reference number, under which
+ * we keep what it was made from: the treatments, the insurance answers, the
+ * price list version and the financing offer. Staff open the reference in the
+ * calculator, which works out the same positions again from that version of
+ * the price list. No names or contact details are stored.
+ */
+const crypto = require('crypto');
+const { HttpError } = require('./errors');
+
+// Without 0/O and 1/I/L, so a reference read out on the phone can be typed reliably
+const REFERENCE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const REFERENCE_REGEX = new RegExp(`^KS([${REFERENCE_ALPHABET}]{8})$`);
+
+function createReference() {
+    const characters = Array.from(crypto.randomBytes(8), byte => REFERENCE_ALPHABET[byte % REFERENCE_ALPHABET.length]);
+    return `KS-${characters.slice(0, 4).join('')}-${characters.slice(4).join('')}`;
+}
+
+// "ks abcd efgh", "KS-ABCDEFGH" -> "KS-ABCD-EFGH"; null if it cannot be one
+function normalizeReference(value) {
+    const match = String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '').match(REFERENCE_REGEX);
+    return match ? `KS-${match[1].slice(0, 4)}-${match[1].slice(4)}` : null;
+}
+
+class EstimateService {
+    constructor({ store, priceList, financing }) {
+        this.store = store;
+        this.priceList = priceList;
+        this.financing = financing;
+    }
+
+    /**
+     * body.costEstimate is the basket of the calculator (CostCalculator.serializeBasket),
+     * body.totals and body.financing the figures printed with it, so staff can
+     * see what the patient has in hand even if financing terms change later.
+     */
+    create(body) {
+        const basket = this.priceList.readBasket(body.costEstimate);
+        const totals = this.readTotals(body.totals);
+        const financing = body.financing ? this.readFinancing(body.financing) : null;
+
+        let reference = createReference();
+        while (this.store.findOne('cost-estimates', estimate => estimate.reference === reference)) {
+            reference = createReference();
+        }
+
+        return this.store.insert('cost-estimates', { reference, ...basket, totals, financing });
+    }
+
+    readTotals(totals) {
+        const amount = value => Number.isFinite(value) && value >= 0;
+        if (!totals || !amount(totals.subtotal) || !amount(totals.patientShare) || totals.patientShare > totals.subtotal) {
+            throw new HttpError(400, 'Die Kostenschätzung ist ungültig. Bitte stellen Sie sie im Kostenrechner neu zusammen.');
+        }
+        return { subtotal: totals.subtotal, patientShare: totals.patientShare };
+    }
+
+    readFinancing(financing) {
+        const product = this.financing.findProduct(financing.productId);
+        const rate = value => Number.isFinite(value) && value >= 0;
+        if (!product || !product.terms.includes(financing.months) ||
+            !rate(financing.nominalRate) || !rate(financing.effectiveRate) || !(financing.monthlyPayment > 0)) {
+            throw new HttpError(400, 'Die gewählte Finanzierung gibt es nicht. Bitte berechnen Sie die Kostenschätzung erneut.');
+        }
+
+        return {
+            productId: product.id,
+            label: product.label,
+            months: financing.months,
+            nominalRate: financing.nominalRate,
+            effectiveRate: financing.effectiveRate,
+            monthlyPayment: financing.monthlyPayment
+        };
+    }
+
+    find(reference) {
+        const normalized = normalizeReference(reference);
+        const estimate = normalized && this.store.findOne('cost-estimates', candidate => candidate.reference === normalized);
+        if (!estimate) {
+            throw new HttpError(404, 'Unter dieser Nummer ist keine Kostenschätzung gespeichert.');
+        }
+        if (!estimate.financing) return estimate;
+
+        const product = this.financing.findProduct(estimate.financing.productId);
+        return { ...estimate, financing: { ...estimate.financing, productId: product?.id || estimate.financing.productId } };
+    }
+}
+
+module.exports = { EstimateService };
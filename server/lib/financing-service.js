@@ -0,0 +1,75 @@
+/**
+ * Financing Service
+ * The instalment financing products of our financing partner, offered with
+ * the cost calculator on preise.html (config/financing.json). A product has a
+ * fixed nominal rate (Sollzins), its terms in months, the amounts it can
+ * finance and a minimum instalment; a promotion lowers the rate for short
+ * terms while it runs. The instalments themselves are calculated in the
+ * browser (js/financing-calculator.js).
+ */
+const { getPracticeNow } = require('./practice-time');
+
+// Consumer credit terms our partner offers
+const MIN_TERM = 6;
+const MAX_TERM = 72;
+
+// A broken product should stop the server instead of showing wrong rates
+function checkProduct(product) {
+    const fail = message => {
+        throw new Error(`Financing product ${product.id}: ${message}`);
+    };
+
+    if (!(product.nominalRate >= 0)) fail('has no nominal rate');
+    if (!Array.isArray(product.terms) || product.terms.length === 0) fail('has no terms');
+    product.terms.forEach((months, index) => {
+        if (!Number.isInteger(months) || months < MIN_TERM || months > MAX_TERM) fail(`offers ${months} months`);
+        if (index > 0 && months <= product.terms[index - 1]) fail('lists its terms out of order');
+    });
+    if (!(product.minAmount > 0) || !(product.maxAmount >= product.minAmount)) fail('has no valid amount range');
+    if (!(product.minInstalment > 0)) fail('has no minimum instalment');
+
+    const { promotion } = product;
+    if (promotion) {
+        if (!(promotion.nominalRate >= 0) || promotion.nominalRate > product.nominalRate) fail('has a promotion that is dearer than the product');
+        if (!product.terms.some(months => months <= promotion.maxMonths)) fail('has a promotion for none of its terms');
+        if (!promotion.validFrom || !promotion.validUntil || promotion.validUntil < promotion.validFrom) fail('has no promotion period');
+    }
+}
+
+class FinancingService {
+    constructor({ financing, practice, clock = () => new Date() }) {
+        this.financing = financing;
+        this.practice = practice;
+        this.clock = clock;
+
+        const ids = new Set();
+        financing.products.forEach(product => {
+            [product.id, ...(product.formerIds || [])].forEach(id => {
+                if (ids.has(id)) throw new Error(`Financing product ${id} is listed twice`);
+                ids.add(id);
+            });
+            checkProduct(product);
+        });
+    }
+
+    // Stored estimates may still name a product by an id it had before it was renamed
+    findProduct(id) {
+        return this.getOffer().products.find(product => product.id === id || product.formerIds?.includes(id)) || null;
+    }
+
+    // Promotions only show up during their period
+    getOffer() {
+        const today = getPracticeNow(this.practice.timeZone, this.clock()).date;
+        const isRunning = promotion => promotion && promotion.validFrom <= today && today <= promotion.validUntil;
+
+        return {
+            intermediary: this.financing.intermediary,
+            products: this.financing.products.map(product => ({
+                ...product,
+                promotion: isRunning(product.promotion) ? product.promotion : null
+            }))
+        };
+    }
+}
+
+module.exports = { FinancingService };
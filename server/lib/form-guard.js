@@ -0,0 +1,139 @@
+/**
+ * Form Guard
+ * Spam protection for the public forms without a third-party captcha: a
+ * honeypot field, a minimum time between loading and sending a form, a
+ * per-IP rate limit and a small proof of work that the browser solves while
+ * the visitor is typing.
+ *
+ * A challenge is a signed token naming the form and the time it was issued.
+ * The browser looks for a proof so that SHA-256("token:proof") starts with
+ * `difficulty` zero bits; every token can be used once.
+ */
+const crypto = require('crypto');
+const { HttpError } = require('./errors');
+
+const FORMS = ['booking', 'contact', 'newsletter', 'application', 'estimate'];
+
+// Hidden from people, but filled in by most bots
+const HONEYPOT_FIELD = 'website';
+
+const MESSAGES = {
+    rejected: 'Ihre Anfrage konnte nicht gesendet werden. Bitte laden Sie die Seite neu und versuchen Sie es erneut oder rufen Sie uns an.',
+    expired: 'Das Formular ist abgelaufen. Bitte senden Sie es erneut.',
+    tooFast: 'Das ging etwas zu schnell. Bitte überprüfen Sie Ihre Angaben und senden Sie das Formular in einigen Sekunden erneut.',
+    rateLimited: 'Sie haben in kurzer Zeit zu viele Anfragen gesendet. Bitte versuchen Sie es in einigen Minuten erneut oder rufen Sie uns an.'
+};
+
+function countLeadingZeroBits(buffer) {
+    let bits = 0;
+    for (const byte of buffer) {
+        if (byte === 0) {
+            bits += 8;
+            continue;
+        }
+        return bits + Math.clz32(byte) - 24;
+    }
+    return bits;
+}
+
+class FormGuard {
+    constructor({ signer, settings, clock = () => new Date() }) {
+        this.signer = signer;
+        this.settings = settings;
+        this.clock = clock;
+        // Both only live in memory: after a restart the limits simply start over
+        this.submissions = new Map();
+        this.usedTokens = new Map();
+    }
+
+    now() {
+        return this.clock().getTime();
+    }
+
+    createChallenge(form) {
+        if (!FORMS.includes(form)) {
+            throw new HttpError(404, 'Nicht gefunden.');
+        }
+
+        const issuedAt = this.now();
+        const expiresAt = new Date(issuedAt + this.settings.challengeMinutes * 60000);
+        const token = this.signer.sign('form-challenge', {
+            form,
+            nonce: crypto.randomBytes(12).toString('hex'),
+            issuedAt
+        }, { expiresAt });
+
+        return { token, difficulty: this.settings.difficulty };
+    }
+
+    isSolved(token, proof) {
+        if (typeof proof !== 'string' || proof.length > 32) return false;
+
+        const hash = crypto.createHash('sha256').update(`${token}:${proof}`).digest();
+        return countLeadingZeroBits(hash) >= this.settings.difficulty;
+    }
+
+    /**
+     * Throws unless a submission of the form passes all checks. Called by the
+     * routes before the form data itself is validated.
+     */
+    check(ctx, form) {
+        this.checkRateLimit(ctx, form);
+
+        const body = ctx.body || {};
+        if (typeof body[HONEYPOT_FIELD] === 'string' && body[HONEYPOT_FIELD].trim() !== '') {
+            throw new HttpError(400, MESSAGES.rejected);
+        }
+
+        const token = body['form-token'];
+        const challenge = this.signer.verify('form-challenge', token);
+        if (!challenge || challenge.form !== form || this.usedTokens.has(token)) {
+            throw new HttpError(400, MESSAGES.expired);
+        }
+        if (!this.isSolved(token, body['form-proof'])) {
+            throw new HttpError(400, MESSAGES.rejected);
+        }
+        if (this.now() - challenge.issuedAt < this.settings.minSubmitSeconds * 1000) {
+            throw new HttpError(400, MESSAGES.tooFast);
+        }
+
+        this.usedTokens.set(token, challenge.issuedAt + this.settings.challengeMinutes * 60000);
+    }
+
+    // Every submission counts, also rejected ones
+    checkRateLimit(ctx, form) {
+        const { max, windowMinutes } = this.settings.rateLimit;
+        const now = this.now();
+        const windowStart = now - windowMinutes * 60000;
+        this.prune(windowStart);
+
+        const key = `${form}|${ctx.ip}`;
+        const recent = this.submissions.get(key) || [];
+        recent.push(now);
+        this.submissions.set(key, recent);
+
+        if (recent.length > max) {
+            const retryAfter = Math.ceil((recent[recent.length - max] - windowStart) / 1000);
+            ctx.res.setHeader('Retry-After', String(Math.max(retryAfter, 1)));
+            throw new HttpError(429, MESSAGES.rateLimited);
+        }
+    }
+
+    prune(windowStart) {
+        this.submissions.forEach((times, key) => {
+            const recent = times.filter(time => time > windowStart);
+            if (recent.length > 0) {
+                this.submissions.set(key, recent);
+            } else {
+                this.submissions.delete(key);
+            }
+        });
+
+        const now = this.now();
+        this.usedTokens.forEach((expiresAt, token) => {
+            if (expiresAt <= now) this.usedTokens.delete(token);
+        });
+    }
+}
+
+module.exports = FormGuard;
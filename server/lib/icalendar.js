@@ -0,0 +1,97 @@
+/**
+ * iCalendar Builder
+ * Writes RFC 5545 calendars for single .ics downloads and subscription feeds.
+ * All times are written in UTC, so no VTIMEZONE block is needed.
+ */
+function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+function formatUtc(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Lines longer than 75 octets are folded; continuation lines start with a space
+function foldLine(line) {
+    const bytes = Buffer.from(line, 'utf8');
+    if (bytes.length <= 75) return line;
+
+    const parts = [];
+    let current = '';
+    let currentLength = 0;
+
+    for (const char of line) {
+        const charLength = Buffer.byteLength(char, 'utf8');
+        const limit = parts.length === 0 ? 75 : 74;
+        if (currentLength + charLength > limit) {
+            parts.push(current);
+            current = '';
+            currentLength = 0;
+        }
+        current += char;
+        currentLength += charLength;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+/**
+ * event: { uid, start, end (Date), summary, description, location, url,
+ *          status ("CONFIRMED" | "CANCELLED"), sequence, alarmMinutes, alarmText }
+ */
+function buildEvent(event, stamp) {
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${event.uid}`,
+        `DTSTAMP:${formatUtc(stamp)}`,
+        `DTSTART:${formatUtc(event.start)}`,
+        `DTEND:${formatUtc(event.end)}`,
+        `SUMMARY:${escapeText(event.summary)}`,
+        event.location ? `LOCATION:${escapeText(event.location)}` : null,
+        event.description ? `DESCRIPTION:${escapeText(event.description)}` : null,
+        event.url ? `URL:${event.url}` : null,
+        `STATUS:${event.status || 'CONFIRMED'}`,
+        `SEQUENCE:${event.sequence || 0}`
+    ];
+
+    if (event.alarmMinutes && event.status !== 'CANCELLED') {
+        lines.push(
+            'BEGIN:VALARM',
+            'ACTION:DISPLAY',
+            `DESCRIPTION:${escapeText(event.alarmText || event.summary)}`,
+            `TRIGGER:-PT${event.alarmMinutes}M`,
+            'END:VALARM'
+        );
+    }
+
+    lines.push('END:VEVENT');
+    return lines.filter(Boolean);
+}
+
+/**
+ * Returns the calendar as string with CRLF line endings.
+ * name is shown by calendar apps for subscribed feeds.
+ */
+function buildCalendar({ events, name = null, refreshHours = null, stamp = new Date() }) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Praxis-Server//Termine//DE',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        name ? `X-WR-CALNAME:${escapeText(name)}` : null,
+        refreshHours ? `REFRESH-INTERVAL;VALUE=DURATION:PT${refreshHours}H` : null,
+        refreshHours ? `X-PUBLISHED-TTL:PT${refreshHours}H` : null,
+        ...events.flatMap(event => buildEvent(event, stamp)),
+        'END:VCALENDAR'
+    ].filter(Boolean);
+
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+module.exports = { buildCalendar, escapeText };
@@ -0,0 +1,417 @@
+/**
+ * Invoice Service
+ * Invoices in the patient portal and their online payment. Payments go
+ * through a pluggable provider; patients can also split an invoice into the
+ * practice's own interest-free monthly instalments (total / 24, rounded to
+ * whole euros). Financing with interest through our partner is only offered
+ * with the cost calculator on the website.
+ *
+ * A provider offers createPayment({ amount, currency, description,
+ * reference, returnUrl, webhookUrl }) → { id, checkoutUrl } and
+ * getPayment(id) → { id, status }, with status one of open, paid,
+ * cancelled, failed or expired.
+ */
+const { HttpError } = require('./errors');
+const { validateForm } = require('./validation');
+const { templates, fullName } = require('./mail-templates');
+const { getPracticeNow, addDays, addMonths } = require('./practice-time');
+const MockPaymentProvider = require('./providers/mock-payment-provider');
+
+const PROVIDERS = {
+    mock: options => new MockPaymentProvider({ publicUrl: options.publicUrl, clock: options.clock })
+};
+
+const FINAL_PAYMENT_STATUSES = ['paid', 'cancelled', 'failed', 'expired'];
+
+function createPaymentProvider(options) {
+    if (!options.provider || options.provider === 'none') return null;
+
+    // A ready-made provider object can be passed in directly
+    if (typeof options.provider === 'object') return options.provider;
+
+    const factory = PROVIDERS[options.provider];
+    if (!factory) {
+        throw new Error(`Unknown payment provider: ${options.provider}`);
+    }
+    return factory(options);
+}
+
+const roundCents = value => Math.round(value * 100) / 100;
+
+function parseAmount(value) {
+    return roundCents(Number(String(value).replace(',', '.')));
+}
+
+/**
+ * Monthly instalments for an amount: equal whole-euro rates, the last one
+ * takes the rounding difference so the rates add up to the amount exactly.
+ */
+function buildInstalmentSchedule(amount, months, firstDueDate) {
+    const monthlyAmount = Math.round(amount / months);
+    return Array.from({ length: months }, (_, index) => ({
+        number: index + 1,
+        dueDate: addMonths(firstDueDate, index),
+        amount: index === months - 1 ? roundCents(amount - monthlyAmount * (months - 1)) : monthlyAmount,
+        paymentId: null,
+        paidAt: null
+    }));
+}
+
+class InvoiceService {
+    constructor({ store, provider = null, documentVault, mailer, practice, publicUrl, clock = () => new Date() }) {
+        this.store = store;
+        this.provider = provider;
+        this.documentVault = documentVault;
+        this.mailer = mailer;
+        this.practice = practice;
+        this.publicUrl = publicUrl;
+        this.clock = clock;
+    }
+
+    get settings() {
+        return this.practice.payments;
+    }
+
+    today() {
+        return getPracticeNow(this.practice.timeZone, this.clock()).date;
+    }
+
+    // Invoices
+
+    // RE-2025-0001, counted per year
+    nextNumber(date) {
+        const year = date.slice(0, 4);
+        const count = this.store.find('invoices', invoice => invoice.date.startsWith(year)).length;
+        return `RE-${year}-${String(count + 1).padStart(4, '0')}`;
+    }
+
+    async create(body, { createdBy }) {
+        const today = this.today();
+        const data = validateForm('invoice', body, { today });
+        const patient = this.store.findOne('users', user => user.email === data.email.toLowerCase());
+        if (!patient) {
+            throw new HttpError(400, 'Bitte überprüfen Sie Ihre Eingaben.', {
+                fields: { email: 'Für diese E-Mail-Adresse gibt es kein Patientenkonto.' }
+            });
+        }
+
+        // The invoice itself, as the practice software printed it
+        let documentId = null;
+        if (body.file) {
+            const { content, contentType, fileName } = this.documentVault.decodeFile(body.file);
+            documentId = this.documentVault.add({
+                patientId: patient.id,
+                category: 'invoice',
+                title: data.title,
+                fileName,
+                contentType,
+                content,
+                uploadedBy: createdBy.id
+            }).id;
+        }
+
+        const invoice = this.store.insert('invoices', {
+            patientId: patient.id,
+            number: this.nextNumber(today),
+            title: data.title,
+            date: today,
+            dueDate: data.dueDate || addDays(today, this.settings.paymentTermDays),
+            amount: parseAmount(data.amount),
+            paidAmount: 0,
+            status: 'open',
+            documentId,
+            instalmentPlan: null,
+            createdBy: createdBy.id,
+            paidAt: null
+        });
+
+        await this.mailer.trySend({
+            to: patient.email,
+            ...templates.invoiceAvailable({ user: patient, portalUrl: `${this.publicUrl}/portal.html`, practice: this.practice })
+        });
+
+        return invoice;
+    }
+
+    findById(invoiceId) {
+        const invoice = this.store.findById('invoices', invoiceId);
+        if (!invoice) {
+            throw new HttpError(404, 'Diese Rechnung wurde nicht gefunden.');
+        }
+        return invoice;
+    }
+
+    findForPatient(patientId, invoiceId) {
+        const invoice = this.findById(invoiceId);
+        if (invoice.patientId !== patientId) {
+            throw new HttpError(404, 'Diese Rechnung wurde nicht gefunden.');
+        }
+        return invoice;
+    }
+
+    listForPatient(patientId) {
+        return this.store.find('invoices', invoice => invoice.patientId === patientId)
+            .sort((a, b) => b.date.localeCompare(a.date) || b.number.localeCompare(a.number));
+    }
+
+    listAll({ patientId = null, status = null } = {}) {
+        return this.store.find('invoices', invoice =>
+            (!patientId || invoice.patientId === patientId) && (!status || invoice.status === status)
+        ).sort((a, b) => b.date.localeCompare(a.date) || b.number.localeCompare(a.number));
+    }
+
+    // For transfers and card payments at the reception desk
+    markPaid(invoice, { staff }) {
+        if (invoice.status === 'paid') {
+            throw new HttpError(409, 'Diese Rechnung ist bereits bezahlt.');
+        }
+        return this.store.update('invoices', invoice.id, {
+            status: 'paid',
+            paidAmount: invoice.amount,
+            paidAt: this.clock().toISOString(),
+            paidManuallyBy: staff.id
+        });
+    }
+
+    // Instalments
+
+    canPayInInstalments(invoice) {
+        return invoice.status === 'open'
+            && invoice.paidAmount === 0
+            && invoice.amount >= this.settings.minInstalmentAmount;
+    }
+
+    getInstalmentOffer(invoice) {
+        if (!this.canPayInInstalments(invoice)) return null;
+
+        const schedule = buildInstalmentSchedule(invoice.amount, this.settings.instalmentMonths, this.today());
+        return {
+            months: this.settings.instalmentMonths,
+            monthlyAmount: schedule[0].amount,
+            lastAmount: schedule[schedule.length - 1].amount
+        };
+    }
+
+    startInstalmentPlan(invoice, body) {
+        validateForm('instalmentPlan', body);
+        if (!this.canPayInInstalments(invoice)) {
+            throw new HttpError(409, 'Für diese Rechnung ist keine Ratenzahlung möglich.');
+        }
+
+        const months = this.settings.instalmentMonths;
+        const schedule = buildInstalmentSchedule(invoice.amount, months, this.today());
+        return this.store.update('invoices', invoice.id, {
+            status: 'instalments',
+            instalmentPlan: {
+                months,
+                monthlyAmount: schedule[0].amount,
+                acceptedAt: this.clock().toISOString(),
+                schedule
+            }
+        });
+    }
+
+    // What the next online payment covers: the open amount or the next instalment
+    getNextCharge(invoice) {
+        if (invoice.status === 'paid') return null;
+        if (!invoice.instalmentPlan) {
+            return { amount: roundCents(invoice.amount - invoice.paidAmount), instalment: null };
+        }
+
+        const next = invoice.instalmentPlan.schedule.find(instalment => !instalment.paidAt);
+        return next ? { amount: next.amount, instalment: next.number, dueDate: next.dueDate } : null;
+    }
+
+    // Payments
+
+    async startPayment(invoice, patient) {
+        if (!this.provider) {
+            throw new HttpError(503, 'Die Online-Zahlung ist derzeit nicht verfügbar. Bitte überweisen Sie den Betrag auf das Konto auf Ihrer Rechnung.');
+        }
+
+        const charge = this.getNextCharge(invoice);
+        if (!charge) {
+            throw new HttpError(409, 'Diese Rechnung ist bereits bezahlt.');
+        }
+
+        const payment = this.store.insert('payments', {
+            invoiceId: invoice.id,
+            patientId: patient.id,
+            amount: charge.amount,
+            instalment: charge.instalment,
+            provider: this.provider.name,
+            providerPaymentId: null,
+            status: 'open',
+            paidAt: null
+        });
+
+        const plan = invoice.instalmentPlan;
+        try {
+            const { id, checkoutUrl } = await this.provider.createPayment({
+                amount: charge.amount,
+                currency: this.settings.currency,
+                description: `${this.practice.name}, Rechnung ${invoice.number}${charge.instalment ? `, Rate ${charge.instalment} von ${plan.months}` : ''}`,
+                reference: payment.id,
+                returnUrl: `${this.publicUrl}/portal.html?payment=${payment.id}`,
+                webhookUrl: `${this.publicUrl}/api/payments/webhook`
+            });
+
+            return {
+                payment: this.store.update('payments', payment.id, { providerPaymentId: id }),
+                checkoutUrl
+            };
+        } catch (error) {
+            console.error('Creating the payment failed:', error.message);
+            this.store.update('payments', payment.id, { status: 'failed' });
+            throw new HttpError(502, 'Die Zahlung konnte nicht gestartet werden. Bitte versuchen Sie es später erneut.');
+        }
+    }
+
+    findPaymentForPatient(patientId, paymentId) {
+        const payment = this.store.findById('payments', paymentId);
+        if (!payment || payment.patientId !== patientId) {
+            throw new HttpError(404, 'Diese Zahlung wurde nicht gefunden.');
+        }
+        return payment;
+    }
+
+    findPaymentByProviderId(providerPaymentId) {
+        return this.store.findOne('payments', payment =>
+            payment.provider === this.provider?.name && payment.providerPaymentId === providerPaymentId
+        );
+    }
+
+    getPayments(invoiceId) {
+        return this.store.find('payments', payment => payment.invoiceId === invoiceId)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    /**
+     * Asks the provider for the current status; called when the patient comes
+     * back from the checkout and by the provider's webhook, whichever is first.
+     */
+    async refreshPayment(payment) {
+        if (FINAL_PAYMENT_STATUSES.includes(payment.status) || !payment.providerPaymentId || !this.provider) {
+            return payment;
+        }
+
+        const { status } = await this.provider.getPayment(payment.providerPaymentId);
+
+        // The webhook and the patient's return can ask at the same time; only the first one applies the result
+        const current = this.store.findById('payments', payment.id);
+        if (FINAL_PAYMENT_STATUSES.includes(current.status) || status === current.status) return current;
+
+        const updated = this.store.update('payments', payment.id, {
+            status,
+            paidAt: status === 'paid' ? this.clock().toISOString() : null
+        });
+        if (status === 'paid') {
+            await this.applyPayment(updated);
+        }
+        return updated;
+    }
+
+    async applyPayment(payment) {
+        const invoice = this.findById(payment.invoiceId);
+        // A second checkout for an instalment that is already paid changes nothing but has to be refunded
+        const instalmentPaid = Boolean(invoice.instalmentPlan?.schedule.find(instalment =>
+            instalment.number === payment.instalment
+        )?.paidAt);
+        const changes = { paidAmount: instalmentPaid ? invoice.paidAmount : roundCents(invoice.paidAmount + payment.amount) };
+
+        if (invoice.instalmentPlan && !instalmentPaid) {
+            // A checkout for the whole amount started before the plan was accepted settles every open instalment
+            const covers = instalment => (payment.instalment ? instalment.number === payment.instalment : !instalment.paidAt);
+            const schedule = invoice.instalmentPlan.schedule.map(instalment =>
+                covers(instalment) ? { ...instalment, paymentId: payment.id, paidAt: payment.paidAt } : instalment
+            );
+            changes.instalmentPlan = { ...invoice.instalmentPlan, schedule };
+            if (schedule.every(instalment => instalment.paidAt) || changes.paidAmount >= invoice.amount) {
+                changes.status = 'paid';
+            }
+        } else if (!invoice.instalmentPlan && changes.paidAmount >= invoice.amount) {
+            changes.status = 'paid';
+        }
+        if (changes.status === 'paid' && invoice.status !== 'paid') {
+            changes.paidAt = payment.paidAt;
+        }
+
+        // Two checkouts for the same amount can both be completed; the team refunds the second one
+        if (instalmentPaid || invoice.status === 'paid' || changes.paidAmount > invoice.amount) {
+            payment = this.store.update('payments', payment.id, { duplicate: true });
+        }
+
+        const updated = this.store.update('invoices', invoice.id, changes);
+        const patient = this.store.findById('users', invoice.patientId);
+
+        if (patient) {
+            await this.mailer.trySend({
+                to: patient.email,
+                ...templates.paymentReceipt({ user: patient, invoice: updated, payment, practice: this.practice })
+            });
+        }
+        await this.mailer.trySend({
+            to: this.mailer.practiceAddress,
+            ...templates.paymentNotification({ invoice: updated, payment, patient })
+        });
+        return updated;
+    }
+
+    // Output
+
+    toPublicInvoice(invoice) {
+        const today = this.today();
+        const plan = invoice.instalmentPlan;
+
+        return {
+            id: invoice.id,
+            number: invoice.number,
+            title: invoice.title,
+            date: invoice.date,
+            dueDate: invoice.dueDate,
+            amount: invoice.amount,
+            paidAmount: invoice.paidAmount,
+            openAmount: roundCents(invoice.amount - invoice.paidAmount),
+            status: invoice.status,
+            overdue: invoice.status === 'open' && invoice.dueDate < today,
+            paidAt: invoice.paidAt,
+            documentId: invoice.documentId,
+            instalmentPlan: plan && {
+                months: plan.months,
+                monthlyAmount: plan.monthlyAmount,
+                acceptedAt: plan.acceptedAt,
+                paidCount: plan.schedule.filter(instalment => instalment.paidAt).length,
+                schedule: plan.schedule.map(instalment => ({
+                    number: instalment.number,
+                    dueDate: instalment.dueDate,
+                    amount: instalment.amount,
+                    paidAt: instalment.paidAt,
+                    overdue: !instalment.paidAt && instalment.dueDate < today
+                }))
+            },
+            nextCharge: this.getNextCharge(invoice),
+            instalmentOffer: this.getInstalmentOffer(invoice),
+            onlinePayment: Boolean(this.provider)
+        };
+    }
+
+    toStaffInvoice(invoice) {
+        const patient = this.store.findById('users', invoice.patientId);
+        return {
+            ...this.toPublicInvoice(invoice),
+            patient: patient ? { name: fullName(patient), email: patient.email } : null,
+            payments: this.getPayments(invoice.id).map(payment => ({
+                id: payment.id,
+                amount: payment.amount,
+                instalment: payment.instalment,
+                provider: payment.provider,
+                status: payment.status,
+                duplicate: payment.duplicate === true,
+                paidAt: payment.paidAt,
+                createdAt: payment.createdAt
+            }))
+        };
+    }
+}
+
+module.exports = { InvoiceService, createPaymentProvider, buildInstalmentSchedule };
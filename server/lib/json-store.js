@@ -0,0 +1,115 @@
+/**
+ * JSON Store
+ * Minimal document store that keeps one JSON file per collection on the local filesystem
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+class JsonStore {
+    constructor({ directory = null } = {}) {
+        // Without a directory the store only lives in memory (useful for local testing)
+        this.directory = directory;
+        this.collections = new Map();
+
+        if (this.directory) {
+            fs.mkdirSync(this.directory, { recursive: true });
+        }
+    }
+
+    collection(name) {
+        if (!this.collections.has(name)) {
+            this.collections.set(name, this.load(name));
+        }
+        return this.collections.get(name);
+    }
+
+    load(name) {
+        if (!this.directory) return [];
+
+        const file = this.getFilePath(name);
+        if (!fs.existsSync(file)) return [];
+
+        const records = JSON.parse(fs.readFileSync(file, 'utf8'));
+        return Array.isArray(records) ? records : [];
+    }
+
+    persist(name) {
+        if (!this.directory) return;
+
+        // Write to a temporary file first so a crash never leaves a half-written collection
+        const file = this.getFilePath(name);
+        const tempFile = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify(this.collection(name), null, 2));
+        fs.renameSync(tempFile, file);
+    }
+
+    getFilePath(name) {
+        if (!/^[a-z0-9-]+$/.test(name)) {
+            throw new Error(`Invalid collection name: ${name}`);
+        }
+        return path.join(this.directory, `${name}.json`);
+    }
+
+    // Queries always return copies so callers cannot mutate stored records by accident
+    all(name) {
+        return this.collection(name).map(record => ({ ...record }));
+    }
+
+    find(name, predicate) {
+        return this.collection(name).filter(predicate).map(record => ({ ...record }));
+    }
+
+    findOne(name, predicate) {
+        const record = this.collection(name).find(predicate);
+        return record ? { ...record } : null;
+    }
+
+    findById(name, id) {
+        return this.findOne(name, record => record.id === id);
+    }
+
+    insert(name, data) {
+        const now = new Date().toISOString();
+        const record = {
+            id: crypto.randomUUID(),
+            ...data,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.collection(name).push(record);
+        this.persist(name);
+
+        return { ...record };
+    }
+
+    update(name, id, changes) {
+        const records = this.collection(name);
+        const index = records.findIndex(record => record.id === id);
+        if (index === -1) return null;
+
+        records[index] = {
+            ...records[index],
+            ...changes,
+            id,
+            updatedAt: new Date().toISOString()
+        };
+        this.persist(name);
+
+        return { ...records[index] };
+    }
+
+    remove(name, id) {
+        const records = this.collection(name);
+        const index = records.findIndex(record => record.id === id);
+        if (index === -1) return false;
+
+        records.splice(index, 1);
+        this.persist(name);
+
+        return true;
+    }
+}
+
+module.exports = JsonStore;
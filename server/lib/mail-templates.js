@@ -0,0 +1,661 @@
+/**
+ * Mail Templates
+ * Plain-text mails sent to patients, applicants and the practice inbox
+ */
+function formatDate(date) {
+    return new Date(`${date}T00:00:00Z`).toLocaleDateString('de-DE', {
+        weekday: 'long',
+        day: 'numeric',
+        month: 'long',
+        year: 'numeric',
+        timeZone: 'UTC'
+    });
+}
+
+function signature(practice) {
+    return [
+        '',
+        'Mit freundlichen Grüßen',
+        `Ihr Praxisteam ${practice.name}`,
+        '',
+        `${practice.address.street}, ${practice.address.postalCode} ${practice.address.city}`,
+        `Telefon: ${practice.phone}`,
+        `E-Mail: ${practice.email}`
+    ].join('\n');
+}
+
+function fullName(person) {
+    return `${person.firstName} ${person.lastName}`;
+}
+
+const templates = {
+    bookingConfirmation({ booking, treatment, manageUrl, anamnesisUrl, practice }) {
+        return {
+            subject: `Ihre Terminbestätigung – ${practice.name}`,
+            text: [
+                `Guten Tag ${fullName(booking.patient)},`,
+                '',
+                'vielen Dank für Ihre Terminbuchung. Hiermit bestätigen wir Ihren Termin:',
+                '',
+                `Behandlung: ${treatment.label}`,
+                `Datum: ${formatDate(booking.date)}`,
+                `Uhrzeit: ${booking.start} – ${booking.end} Uhr`,
+                '',
+                'Im Anhang finden Sie den Termin als Kalenderdatei (.ics) für Ihren Kalender.',
+                'Bitte bringen Sie Ihre Versichertenkarte und, falls vorhanden, Ihr Bonusheft mit.',
+                '',
+                'Den Anamnesebogen (Fragen zu Ihrer Gesundheit) können Sie schon vorab online ausfüllen und unterschreiben:',
+                anamnesisUrl,
+                '',
+                `Sollten Sie den Termin nicht wahrnehmen können, können Sie ihn bis ${practice.manageCutoffHours} Stunden vorher hier verschieben oder absagen:`,
+                manageUrl,
+                signature(practice)
+            ].join('\n')
+        };
+    },
+
+    bookingNotification({ booking, treatment }) {
+        const { patient } = booking;
+        return {
+            subject: `Neue Online-Buchung: ${treatment.label} am ${booking.date} um ${booking.start} Uhr`,
+            replyTo: patient.email,
+            text: [
+                'Über die Website wurde ein Termin gebucht.',
+                '',
+                `Patient: ${fullName(patient)}`,
+                `E-Mail: ${patient.email}`,
+                `Telefon: ${patient.phone || '–'}`,
+                `Geburtsdatum: ${patient.birthDate || '–'}`,
+                `Behandlung: ${treatment.label}`,
+                `Termin: ${formatDate(booking.date)}, ${booking.start} – ${booking.end} Uhr`,
+                `Newsletter: ${booking.newsletter ? 'ja' : 'nein'}`,
+                '',
+                'Nachricht:',
+                booking.message || '–'
+            ].join('\n')
+        };
+    },
+
+    bookingChanged({ booking, treatment, action, manageUrl, bookingUrl, practice }) {
+        const cancelled = action === 'cancelled';
+        return {
+            subject: cancelled
+                ? `Ihre Terminabsage – ${practice.name}`
+                : `Ihr Termin wurde verschoben – ${practice.name}`,
+            text: [
+                `Guten Tag ${fullName(booking.bookedBy || booking.patient)},`,
+                '',
+                cancelled
+                    ? 'hiermit bestätigen wir die Absage Ihres Termins:'
+                    : 'Ihr Termin wurde erfolgreich verschoben. Der neue Termin:',
+                '',
+                booking.bookedBy ? `Patient: ${fullName(booking.patient)}` : null,
+                `Behandlung: ${treatment.label}`,
+                `Datum: ${formatDate(booking.date)}`,
+                `Uhrzeit: ${booking.start} – ${booking.end} Uhr`,
+                '',
+                cancelled
+                    ? 'Einen neuen Termin können Sie jederzeit online buchen.'
+                    : `Weitere Änderungen sind bis ${practice.manageCutoffHours} Stunden vor dem Termin möglich:`,
+                cancelled ? bookingUrl : manageUrl,
+                signature(practice)
+            ].filter(line => line !== null).join('\n')
+        };
+    },
+
+    groupBookingConfirmation({ appointments, practice }) {
+        const [{ booking: first }] = appointments;
+        return {
+            subject: `Ihre Terminbestätigung – ${practice.name}`,
+            text: [
+                `Guten Tag ${fullName(first.bookedBy)},`,
+                '',
+                `vielen Dank für Ihre Buchung. Hiermit bestätigen wir die folgenden Termine am ${formatDate(first.date)}:`,
+                '',
+                ...appointments.map(({ booking, treatment }) =>
+                    `${booking.start} – ${booking.end} Uhr: ${fullName(booking.patient)}, ${treatment.label}`
+                ),
+                '',
+                'Im Anhang finden Sie alle Termine als Kalenderdatei (.ics) für Ihren Kalender.',
+                'Bitte bringen Sie für jede Person die Versichertenkarte und, falls vorhanden, das Bonusheft mit.',
+                '',
+                `Jeden Termin können Sie bis ${practice.manageCutoffHours} Stunden vorher einzeln verschieben oder absagen:`,
+                ...appointments.map(({ booking, manageUrl }) => `${booking.patient.firstName}: ${manageUrl}`),
+                '',
+                'Den Anamnesebogen (Fragen zur Gesundheit) können Sie für jede Person schon vorab online ausfüllen:',
+                ...appointments.map(({ booking, anamnesisUrl }) => `${booking.patient.firstName}: ${anamnesisUrl}`),
+                signature(practice)
+            ].join('\n')
+        };
+    },
+
+    groupBookingNotification({ appointments }) {
+        const [{ booking: first }] = appointments;
+        const { patient } = first;
+        return {
+            subject: `Neue Online-Buchung: ${appointments.length} Personen am ${first.date} ab ${first.start} Uhr`,
+            replyTo: patient.email,
+            text: [
+                'Über die Website wurden mehrere Termine direkt hintereinander gebucht.',
+                '',
+                `Gebucht von: ${fullName(first.bookedBy)}`,
+                `E-Mail: ${patient.email}`,
+                `Telefon: ${patient.phone || '–'}`,
+                `Newsletter: ${first.newsletter ? 'ja' : 'nein'}`,
+                '',
+                ...appointments.flatMap(({ booking, treatment }) => [
+                    `${formatDate(booking.date)}, ${booking.start} – ${booking.end} Uhr`,
+                    `  Patient: ${fullName(booking.patient)} (geb. ${booking.patient.birthDate || '–'})`,
+                    `  Behandlung: ${treatment.label}`
+                ]),
+                '',
+                'Nachricht:',
+                first.message || '–'
+            ].join('\n')
+        };
+    },
+
+    bookingChangeNotification({ booking, treatment, action, previous, reason }) {
+        const { patient } = booking;
+        const label = action === 'cancelled' ? 'Absage' : 'Terminverschiebung';
+        return {
+            subject: `Online-${label}: ${fullName(patient)}, ${treatment.label}`,
+            replyTo: patient.email,
+            text: [
+                `Über den Verwaltungslink wurde ein Termin geändert (${label}).`,
+                '',
+                `Patient: ${fullName(patient)}`,
+                `E-Mail: ${patient.email}`,
+                `Telefon: ${patient.phone || '–'}`,
+                `Behandlung: ${treatment.label}`,
+                previous ? `Bisher: ${formatDate(previous.date)}, ${previous.start} – ${previous.end} Uhr` : null,
+                action === 'cancelled'
+                    ? `Abgesagt: ${formatDate(booking.date)}, ${booking.start} – ${booking.end} Uhr`
+                    : `Neu: ${formatDate(booking.date)}, ${booking.start} – ${booking.end} Uhr`,
+                reason ? `\nGrund:\n${reason}` : null
+            ].filter(line => line !== null).join('\n')
+        };
+    },
+
+    waitlistConfirmation({ entry, treatment, leaveUrl, practice }) {
+        return {
+            subject: `Sie stehen auf der Warteliste – ${practice.name}`,
+            text: [
+                `Guten Tag ${fullName(entry.patient)},`,
+                '',
+                'wir haben Sie auf unsere Warteliste gesetzt:',
+                '',
+                `Behandlung: ${treatment.label}`,
+                `Zeitraum: ${formatDate(entry.fromDate)} bis ${formatDate(entry.toDate)}`,
+                '',
+                'Sobald in diesem Zeitraum ein passender Termin frei wird, bieten wir ihn Ihnen per E-Mail an.',
+                'Falls Sie keinen Termin mehr benötigen, können Sie sich hier von der Warteliste abmelden:',
+                leaveUrl,
+                signature(practice)
+            ].join('\n')
+        };
+    },
+
+    slotOffer({ entry, offer, treatment, claimUrl, expiresAt, practice }) {
+        return {
+            subject: `Ein Termin ist frei geworden – ${practice.name}`,
+            text: [
+                `Guten Tag ${fullName(entry.patient)},`,
+                '',
+                'in Ihrem gewünschten Zeitraum ist ein Termin frei geworden:',
+                '',
+                `Behandlung: ${treatment.label}`,
+                `Datum: ${formatDate(offer.date)}`,
+                `Uhrzeit: ${offer.start} – ${offer.end} Uhr`,
+                '',
+                `Wir halten den Termin bis ${formatDate(expiresAt.date)}, ${expiresAt.time} Uhr für Sie frei. Über den folgenden Link können Sie ihn verbindlich buchen oder ablehnen:`,
+                claimUrl,
+                '',
+                'Danach bieten wir den Termin dem nächsten Patienten auf der Warteliste an. Sie bleiben in diesem Fall weiterhin auf der Warteliste.',
+                signature(practice)
+            ].join('\n')
+        };
+    },
+
+    recallReminder({ patient, treatment, lastDate, intervalMonths, bookingUrl, optOutUrl, practice }) {
+        return {
+            subject: `Zeit für Ihre nächste ${treatment.label} – ${practice.name}`,
+            text: [
+                `Guten Tag ${fullName(patient)},`,
+                '',
+                `Ihre letzte ${treatment.label} bei uns war am ${formatDate(lastDate)}. Wir empfehlen sie alle ${intervalMonths} Monate – jetzt ist es wieder so weit.`,
+                '',
+                'Über den folgenden Link können Sie direkt einen Termin buchen, Ihre Daten sind bereits eingetragen:',
+                bookingUrl,
+                '',
+                'Sie möchten keine Erinnerungen mehr erhalten? Dann können Sie sie hier abbestellen:',
+                optOutUrl,
+                signature(practice)
+            ].join('\n')
+        };
+    },
+
+    contactConfirmation({ contact, practice }) {
+        return {
+            subject: `Ihre Nachricht an ${practice.name}`,
+            text: [
+                `Guten Tag ${fullName(contact)},`,
+                '',
+                'vielen Dank für Ihre Nachricht. Wir haben sie erhalten und melden uns innerhalb von 24 Stunden bei Ihnen.',
+                '',
+                'Bei akuten Schmerzen erreichen Sie uns am schnellsten telefonisch.',
+                signature(practice)
+            ].join('\n')
+        };
+    },
+
+    contactNotification({ contact, subjectLabel }) {
+        return {
+            subject: `Kontaktformular: ${subjectLabel} – ${fullName(contact)}`,
+            replyTo: contact.email,
+            text: [
+                'Über das Kontaktformular ist eine neue Nachricht eingegangen.',
+                '',
+                `Name: ${fullName(contact)}`,
+                `E-Mail: ${contact.email}`,
+                `Telefon: ${contact.phone || '–'}`,
+                `Betreff: ${subjectLabel}`,
+                `Newsletter: ${contact.newsletter ? 'ja' : 'nein'}`,
+                '',
+                'Nachricht:',
+                contact.message
+            ].join('\n')
+        };
+    },
+
+    newsletterConfirmation({ confirmUrl, practice }) {
+        return {
+            subject: `Bitte bestätigen Sie Ihre Newsletter-Anmeldung – ${practice.name}`,
+            text: [
+                'Guten Tag,',
+                '',
+                'Sie haben sich für unseren Newsletter angemeldet. Bitte bestätigen Sie Ihre Anmeldung über den folgenden Link:',
+                '',
+                confirmUrl,
+                '',
+                'Falls Sie sich nicht angemeldet haben, können Sie diese E-Mail ignorieren. Ohne Bestätigung erhalten Sie keine weiteren Nachrichten.',
+                signature(practice)
+            ].join('\n')
+        };
+    },
+
+    accountVerification({ user, verifyUrl, practice }) {
+        return {
+            subject: `Bitte bestätigen Sie Ihre E-Mail-Adresse – ${practice.name}`,
+            text: [
+                `Guten Tag ${fullName(user)},`,
+                '',
+                'vielen Dank für Ihre Registrierung im Patientenportal. Bitte bestätigen Sie Ihre E-Mail-Adresse über den folgenden Link:',
+                '',
+                verifyUrl,
+                '',
+                'Der Link ist 7 Tage gültig. Falls Sie sich nicht registriert haben, können Sie diese E-Mail ignorieren.',
+                signature(practice)
+            ].join('\n')
+        };
+    },
+
+    passwordReset({ user, resetUrl, practice }) {
+        return {
+            subject: `Passwort zurücksetzen – ${practice.name}`,
+            text: [
+                `Guten Tag ${fullName(user)},`,
+                '',
+                'für Ihr Konto im Patientenportal wurde ein neues Passwort angefordert. Über den folgenden Link können Sie es festlegen:',
+                '',
+                resetUrl,
+                '',
+                'Der Link ist eine Stunde gültig. Falls Sie kein neues Passwort angefordert haben, können Sie diese E-Mail ignorieren – Ihr bisheriges Passwort bleibt gültig.',
+                signature(practice)
+            ].join('\n')
+        };
+    },
+
+    twoFactorRecovery({ user, recoveryUrl, practice }) {
+        return {
+            subject: `Zwei-Faktor-Anmeldung zurücksetzen – ${practice.name}`,
+            text: [
+                `Guten Tag ${fullName(user)},`,
+                '',
+                'bei der Anmeldung im Patientenportal wurde angegeben, dass Sie keinen Zugriff mehr auf Ihre Authenticator-App und Ihre Backup-Codes haben. Über den folgenden Link schalten Sie die Zwei-Faktor-Anmeldung ab:',
+                '',
+                recoveryUrl,
+                '',
+                'Der Link ist eine Stunde gültig. Danach können Sie sich wieder nur mit Ihrem Passwort anmelden und die Zwei-Faktor-Anmeldung neu einrichten.',
+                '',
+                'Falls Sie das nicht selbst angefordert haben, kennt eine andere Person Ihr Passwort. Bitte ändern Sie es umgehend und öffnen Sie den Link nicht.',
+                signature(practice)
+            ].join('\n')
+        };
+    },
+
+    twoFactorDisabled({ user, practice }) {
+        return {
+            subject: `Zwei-Faktor-Anmeldung abgeschaltet – ${practice.name}`,
+            text: [
+                `Guten Tag ${fullName(user)},`,
+                '',
+                'die Zwei-Faktor-Anmeldung für Ihr Konto im Patientenportal wurde über den Link aus unserer E-Mail abgeschaltet. Alle angemeldeten Geräte wurden abgemeldet.',
+                '',
+                'Wir empfehlen, sie nach der nächsten Anmeldung neu einzurichten. Falls Sie das nicht selbst veranlasst haben, wenden Sie sich bitte direkt an die Praxis.',
+                signature(practice)
+            ].join('\n')
+        };
+    },
+
+    documentAvailable({ user, portalUrl, practice }) {
+        return {
+            subject: `Neues Dokument im Patientenportal – ${practice.name}`,
+            text: [
+                `Guten Tag ${fullName(user)},`,
+                '',
+                'in Ihrem Patientenportal liegt ein neues Dokument für Sie bereit. Sie können es nach der Anmeldung ansehen und herunterladen:',
+                '',
+                portalUrl,
+                signature(practice)
+            ].join('\n')
+        };
+    },
+
+    // Portal messages may be about health; the mails deliberately leave out subject and text
+    messageNotification({ user, threadUrl, practice }) {
+        return {
+            subject: `Neue Nachricht im Patientenportal – ${practice.name}`,
+            text: [
+                `Guten Tag ${fullName(user)},`,
+                '',
+                'Sie haben eine neue Nachricht von unserem Praxisteam. Sie können sie nach der Anmeldung im Patientenportal lesen:',
+                '',
+                threadUrl,
+                signature(practice)
+            ].join('\n')
+        };
+    },
+
+    staffMessageNotification({ threadUrl, practice }) {
+        return {
+            subject: `Neue Patientennachricht im Portal – ${practice.name}`,
+            text: [
+                'Im Patientenportal ist eine neue Nachricht eingegangen:',
+                '',
+                threadUrl
+            ].join('\n')
+        };
+    },
+
+    treatmentPlanAvailable({ user, portalUrl, practice }) {
+        return {
+            subject: `Ihr Behandlungsplan im Patientenportal – ${practice.name}`,
+            text: [
+                `Guten Tag ${fullName(user)},`,
+                '',
+                'wir haben Ihnen einen Behandlungs- und Kostenplan im Patientenportal bereitgestellt. Nach der Anmeldung können Sie ihn in Ruhe durchsehen, uns Fragen dazu stellen und ihn online freigeben:',
+                '',
+                portalUrl,
+                signature(practice)
+            ].join('\n')
+        };
+    },
+
+    treatmentPlanApproved({ plan, patient }) {
+        const approvedAt = new Date(plan.approval.approvedAt).toLocaleString('de-DE', { timeZone: 'Europe/Berlin' });
+        return {
+            subject: `Behandlungsplan freigegeben: ${fullName(patient)}`,
+            text: [
+                'Ein Behandlungsplan wurde im Patientenportal freigegeben.',
+                '',
+                `Patient: ${fullName(patient)}`,
+                `E-Mail: ${patient.email}`,
+                `Plan: ${plan.title}`,
+                `Eigenanteil: ${plan.cost.patientShare.toFixed(2).replace('.', ',')} €`,
+                `Freigegeben am: ${approvedAt} Uhr`
+            ].join('\n')
+        };
+    },
+
+    invoiceAvailable({ user, portalUrl, practice }) {
+        return {
+            subject: `Neue Rechnung im Patientenportal – ${practice.name}`,
+            text: [
+                `Guten Tag ${fullName(user)},`,
+                '',
+                'im Patientenportal liegt eine neue Rechnung für Sie bereit. Nach der Anmeldung können Sie sie ansehen und direkt online bezahlen – auf Wunsch auch in Monatsraten:',
+                '',
+                portalUrl,
+                signature(practice)
+            ].join('\n')
+        };
+    },
+
+    paymentReceipt({ user, invoice, payment, practice }) {
+        let status = `Die Rechnung ${invoice.number} ist damit vollständig bezahlt.`;
+        if (invoice.status !== 'paid') {
+            status = payment.instalment
+                ? `Das war Rate ${payment.instalment} von ${invoice.instalmentPlan.months}. Die weiteren Fälligkeiten finden Sie im Patientenportal.`
+                : 'Den offenen Restbetrag finden Sie im Patientenportal.';
+        }
+        return {
+            subject: `Zahlungseingang zu Rechnung ${invoice.number}`,
+            text: [
+                `Guten Tag ${fullName(user)},`,
+                '',
+                `vielen Dank, wir haben Ihre Zahlung über ${payment.amount.toFixed(2).replace('.', ',')} € erhalten. ${status}`,
+                signature(practice)
+            ].join('\n')
+        };
+    },
+
+    paymentNotification({ invoice, payment, patient }) {
+        return {
+            subject: `Zahlungseingang: Rechnung ${invoice.number}`,
+            text: [
+                'Im Patientenportal ist eine Zahlung eingegangen.',
+                '',
+                `Patient: ${patient?.email ? `${fullName(patient)} (${patient.email})` : 'Konto gelöscht'}`,
+                `Rechnung: ${invoice.number}`,
+                `Betrag: ${payment.amount.toFixed(2).replace('.', ',')} €${payment.instalment ? ` (Rate ${payment.instalment})` : ''}`,
+                `Zahlungsanbieter: ${payment.provider}`,
+                `Rechnungsstatus: ${invoice.status === 'paid' ? 'vollständig bezahlt' : 'offen'}`,
+                payment.duplicate
+                    ? `Achtung: ${payment.instalment ? `Die Rate ${payment.instalment}` : 'Die Rechnung'} war bereits bezahlt, bitte den Betrag erstatten.`
+                    : null
+            ].filter(line => line !== null).join('\n')
+        };
+    },
+
+    privacyConfirmation({ user, type, confirmUrl, practice }) {
+        return {
+            subject: `Bitte bestätigen Sie Ihren Antrag (${type}) – ${practice.name}`,
+            text: [
+                `Guten Tag ${fullName(user)},`,
+                '',
+                `im Patientenportal wurde ein Antrag auf ${type} Ihrer Daten gestellt. Damit wir sicher sind, dass er von Ihnen stammt, bestätigen Sie ihn bitte über den folgenden Link:`,
+                '',
+                confirmUrl,
+                '',
+                'Der Link ist 24 Stunden gültig. Falls Sie keinen Antrag gestellt haben, ignorieren Sie diese E-Mail und ändern Sie am besten Ihr Passwort.',
+                signature(practice)
+            ].join('\n')
+        };
+    },
+
+    privacyReviewNotification({ request, reviewUrl }) {
+        return {
+            subject: `Löschantrag zur Prüfung: ${request.name}`,
+            text: [
+                'Im Patientenportal wurde ein Antrag auf Löschung bestätigt und wartet auf Ihre Prüfung.',
+                '',
+                `Patient: ${request.name}`,
+                `E-Mail: ${request.email}`,
+                `Frist: ${formatDate(request.dueDate)}`,
+                request.note ? `Anmerkung: ${request.note}` : null,
+                '',
+                `Prüfung und Entscheidung im Patientenportal: ${reviewUrl}`
+            ].filter(line => line !== null).join('\n')
+        };
+    },
+
+    privacyRequestDecided({ request, practice }) {
+        const lines = request.status === 'rejected'
+            ? [
+                'wir haben Ihren Antrag auf Löschung Ihrer Daten geprüft und können ihm derzeit nicht entsprechen:',
+                '',
+                request.decision.note,
+                '',
+                'Bei Fragen sprechen Sie uns gerne an. Sie haben außerdem das Recht, sich bei der zuständigen Datenschutz-Aufsichtsbehörde zu beschweren.'
+            ]
+            : [
+                'wir haben Ihren Antrag auf Löschung umgesetzt. Ihr Patientenkonto wurde gelöscht, eine Anmeldung ist nicht mehr möglich.',
+                '',
+                'Gelöscht wurden:',
+                ...request.outcome.deleted.map(entry => `- ${entry.label}`),
+                ...(request.outcome.retained.length > 0 ? [
+                    '',
+                    'Aufgrund gesetzlicher Pflichten müssen wir folgende Unterlagen weiter aufbewahren. Sie werden nur noch zu diesem Zweck gespeichert und danach gelöscht:',
+                    ...request.outcome.retained.map(entry => `- ${entry.label}: ${entry.reason}, bis Ende ${entry.retainUntil.slice(0, 4)}`)
+                ] : [])
+            ];
+
+        return {
+            subject: `Ihr Antrag auf Löschung – ${practice.name}`,
+            text: [
+                `Guten Tag ${request.name},`,
+                '',
+                ...lines,
+                signature(practice)
+            ].join('\n')
+        };
+    },
+
+    applicationConfirmation({ application, positionLabel, practice }) {
+        return {
+            subject: `Ihre Bewerbung bei ${practice.name}`,
+            text: [
+                `Guten Tag ${fullName(application)},`,
+                '',
+                `vielen Dank für Ihre Bewerbung als ${positionLabel}. Wir haben Ihre Unterlagen erhalten und melden uns in Kürze bei Ihnen.`,
+                signature(practice)
+            ].join('\n')
+        };
+    },
+
+    applicationNotification({ application, positionLabel }) {
+        return {
+            subject: `Neue Bewerbung: ${positionLabel} – ${fullName(application)}`,
+            replyTo: application.email,
+            text: [
+                'Über die Karriereseite ist eine neue Bewerbung eingegangen. Der Lebenslauf ist angehängt.',
+                '',
+                `Name: ${fullName(application)}`,
+                `E-Mail: ${application.email}`,
+                `Telefon: ${application.phone}`,
+                `Position: ${positionLabel}`,
+                '',
+                'Motivationsschreiben:',
+                application.message
+            ].join('\n')
+        };
+    }
+};
+
+function greeting(contact) {
+    return contact?.lastName ? `Guten Tag ${fullName(contact)},` : 'Guten Tag,';
+}
+
+/**
+ * Starting points for replies from the staff inbox. build() gets the inbox
+ * item and returns subject and text, which the team can still edit before
+ * sending. types lists the kinds of requests a template is offered for.
+ */
+const replyTemplates = {
+    free: {
+        label: 'Freie Antwort',
+        types: ['booking', 'contact', 'application', 'newsletter'],
+        build: ({ item, practice }) => ({
+            subject: `Ihre Anfrage: ${item.subject}`,
+            text: [greeting(item.contact), '', '', signature(practice)].join('\n')
+        })
+    },
+    callback: {
+        label: 'Rückruf anbieten',
+        types: ['booking', 'contact'],
+        build: ({ item, practice }) => ({
+            subject: `Ihre Anfrage: ${item.subject}`,
+            text: [
+                greeting(item.contact),
+                '',
+                'vielen Dank für Ihre Nachricht. Ihr Anliegen besprechen wir gerne persönlich mit Ihnen. Bitte teilen Sie uns mit, wann wir Sie am besten telefonisch erreichen, oder rufen Sie uns während der Sprechzeiten an.',
+                signature(practice)
+            ].join('\n')
+        })
+    },
+    onlineBooking: {
+        label: 'Online-Termin vorschlagen',
+        types: ['contact'],
+        build: ({ item, practice, publicUrl }) => ({
+            subject: `Ihre Anfrage: ${item.subject}`,
+            text: [
+                greeting(item.contact),
+                '',
+                'vielen Dank für Ihre Nachricht. Einen Termin können Sie jederzeit online auswählen und sofort verbindlich buchen:',
+                '',
+                `${publicUrl}/termin.html`,
+                '',
+                'Sollte kein passender Termin dabei sein, antworten Sie einfach auf diese E-Mail.',
+                signature(practice)
+            ].join('\n')
+        })
+    },
+    bookingQuestion: {
+        label: 'Rückfrage zum Termin',
+        types: ['booking'],
+        build: ({ item, practice }) => ({
+            subject: `Rückfrage zu Ihrem Termin: ${item.subject}`,
+            text: [
+                greeting(item.contact),
+                '',
+                `zu Ihrem Termin (${item.subject}) haben wir noch eine Frage:`,
+                '',
+                '',
+                signature(practice)
+            ].join('\n')
+        })
+    },
+    interview: {
+        label: 'Einladung zum Gespräch',
+        types: ['application'],
+        build: ({ item, practice }) => ({
+            subject: `Ihre Bewerbung bei ${practice.name}`,
+            text: [
+                greeting(item.contact),
+                '',
+                `vielen Dank für Ihre Bewerbung (${item.subject}). Ihre Unterlagen haben uns angesprochen und wir möchten Sie gerne persönlich kennenlernen.`,
+                '',
+                'Bitte nennen Sie uns zwei oder drei Termine in den nächsten Wochen, an denen Sie etwa eine Stunde Zeit für ein Gespräch in der Praxis haben.',
+                signature(practice)
+            ].join('\n')
+        })
+    },
+    rejection: {
+        label: 'Absage',
+        types: ['application'],
+        build: ({ item, practice }) => ({
+            subject: `Ihre Bewerbung bei ${practice.name}`,
+            text: [
+                greeting(item.contact),
+                '',
+                `vielen Dank für Ihre Bewerbung (${item.subject}) und Ihr Interesse an unserer Praxis. Nach sorgfältiger Prüfung haben wir uns für eine andere Besetzung entschieden.`,
+                '',
+                'Ihre Unterlagen löschen wir spätestens sechs Monate nach Abschluss des Verfahrens. Für Ihren weiteren Weg wünschen wir Ihnen alles Gute.',
+                signature(practice)
+            ].join('\n')
+        })
+    }
+};
+
+module.exports = { templates, replyTemplates, formatDate, signature, fullName };
@@ -0,0 +1,58 @@
+/**
+ * Mailer
+ * Builds messages and hands them to a pluggable transport (smtp, log or memory)
+ */
+const { buildMessage, getEmail } = require('./mime');
+const SmtpTransport = require('./transports/smtp-transport');
+const LogTransport = require('./transports/log-transport');
+const MemoryTransport = require('./transports/memory-transport');
+
+const TRANSPORTS = {
+    smtp: options => new SmtpTransport(options.smtp),
+    log: options => new LogTransport({ file: options.logFile }),
+    memory: () => new MemoryTransport()
+};
+
+function createTransport(options) {
+    // A ready-made transport object can be passed in directly
+    if (typeof options.transport === 'object') return options.transport;
+
+    const factory = TRANSPORTS[options.transport];
+    if (!factory) {
+        throw new Error(`Unknown mail transport: ${options.transport}`);
+    }
+    return factory(options);
+}
+
+class Mailer {
+    constructor({ transport, from, practiceAddress }) {
+        this.transport = transport;
+        this.from = from;
+        this.practiceAddress = practiceAddress;
+    }
+
+    async send(message) {
+        const full = { from: this.from, ...message };
+        const recipients = [].concat(full.to).map(getEmail);
+
+        await this.transport.send({
+            from: getEmail(full.from),
+            recipients,
+            raw: buildMessage(full),
+            message: full
+        });
+    }
+
+    // Never throws; callers record the outcome instead of failing the whole request
+    async trySend(message) {
+        try {
+            await this.send(message);
+            return true;
+        } catch (error) {
+            console.error('Mail delivery failed:', error.message);
+            return false;
+        }
+    }
+}
+
+module.exports = { Mailer, createTransport };
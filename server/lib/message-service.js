@@ -0,0 +1,275 @@
+/**
+ * Message Service
+ * Secure messaging between signed-in patients and the practice team. Each
+ * conversation is a thread with an assigned team member; attachments are
+ * stored encrypted in the document vault, and notification e-mails only
+ * say that there is something new, never what.
+ */
+const { HttpError } = require('./errors');
+const { validateForm } = require('./validation');
+const { templates, fullName } = require('./mail-templates');
+
+const TOPICS = {
+    behandlung: 'Frage zur Behandlung',
+    termin: 'Termine',
+    kosten: 'Kosten und Rechnungen',
+    dokumente: 'Dokumente',
+    sonstiges: 'Sonstiges'
+};
+
+const STATUSES = ['open', 'closed'];
+const MAX_ATTACHMENTS = 3;
+// Vault category of attachments; they are not listed among the patient's documents
+const ATTACHMENT_CATEGORY = 'message-attachment';
+
+function invalid(field, message) {
+    return new HttpError(400, 'Bitte überprüfen Sie Ihre Eingaben.', { fields: { [field]: message } });
+}
+
+class MessageService {
+    constructor({ store, documentVault, mailer, practice, publicUrl, clock = () => new Date() }) {
+        this.store = store;
+        this.documentVault = documentVault;
+        this.mailer = mailer;
+        this.practice = practice;
+        this.publicUrl = publicUrl;
+        this.clock = clock;
+    }
+
+    getThreadUrl(thread) {
+        return `${this.publicUrl}/portal.html?message=${thread.id}`;
+    }
+
+    // Threads
+
+    async createThread(patient, body) {
+        const data = validateForm('messageThread', body);
+        const attachmentIds = this.storeAttachments(body.files, patient);
+
+        const thread = this.store.insert('message-threads', {
+            patientId: patient.id,
+            topic: data.topic,
+            subject: data.subject,
+            status: 'open',
+            assignedTo: null,
+            lastMessageAt: this.clock().toISOString(),
+            lastMessageBy: 'patient'
+        });
+        this.addMessage(thread, patient, 'patient', data.message, attachmentIds);
+
+        await this.notifyPractice(thread);
+        return thread;
+    }
+
+    /**
+     * Adds a message from the patient ("patient") or the practice ("staff").
+     * A patient answering a closed thread opens it again.
+     */
+    async reply(thread, author, role, body) {
+        const data = validateForm('messageReply', body);
+        const attachmentIds = this.storeAttachments(body.files, author);
+
+        const message = this.addMessage(thread, author, role, data.message, attachmentIds);
+        const updated = this.store.update('message-threads', thread.id, {
+            lastMessageAt: this.clock().toISOString(),
+            lastMessageBy: role,
+            status: role === 'patient' ? 'open' : thread.status
+        });
+
+        if (role === 'staff') {
+            await this.notifyPatient(updated);
+        } else {
+            await this.notifyPractice(updated);
+        }
+        return message;
+    }
+
+    addMessage(thread, author, role, text, attachmentIds) {
+        return this.store.insert('messages', {
+            threadId: thread.id,
+            authorId: author.id,
+            authorRole: role,
+            body: text,
+            attachmentIds,
+            readAt: null,
+            readBy: null
+        });
+    }
+
+    // All files are checked before the first one is stored
+    storeAttachments(files, uploadedBy) {
+        if (files === undefined || files === null) return [];
+        if (!Array.isArray(files) || files.length > MAX_ATTACHMENTS) {
+            throw invalid('file', `Bitte hängen Sie höchstens ${MAX_ATTACHMENTS} Dateien an.`);
+        }
+
+        return files.map(file => this.documentVault.decodeFile(file)).map(({ content, contentType, fileName }) =>
+            this.documentVault.add({
+                category: ATTACHMENT_CATEGORY,
+                title: fileName,
+                fileName,
+                contentType,
+                content,
+                uploadedBy: uploadedBy.id
+            }).id
+        );
+    }
+
+    updateThread(thread, { assignedTo, status }) {
+        const changes = {};
+
+        if (assignedTo !== undefined) {
+            const staff = assignedTo === null ? null : this.store.findById('users', assignedTo);
+            if (assignedTo !== null && staff?.role !== 'staff') {
+                throw invalid('assignedTo', 'Bitte wählen Sie ein Mitglied des Praxisteams.');
+            }
+            changes.assignedTo = assignedTo;
+        }
+        if (status !== undefined) {
+            if (!STATUSES.includes(status)) {
+                throw invalid('status', 'Bitte wählen Sie eine gültige Option.');
+            }
+            changes.status = status;
+        }
+
+        return this.store.update('message-threads', thread.id, changes);
+    }
+
+    // Lookups
+
+    findById(threadId) {
+        const thread = this.store.findById('message-threads', threadId);
+        if (!thread) {
+            throw new HttpError(404, 'Diese Unterhaltung wurde nicht gefunden.');
+        }
+        return thread;
+    }
+
+    // Threads of other patients look like missing ones
+    findForPatient(patientId, threadId) {
+        const thread = this.findById(threadId);
+        if (thread.patientId !== patientId) {
+            throw new HttpError(404, 'Diese Unterhaltung wurde nicht gefunden.');
+        }
+        return thread;
+    }
+
+    listForPatient(patientId) {
+        return this.store.find('message-threads', thread => thread.patientId === patientId)
+            .sort((a, b) => b.lastMessageAt.localeCompare(a.lastMessageAt));
+    }
+
+    // assignedTo: a staff user id, "none" for unassigned threads, or null for all
+    listForStaff({ status = null, assignedTo = null } = {}) {
+        return this.store.find('message-threads', thread =>
+            (!status || thread.status === status)
+            && (!assignedTo || (assignedTo === 'none' ? !thread.assignedTo : thread.assignedTo === assignedTo))
+        ).sort((a, b) => b.lastMessageAt.localeCompare(a.lastMessageAt));
+    }
+
+    getMessages(threadId) {
+        return this.store.find('messages', message => message.threadId === threadId)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    // The attachment has to belong to a message of this thread
+    findAttachment(thread, documentId) {
+        const attached = this.getMessages(thread.id).some(message => message.attachmentIds.includes(documentId));
+        if (!attached) {
+            throw new HttpError(404, 'Dieser Anhang wurde nicht gefunden.');
+        }
+        return this.documentVault.findById(documentId);
+    }
+
+    // Read receipts: opening a thread marks what the other side wrote as read
+
+    markRead(thread, reader, role) {
+        const readAt = this.clock().toISOString();
+        this.getMessages(thread.id)
+            .filter(message => message.authorRole !== role && !message.readAt)
+            .forEach(message => this.store.update('messages', message.id, { readAt, readBy: reader.id }));
+    }
+
+    countUnread(thread, role) {
+        return this.getMessages(thread.id).filter(message => message.authorRole !== role && !message.readAt).length;
+    }
+
+    // Notifications
+
+    async notifyPatient(thread) {
+        const patient = this.store.findById('users', thread.patientId);
+        if (!patient) return;
+
+        await this.mailer.trySend({
+            to: patient.email,
+            ...templates.messageNotification({ user: patient, threadUrl: this.getThreadUrl(thread), practice: this.practice })
+        });
+    }
+
+    // Goes to the assigned team member, otherwise to the practice inbox
+    async notifyPractice(thread) {
+        const assignee = thread.assignedTo ? this.store.findById('users', thread.assignedTo) : null;
+
+        await this.mailer.trySend({
+            to: assignee?.email || this.mailer.practiceAddress,
+            ...templates.staffMessageNotification({ threadUrl: this.getThreadUrl(thread), practice: this.practice })
+        });
+    }
+
+    // Output
+
+    getName(userId) {
+        const user = userId ? this.store.findById('users', userId) : null;
+        return user ? fullName(user) : null;
+    }
+
+    toThreadSummary(thread, role) {
+        return {
+            id: thread.id,
+            topic: thread.topic,
+            topicLabel: TOPICS[thread.topic] || thread.topic,
+            subject: thread.subject,
+            status: thread.status,
+            assignedTo: thread.assignedTo,
+            assignedName: this.getName(thread.assignedTo),
+            lastMessageAt: thread.lastMessageAt,
+            lastMessageBy: thread.lastMessageBy,
+            unread: this.countUnread(thread, role),
+            createdAt: thread.createdAt
+        };
+    }
+
+    toThread(thread, role) {
+        return {
+            ...this.toThreadSummary(thread, role),
+            messages: this.getMessages(thread.id).map(message => ({
+                id: message.id,
+                authorRole: message.authorRole,
+                authorName: this.getName(message.authorId),
+                body: message.body,
+                createdAt: message.createdAt,
+                readAt: message.readAt,
+                attachments: message.attachmentIds.map(documentId => {
+                    const document = this.store.findById('documents', documentId);
+                    return document && {
+                        id: document.id,
+                        fileName: document.fileName,
+                        contentType: document.contentType,
+                        size: document.size
+                    };
+                }).filter(Boolean)
+            }))
+        };
+    }
+
+    // The team also needs to know who wrote
+    toStaffThread(thread, withMessages = false) {
+        const patient = this.store.findById('users', thread.patientId);
+        return {
+            ...(withMessages ? this.toThread(thread, 'staff') : this.toThreadSummary(thread, 'staff')),
+            patient: patient ? { name: fullName(patient), email: patient.email, birthDate: patient.birthDate } : null
+        };
+    }
+}
+
+module.exports = { MessageService, TOPICS };
@@ -0,0 +1,91 @@
+/**
+ * MIME Builder
+ * Turns a mail message object into an RFC 5322 message with UTF-8 text,
+ * optional HTML and attachments, ready to hand to any mail transport
+ */
+const crypto = require('crypto');
+
+function encodeHeader(value) {
+    // Plain ASCII headers stay readable, everything else becomes an RFC 2047 encoded word
+    if (/^[\x20-\x7e]*$/.test(value)) return value;
+    return `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+function formatAddress(address) {
+    if (typeof address === 'string') return address;
+    if (!address.name) return address.email;
+
+    // ASCII display names are quoted because they may contain dots ("Dr. Schmidt")
+    const name = /^[\x20-\x7e]*$/.test(address.name)
+        ? `"${address.name.replace(/"/g, '\\"')}"`
+        : encodeHeader(address.name);
+    return `${name} <${address.email}>`;
+}
+
+function getEmail(address) {
+    return typeof address === 'string' ? address.replace(/^.*<([^>]+)>$/, '$1') : address.email;
+}
+
+function wrapBase64(buffer) {
+    return buffer.toString('base64').replace(/.{1,76}/g, '$&\r\n');
+}
+
+function buildTextPart(contentType, content) {
+    return [
+        `Content-Type: ${contentType}; charset=utf-8`,
+        'Content-Transfer-Encoding: base64',
+        '',
+        wrapBase64(Buffer.from(content, 'utf8'))
+    ].join('\r\n');
+}
+
+function buildAttachmentPart(attachment) {
+    const filename = encodeHeader(attachment.filename);
+    return [
+        `Content-Type: ${attachment.contentType || 'application/octet-stream'}; name="${filename}"`,
+        'Content-Transfer-Encoding: base64',
+        `Content-Disposition: attachment; filename="${filename}"`,
+        '',
+        wrapBase64(Buffer.isBuffer(attachment.content) ? attachment.content : Buffer.from(attachment.content))
+    ].join('\r\n');
+}
+
+function buildMultipart(subtype, parts) {
+    const boundary = `----=_Part_${crypto.randomBytes(12).toString('hex')}`;
+    const body = parts.map(part => `--${boundary}\r\n${part}`).join('\r\n');
+    return `Content-Type: multipart/${subtype}; boundary="${boundary}"\r\n\r\n${body}\r\n--${boundary}--`;
+}
+
+/**
+ * Builds the raw message.
+ * message: { from, to, replyTo, subject, text, html, attachments: [{ filename, contentType, content }] }
+ */
+function buildMessage(message) {
+    const to = [].concat(message.to);
+    const domain = getEmail(message.from).split('@')[1] || 'localhost';
+
+    const headers = [
+        `From: ${formatAddress(message.from)}`,
+        `To: ${to.map(formatAddress).join(', ')}`,
+        message.replyTo ? `Reply-To: ${formatAddress(message.replyTo)}` : null,
+        `Subject: ${encodeHeader(message.subject)}`,
+        `Date: ${new Date().toUTCString().replace('GMT', '+0000')}`,
+        `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+        'MIME-Version: 1.0'
+    ].filter(Boolean);
+
+    let body = message.html
+        ? buildMultipart('alternative', [
+            buildTextPart('text/plain', message.text),
+            buildTextPart('text/html', message.html)
+        ])
+        : buildTextPart('text/plain', message.text);
+
+    if (message.attachments && message.attachments.length > 0) {
+        body = buildMultipart('mixed', [body, ...message.attachments.map(buildAttachmentPart)]);
+    }
+
+    return `${headers.join('\r\n')}\r\n${body}\r\n`;
+}
+
+module.exports = { buildMessage, getEmail, formatAddress };
@@ -0,0 +1,74 @@
+/**
+ * Newsletter Service
+ * Double opt-in newsletter subscriptions: a sign-up stays pending until the
+ * confirmation link from the e-mail has been opened
+ */
+const crypto = require('crypto');
+const { HttpError } = require('./errors');
+const { templates } = require('./mail-templates');
+
+class NewsletterService {
+    constructor({ store, mailer, practice, publicUrl }) {
+        this.store = store;
+        this.mailer = mailer;
+        this.practice = practice;
+        this.publicUrl = publicUrl;
+    }
+
+    findByEmail(email) {
+        return this.store.findOne('newsletter-subscriptions', subscription => subscription.email === email);
+    }
+
+    async subscribe(email, source) {
+        const normalized = email.trim().toLowerCase();
+        const existing = this.findByEmail(normalized);
+
+        if (existing && existing.status === 'confirmed') {
+            return { subscription: existing, alreadyConfirmed: true };
+        }
+
+        const token = crypto.randomBytes(24).toString('hex');
+        const subscription = existing
+            ? this.store.update('newsletter-subscriptions', existing.id, { status: 'pending', token, source })
+            : this.store.insert('newsletter-subscriptions', { email: normalized, status: 'pending', token, source });
+
+        const confirmUrl = `${this.publicUrl}/api/newsletter/confirm?token=${token}`;
+        const sent = await this.mailer.trySend({
+            to: normalized,
+            ...templates.newsletterConfirmation({ confirmUrl, practice: this.practice })
+        });
+
+        if (!sent) {
+            throw new HttpError(502, 'Die Bestätigungs-E-Mail konnte nicht versendet werden. Bitte versuchen Sie es später erneut.');
+        }
+
+        return { subscription, alreadyConfirmed: false };
+    }
+
+    confirm(token) {
+        const subscription = this.findByToken(token);
+        if (!subscription || subscription.status === 'unsubscribed') return null;
+
+        return this.store.update('newsletter-subscriptions', subscription.id, {
+            status: 'confirmed',
+            confirmedAt: subscription.confirmedAt || new Date().toISOString()
+        });
+    }
+
+    unsubscribe(token) {
+        const subscription = this.findByToken(token);
+        if (!subscription) return null;
+
+        return this.store.update('newsletter-subscriptions', subscription.id, {
+            status: 'unsubscribed',
+            unsubscribedAt: new Date().toISOString()
+        });
+    }
+
+    findByToken(token) {
+        if (typeof token !== 'string' || !/^[a-f0-9]{48}$/.test(token)) return null;
+        return this.store.findOne('newsletter-subscriptions', subscription => subscription.token === token);
+    }
+}
+
+module.exports = NewsletterService;
@@ -0,0 +1,227 @@
+/**
+ * PDF Writer
+ * Just enough PDF for the practice's own records: A4 pages with wrapped
+ * Helvetica text, lines and freehand paths (signatures). The standard fonts
+ * need no embedding; text is written in WinAnsiEncoding, which covers German.
+ */
+const zlib = require('zlib');
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+
+const FONTS = {
+    regular: { resource: 'F1', baseFont: 'Helvetica' },
+    bold: { resource: 'F2', baseFont: 'Helvetica-Bold' }
+};
+
+// Helvetica advance widths (1/1000 em) for the printable ASCII range
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+// Bold glyphs run a little wider; close enough for line breaking
+const BOLD_FACTOR = 1.08;
+
+// Characters outside Latin-1 that WinAnsiEncoding still has
+const WIN_ANSI = {
+    '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92,
+    '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97
+};
+
+function encodeText(value) {
+    const bytes = [];
+    for (const char of String(value)) {
+        const code = char.codePointAt(0);
+        if (WIN_ANSI[char]) {
+            bytes.push(WIN_ANSI[char]);
+        } else if (code === 0x09 || (code >= 0x20 && code <= 0x7e) || (code >= 0xa0 && code <= 0xff)) {
+            bytes.push(code === 0x09 ? 0x20 : code);
+        } else {
+            bytes.push(0x3f);
+        }
+    }
+
+    // Parentheses and backslashes have to be escaped inside a PDF string
+    return Buffer.from(bytes).toString('latin1').replace(/[\\()]/g, char => `\\${char}`);
+}
+
+function measureText(value, size, font = 'regular') {
+    let width = 0;
+    for (const char of String(value)) {
+        const code = char.normalize('NFD').charCodeAt(0);
+        width += HELVETICA_WIDTHS[code - 32] || 556;
+    }
+    return width * size / 1000 * (font === 'bold' ? BOLD_FACTOR : 1);
+}
+
+function wrapText(value, size, font, maxWidth) {
+    const lines = [];
+
+    String(value).split(/\r?\n/).forEach(paragraph => {
+        let line = '';
+        paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (line && measureText(candidate, size, font) > maxWidth) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        });
+        lines.push(line);
+    });
+
+    return lines;
+}
+
+const number = value => Number(value.toFixed(2)).toString();
+
+class PdfDocument {
+    constructor({ title = '', margin = 56 } = {}) {
+        this.title = title;
+        this.margin = margin;
+        this.pages = [];
+        this.addPage();
+    }
+
+    get contentWidth() {
+        return PAGE_WIDTH - 2 * this.margin;
+    }
+
+    addPage() {
+        this.page = { operations: [] };
+        this.pages.push(this.page);
+        this.y = PAGE_HEIGHT - this.margin;
+        return this.page;
+    }
+
+    // Starts a new page unless `height` points still fit above the bottom margin
+    ensureSpace(height) {
+        if (this.y - height < this.margin) {
+            this.addPage();
+        }
+    }
+
+    moveDown(points) {
+        this.y -= points;
+    }
+
+    drawText(page, x, y, value, { font = 'regular', size = 10 } = {}) {
+        page.operations.push(`BT /${FONTS[font].resource} ${size} Tf ${number(x)} ${number(y)} Td (${encodeText(value)}) Tj ET`);
+    }
+
+    /**
+     * Writes wrapped text at the cursor and moves it below the text. `indent`
+     * shifts the block to the right, e.g. for the answer below a question.
+     */
+    text(value, { font = 'regular', size = 10, indent = 0, lineHeight = 1.35, spaceAfter = 4 } = {}) {
+        const lines = wrapText(value, size, font, this.contentWidth - indent);
+        const step = size * lineHeight;
+
+        lines.forEach(line => {
+            this.ensureSpace(step);
+            this.y -= size;
+            this.drawText(this.page, this.margin + indent, this.y, line, { font, size });
+            this.y -= step - size;
+        });
+        this.y -= spaceAfter;
+    }
+
+    rule({ width = 0.5, spaceAfter = 8 } = {}) {
+        this.ensureSpace(width + spaceAfter);
+        this.page.operations.push(`${width} w ${number(this.margin)} ${number(this.y)} m ${number(PAGE_WIDTH - this.margin)} ${number(this.y)} l S`);
+        this.y -= spaceAfter;
+    }
+
+    /**
+     * Draws freehand strokes (lists of [x, y] points, y pointing down as on a
+     * canvas) scaled into a box of the given size at the cursor.
+     */
+    drawStrokes(strokes, { sourceWidth, sourceHeight, width, height, lineWidth = 1.2 }) {
+        this.ensureSpace(height);
+        const scale = Math.min(width / sourceWidth, height / sourceHeight);
+        const top = this.y;
+        const left = this.margin;
+
+        const paths = strokes.filter(stroke => stroke.length > 0).map(stroke => {
+            // A single tap becomes a dot
+            const points = stroke.length === 1 ? [stroke[0], [stroke[0][0] + 0.5, stroke[0][1]]] : stroke;
+            const segments = points.map(([x, y], index) =>
+                `${number(left + x * scale)} ${number(top - y * scale)} ${index === 0 ? 'm' : 'l'}`
+            );
+            return `${segments.join(' ')} S`;
+        });
+
+        this.page.operations.push(`q ${lineWidth} w 1 J 1 j ${paths.join(' ')} Q`);
+        this.y -= height;
+    }
+
+    /**
+     * Adds `footer(pageNumber, pageCount)` to the bottom of every page, e.g.
+     * "Seite 1 von 2" once the page count is known.
+     */
+    addFooter(footer, { size = 8 } = {}) {
+        this.pages.forEach((page, index) => {
+            this.drawText(page, this.margin, this.margin / 2, footer(index + 1, this.pages.length), { size });
+        });
+    }
+
+    toBuffer() {
+        const objects = [];
+        const addObject = body => {
+            objects.push(body);
+            return objects.length;
+        };
+
+        const catalogId = addObject(null);
+        const pagesId = addObject(null);
+        const fontIds = Object.values(FONTS).map(font =>
+            addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.baseFont} /Encoding /WinAnsiEncoding >>`)
+        );
+        const fontResources = Object.values(FONTS).map((font, index) => `/${font.resource} ${fontIds[index]} 0 R`).join(' ');
+
+        const pageIds = this.pages.map(page => {
+            const content = zlib.deflateSync(Buffer.from(page.operations.join('\n'), 'latin1'));
+            const contentId = addObject([`<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`, content, '\nendstream']);
+            return addObject(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`);
+        });
+
+        objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+        objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+        const infoId = addObject(`<< /Title (${encodeText(this.title)}) /Producer (Praxis-Server) >>`);
+
+        const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+        let offset = chunks[0].length;
+        const offsets = objects.map((body, index) => {
+            const start = offset;
+            const parts = [`${index + 1} 0 obj\n`, ...(Array.isArray(body) ? body : [body]), '\nendobj\n'];
+            parts.forEach(part => {
+                const buffer = Buffer.isBuffer(part) ? part : Buffer.from(part, 'latin1');
+                chunks.push(buffer);
+                offset += buffer.length;
+            });
+            return start;
+        });
+
+        const xref = [
+            'xref',
+            `0 ${objects.length + 1}`,
+            '0000000000 65535 f ',
+            ...offsets.map(start => `${String(start).padStart(10, '0')} 00000 n `),
+            'trailer',
+            `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+            'startxref',
+            String(offset),
+            '%%EOF'
+        ].join('\n');
+        chunks.push(Buffer.from(`${xref}\n`, 'latin1'));
+
+        return Buffer.concat(chunks);
+    }
+}
+
+module.exports = { PdfDocument, measureText, wrapText };
@@ -0,0 +1,101 @@
+/**
+ * Practice Time
+ * Date and time helpers that work on the practice's local wall-clock time.
+ * Dates are 'YYYY-MM-DD' strings and times are 'HH:MM' strings, so bookings
+ * never shift when the server runs in a different time zone.
+ */
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+function isValidDate(date) {
+    if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) return false;
+
+    const parsed = new Date(`${date}T00:00:00Z`);
+    return !Number.isNaN(parsed.getTime()) && parsed.toISOString().startsWith(date);
+}
+
+function isValidTime(time) {
+    return typeof time === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(time);
+}
+
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function formatMinutes(totalMinutes) {
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+function getWeekday(date) {
+    return WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+}
+
+function addDays(date, days) {
+    const parsed = new Date(`${date}T00:00:00Z`);
+    parsed.setUTCDate(parsed.getUTCDate() + days);
+    return parsed.toISOString().slice(0, 10);
+}
+
+// Same day of the month n months later; days missing in the target month fall back to its last day
+function addMonths(date, months) {
+    const [year, month, day] = date.split('-').map(Number);
+    const target = new Date(Date.UTC(year, month - 1 + months, 1));
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(day, lastDay));
+    return target.toISOString().slice(0, 10);
+}
+
+// Current date and minute of the day in the practice's time zone
+function getPracticeNow(timeZone, now = new Date()) {
+    const parts = new Intl.DateTimeFormat('en-CA', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(now);
+
+    const value = type => parts.find(part => part.type === type).value;
+
+    return {
+        date: `${value('year')}-${value('month')}-${value('day')}`,
+        minutes: Number(value('hour')) * 60 + Number(value('minute'))
+    };
+}
+
+// Minutes on a continuous local timeline, used to compare wall-clock moments across days
+function toLocalTimestamp(date, minutes) {
+    return new Date(`${date}T00:00:00Z`).getTime() / 60000 + minutes;
+}
+
+// Converts a wall-clock date and time in the practice's time zone to an absolute Date
+function toUtcDate(date, time, timeZone) {
+    const wallClock = toLocalTimestamp(date, toMinutes(time));
+    const offsetAt = instant => {
+        const local = getPracticeNow(timeZone, new Date(instant * 60000));
+        return toLocalTimestamp(local.date, local.minutes) - instant;
+    };
+
+    // The offset is looked up twice because it may change between the guess and the result (DST)
+    let instant = wallClock - offsetAt(wallClock);
+    instant = wallClock - offsetAt(instant);
+    return new Date(instant * 60000);
+}
+
+module.exports = {
+    WEEKDAYS,
+    isValidDate,
+    isValidTime,
+    toMinutes,
+    formatMinutes,
+    getWeekday,
+    addDays,
+    addMonths,
+    getPracticeNow,
+    toLocalTimestamp,
+    toUtcDate
+};
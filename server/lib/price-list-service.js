@@ -0,0 +1,139 @@
+/**
+ * Price List Service
+ * The fee schedule positions behind the cost calculator on preise.html. Each
+ * version in config/price-list.json lists GOZ/GOÄ positions with their points,
+ * the BEMA positions or the fixed subsidy the statutory insurance pays
+ * instead, and which positions make up a treatment. The calculator works out the euros from
+ * these points, so every published price can be traced back to the schedule.
+ */
+const { HttpError } = require('./errors');
+const { getPracticeNow } = require('./practice-time');
+
+const INSURANCE_TYPES = ['gkv', 'supplementary', 'pkv', 'self'];
+const MAX_BASKET_ITEMS = 20;
+
+// FDI tooth numbers: permanent teeth 11–48, milk teeth 51–85
+const TOOTH_REGEX = /^([1-4][1-8]|[5-8][1-5])$/;
+
+// A broken price list should stop the server instead of showing wrong prices
+function checkVersion(priceList) {
+    const fail = message => {
+        throw new Error(`Price list version ${priceList.version}: ${message}`);
+    };
+
+    Object.entries(priceList.positions).forEach(([code, position]) => {
+        if (!priceList.schedules[position.schedule]) fail(`${code} uses the unknown schedule ${position.schedule}`);
+        // Laboratory work is priced in euros, everything else in points
+        if (!(position.points > 0) && !(position.amount > 0)) fail(`${code} has neither points nor an amount`);
+    });
+
+    Object.entries(priceList.treatments).forEach(([treatmentId, treatment]) => {
+        Object.entries(treatment.variants).forEach(([variantId, variant]) => {
+            [...variant.positions, ...variant.statutory].forEach(({ code, quantity }) => {
+                if (!priceList.positions[code]) fail(`${treatmentId}/${variantId} refers to the unknown position ${code}`);
+                if (!(quantity > 0)) fail(`${treatmentId}/${variantId} has no quantity for ${code}`);
+            });
+            variant.statutory.forEach(({ code }) => {
+                if (priceList.positions[code].schedule !== 'BEMA') fail(`${treatmentId}/${variantId} lists ${code} as a statutory position`);
+            });
+            if (variant.fixedSubsidy && !priceList.statutoryInsurance.fixedSubsidies[variant.fixedSubsidy]) {
+                fail(`${treatmentId}/${variantId} refers to the unknown fixed subsidy ${variant.fixedSubsidy}`);
+            }
+        });
+    });
+}
+
+// Only the answers of the insurance form are kept, as numbers where they are numbers
+function pickInsurance(insurance) {
+    const settings = { type: insurance.type };
+    ['bonus', 'insuredSince'].forEach(key => {
+        if (typeof insurance[key] === 'string') settings[key] = insurance[key].slice(0, 20);
+    });
+    ['treatmentRate', 'dentureRate', 'rate', 'remainingBenefit', 'waitingMonths'].forEach(key => {
+        if (Number.isFinite(insurance[key])) settings[key] = insurance[key];
+    });
+    return settings;
+}
+
+class PriceListService {
+    constructor({ priceLists, practice, clock = () => new Date() }) {
+        this.versions = priceLists.versions
+            .slice()
+            .sort((a, b) => a.validFrom.localeCompare(b.validFrom));
+        this.practice = practice;
+        this.clock = clock;
+
+        this.versions.forEach(checkVersion);
+    }
+
+    // A new version can be added ahead of time and takes over on its validFrom date
+    getCurrent() {
+        const today = getPracticeNow(this.practice.timeZone, this.clock()).date;
+        const current = this.versions.filter(priceList => priceList.validFrom <= today).pop();
+        if (!current) {
+            throw new HttpError(503, 'Die Preisliste ist derzeit nicht verfügbar.');
+        }
+        return current;
+    }
+
+    getVersion(version) {
+        const priceList = this.versions.find(candidate => candidate.version === Number(version));
+        if (!priceList) {
+            throw new HttpError(404, 'Diese Fassung der Preisliste gibt es nicht.');
+        }
+        return priceList;
+    }
+
+    /**
+     * Checks a treatment basket from the cost calculator (CostCalculator.serializeBasket)
+     * against the price list it was made with and returns it with the labels
+     * filled in, so staff can read it without the calculator.
+     */
+    readBasket(basket) {
+        const invalid = () => new HttpError(400, 'Die Kostenschätzung ist ungültig. Bitte stellen Sie sie im Kostenrechner neu zusammen.');
+        if (!basket || typeof basket !== 'object' || !Array.isArray(basket.items)) throw invalid();
+        if (basket.items.length === 0 || basket.items.length > MAX_BASKET_ITEMS) throw invalid();
+
+        const priceList = this.versions.find(candidate => candidate.version === basket.priceListVersion);
+        if (!priceList) throw invalid();
+
+        // Only the price list's own keys, so "__proto__" or "constructor" cannot pass for a treatment
+        const lookup = (entries, key) => (entries && Object.hasOwn(entries, key) ? entries[key] : null);
+
+        const items = basket.items.map(item => {
+            const treatment = lookup(priceList.treatments, item?.treatment);
+            const variant = lookup(treatment?.variants, item?.variant);
+            const level = lookup(priceList.complexity, item?.complexity);
+            if (!variant || !level) throw invalid();
+
+            const teeth = Array.isArray(item.teeth) ? item.teeth.map(String) : [];
+            if (teeth.some(tooth => !TOOTH_REGEX.test(tooth)) || new Set(teeth).size !== teeth.length) throw invalid();
+            if (teeth.length > 0 && (!variant.perTooth || item.quantity !== teeth.length)) throw invalid();
+            if (!Number.isInteger(item.quantity) || item.quantity < 1 || item.quantity > 32) throw invalid();
+
+            return {
+                treatment: item.treatment,
+                treatmentLabel: treatment.label,
+                variant: item.variant,
+                variantLabel: variant.label,
+                complexity: item.complexity,
+                factor: level.factor,
+                teeth,
+                quantity: item.quantity
+            };
+        });
+
+        const insurance = basket.insurance || null;
+        if (insurance && (typeof insurance !== 'object' || !INSURANCE_TYPES.includes(insurance.type))) throw invalid();
+        if (insurance?.bonus !== undefined && !Object.hasOwn(priceList.statutoryInsurance.bonusLevels, insurance.bonus)) throw invalid();
+
+        return {
+            priceListVersion: priceList.version,
+            priceListTitle: priceList.title,
+            items,
+            insurance: insurance && pickInsurance(insurance)
+        };
+    }
+}
+
+module.exports = { PriceListService };
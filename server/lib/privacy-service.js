@@ -0,0 +1,565 @@
+/**
+ * Privacy Service
+ * Data subject requests from the patient portal (Art. 15, 17 and 20 DSGVO).
+ * A request needs the account password, the two-factor code if enabled, and
+ * a click on the link sent to the account's e-mail address. Exports are then
+ * ready to download as JSON; deletions go to the practice team for review.
+ * Medical and billing records are kept for their statutory periods with
+ * processing restricted. Every step is written to the privacy-audit log.
+ */
+const { HttpError } = require('./errors');
+const { validateForm } = require('./validation');
+const { templates, fullName } = require('./mail-templates');
+const { verifyPassword, hashToken, createToken } = require('./auth-service');
+const { getPracticeNow, addMonths } = require('./practice-time');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const TYPES = {
+    export: 'Datenauskunft',
+    deletion: 'Löschung'
+};
+
+const OPEN_STATUSES = ['unconfirmed', 'review'];
+
+// What a deletion keeps; everything else about the patient is removed
+const RETENTION = {
+    medical: {
+        label: 'Behandlungsunterlagen (Termine, Anamnese, Dokumente, Behandlungspläne, Bonusheft)',
+        reason: 'Aufbewahrungspflicht der Patientenakte, 10 Jahre nach Abschluss der Behandlung (§ 630f Abs. 3 BGB)',
+        years: 10
+    },
+    billing: {
+        label: 'Rechnungen und Zahlungen',
+        reason: 'Steuerrechtliche Aufbewahrungspflicht, 10 Jahre (§ 147 AO, § 14b UStG)',
+        years: 10
+    },
+    audit: {
+        label: 'Zugriffsprotokolle und die Bearbeitung dieses Antrags',
+        reason: 'Nachweis der ordnungsgemäßen Verarbeitung (Art. 5 Abs. 2 DSGVO)',
+        years: 3
+    }
+};
+
+const pick = (record, keys) => Object.fromEntries(keys.filter(key => record[key] !== undefined).map(key => [key, record[key]]));
+
+class PrivacyService {
+    constructor({ store, auth, twoFactor, documentVault, mailer, practice, publicUrl, clock = () => new Date() }) {
+        this.store = store;
+        this.auth = auth;
+        this.twoFactor = twoFactor;
+        this.documentVault = documentVault;
+        this.mailer = mailer;
+        this.practice = practice;
+        this.publicUrl = publicUrl;
+        this.clock = clock;
+
+        this.confirmationDuration = 24 * HOUR;
+        // How long a finished export can be downloaded
+        this.exportDuration = 7 * DAY;
+    }
+
+    now() {
+        return this.clock().getTime();
+    }
+
+    today() {
+        return getPracticeNow(this.practice.timeZone, this.clock()).date;
+    }
+
+    // Requests
+
+    async create(user, body, { ip = null } = {}) {
+        const data = validateForm('privacyRequest', body);
+
+        if (!verifyPassword(String(body.password || ''), user.passwordHash)) {
+            throw new HttpError(400, 'Bitte überprüfen Sie Ihre Eingaben.', {
+                fields: { password: 'Das Passwort ist falsch.' }
+            });
+        }
+        if (this.twoFactor.isEnabled(user)) {
+            this.twoFactor.requireCode(user, body.code);
+        }
+
+        const pending = this.store.findOne('privacy-requests', request =>
+            request.patientId === user.id && request.type === data.type && OPEN_STATUSES.includes(request.status)
+        );
+        if (pending && !this.isConfirmationExpired(pending)) {
+            throw new HttpError(409, 'Zu diesem Anliegen läuft bereits ein Antrag.');
+        }
+        if (pending) {
+            this.close(pending, 'expired', { actor: null, note: 'Bestätigungslink nicht genutzt' });
+        }
+
+        const token = createToken();
+        const request = this.store.insert('privacy-requests', {
+            patientId: user.id,
+            email: user.email,
+            name: fullName(user),
+            type: data.type,
+            note: data.note,
+            status: 'unconfirmed',
+            // Art. 12 Abs. 3 DSGVO: one month to answer
+            dueDate: addMonths(this.today(), 1),
+            confirmationTokenHash: hashToken(token),
+            confirmationExpiresAt: new Date(this.now() + this.confirmationDuration).toISOString(),
+            confirmedAt: null,
+            completedAt: null,
+            decision: null,
+            outcome: null
+        });
+        this.audit(request, 'requested', { actor: user, ip });
+
+        const sent = await this.mailer.trySend({
+            to: user.email,
+            ...templates.privacyConfirmation({
+                user,
+                type: TYPES[request.type],
+                confirmUrl: `${this.publicUrl}/api/privacy/confirm?token=${token}`,
+                practice: this.practice
+            })
+        });
+        if (!sent) {
+            this.close(request, 'cancelled', { actor: null, note: 'Bestätigungs-E-Mail nicht zustellbar' });
+            throw new HttpError(502, 'Die Bestätigungs-E-Mail konnte nicht versendet werden. Bitte versuchen Sie es später erneut.');
+        }
+
+        return request;
+    }
+
+    isConfirmationExpired(request) {
+        return request.status === 'unconfirmed' && new Date(request.confirmationExpiresAt).getTime() < this.now();
+    }
+
+    /**
+     * The link from the e-mail proves access to the mailbox. Exports are
+     * complete right away, deletions wait for the practice team.
+     */
+    async confirm(token, { ip = null } = {}) {
+        if (typeof token !== 'string' || !token) return null;
+
+        const tokenHash = hashToken(token);
+        const request = this.store.findOne('privacy-requests', candidate => candidate.confirmationTokenHash === tokenHash);
+        if (!request || request.status !== 'unconfirmed' || this.isConfirmationExpired(request)) return null;
+
+        const confirmed = this.store.update('privacy-requests', request.id, {
+            status: request.type === 'export' ? 'completed' : 'review',
+            confirmationTokenHash: null,
+            confirmedAt: this.clock().toISOString(),
+            completedAt: request.type === 'export' ? this.clock().toISOString() : null
+        });
+        this.audit(confirmed, 'confirmed', { actor: null, ip });
+
+        if (confirmed.type === 'export') {
+            this.audit(confirmed, 'completed', { actor: null, note: 'Export zum Download bereitgestellt' });
+        } else {
+            await this.mailer.trySend({
+                to: this.mailer.practiceAddress,
+                ...templates.privacyReviewNotification({ request: confirmed, reviewUrl: `${this.publicUrl}/portal.html` })
+            });
+        }
+        return confirmed;
+    }
+
+    cancel(request, user) {
+        if (!OPEN_STATUSES.includes(request.status)) {
+            throw new HttpError(409, 'Dieser Antrag ist bereits abgeschlossen.');
+        }
+        return this.close(request, 'cancelled', { actor: user });
+    }
+
+    close(request, status, { actor, note = null }) {
+        const closed = this.store.update('privacy-requests', request.id, {
+            status,
+            confirmationTokenHash: null,
+            completedAt: this.clock().toISOString()
+        });
+        this.audit(closed, status, { actor, note });
+        return closed;
+    }
+
+    findById(requestId) {
+        const request = this.store.findById('privacy-requests', requestId);
+        if (!request) {
+            throw new HttpError(404, 'Dieser Antrag wurde nicht gefunden.');
+        }
+        return request;
+    }
+
+    findForPatient(patientId, requestId) {
+        const request = this.findById(requestId);
+        if (request.patientId !== patientId) {
+            throw new HttpError(404, 'Dieser Antrag wurde nicht gefunden.');
+        }
+        return request;
+    }
+
+    listForPatient(patientId) {
+        return this.store.find('privacy-requests', request => request.patientId === patientId)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    // Requests waiting for review come first, the oldest deadline on top
+    listAll({ status = null } = {}) {
+        return this.store.find('privacy-requests', request => !status || request.status === status)
+            .sort((a, b) => Number(b.status === 'review') - Number(a.status === 'review')
+                || (b.status === 'review' ? a.dueDate.localeCompare(b.dueDate) : b.createdAt.localeCompare(a.createdAt)));
+    }
+
+    // Audit trail
+
+    audit(request, action, { actor, ip = null, note = null }) {
+        this.store.insert('privacy-audit', {
+            requestId: request.id,
+            patientId: request.patientId,
+            action,
+            actorId: actor ? actor.id : null,
+            actorRole: actor ? actor.role : 'system',
+            ip,
+            note,
+            at: this.clock().toISOString()
+        });
+    }
+
+    getAudit(requestId) {
+        return this.store.find('privacy-audit', entry => entry.requestId === requestId)
+            .sort((a, b) => a.at.localeCompare(b.at));
+    }
+
+    // Export
+
+    isExportAvailable(request) {
+        return request.type === 'export' && request.status === 'completed'
+            && new Date(request.completedAt).getTime() + this.exportDuration > this.now();
+    }
+
+    /**
+     * Everything stored about the account, built at download time. Files from
+     * the document vault are listed with their download address, the portal
+     * hands them out one by one.
+     */
+    buildExport(user) {
+        const data = this.collect(user);
+        const treatmentLabel = type => this.practice.treatments[type]?.label || type;
+
+        return {
+            exportedAt: this.clock().toISOString(),
+            controller: {
+                name: this.practice.name,
+                address: this.practice.address,
+                email: this.practice.email
+            },
+            account: {
+                ...pick(user, ['email', 'firstName', 'lastName', 'birthDate', 'emailVerified', 'createdAt', 'lastLoginAt']),
+                twoFactorEnabled: this.twoFactor.isEnabled(user),
+                activeSessions: data.sessions.length,
+                trustedDevices: data.trustedDevices.length
+            },
+            bookings: data.bookings.map(booking => ({
+                ...pick(booking, ['date', 'start', 'end', 'status', 'patient', 'bookedBy', 'message', 'newsletter', 'createdAt']),
+                treatment: treatmentLabel(booking.treatmentType),
+                changes: data.bookingEvents
+                    .filter(event => event.bookingId === booking.id)
+                    .map(event => pick(event, ['action', 'actor', 'previous', 'current', 'reason', 'createdAt']))
+            })),
+            waitlist: data.waitlist.map(entry => ({
+                ...pick(entry, ['patient', 'fromDate', 'toDate', 'status', 'createdAt']),
+                treatment: treatmentLabel(entry.treatmentType)
+            })),
+            anamnesis: data.anamneses.map(record =>
+                pick(record, ['status', 'answers', 'signature', 'submittedAt', 'createdAt', 'updatedAt'])
+            ),
+            documents: data.documents.map(document => ({
+                ...pick(document, ['title', 'category', 'fileName', 'contentType', 'size', 'createdAt']),
+                download: `${this.publicUrl}/api/portal/documents/${document.id}/file`
+            })),
+            documentAccess: data.accessLog.map(entry => pick(entry, ['documentId', 'role', 'action', 'createdAt'])),
+            messages: data.threads.map(thread => ({
+                ...pick(thread, ['topic', 'subject', 'status', 'createdAt']),
+                messages: data.messages
+                    .filter(message => message.threadId === thread.id)
+                    .map(message => ({
+                        ...pick(message, ['authorRole', 'body', 'readAt', 'createdAt']),
+                        attachments: message.attachmentIds.map(id => data.attachments.find(document => document.id === id))
+                            .filter(Boolean)
+                            .map(document => pick(document, ['fileName', 'contentType', 'size']))
+                    }))
+            })),
+            treatmentPlans: data.treatmentPlans.map(plan =>
+                pick(plan, ['title', 'description', 'validUntil', 'items', 'cost', 'status', 'viewedAt', 'approval', 'createdAt'])
+            ),
+            bonusBooklet: data.bonusEntries.map(entry => pick(entry, ['date', 'note', 'createdAt'])),
+            invoices: data.invoices.map(invoice => ({
+                ...pick(invoice, ['number', 'title', 'date', 'dueDate', 'amount', 'paidAmount', 'status', 'paidAt', 'instalmentPlan']),
+                payments: data.payments
+                    .filter(payment => payment.invoiceId === invoice.id)
+                    .map(payment => pick(payment, ['amount', 'instalment', 'provider', 'status', 'paidAt', 'createdAt']))
+            })),
+            recall: {
+                preferences: data.recallPreferences.map(entry =>
+                    pick(entry, ['intervalMonths', 'sms', 'optOut', 'optOutAt', 'updatedAt'])
+                ),
+                reminders: data.recallReminders.map(entry => pick(entry, ['lastDate', 'dueDate', 'emailSent', 'smsSent', 'createdAt']))
+            },
+            newsletter: data.newsletter.map(entry => pick(entry, ['email', 'status', 'source', 'createdAt', 'updatedAt'])),
+            contactRequests: data.contactMessages.map(entry =>
+                pick(entry, ['firstName', 'lastName', 'email', 'phone', 'subject', 'message', 'newsletter', 'createdAt'])
+            ),
+            privacyRequests: data.privacyRequests.map(request => ({
+                ...pick(request, ['type', 'status', 'note', 'createdAt', 'confirmedAt', 'completedAt', 'decision']),
+                history: this.getAudit(request.id).map(entry => pick(entry, ['action', 'actorRole', 'note', 'at']))
+            }))
+        };
+    }
+
+    getExportFileName(request) {
+        return `datenauskunft-${request.completedAt.slice(0, 10)}.json`;
+    }
+
+    // Everything linked to the account, by id or by its e-mail address
+    collect(user) {
+        const { store } = this;
+        const byUser = name => store.find(name, record => record.userId === user.id);
+        const byPatient = name => store.find(name, record => record.patientId === user.id);
+        const byEmail = name => store.find(name, record => record.email === user.email);
+
+        const bookings = store.find('bookings', booking => booking.patient?.email === user.email);
+        const bookingIds = new Set(bookings.map(booking => booking.id));
+        const threads = byPatient('message-threads');
+        const threadIds = new Set(threads.map(thread => thread.id));
+        const messages = store.find('messages', message => threadIds.has(message.threadId));
+        const attachmentIds = new Set(messages.flatMap(message => message.attachmentIds));
+        const invoices = byPatient('invoices');
+        const invoiceIds = new Set(invoices.map(invoice => invoice.id));
+        const newsletter = byEmail('newsletter-subscriptions');
+        const contactMessages = byEmail('contact-messages');
+        // Staff notes and replies of the inbox, on the patient's requests or sent to the address
+        const requestIds = {
+            booking: bookingIds,
+            contact: new Set(contactMessages.map(record => record.id)),
+            newsletter: new Set(newsletter.map(record => record.id))
+        };
+
+        return {
+            sessions: byUser('sessions'),
+            loginChallenges: byUser('login-challenges'),
+            trustedDevices: byUser('trusted-devices'),
+            bookings,
+            bookingEvents: store.find('booking-events', event => bookingIds.has(event.bookingId)),
+            waitlist: store.find('waitlist', entry => entry.patient?.email === user.email),
+            anamneses: store.find('anamneses', record => record.userId === user.id || record.email === user.email),
+            documents: byPatient('documents'),
+            accessLog: byPatient('document-access-log'),
+            threads,
+            messages,
+            attachments: store.find('documents', document => attachmentIds.has(document.id)),
+            treatmentPlans: byPatient('treatment-plans'),
+            bonusEntries: byPatient('bonus-entries'),
+            invoices,
+            payments: store.find('payments', payment => invoiceIds.has(payment.invoiceId)),
+            recallPreferences: byEmail('recall-preferences'),
+            recallReminders: byEmail('recall-reminders'),
+            newsletter,
+            contactMessages,
+            inboxEvents: store.find('inbox-events', event => requestIds[event.type]?.has(event.recordId) || event.to === user.email),
+            privacyRequests: byPatient('privacy-requests')
+        };
+    }
+
+    // Deletion
+
+    /**
+     * What a deletion would remove and keep, shown to the practice team before
+     * they decide and stored as the outcome afterwards.
+     */
+    planDeletion(user) {
+        const data = this.collect(user);
+        const yearOf = value => Number(String(value).slice(0, 4));
+        // Periods run until the end of the year after the latest record
+        const retainUntil = (years, dates) => {
+            const known = dates.filter(Boolean).map(yearOf);
+            const latest = known.length > 0 ? Math.max(...known) : yearOf(this.today());
+            return `${latest + years}-12-31`;
+        };
+
+        const medical = [data.bookings, data.anamneses, data.documents, data.treatmentPlans, data.bonusEntries];
+        const billing = [data.invoices, data.payments];
+        const today = this.today();
+
+        return {
+            data,
+            deleted: [
+                { label: 'Patientenkonto mit Passwort, Sitzungen und Zwei-Faktor-Anmeldung', count: 1 },
+                { label: 'Nachrichten im Portal mit Anhängen', count: data.threads.length },
+                { label: 'Wartelisten-Einträge', count: data.waitlist.length },
+                { label: 'Recall-Einstellungen und Erinnerungen', count: data.recallPreferences.length + data.recallReminders.length },
+                { label: 'Newsletter-Anmeldung', count: data.newsletter.length },
+                { label: 'Kontaktanfragen', count: data.contactMessages.length },
+                { label: 'Notizen und Antworten des Praxisteams zu Ihren Anfragen', count: data.inboxEvents.length }
+            ].filter(entry => entry.count > 0),
+            retained: [
+                {
+                    ...RETENTION.medical,
+                    count: medical.reduce((sum, records) => sum + records.length, 0),
+                    retainUntil: retainUntil(RETENTION.medical.years, [
+                        ...data.bookings.filter(booking => booking.status === 'confirmed' && booking.date <= today).map(booking => booking.date),
+                        ...data.anamneses.map(record => record.submittedAt),
+                        ...data.documents.map(document => document.createdAt),
+                        ...data.treatmentPlans.map(plan => plan.createdAt),
+                        ...data.bonusEntries.map(entry => entry.date)
+                    ])
+                },
+                {
+                    ...RETENTION.billing,
+                    count: billing.reduce((sum, records) => sum + records.length, 0),
+                    retainUntil: retainUntil(RETENTION.billing.years, data.invoices.map(invoice => invoice.date))
+                },
+                {
+                    ...RETENTION.audit,
+                    count: data.accessLog.length + data.privacyRequests.length,
+                    retainUntil: retainUntil(RETENTION.audit.years, [today])
+                }
+            ].filter(entry => entry.count > 0),
+            openInvoices: data.invoices.filter(invoice => invoice.status !== 'paid').length,
+            upcomingBookings: data.bookings.filter(booking => booking.status === 'confirmed' && booking.date >= today).length
+        };
+    }
+
+    async decide(request, staff, body, { ip = null } = {}) {
+        const data = validateForm('privacyDecision', body);
+        if (request.type !== 'deletion' || request.status !== 'review') {
+            throw new HttpError(409, 'Dieser Antrag wartet nicht auf eine Entscheidung.');
+        }
+
+        const decision = { decision: data.decision, note: data.note, decidedBy: staff.id, decidedAt: this.clock().toISOString() };
+        this.audit(request, data.decision === 'approve' ? 'approved' : 'rejected', { actor: staff, ip, note: data.note });
+
+        let updated;
+        if (data.decision === 'reject') {
+            updated = this.store.update('privacy-requests', request.id, {
+                status: 'rejected',
+                decision,
+                completedAt: this.clock().toISOString()
+            });
+        } else {
+            const user = this.store.findById('users', request.patientId);
+            const outcome = user && user.role !== 'deleted' ? this.deleteAccount(user) : { deleted: [], retained: [] };
+            updated = this.store.update('privacy-requests', request.id, {
+                status: 'completed',
+                decision,
+                outcome,
+                completedAt: this.clock().toISOString()
+            });
+            this.audit(updated, 'completed', {
+                actor: staff,
+                note: outcome.deleted.map(entry => `${entry.label}: ${entry.count}`).join('; ')
+            });
+        }
+
+        // Sent to the address of the request, the account may be gone by now
+        await this.mailer.trySend({
+            to: request.email,
+            ...templates.privacyRequestDecided({ request: updated, practice: this.practice })
+        });
+        return updated;
+    }
+
+    deleteAccount(user) {
+        const { store } = this;
+        const plan = this.planDeletion(user);
+        const { data } = plan;
+        const removeAll = (name, records) => records.forEach(record => store.remove(name, record.id));
+
+        this.auth.endAllSessions(user.id);
+        removeAll('login-challenges', data.loginChallenges);
+        removeAll('trusted-devices', data.trustedDevices);
+        removeAll('messages', data.messages);
+        removeAll('message-threads', data.threads);
+        data.attachments.forEach(document => this.documentVault.remove(document));
+        removeAll('waitlist', data.waitlist);
+        removeAll('recall-preferences', data.recallPreferences);
+        removeAll('recall-reminders', data.recallReminders);
+        removeAll('newsletter-subscriptions', data.newsletter);
+        removeAll('contact-messages', data.contactMessages);
+        removeAll('inbox-events', data.inboxEvents);
+
+        // Kept for the patient record only: no more reminders, syncing or portal access
+        data.bookings.forEach(booking => store.update('bookings', booking.id, { restricted: true }));
+
+        // Name and birth date stay so the retained records can still be assigned
+        store.update('users', user.id, {
+            email: null,
+            role: 'deleted',
+            passwordHash: null,
+            emailVerified: false,
+            twoFactor: null,
+            verificationTokenHash: null,
+            resetTokenHash: null,
+            twoFactorRecoveryTokenHash: null,
+            calendarFeedVersion: null,
+            deletedAt: this.clock().toISOString()
+        });
+
+        return {
+            deleted: plan.deleted,
+            retained: plan.retained.map(entry => pick(entry, ['label', 'reason', 'count', 'retainUntil']))
+        };
+    }
+
+    // Output
+
+    toPublicRequest(request) {
+        return {
+            id: request.id,
+            type: request.type,
+            typeLabel: TYPES[request.type],
+            status: request.status,
+            note: request.note,
+            createdAt: request.createdAt,
+            confirmedAt: request.confirmedAt,
+            completedAt: request.completedAt,
+            dueDate: request.dueDate,
+            confirmationExpired: this.isConfirmationExpired(request),
+            exportAvailable: this.isExportAvailable(request),
+            exportAvailableUntil: request.type === 'export' && request.completedAt && request.status === 'completed'
+                ? new Date(new Date(request.completedAt).getTime() + this.exportDuration).toISOString()
+                : null,
+            decisionNote: request.decision?.note || null,
+            outcome: request.outcome
+        };
+    }
+
+    toStaffRequest(request, { withDetails = false } = {}) {
+        const result = {
+            ...this.toPublicRequest(request),
+            patient: { name: request.name, email: request.email },
+            decision: request.decision
+        };
+        if (!withDetails) return result;
+
+        const user = this.store.findById('users', request.patientId);
+        const preview = request.status === 'review' && user && user.role !== 'deleted' ? this.planDeletion(user) : null;
+
+        return {
+            ...result,
+            preview: preview && {
+                deleted: preview.deleted,
+                retained: preview.retained.map(entry => pick(entry, ['label', 'reason', 'count', 'retainUntil'])),
+                openInvoices: preview.openInvoices,
+                upcomingBookings: preview.upcomingBookings
+            },
+            audit: this.getAudit(request.id).map(entry => ({
+                ...pick(entry, ['action', 'actorRole', 'ip', 'note', 'at']),
+                actor: entry.actorId ? this.getName(entry.actorId) : null
+            }))
+        };
+    }
+
+    getName(userId) {
+        const user = this.store.findById('users', userId);
+        return user && user.role !== 'deleted' ? fullName(user) : null;
+    }
+}
+
+module.exports = { PrivacyService, RETENTION };
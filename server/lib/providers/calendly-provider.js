@@ -0,0 +1,89 @@
+/**
+ * Calendly Provider
+ * Uses the Calendly API v2: busy times of the practice user, invitees for our
+ * own bookings and cancellations. Calendly cannot move an event, so a
+ * rescheduled booking becomes a cancellation plus a new event.
+ * server/tools/mock-calendly.js implements the same endpoints for local use.
+ */
+const { requestJson } = require('./json-api');
+
+// Calendly answers busy times for at most seven days per request
+const MAX_RANGE_MS = 7 * 24 * 60 * 60000;
+
+class CalendlyProvider {
+    constructor({ url = 'https://api.calendly.com', token, userUri, eventTypeUri, timeZone = 'Europe/Berlin', timeout = 10000 }) {
+        if (!token || !userUri || !eventTypeUri) {
+            throw new Error('CALENDLY_API_TOKEN, CALENDLY_USER_URI and CALENDLY_EVENT_TYPE_URI are required for the calendly provider');
+        }
+        this.name = 'calendly';
+        this.url = url.replace(/\/$/, '');
+        this.token = token;
+        this.userUri = userUri;
+        this.eventTypeUri = eventTypeUri;
+        this.timeZone = timeZone;
+        this.timeout = timeout;
+    }
+
+    request(pathOrUrl, options = {}) {
+        const url = pathOrUrl.startsWith('http') ? pathOrUrl : `${this.url}${pathOrUrl}`;
+        return requestJson(url, { ...options, token: this.token, timeout: this.timeout });
+    }
+
+    async getBusyTimes(from, to) {
+        const busy = [];
+
+        for (let start = from.getTime(); start < to.getTime(); start += MAX_RANGE_MS) {
+            const end = Math.min(start + MAX_RANGE_MS, to.getTime());
+            const query = new URLSearchParams({
+                user: this.userUri,
+                start_time: new Date(start).toISOString(),
+                end_time: new Date(end).toISOString()
+            });
+            const { collection } = await this.request(`/user_busy_times?${query}`);
+
+            // Entries of connected calendars have no event; they block time all the same
+            collection.forEach(entry => busy.push({
+                id: entry.event?.uri || null,
+                start: entry.buffered_start_time || entry.start_time,
+                end: entry.buffered_end_time || entry.end_time
+            }));
+        }
+
+        return busy;
+    }
+
+    async createAppointment({ booking, start }) {
+        const { patient } = booking;
+        const { resource } = await this.request('/invitees', {
+            method: 'POST',
+            body: {
+                event_type: this.eventTypeUri,
+                start_time: start.toISOString(),
+                invitee: {
+                    name: `${patient.firstName} ${patient.lastName}`,
+                    first_name: patient.firstName,
+                    last_name: patient.lastName,
+                    email: patient.email,
+                    timezone: this.timeZone
+                }
+            }
+        });
+        return resource.event;
+    }
+
+    async moveAppointment(id, times) {
+        await this.cancelAppointment(id, { reason: 'Termin verschoben' });
+        return this.createAppointment(times);
+    }
+
+    async cancelAppointment(id, { reason = 'Termin abgesagt' } = {}) {
+        try {
+            await this.request(`${id}/cancellation`, { method: 'POST', body: { reason } });
+        } catch (error) {
+            // 403: already cancelled, e.g. by a move that failed after the cancellation
+            if (error.status !== 403) throw error;
+        }
+    }
+}
+
+module.exports = CalendlyProvider;
@@ -0,0 +1,72 @@
+/**
+ * Doctolib Provider
+ * Talks to the agenda of the practice in Doctolib's partner API. Reads the
+ * appointments booked there and mirrors our own bookings into the agenda.
+ * server/tools/mock-doctolib.js implements the same endpoints for local use.
+ */
+const { requestJson } = require('./json-api');
+
+class DoctolibProvider {
+    constructor({ url, token, agendaId, timeout = 10000 }) {
+        if (!url || !token || !agendaId) {
+            throw new Error('DOCTOLIB_API_URL, DOCTOLIB_API_TOKEN and DOCTOLIB_AGENDA_ID are required for the doctolib provider');
+        }
+        this.name = 'doctolib';
+        this.url = url.replace(/\/$/, '');
+        this.token = token;
+        this.agendaId = agendaId;
+        this.timeout = timeout;
+    }
+
+    request(path, options = {}) {
+        return requestJson(`${this.url}${path}`, { ...options, token: this.token, timeout: this.timeout });
+    }
+
+    get agendaPath() {
+        return `/api/v1/agendas/${encodeURIComponent(this.agendaId)}/appointments`;
+    }
+
+    async getBusyTimes(from, to) {
+        const query = new URLSearchParams({ start: from.toISOString(), end: to.toISOString() });
+        const { appointments } = await this.request(`${this.agendaPath}?${query}`);
+
+        return appointments
+            .filter(appointment => appointment.status !== 'cancelled')
+            .map(appointment => ({ id: appointment.id, start: appointment.start_date, end: appointment.end_date }));
+    }
+
+    async createAppointment({ booking, treatment, start, end }) {
+        const { patient } = booking;
+        const { appointment } = await this.request(this.agendaPath, {
+            method: 'POST',
+            body: {
+                start_date: start.toISOString(),
+                end_date: end.toISOString(),
+                motive: treatment.label,
+                external_reference: booking.id,
+                patient: {
+                    first_name: patient.firstName,
+                    last_name: patient.lastName,
+                    email: patient.email,
+                    phone: patient.phone || null,
+                    birthdate: patient.birthDate || null
+                }
+            }
+        });
+        return appointment.id;
+    }
+
+    async moveAppointment(id, { start, end }) {
+        await this.request(`/api/v1/appointments/${encodeURIComponent(id)}`, {
+            method: 'PATCH',
+            body: { start_date: start.toISOString(), end_date: end.toISOString() }
+        });
+        return id;
+    }
+
+    async cancelAppointment(id) {
+        await this.request(`/api/v1/appointments/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    }
+}
+
+module.exports = DoctolibProvider;
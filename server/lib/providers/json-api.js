@@ -0,0 +1,27 @@
+/**
+ * JSON API Client
+ * Small fetch wrapper shared by the booking providers: bearer token, JSON
+ * body, timeout and an error that carries the HTTP status.
+ */
+async function requestJson(url, { method = 'GET', token = null, body, timeout = 10000 } = {}) {
+    const response = await fetch(url, {
+        method,
+        headers: {
+            Accept: 'application/json',
+            ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+            ...(token ? { Authorization: `Bearer ${token}` } : {})
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(timeout)
+    });
+
+    if (!response.ok) {
+        const error = new Error(`${method} ${url} answered ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+
+    return response.status === 204 ? null : response.json();
+}
+
+module.exports = { requestJson };
@@ -0,0 +1,51 @@
+/**
+ * Mock Payment Provider
+ * Local stand-in for a payment provider. The checkout is a plain page served
+ * by the practice server itself (see routes/invoices.js) where the payment
+ * can be completed, cancelled or made to fail. Payments are kept in memory,
+ * so open checkouts are gone after a restart.
+ */
+const crypto = require('crypto');
+
+const RESULTS = ['paid', 'cancelled', 'failed'];
+
+class MockPaymentProvider {
+    constructor({ publicUrl, clock = () => new Date() }) {
+        this.name = 'mock';
+        this.publicUrl = publicUrl;
+        this.clock = clock;
+        this.payments = new Map();
+    }
+
+    async createPayment({ amount, currency, description, reference, returnUrl }) {
+        const id = `mock_${crypto.randomBytes(9).toString('base64url')}`;
+        this.payments.set(id, { id, amount, currency, description, reference, returnUrl, status: 'open', paidAt: null });
+
+        return { id, checkoutUrl: `${this.publicUrl}/api/payments/mock/${id}` };
+    }
+
+    async getPayment(id) {
+        const payment = this.payments.get(id);
+        if (!payment) {
+            throw new Error(`Unknown mock payment: ${id}`);
+        }
+        return { id, status: payment.status, paidAt: payment.paidAt };
+    }
+
+    // Used by the mock checkout page
+
+    findPayment(id) {
+        return this.payments.get(id) || null;
+    }
+
+    complete(id, result) {
+        const payment = this.payments.get(id);
+        if (!payment || payment.status !== 'open' || !RESULTS.includes(result)) return null;
+
+        payment.status = result;
+        payment.paidAt = result === 'paid' ? this.clock().toISOString() : null;
+        return payment;
+    }
+}
+
+module.exports = MockPaymentProvider;
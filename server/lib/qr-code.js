@@ -0,0 +1,373 @@
+/**
+ * QR Code
+ * Byte-mode QR codes (ISO/IEC 18004) with error correction level M, rendered
+ * as SVG. Used for the two-factor enrolment, so the otpauth:// link never has
+ * to be sent to an online QR service. Versions 1–15 hold up to 412 bytes.
+ */
+
+// Per version: error correction codewords per block and [blocks, data codewords per block] groups
+const VERSIONS_M = [
+    null,
+    { ec: 10, groups: [[1, 16]] },
+    { ec: 16, groups: [[1, 28]] },
+    { ec: 26, groups: [[1, 44]] },
+    { ec: 18, groups: [[2, 32]] },
+    { ec: 24, groups: [[2, 43]] },
+    { ec: 16, groups: [[4, 27]] },
+    { ec: 18, groups: [[4, 31]] },
+    { ec: 22, groups: [[2, 38], [2, 39]] },
+    { ec: 22, groups: [[3, 36], [2, 37]] },
+    { ec: 26, groups: [[4, 43], [1, 44]] },
+    { ec: 30, groups: [[1, 50], [4, 51]] },
+    { ec: 22, groups: [[6, 36], [2, 37]] },
+    { ec: 22, groups: [[8, 37], [1, 38]] },
+    { ec: 24, groups: [[4, 40], [5, 41]] },
+    { ec: 24, groups: [[5, 41], [5, 42]] }
+];
+
+// Format bits of error correction level M
+const LEVEL_M = 0;
+
+const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+// Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11d);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+function reedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < degree; j++) {
+            result[j] = gfMultiply(result[j], root);
+            if (j + 1 < degree) result[j] ^= result[j + 1];
+        }
+        root = gfMultiply(root, 0x02);
+    }
+    return result;
+}
+
+function reedSolomonRemainder(data, divisor) {
+    const result = new Array(divisor.length).fill(0);
+    data.forEach(byte => {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, index) => {
+            result[index] ^= gfMultiply(coefficient, factor);
+        });
+    });
+    return result;
+}
+
+function getDataCapacity(version) {
+    return VERSIONS_M[version].groups.reduce((sum, [blocks, size]) => sum + blocks * size, 0);
+}
+
+function getAlignmentPositions(version, size) {
+    if (version === 1) return [];
+
+    const count = Math.floor(version / 7) + 2;
+    const step = Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+    const positions = [6];
+    for (let position = size - 7; positions.length < count; position -= step) {
+        positions.splice(1, 0, position);
+    }
+    return positions;
+}
+
+// Mode indicator, length, data, terminator and padding, as codewords
+function encodeData(bytes, version) {
+    const capacity = getDataCapacity(version);
+    const bits = [];
+    const push = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+
+    push(0b0100, 4);
+    push(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(byte => push(byte, 8));
+    push(0, Math.min(4, capacity * 8 - bits.length));
+    push(0, (8 - bits.length % 8) % 8);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    for (let pad = 0xec; codewords.length < capacity; pad ^= 0xec ^ 0x11) {
+        codewords.push(pad);
+    }
+    return codewords;
+}
+
+// Splits the data into blocks, adds error correction and interleaves everything
+function addErrorCorrection(data, version) {
+    const { ec, groups } = VERSIONS_M[version];
+    const divisor = reedSolomonDivisor(ec);
+    const blocks = [];
+
+    let offset = 0;
+    groups.forEach(([count, size]) => {
+        for (let i = 0; i < count; i++) {
+            const block = data.slice(offset, offset + size);
+            blocks.push({ data: block, ec: reedSolomonRemainder(block, divisor) });
+            offset += size;
+        }
+    });
+
+    const result = [];
+    const longest = Math.max(...blocks.map(block => block.data.length));
+    for (let i = 0; i < longest; i++) {
+        blocks.forEach(block => {
+            if (i < block.data.length) result.push(block.data[i]);
+        });
+    }
+    for (let i = 0; i < ec; i++) {
+        blocks.forEach(block => result.push(block.ec[i]));
+    }
+    return result;
+}
+
+class QrMatrix {
+    constructor(version) {
+        this.version = version;
+        this.size = version * 4 + 17;
+        this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.drawFunctionPatterns();
+    }
+
+    setFunction(x, y, dark) {
+        this.modules[y][x] = dark;
+        this.isFunction[y][x] = true;
+    }
+
+    drawFunctionPatterns() {
+        const { size } = this;
+
+        for (let i = 0; i < size; i++) {
+            this.setFunction(6, i, i % 2 === 0);
+            this.setFunction(i, 6, i % 2 === 0);
+        }
+
+        this.drawFinder(3, 3);
+        this.drawFinder(size - 4, 3);
+        this.drawFinder(3, size - 4);
+
+        const positions = getAlignmentPositions(this.version, size);
+        const last = positions.length - 1;
+        positions.forEach((x, i) => positions.forEach((y, j) => {
+            // Not on top of the three finder patterns
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            this.drawAlignment(x, y);
+        }));
+
+        // Reserves the format areas; the real bits follow once the mask is chosen
+        this.drawFormatBits(0);
+        this.drawVersion();
+    }
+
+    drawFinder(centerX, centerY) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = centerX + dx;
+                const y = centerY + dy;
+                if (x < 0 || y < 0 || x >= this.size || y >= this.size) continue;
+
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                this.setFunction(x, y, distance !== 2 && distance !== 4);
+            }
+        }
+    }
+
+    drawAlignment(centerX, centerY) {
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                this.setFunction(centerX + dx, centerY + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }
+    }
+
+    drawFormatBits(mask) {
+        const data = (LEVEL_M << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = i => ((bits >>> i) & 1) === 1;
+        const { size } = this;
+
+        for (let i = 0; i <= 5; i++) this.setFunction(8, i, bit(i));
+        this.setFunction(8, 7, bit(6));
+        this.setFunction(8, 8, bit(7));
+        this.setFunction(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) this.setFunction(14 - i, 8, bit(i));
+
+        for (let i = 0; i < 8; i++) this.setFunction(size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) this.setFunction(8, size - 15 + i, bit(i));
+        this.setFunction(8, size - 8, true);
+    }
+
+    drawVersion() {
+        if (this.version < 7) return;
+
+        let remainder = this.version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+        }
+        const bits = (this.version << 12) | remainder;
+
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) === 1;
+            const a = this.size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            this.setFunction(a, b, dark);
+            this.setFunction(b, a, dark);
+        }
+    }
+
+    // Zigzag through the matrix in column pairs, from the bottom right
+    drawCodewords(codewords) {
+        const { size } = this;
+        let index = 0;
+
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            for (let vertical = 0; vertical < size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vertical : vertical;
+                    if (!this.isFunction[y][x] && index < codewords.length * 8) {
+                        this.modules[y][x] = ((codewords[index >>> 3] >>> (7 - (index & 7))) & 1) === 1;
+                        index++;
+                    }
+                }
+            }
+        }
+    }
+
+    // XOR, so applying the same mask twice removes it again
+    applyMask(mask) {
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.isFunction[y][x] && MASKS[mask](x, y)) {
+                    this.modules[y][x] = !this.modules[y][x];
+                }
+            }
+        }
+    }
+
+    // Penalty rules of the standard: long runs, 2×2 blocks, finder look-alikes and imbalance
+    getPenalty() {
+        const { size, modules } = this;
+        const finderLike = [[1, 0, 1, 1, 1, 0, 1, 0, 0, 0, 0], [0, 0, 0, 0, 1, 0, 1, 1, 1, 0, 1]];
+        let penalty = 0;
+        let dark = 0;
+
+        const scanLine = getModule => {
+            let runColor = null;
+            let runLength = 0;
+            for (let i = 0; i < size; i++) {
+                const color = getModule(i);
+                if (color === runColor) {
+                    runLength++;
+                    if (runLength === 5) penalty += 3;
+                    else if (runLength > 5) penalty++;
+                } else {
+                    runColor = color;
+                    runLength = 1;
+                }
+                if (i <= size - 11) {
+                    finderLike.forEach(pattern => {
+                        if (pattern.every((value, offset) => getModule(i + offset) === (value === 1))) penalty += 40;
+                    });
+                }
+            }
+        };
+
+        for (let i = 0; i < size; i++) {
+            scanLine(x => modules[i][x]);
+            scanLine(y => modules[y][i]);
+        }
+
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) dark++;
+                if (x < size - 1 && y < size - 1) {
+                    const color = modules[y][x];
+                    if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                        penalty += 3;
+                    }
+                }
+            }
+        }
+
+        const total = size * size;
+        penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+        return penalty;
+    }
+}
+
+/**
+ * Returns the modules of the smallest QR code that holds the text, as rows
+ * of booleans (true = dark).
+ */
+function createQrCode(text) {
+    const bytes = Array.from(Buffer.from(String(text), 'utf8'));
+    const version = VERSIONS_M.findIndex((entry, index) => {
+        if (!entry) return false;
+        const headerBits = 4 + (index < 10 ? 8 : 16);
+        return headerBits + bytes.length * 8 <= getDataCapacity(index) * 8;
+    });
+    if (version === -1) {
+        throw new Error(`Text too long for a QR code (${bytes.length} bytes)`);
+    }
+
+    const matrix = new QrMatrix(version);
+    matrix.drawCodewords(addErrorCorrection(encodeData(bytes, version), version));
+
+    let best = null;
+    MASKS.forEach((_, mask) => {
+        matrix.applyMask(mask);
+        matrix.drawFormatBits(mask);
+        const penalty = matrix.getPenalty();
+        if (best === null || penalty < best.penalty) best = { mask, penalty };
+        matrix.applyMask(mask);
+    });
+
+    matrix.applyMask(best.mask);
+    matrix.drawFormatBits(best.mask);
+    return matrix.modules;
+}
+
+// One path for all dark modules plus the quiet zone of four modules around them
+function toSvg(modules, { border = 4 } = {}) {
+    const size = modules.length + border * 2;
+    const path = [];
+    modules.forEach((row, y) => row.forEach((dark, x) => {
+        if (dark) path.push(`M${x + border},${y + border}h1v1h-1z`);
+    }));
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges">`
+        + `<rect width="${size}" height="${size}" fill="#fff"/><path d="${path.join('')}" fill="#000"/></svg>`;
+}
+
+module.exports = { createQrCode, toSvg };
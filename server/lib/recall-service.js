@@ -0,0 +1,260 @@
+/**
+ * Recall Service
+ * Reminds patients of their next cleaning 6 or 12 months after the last one,
+ * by e-mail and optionally by SMS. Works on the stored bookings: a patient is
+ * due when their last completed recall treatment is older than their interval
+ * and nothing new is booked yet.
+ */
+const { HttpError } = require('./errors');
+const { templates } = require('./mail-templates');
+const { isMobileNumber } = require('./sms');
+const { getPracticeNow, toMinutes, addDays, addMonths } = require('./practice-time');
+
+// How long the prefilled booking link in a reminder stays valid
+const BOOKING_LINK_DAYS = 120;
+
+// Bookings carry no patient id; e-mail plus name tells family members apart, as in the slot engine
+function getPatientKey(patient) {
+    return [patient.email, patient.firstName, patient.lastName]
+        .map(value => String(value).trim().toLowerCase())
+        .join('|');
+}
+
+class RecallService {
+    constructor({ store, mailer, sms, signer, slotEngine, practice, publicUrl }) {
+        this.store = store;
+        this.mailer = mailer;
+        this.sms = sms;
+        this.signer = signer;
+        this.slotEngine = slotEngine;
+        this.practice = practice;
+        this.publicUrl = publicUrl;
+    }
+
+    get settings() {
+        return this.practice.recall;
+    }
+
+    now() {
+        return getPracticeNow(this.practice.timeZone, this.slotEngine.clock());
+    }
+
+    // Preferences
+
+    getPreferences(patient) {
+        const stored = this.store.findOne('recall-preferences', entry => entry.patientKey === getPatientKey(patient));
+        return {
+            intervalMonths: stored?.intervalMonths || this.settings.intervalMonths,
+            sms: stored?.sms === true,
+            optOut: stored?.optOut === true
+        };
+    }
+
+    savePreferences(patient, changes) {
+        if (changes.intervalMonths !== undefined && !this.settings.allowedIntervals.includes(changes.intervalMonths)) {
+            throw new HttpError(400, 'Bitte überprüfen Sie Ihre Eingaben.', {
+                fields: { intervalMonths: 'Bitte wählen Sie einen gültigen Abstand.' }
+            });
+        }
+
+        const patientKey = getPatientKey(patient);
+        const existing = this.store.findOne('recall-preferences', entry => entry.patientKey === patientKey);
+        const values = {
+            ...changes,
+            ...(changes.optOut !== undefined ? { optOutAt: changes.optOut ? this.slotEngine.clock().toISOString() : null } : {})
+        };
+
+        if (existing) {
+            this.store.update('recall-preferences', existing.id, values);
+        } else {
+            this.store.insert('recall-preferences', {
+                patientKey,
+                email: patient.email,
+                firstName: patient.firstName,
+                lastName: patient.lastName,
+                ...values
+            });
+        }
+
+        return this.getPreferences(patient);
+    }
+
+    // Links
+
+    getBookingUrl(booking) {
+        const expiresAt = new Date(this.slotEngine.clock().getTime() + BOOKING_LINK_DAYS * 24 * 60 * 60000);
+        return `${this.publicUrl}/termin.html?prefill=${this.signer.sign('recall-booking', { bookingId: booking.id }, { expiresAt })}`;
+    }
+
+    getOptOutUrl(patient) {
+        const { email, firstName, lastName } = patient;
+        return `${this.publicUrl}/api/recall/opt-out?token=${this.signer.sign('recall-opt-out', { email, firstName, lastName })}`;
+    }
+
+    optOut(token) {
+        const patient = this.signer.verify('recall-opt-out', token);
+        if (!patient) return null;
+
+        return this.savePreferences(patient, { optOut: true });
+    }
+
+    // Form values for termin.html, taken from the booking the reminder refers to
+    getPrefill(token) {
+        const data = this.signer.verify('recall-booking', token);
+        const booking = data && this.store.findById('bookings', data.bookingId);
+        if (!booking || booking.restricted) {
+            throw new HttpError(404, 'Dieser Link ist nicht mehr gültig. Bitte füllen Sie das Formular aus.');
+        }
+
+        const { patient } = booking;
+        return {
+            'first-name': patient.firstName,
+            'last-name': patient.lastName,
+            'email': patient.email,
+            'phone': patient.phone || '',
+            'birth-date': patient.birthDate || '',
+            'treatment-type': booking.treatmentType,
+            'preferred-date': this.slotEngine.findNextAvailableDate(this.now().date, booking.treatmentType) || ''
+        };
+    }
+
+    // Finding due patients
+
+    /**
+     * Patients whose last recall treatment lies longer back than their interval.
+     * Reminders that are overdue by more than maxOverdueDays are skipped, so
+     * old bookings do not trigger a wave of mails when the scheduler is enabled.
+     */
+    findDueRecalls() {
+        const today = this.now().date;
+        const oldestDueDate = addDays(today, -this.settings.maxOverdueDays);
+        const patients = new Map();
+
+        this.store.find('bookings', booking =>
+            booking.status === 'confirmed' &&
+            !booking.restricted &&
+            booking.patient &&
+            this.settings.treatments.includes(booking.treatmentType)
+        ).forEach(booking => {
+            const key = getPatientKey(booking.patient);
+            const entry = patients.get(key) || { last: null, hasUpcoming: false };
+
+            if (booking.date >= today) {
+                entry.hasUpcoming = true;
+            } else if (!entry.last || booking.date > entry.last.date) {
+                entry.last = booking;
+            }
+            patients.set(key, entry);
+        });
+
+        const due = [];
+        patients.forEach(({ last, hasUpcoming }, patientKey) => {
+            if (!last || hasUpcoming) return;
+
+            const preferences = this.getPreferences(last.patient);
+            if (preferences.optOut) return;
+
+            const dueDate = addMonths(last.date, preferences.intervalMonths);
+            if (dueDate > today || dueDate < oldestDueDate) return;
+
+            const alreadySent = this.store.findOne('recall-reminders', reminder =>
+                reminder.patientKey === patientKey && reminder.lastBookingId === last.id
+            );
+            if (alreadySent) return;
+
+            due.push({ patientKey, booking: last, dueDate, preferences });
+        });
+
+        return due.sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+    }
+
+    getChannels({ booking, preferences }) {
+        const { phone } = booking.patient;
+        const sms = this.settings.sms && preferences.sms && phone && isMobileNumber(phone);
+        return sms ? ['email', 'sms'] : ['email'];
+    }
+
+    isWithinSendingHours() {
+        const [from, until] = this.settings.sendBetween.map(toMinutes);
+        const { minutes } = this.now();
+        return minutes >= from && minutes < until;
+    }
+
+    // Sending
+
+    /**
+     * Sends all due reminders and returns what was done. With dryRun nothing is
+     * sent or stored; the reminders are only logged, at any time of day.
+     */
+    async run({ dryRun = false } = {}) {
+        if (!dryRun && !this.isWithinSendingHours()) return [];
+
+        const results = [];
+        for (const recall of this.findDueRecalls()) {
+            const { booking, dueDate, patientKey } = recall;
+            const { patient } = booking;
+            const channels = this.getChannels(recall);
+            const result = {
+                patient: { firstName: patient.firstName, lastName: patient.lastName, email: patient.email },
+                lastDate: booking.date,
+                dueDate,
+                channels,
+                dryRun
+            };
+
+            if (dryRun) {
+                console.log(`Recall dry run: ${patient.firstName} ${patient.lastName} <${patient.email}>, last ${booking.date}, due ${dueDate}, via ${channels.join(' + ')}`);
+                results.push(result);
+                continue;
+            }
+
+            const { emailSent, smsSent } = await this.send(recall, channels);
+
+            // Nothing delivered: the next run tries again
+            if (emailSent || smsSent) {
+                this.store.insert('recall-reminders', {
+                    patientKey,
+                    email: patient.email,
+                    lastBookingId: booking.id,
+                    lastDate: booking.date,
+                    dueDate,
+                    emailSent,
+                    smsSent
+                });
+            }
+            results.push({ ...result, emailSent, smsSent });
+        }
+
+        return results;
+    }
+
+    async send({ booking, preferences }, channels) {
+        const { patient } = booking;
+        const treatment = this.slotEngine.getTreatment(booking.treatmentType);
+        const bookingUrl = this.getBookingUrl(booking);
+
+        const emailSent = await this.mailer.trySend({
+            to: patient.email,
+            ...templates.recallReminder({
+                patient,
+                treatment,
+                lastDate: booking.date,
+                intervalMonths: preferences.intervalMonths,
+                bookingUrl,
+                optOutUrl: this.getOptOutUrl(patient),
+                practice: this.practice
+            })
+        });
+
+        const smsSent = channels.includes('sms')
+            ? await this.sms.trySend({
+                to: patient.phone,
+                text: `${this.practice.name}: Hallo ${patient.firstName}, Ihre nächste ${treatment.label} ist fällig. Termin online buchen: ${bookingUrl}`
+            })
+            : null;
+
+        return { emailSent, smsSent };
+    }
+}
+
+module.exports = { RecallService, getPatientKey };
@@ -0,0 +1,347 @@
+/**
+ * Request Inbox
+ * One list for the front desk of everything the public forms leave in the
+ * store: online bookings, contact messages, job applications and newsletter
+ * sign-ups. The records stay in their own collections; the inbox only adds a
+ * processing status, an assignee and a history of internal notes, status
+ * changes and e-mail replies (inbox-events).
+ */
+const fs = require('fs');
+const path = require('path');
+const { HttpError } = require('./errors');
+const { validateForm } = require('./validation');
+const { replyTemplates, formatDate, fullName } = require('./mail-templates');
+
+const SUBJECT_LABELS = {
+    termin: 'Terminvereinbarung',
+    beratung: 'Erstberatung',
+    frage: 'Allgemeine Frage',
+    kosten: 'Kostenabfrage',
+    sonstiges: 'Sonstiges'
+};
+
+const POSITION_LABELS = {
+    zfa: 'Zahnmedizinische Fachangestellte',
+    manager: 'Praxismanager',
+    initiative: 'Initiativbewerbung'
+};
+
+const NEWSLETTER_SOURCES = {
+    blog: 'Blog',
+    contact: 'Kontaktformular',
+    booking: 'Terminbuchung'
+};
+
+const NEWSLETTER_STATUSES = {
+    pending: 'Bestätigung ausstehend',
+    confirmed: 'Bestätigt',
+    unsubscribed: 'Abgemeldet'
+};
+
+const STATUSES = {
+    new: 'Neu',
+    'in-progress': 'In Bearbeitung',
+    done: 'Erledigt'
+};
+
+/**
+ * contact-messages and applications were written with status "new" from the
+ * start; bookings and newsletter sign-ups use status for something else, so
+ * their processing status has a field of its own.
+ */
+const TYPES = {
+    booking: { collection: 'bookings', label: 'Terminbuchung', statusField: 'inboxStatus' },
+    contact: { collection: 'contact-messages', label: 'Kontaktanfrage', statusField: 'status' },
+    application: { collection: 'applications', label: 'Bewerbung', statusField: 'status' },
+    newsletter: { collection: 'newsletter-subscriptions', label: 'Newsletter-Anmeldung', statusField: 'inboxStatus' }
+};
+
+// One line per treatment of a basket from the cost calculator
+function describeCostEstimate(estimate) {
+    const items = estimate.items.map(item => {
+        const teeth = item.teeth.length > 0
+            ? `, ${item.teeth.length === 1 ? 'Zahn' : 'Zähne'} ${item.teeth.join(', ')}`
+            : (item.quantity > 1 ? `, ${item.quantity}×` : '');
+        return `${item.treatmentLabel}: ${item.variantLabel}${teeth}`;
+    });
+    return `${items.join('; ')} (${estimate.priceListTitle})`;
+}
+
+function invalid(field, message) {
+    return new HttpError(400, 'Bitte überprüfen Sie Ihre Eingaben.', { fields: { [field]: message } });
+}
+
+class RequestInbox {
+    constructor({ store, mailer, practice, publicUrl, uploadsDir }) {
+        this.store = store;
+        this.mailer = mailer;
+        this.practice = practice;
+        this.publicUrl = publicUrl;
+        this.uploadsDir = uploadsDir;
+    }
+
+    getType(type) {
+        const definition = Object.hasOwn(TYPES, type) ? TYPES[type] : null;
+        if (!definition) {
+            throw new HttpError(404, 'Diese Art von Anfrage gibt es nicht.');
+        }
+        return definition;
+    }
+
+    findRecord(type, id) {
+        const record = this.store.findById(this.getType(type).collection, id);
+        if (!record || record.restricted) {
+            throw new HttpError(404, 'Diese Anfrage wurde nicht gefunden.');
+        }
+        return record;
+    }
+
+    // Bookings kept after an account deletion are restricted and no longer part of the inbox
+    getRecords(type) {
+        return this.store.find(TYPES[type].collection, record => !record.restricted);
+    }
+
+    getStatus(type, record) {
+        return record[TYPES[type].statusField] || 'new';
+    }
+
+    /**
+     * type and status narrow the list, assignedTo is a staff user id or "none",
+     * query is matched against name and e-mail address.
+     */
+    list({ type = null, status = null, assignedTo = null, query = '' } = {}) {
+        const types = type ? [type] : Object.keys(TYPES);
+        types.forEach(name => this.getType(name));
+        const search = query.trim().toLowerCase();
+
+        return types
+            .flatMap(name => this.getRecords(name).map(record => this.toItem(name, record)))
+            .filter(item =>
+                (!status || item.status === status)
+                && (!assignedTo || (assignedTo === 'none' ? !item.assignedTo : item.assignedTo === assignedTo))
+                && (!search || `${item.name || ''} ${item.email || ''}`.toLowerCase().includes(search))
+            )
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    // Number of new requests per type, for the tabs
+    countNew() {
+        return Object.fromEntries(Object.keys(TYPES).map(type => [
+            type,
+            this.getRecords(type).filter(record => this.getStatus(type, record) === 'new').length
+        ]));
+    }
+
+    // Changes
+
+    update(type, record, staff, { status, assignedTo }) {
+        const currentStatus = this.getStatus(type, record);
+        const currentAssignee = record.assignedTo || null;
+        const changes = {};
+
+        if (status !== undefined && status !== currentStatus) {
+            if (!Object.hasOwn(STATUSES, status)) {
+                throw invalid('status', 'Bitte wählen Sie eine gültige Option.');
+            }
+            changes[TYPES[type].statusField] = status;
+        }
+        if (assignedTo !== undefined && assignedTo !== currentAssignee) {
+            const assignee = assignedTo === null ? null : this.store.findById('users', assignedTo);
+            if (assignedTo !== null && assignee?.role !== 'staff') {
+                throw invalid('assignedTo', 'Bitte wählen Sie ein Mitglied des Praxisteams.');
+            }
+            changes.assignedTo = assignedTo;
+        }
+
+        if (TYPES[type].statusField in changes) {
+            this.recordEvent(type, record, staff, 'status', { previous: currentStatus, current: status });
+        }
+        if ('assignedTo' in changes) {
+            this.recordEvent(type, record, staff, 'assigned', { previous: currentAssignee, current: assignedTo });
+        }
+
+        return Object.keys(changes).length > 0
+            ? this.store.update(TYPES[type].collection, record.id, changes)
+            : record;
+    }
+
+    // Internal notes are never sent to the patient or applicant
+    addNote(type, record, staff, body) {
+        const data = validateForm('inboxNote', body);
+        this.recordEvent(type, record, staff, 'note', { text: data.note });
+        return this.startProcessing(type, record, staff);
+    }
+
+    getReplyTemplates(type, record) {
+        const item = this.toItem(type, record);
+        return Object.entries(replyTemplates)
+            .filter(([, template]) => template.types.includes(type))
+            .map(([id, template]) => ({
+                id,
+                label: template.label,
+                ...template.build({ item, practice: this.practice, publicUrl: this.publicUrl })
+            }));
+    }
+
+    async reply(type, record, staff, body) {
+        const data = validateForm('inboxReply', body);
+        const { email } = this.toItem(type, record);
+        if (!email) {
+            throw new HttpError(409, 'Für diese Anfrage ist keine E-Mail-Adresse bekannt.');
+        }
+
+        // Answers from the patient go to the practice inbox, not to the no-reply sender
+        const sent = await this.mailer.trySend({
+            to: email,
+            replyTo: this.mailer.practiceAddress,
+            subject: data.subject,
+            text: data.message
+        });
+        if (!sent) {
+            throw new HttpError(502, 'Die E-Mail konnte nicht versendet werden. Bitte versuchen Sie es später erneut.');
+        }
+
+        this.recordEvent(type, record, staff, 'reply', { subject: data.subject, text: data.message, to: email });
+        return this.startProcessing(type, record, staff);
+    }
+
+    // Whoever starts working on a new request takes it over
+    startProcessing(type, record, staff) {
+        if (this.getStatus(type, record) !== 'new') return record;
+        return this.update(type, record, staff, {
+            status: 'in-progress',
+            assignedTo: record.assignedTo ? undefined : staff.id
+        });
+    }
+
+    recordEvent(type, record, staff, action, details) {
+        return this.store.insert('inbox-events', {
+            type,
+            recordId: record.id,
+            action,
+            authorId: staff.id,
+            ...details
+        });
+    }
+
+    getHistory(type, record) {
+        return this.store.find('inbox-events', event => event.type === type && event.recordId === record.id)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    getCvFile(record) {
+        const file = path.join(this.uploadsDir, `${record.id}.pdf`);
+        if (!record.cv || !fs.existsSync(file)) {
+            throw new HttpError(404, 'Der Lebenslauf wurde nicht gefunden.');
+        }
+        return {
+            document: { fileName: record.cv.filename, contentType: 'application/pdf' },
+            content: fs.readFileSync(file)
+        };
+    }
+
+    // Output
+
+    getName(userId) {
+        const user = userId ? this.store.findById('users', userId) : null;
+        return user ? fullName(user) : null;
+    }
+
+    describe(type, record) {
+        if (type === 'booking') {
+            const treatment = this.practice.treatments[record.treatmentType]?.label || record.treatmentType;
+            return {
+                contact: record.patient,
+                subject: `${treatment} am ${formatDate(record.date)}, ${record.start} Uhr`,
+                message: record.message || null,
+                fields: [
+                    ['Terminstatus', record.status === 'cancelled' ? 'Abgesagt' : 'Bestätigt'],
+                    ['Geburtsdatum', record.patient.birthDate],
+                    ['Gebucht von', record.bookedBy ? fullName(record.bookedBy) : null],
+                    ['Kostenschätzung', record.costEstimate ? describeCostEstimate(record.costEstimate) : null]
+                ]
+            };
+        }
+        if (type === 'contact') {
+            return {
+                contact: record,
+                subject: SUBJECT_LABELS[record.subject] || record.subject,
+                message: record.message,
+                fields: [['Newsletter gewünscht', record.newsletter ? 'Ja' : 'Nein']]
+            };
+        }
+        if (type === 'application') {
+            return {
+                contact: record,
+                subject: POSITION_LABELS[record.position] || record.position,
+                message: record.message,
+                fields: [['Lebenslauf', record.cv ? record.cv.filename : null]]
+            };
+        }
+        return {
+            contact: null,
+            subject: `Newsletter über ${NEWSLETTER_SOURCES[record.source] || record.source}`,
+            message: null,
+            fields: [
+                ['Anmeldestatus', NEWSLETTER_STATUSES[record.status] || record.status],
+                ['Bestätigt am', record.confirmedAt ? formatDate(record.confirmedAt.slice(0, 10)) : null]
+            ]
+        };
+    }
+
+    toItem(type, record) {
+        const { contact, subject } = this.describe(type, record);
+        const status = this.getStatus(type, record);
+
+        return {
+            id: record.id,
+            type,
+            typeLabel: TYPES[type].label,
+            status,
+            statusLabel: STATUSES[status],
+            assignedTo: record.assignedTo || null,
+            assignedName: this.getName(record.assignedTo),
+            contact: contact && { firstName: contact.firstName, lastName: contact.lastName },
+            name: contact ? fullName(contact) : null,
+            email: contact?.email || record.email || null,
+            phone: contact?.phone || null,
+            subject,
+            createdAt: record.createdAt
+        };
+    }
+
+    // Status changes and assignments are shown with their labels and names
+    toHistoryEntry(event) {
+        const label = value => {
+            if (event.action === 'status') return STATUSES[value] || value;
+            if (event.action === 'assigned') return this.getName(value) || 'niemand';
+            return null;
+        };
+
+        return {
+            action: event.action,
+            authorName: this.getName(event.authorId),
+            text: event.text || null,
+            subject: event.subject || null,
+            previous: label(event.previous),
+            current: label(event.current),
+            createdAt: event.createdAt
+        };
+    }
+
+    toDetailedItem(type, record) {
+        const { message, fields } = this.describe(type, record);
+
+        return {
+            ...this.toItem(type, record),
+            message,
+            fields: fields
+                .filter(([, value]) => value)
+                .map(([label, value]) => ({ label, value })),
+            cvAvailable: type === 'application' && Boolean(record.cv),
+            history: this.getHistory(type, record).map(event => this.toHistoryEntry(event))
+        };
+    }
+}
+
+module.exports = { RequestInbox, TYPES, STATUSES, SUBJECT_LABELS, POSITION_LABELS };
@@ -0,0 +1,175 @@
+/**
+ * Router
+ * Tiny method + path router with JSON request and response handling.
+ * Handlers receive a context object and either write to ctx.res themselves
+ * or return data that is sent back as JSON.
+ */
+const { HttpError } = require('./errors');
+
+const DEFAULT_BODY_LIMIT = 100 * 1024;
+
+class Router {
+    constructor() {
+        this.routes = [];
+    }
+
+    get(path, handler, options) {
+        this.add('GET', path, handler, options);
+    }
+
+    post(path, handler, options) {
+        this.add('POST', path, handler, options);
+    }
+
+    put(path, handler, options) {
+        this.add('PUT', path, handler, options);
+    }
+
+    patch(path, handler, options) {
+        this.add('PATCH', path, handler, options);
+    }
+
+    delete(path, handler, options) {
+        this.add('DELETE', path, handler, options);
+    }
+
+    add(method, path, handler, options = {}) {
+        const keys = [];
+        const pattern = path.replace(/:([a-zA-Z]+)/g, (match, key) => {
+            keys.push(key);
+            return '([^/]+)';
+        });
+
+        this.routes.push({
+            method,
+            regex: new RegExp(`^${pattern}$`),
+            keys,
+            handler,
+            bodyLimit: options.bodyLimit || DEFAULT_BODY_LIMIT
+        });
+    }
+
+    match(method, pathname) {
+        for (const route of this.routes) {
+            if (route.method !== method) continue;
+
+            const match = route.regex.exec(pathname);
+            if (!match) continue;
+
+            const params = {};
+            try {
+                route.keys.forEach((key, index) => {
+                    params[key] = decodeURIComponent(match[index + 1]);
+                });
+            } catch (error) {
+                // A broken escape such as %E0 cannot name anything, so it is answered with 404
+                if (error instanceof URIError) continue;
+                throw error;
+            }
+            return { route, params };
+        }
+        return null;
+    }
+
+    async handle(req, res, url) {
+        const matched = this.match(req.method, url.pathname);
+        if (!matched) return false;
+
+        const { route, params } = matched;
+        const ctx = {
+            req,
+            res,
+            url,
+            params,
+            query: Object.fromEntries(url.searchParams),
+            ip: req.socket.remoteAddress,
+            status: 200,
+            body: null
+        };
+
+        try {
+            if (['POST', 'PUT', 'PATCH'].includes(req.method)) {
+                ctx.body = await readJsonBody(req, route.bodyLimit);
+            }
+
+            const result = await route.handler(ctx);
+
+            if (!res.writableEnded) {
+                sendJson(res, result === undefined ? 204 : ctx.status, result);
+            }
+        } catch (error) {
+            if (error instanceof HttpError) {
+                sendJson(res, error.status, error.toJSON());
+            } else {
+                console.error('Unhandled error in route', req.method, url.pathname, error);
+                sendJson(res, 500, { error: 'Es ist ein interner Fehler aufgetreten. Bitte versuchen Sie es später erneut.' });
+            }
+        }
+
+        return true;
+    }
+}
+
+function readJsonBody(req, limit) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > limit) {
+                reject(new HttpError(413, 'Die übermittelten Daten sind zu groß.'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        req.on('end', () => {
+            if (size === 0) {
+                resolve({});
+                return;
+            }
+
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (error) {
+                reject(new HttpError(400, 'Ungültige Anfrage.'));
+            }
+        });
+
+        req.on('error', reject);
+    });
+}
+
+function sendJson(res, status, data) {
+    if (status === 204) {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    const body = JSON.stringify(data);
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(body),
+        'Cache-Control': 'no-store'
+    });
+    res.end(body);
+}
+
+// A decrypted file from the document vault (documents, message attachments)
+function sendDocument(res, document, content, inline) {
+    // Umlauts in the file name need the RFC 5987 form, older browsers take the ASCII fallback
+    const asciiName = document.fileName.replace(/[^\x20-\x7e]/g, '_').replace(/"/g, '');
+    res.writeHead(200, {
+        'Content-Type': document.contentType,
+        'Content-Length': content.length,
+        'Content-Disposition': `${inline ? 'inline' : 'attachment'}; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(document.fileName)}`,
+        'Cache-Control': 'no-store',
+        'X-Content-Type-Options': 'nosniff'
+    });
+    res.end(content);
+}
+
+module.exports = { Router, readJsonBody, sendJson, sendDocument };
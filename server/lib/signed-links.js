@@ -0,0 +1,88 @@
+/**
+ * Signed Links
+ * HMAC-signed tokens for links in e-mails that work without a login,
+ * e.g. to manage a booking. The payload is readable, but cannot be altered.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+function toBase64Url(buffer) {
+    return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(value) {
+    return Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+/**
+ * Returns the secret from DATA_DIR/link-secret (or another file name), creating
+ * it on first start. Without a data directory a random secret is used, so links
+ * only work until restart.
+ */
+function loadOrCreateSecret(dataDir, name = 'link-secret') {
+    if (!dataDir) return crypto.randomBytes(32).toString('hex');
+
+    const file = path.join(dataDir, name);
+    if (fs.existsSync(file)) {
+        return fs.readFileSync(file, 'utf8').trim();
+    }
+
+    const secret = crypto.randomBytes(32).toString('hex');
+    fs.mkdirSync(dataDir, { recursive: true });
+    fs.writeFileSync(file, `${secret}\n`, { mode: 0o600 });
+    return secret;
+}
+
+class LinkSigner {
+    constructor({ secret, clock = () => new Date() }) {
+        if (!secret) {
+            throw new Error('LinkSigner needs a secret');
+        }
+        this.secret = secret;
+        this.clock = clock;
+    }
+
+    signature(data) {
+        return toBase64Url(crypto.createHmac('sha256', this.secret).update(data).digest());
+    }
+
+    /**
+     * Creates a token for one purpose ("manage", …). expiresAt is optional.
+     */
+    sign(purpose, data, { expiresAt = null } = {}) {
+        const payload = { p: purpose, d: data };
+        if (expiresAt) payload.e = new Date(expiresAt).getTime();
+
+        const encoded = toBase64Url(Buffer.from(JSON.stringify(payload), 'utf8'));
+        return `${encoded}.${this.signature(encoded)}`;
+    }
+
+    /**
+     * Returns the signed data, or null if the token is forged, expired or meant for another purpose.
+     */
+    verify(purpose, token) {
+        if (typeof token !== 'string') return null;
+
+        const [encoded, signature] = token.split('.');
+        if (!encoded || !signature) return null;
+
+        const expected = Buffer.from(this.signature(encoded));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+        let payload;
+        try {
+            payload = JSON.parse(fromBase64Url(encoded).toString('utf8'));
+        } catch (error) {
+            return null;
+        }
+
+        if (payload.p !== purpose) return null;
+        if (payload.e && payload.e < this.clock().getTime()) return null;
+
+        return payload.d;
+    }
+}
+
+module.exports = { LinkSigner, loadOrCreateSecret };
@@ -0,0 +1,268 @@
+/**
+ * Slot Engine
+ * Calculates bookable appointment slots from the practice opening hours,
+ * the duration of each treatment type and the bookings already in the store
+ */
+const crypto = require('crypto');
+const { HttpError } = require('./errors');
+const {
+    isValidDate,
+    isValidTime,
+    toMinutes,
+    formatMinutes,
+    getWeekday,
+    addDays,
+    getPracticeNow,
+    toLocalTimestamp
+} = require('./practice-time');
+
+class SlotEngine {
+    constructor({ practice, store, clock = () => new Date() }) {
+        this.practice = practice;
+        this.store = store;
+        this.clock = clock;
+    }
+
+    getTreatment(treatmentType) {
+        const treatment = Object.hasOwn(this.practice.treatments, treatmentType) ? this.practice.treatments[treatmentType] : null;
+        if (!treatment) {
+            throw new HttpError(400, 'Bitte wählen Sie eine gültige Behandlungsart.');
+        }
+        return { key: treatmentType, ...treatment };
+    }
+
+    getOpeningHours(date) {
+        if (this.practice.closedDates.includes(date)) return [];
+
+        const intervals = this.practice.openingHours[getWeekday(date)] || [];
+        return intervals.map(([start, end]) => [toMinutes(start), toMinutes(end)]);
+    }
+
+    getBookingsOn(date, { ignoreBookingId = null } = {}) {
+        return this.store.find('bookings', booking =>
+            booking.date === date &&
+            booking.status !== 'cancelled' &&
+            booking.id !== ignoreBookingId
+        );
+    }
+
+    // Appointments booked directly with the external provider, see CalendarSync
+    getExternalBusyOn(date) {
+        return this.store.find('external-busy', block => block.date === date);
+    }
+
+    // Earliest local moment that can still be booked, honouring the minimum lead time
+    getEarliestBookable() {
+        const now = getPracticeNow(this.practice.timeZone, this.clock());
+        return toLocalTimestamp(now.date, now.minutes) + this.practice.minLeadMinutes;
+    }
+
+    isWithinBookingWindow(date) {
+        const today = getPracticeNow(this.practice.timeZone, this.clock()).date;
+        return date >= today && date <= addDays(today, this.practice.maxDaysAhead);
+    }
+
+    /**
+     * Returns a check whether an appointment (start and end in minutes) fits
+     * on the given day: within one opening interval, after the minimum lead
+     * time and with a chair free for all of it. External appointments occupy
+     * a chair too.
+     */
+    createFitCheck(date, options = {}) {
+        const intervals = this.getOpeningHours(date);
+        const bookings = [...this.getBookingsOn(date, options), ...this.getExternalBusyOn(date)].map(booking => ({
+            start: toMinutes(booking.start),
+            end: toMinutes(booking.end)
+        }));
+        const earliest = this.getEarliestBookable();
+
+        return (start, end) => {
+            if (!intervals.some(([open, close]) => start >= open && end <= close)) return false;
+            if (toLocalTimestamp(date, start) < earliest) return false;
+
+            // The most chairs taken at one moment of the window; occupancy only rises where a booking starts
+            const overlapping = bookings.filter(booking => booking.start < end && booking.end > start);
+            const peak = Math.max(0, ...[start, ...overlapping.map(booking => booking.start).filter(time => time > start)]
+                .map(time => overlapping.filter(booking => booking.start <= time && booking.end > time).length));
+            return peak < this.practice.chairs;
+        };
+    }
+
+    getAvailableSlots(date, treatmentType, options = {}) {
+        if (!isValidDate(date)) {
+            throw new HttpError(400, 'Bitte wählen Sie ein gültiges Datum.');
+        }
+
+        const { duration } = this.getTreatment(treatmentType);
+        if (!this.isWithinBookingWindow(date)) return [];
+
+        const fits = this.createFitCheck(date, options);
+        const interval = this.practice.slotInterval;
+        const slots = [];
+
+        this.getOpeningHours(date).forEach(([open, close]) => {
+            for (let start = open; start + duration <= close; start += interval) {
+                if (fits(start, start + duration)) {
+                    slots.push({ date, start: formatMinutes(start), end: formatMinutes(start + duration) });
+                }
+            }
+        });
+
+        return slots;
+    }
+
+    /**
+     * Slots for several patients seen directly one after another, e.g. siblings.
+     * Each slot lists the appointments in the order of treatmentTypes.
+     */
+    getGroupSlots(date, treatmentTypes) {
+        if (!isValidDate(date)) {
+            throw new HttpError(400, 'Bitte wählen Sie ein gültiges Datum.');
+        }
+
+        const treatments = treatmentTypes.map(type => this.getTreatment(type));
+        if (!this.isWithinBookingWindow(date)) return [];
+
+        const fits = this.createFitCheck(date);
+        const total = treatments.reduce((sum, treatment) => sum + treatment.duration, 0);
+        const interval = this.practice.slotInterval;
+        const slots = [];
+
+        this.getOpeningHours(date).forEach(([open, close]) => {
+            for (let start = open; start + total <= close; start += interval) {
+                let current = start;
+                const appointments = [];
+
+                for (const treatment of treatments) {
+                    const end = current + treatment.duration;
+                    if (!fits(current, end)) break;
+
+                    appointments.push({ treatmentType: treatment.key, start: formatMinutes(current), end: formatMinutes(end) });
+                    current = end;
+                }
+
+                if (appointments.length === treatments.length) {
+                    slots.push({ date, start: formatMinutes(start), end: formatMinutes(current), appointments });
+                }
+            }
+        });
+
+        return slots;
+    }
+
+    isSlotAvailable(date, start, treatmentType, options = {}) {
+        if (!isValidTime(start)) return false;
+
+        return this.getAvailableSlots(date, treatmentType, options)
+            .some(slot => slot.start === start);
+    }
+
+    findNextAvailableDate(fromDate, treatmentType) {
+        return this.findNextDate(fromDate, date => this.getAvailableSlots(date, treatmentType).length > 0);
+    }
+
+    findNextGroupDate(fromDate, treatmentTypes) {
+        return this.findNextDate(fromDate, date => this.getGroupSlots(date, treatmentTypes).length > 0);
+    }
+
+    findNextDate(fromDate, hasSlots) {
+        const today = getPracticeNow(this.practice.timeZone, this.clock()).date;
+        const lastDate = addDays(today, this.practice.maxDaysAhead);
+        let date = fromDate > today ? fromDate : today;
+
+        while (date <= lastDate) {
+            if (hasSlots(date)) {
+                return date;
+            }
+            date = addDays(date, 1);
+        }
+
+        return null;
+    }
+
+    // The same patient must not hold two appointments at the same time
+    hasOverlappingBooking(patient, date, start, end, options = {}) {
+        const samePatient = booking =>
+            booking.patient &&
+            booking.patient.email === patient.email &&
+            booking.patient.firstName === patient.firstName &&
+            booking.patient.lastName === patient.lastName;
+
+        return this.getBookingsOn(date, options).some(booking =>
+            samePatient(booking) && booking.start < end && booking.end > start
+        );
+    }
+
+    createBooking({ date, start, treatmentType, ...details }) {
+        const { duration } = this.getTreatment(treatmentType);
+
+        // Checking and inserting happen synchronously, so two requests can never claim the same chair
+        if (!this.isSlotAvailable(date, start, treatmentType)) {
+            throw new HttpError(409, 'Dieser Termin ist leider nicht mehr verfügbar. Bitte wählen Sie eine andere Uhrzeit.');
+        }
+
+        const end = formatMinutes(toMinutes(start) + duration);
+        if (details.patient && this.hasOverlappingBooking(details.patient, date, start, end)) {
+            throw new HttpError(409, 'Für diese Person ist zu dieser Zeit bereits ein Termin gebucht.');
+        }
+
+        return this.store.insert('bookings', {
+            ...details,
+            date,
+            start,
+            end,
+            treatmentType,
+            status: 'confirmed'
+        });
+    }
+
+    /**
+     * Books several patients back to back starting at start. appointments is
+     * [{ treatmentType, patient }]; all bookings share one groupId.
+     */
+    createGroupBooking({ date, start, appointments, ...details }) {
+        const slot = this.getGroupSlots(date, appointments.map(appointment => appointment.treatmentType))
+            .find(candidate => candidate.start === start);
+
+        if (!slot) {
+            throw new HttpError(409, 'Diese Termine sind leider nicht mehr verfügbar. Bitte wählen Sie eine andere Uhrzeit.');
+        }
+
+        const planned = slot.appointments.map((times, index) => ({ ...times, patient: appointments[index].patient }));
+        const busy = planned.find(appointment =>
+            this.hasOverlappingBooking(appointment.patient, date, appointment.start, appointment.end)
+        );
+        if (busy) {
+            throw new HttpError(409, `Für ${busy.patient.firstName} ${busy.patient.lastName} ist zu dieser Zeit bereits ein Termin gebucht.`);
+        }
+
+        const groupId = crypto.randomUUID();
+        return planned.map(appointment => this.store.insert('bookings', {
+            ...details,
+            ...appointment,
+            date,
+            groupId,
+            status: 'confirmed'
+        }));
+    }
+
+    // Moves a booking to another slot; its own current slot counts as free while checking
+    moveBooking(bookingId, { date, start }) {
+        const booking = this.store.findById('bookings', bookingId);
+        const options = { ignoreBookingId: bookingId };
+
+        if (!this.isSlotAvailable(date, start, booking.treatmentType, options)) {
+            throw new HttpError(409, 'Dieser Termin ist leider nicht mehr verfügbar. Bitte wählen Sie eine andere Uhrzeit.');
+        }
+
+        const { duration } = this.getTreatment(booking.treatmentType);
+        const end = formatMinutes(toMinutes(start) + duration);
+        if (booking.patient && this.hasOverlappingBooking(booking.patient, date, start, end, options)) {
+            throw new HttpError(409, 'Für diese Person ist zu dieser Zeit bereits ein Termin gebucht.');
+        }
+
+        return this.store.update('bookings', bookingId, { date, start, end });
+    }
+}
+
+module.exports = SlotEngine;
@@ -0,0 +1,71 @@
+/**
+ * SMS
+ * Sends short text messages through a pluggable transport (http, log or
+ * memory). The log and memory transports are shared with the mailer.
+ */
+const HttpSmsTransport = require('./transports/http-sms-transport');
+const LogTransport = require('./transports/log-transport');
+const MemoryTransport = require('./transports/memory-transport');
+
+const TRANSPORTS = {
+    http: options => new HttpSmsTransport(options.http),
+    log: options => new LogTransport({ file: options.logFile }),
+    memory: () => new MemoryTransport()
+};
+
+function createSmsTransport(options) {
+    // A ready-made transport object can be passed in directly
+    if (typeof options.transport === 'object') return options.transport;
+
+    const factory = TRANSPORTS[options.transport];
+    if (!factory) {
+        throw new Error(`Unknown SMS transport: ${options.transport}`);
+    }
+    return factory(options);
+}
+
+// Local numbers (0171 …) are written in international format for the gateway
+function normalizePhone(phone, countryCode = '49') {
+    const digits = String(phone).replace(/[^\d+]/g, '');
+    if (digits.startsWith('+')) return digits;
+    if (digits.startsWith('00')) return `+${digits.slice(2)}`;
+    if (digits.startsWith('0')) return `+${countryCode}${digits.slice(1)}`;
+    return `+${digits}`;
+}
+
+// German landline numbers cannot receive SMS; foreign numbers are passed on as they are
+function isMobileNumber(phone) {
+    const normalized = normalizePhone(phone);
+    return !normalized.startsWith('+49') || /^\+491[5-7]\d{7,}$/.test(normalized);
+}
+
+class SmsSender {
+    constructor({ transport, from }) {
+        this.transport = transport;
+        this.from = from;
+    }
+
+    async send({ to, text }) {
+        const recipient = normalizePhone(to);
+
+        await this.transport.send({
+            from: this.from,
+            recipients: [recipient],
+            raw: text,
+            message: { from: this.from, to: recipient, text }
+        });
+    }
+
+    // Never throws, like Mailer.trySend()
+    async trySend(message) {
+        try {
+            await this.send(message);
+            return true;
+        } catch (error) {
+            console.error('SMS delivery failed:', error.message);
+            return false;
+        }
+    }
+}
+
+module.exports = { SmsSender, createSmsTransport, normalizePhone, isMobileNumber };
@@ -0,0 +1,85 @@
+/**
+ * Static Files
+ * Serves the public website (HTML, CSS, JS and assets) next to the API
+ */
+const fs = require('fs');
+const path = require('path');
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon',
+    '.xml': 'application/xml; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8'
+};
+
+// Directories next to the website that must never be served
+const PRIVATE_DIRECTORIES = ['server'];
+
+class StaticFiles {
+    // privateDirectories adds more, e.g. a data directory outside server/
+    constructor({ root, privateDirectories = [] }) {
+        this.root = path.resolve(root);
+        this.privateDirectories = [...PRIVATE_DIRECTORIES, ...privateDirectories]
+            .map(directory => (path.resolve(this.root, directory) + path.sep).toLowerCase());
+    }
+
+    resolve(pathname) {
+        let decoded;
+        try {
+            decoded = decodeURIComponent(pathname);
+        } catch (error) {
+            return null;
+        }
+
+        if (decoded.endsWith('/')) {
+            decoded += 'index.html';
+        }
+
+        if (decoded.split('/').some(segment => segment.startsWith('.'))) return null;
+        if (!CONTENT_TYPES[path.extname(decoded).toLowerCase()]) return null;
+
+        // Checked on the resolved path, so "//server/" cannot get around it; "/Server/" neither on macOS
+        const filePath = path.resolve(this.root, `.${decoded}`);
+        if (!filePath.startsWith(this.root + path.sep)) return null;
+        if (this.privateDirectories.some(directory => filePath.toLowerCase().startsWith(directory))) return null;
+
+        return filePath;
+    }
+
+    handle(req, res, url) {
+        if (req.method !== 'GET' && req.method !== 'HEAD') return false;
+
+        const filePath = this.resolve(url.pathname);
+        if (!filePath) return false;
+
+        let stats;
+        try {
+            stats = fs.statSync(filePath);
+        } catch (error) {
+            return false;
+        }
+        if (!stats.isFile()) return false;
+
+        res.writeHead(200, {
+            'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()],
+            'Content-Length': stats.size
+        });
+
+        if (req.method === 'HEAD') {
+            res.end();
+        } else {
+            fs.createReadStream(filePath).pipe(res);
+        }
+
+        return true;
+    }
+}
+
+module.exports = StaticFiles;
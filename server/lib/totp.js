@@ -0,0 +1,100 @@
+/**
+ * TOTP
+ * Time-based one-time passwords (RFC 6238) as generated by authenticator
+ * apps: HMAC-SHA1, 30-second steps, six digits
+ */
+const crypto = require('crypto');
+
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const PERIOD_SECONDS = 30;
+const DIGITS = 6;
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+// Accepts the secret the way people type it: lower case, with spaces or padding
+function base32Decode(text) {
+    const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32.indexOf(char);
+        if (index === -1) throw new Error(`Invalid base32 character: ${char}`);
+
+        value = ((value << 5) | index) & 0xffff;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 0xff);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+// 160 bits, the length RFC 4226 recommends for HMAC-SHA1
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+function getCounter(time) {
+    return Math.floor(time.getTime() / 1000 / PERIOD_SECONDS);
+}
+
+function generateCodeForCounter(secret, counter) {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+function generateCode(secret, time = new Date()) {
+    return generateCodeForCounter(secret, getCounter(time));
+}
+
+/**
+ * Checks a code against the current step and `window` steps either side, to
+ * allow for clock drift on the phone. Returns the matching counter, so the
+ * caller can refuse a code that was already used, or null.
+ */
+function verifyCode(secret, code, time = new Date(), { window = 1 } = {}) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) return null;
+
+    const current = getCounter(time);
+    for (let counter = current - window; counter <= current + window; counter++) {
+        const expected = Buffer.from(generateCodeForCounter(secret, counter));
+        if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+            return counter;
+        }
+    }
+    return null;
+}
+
+// The otpauth:// link inside the enrolment QR code
+function buildOtpauthUri({ secret, issuer, account }) {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}`;
+}
+
+module.exports = { base32Encode, base32Decode, generateSecret, generateCode, verifyCode, buildOtpauthUri, PERIOD_SECONDS };
@@ -0,0 +1,36 @@
+/**
+ * HTTP SMS Transport
+ * Hands text messages to an SMS gateway with a JSON API:
+ * POST { from, to, text } with a bearer token. Most providers offer such an
+ * endpoint; others can be connected by a small transport of the same shape.
+ */
+class HttpSmsTransport {
+    constructor({ url, token = null, timeout = 10000 }) {
+        if (!url) {
+            throw new Error('SMS_GATEWAY_URL is required for the http SMS transport');
+        }
+        this.url = url;
+        this.token = token;
+        this.timeout = timeout;
+    }
+
+    async send({ from, recipients, raw }) {
+        for (const to of recipients) {
+            const response = await fetch(this.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(this.token ? { Authorization: `Bearer ${this.token}` } : {})
+                },
+                body: JSON.stringify({ from, to, text: raw }),
+                signal: AbortSignal.timeout(this.timeout)
+            });
+
+            if (!response.ok) {
+                throw new Error(`SMS gateway answered ${response.status}`);
+            }
+        }
+    }
+}
+
+module.exports = HttpSmsTransport;
@@ -0,0 +1,36 @@
+/**
+ * Log Transport
+ * Writes outgoing mail to a local file (or the console) instead of sending it.
+ * The default during development, so forms work without any mail server.
+ */
+const fs = require('fs');
+const path = require('path');
+
+class LogTransport {
+    constructor({ file = null } = {}) {
+        this.file = file;
+
+        if (this.file) {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        }
+    }
+
+    async send({ from, recipients, raw }) {
+        const entry = [
+            `===== ${new Date().toISOString()} =====`,
+            `Envelope from: ${from}`,
+            `Envelope to: ${recipients.join(', ')}`,
+            '',
+            raw,
+            ''
+        ].join('\n');
+
+        if (this.file) {
+            fs.appendFileSync(this.file, entry);
+        } else {
+            console.log(entry);
+        }
+    }
+}
+
+module.exports = LogTransport;
@@ -0,0 +1,19 @@
+/**
+ * Memory Transport
+ * Keeps outgoing mail in an array so local scripts can inspect what would have been sent
+ */
+class MemoryTransport {
+    constructor() {
+        this.messages = [];
+    }
+
+    async send(envelope) {
+        this.messages.push({ ...envelope, sentAt: new Date().toISOString() });
+    }
+
+    clear() {
+        this.messages = [];
+    }
+}
+
+module.exports = MemoryTransport;
@@ -0,0 +1,171 @@
+/**
+ * SMTP Transport
+ * Delivers mail to an SMTP server (the practice mail server or the local
+ * catcher in server/tools/smtp-catcher.js). Supports implicit TLS, STARTTLS
+ * and AUTH PLAIN.
+ */
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+
+class SmtpConnection {
+    constructor(socket, timeout) {
+        this.timeout = timeout;
+        this.attach(socket);
+    }
+
+    attach(socket) {
+        // After STARTTLS the plain socket lives on underneath the TLS socket
+        if (this.socket) {
+            this.socket.removeAllListeners('data');
+            this.socket.removeAllListeners('error');
+            this.socket.removeAllListeners('close');
+            this.socket.setTimeout(0);
+        }
+
+        this.socket = socket;
+        this.buffer = '';
+        this.lines = [];
+        this.pending = null;
+
+        socket.setTimeout(this.timeout, () => {
+            socket.destroy(new Error('SMTP connection timed out'));
+        });
+        socket.on('data', chunk => this.handleData(chunk));
+        socket.on('error', error => this.fail(error));
+        socket.on('close', () => this.fail(new Error('SMTP connection closed unexpectedly')));
+    }
+
+    handleData(chunk) {
+        this.buffer += chunk.toString('utf8');
+
+        let index;
+        while ((index = this.buffer.indexOf('\r\n')) !== -1) {
+            const line = this.buffer.slice(0, index);
+            this.buffer = this.buffer.slice(index + 2);
+            this.lines.push(line);
+
+            // A space after the status code marks the last line of a reply
+            if (/^\d{3}(?: |$)/.test(line)) {
+                const reply = {
+                    code: Number(line.slice(0, 3)),
+                    lines: this.lines.map(replyLine => replyLine.slice(4))
+                };
+                this.lines = [];
+
+                if (this.pending) {
+                    const { resolve } = this.pending;
+                    this.pending = null;
+                    resolve(reply);
+                }
+            }
+        }
+    }
+
+    fail(error) {
+        if (this.pending) {
+            const { reject } = this.pending;
+            this.pending = null;
+            reject(error);
+        }
+    }
+
+    read() {
+        return new Promise((resolve, reject) => {
+            this.pending = { resolve, reject };
+        });
+    }
+
+    async command(line, expectedCode) {
+        const reply = this.read();
+        if (line !== null) {
+            this.socket.write(`${line}\r\n`);
+        }
+
+        const result = await reply;
+        if (result.code !== expectedCode) {
+            // Never echo credentials into logs
+            const sent = line && line.startsWith('AUTH') ? 'AUTH' : line;
+            throw new Error(`SMTP ${sent || 'greeting'} failed: ${result.code} ${result.lines.join(' ')}`);
+        }
+        return result;
+    }
+
+    close() {
+        this.socket.removeAllListeners('close');
+        this.socket.end();
+    }
+}
+
+class SmtpTransport {
+    constructor({ host = '127.0.0.1', port = 25, secure = false, requireTls = false, user = null, pass = null, timeout = 15000, name = os.hostname() } = {}) {
+        this.options = { host, port, secure, requireTls, user, pass, timeout, name };
+    }
+
+    connect() {
+        const { host, port, secure } = this.options;
+
+        return new Promise((resolve, reject) => {
+            const socket = secure
+                ? tls.connect({ host, port, servername: host })
+                : net.connect({ host, port });
+
+            socket.once(secure ? 'secureConnect' : 'connect', () => {
+                socket.removeListener('error', reject);
+                resolve(socket);
+            });
+            socket.once('error', reject);
+        });
+    }
+
+    upgrade(socket) {
+        return new Promise((resolve, reject) => {
+            const secureSocket = tls.connect({ socket, servername: this.options.host }, () => {
+                secureSocket.removeListener('error', reject);
+                resolve(secureSocket);
+            });
+            secureSocket.once('error', reject);
+        });
+    }
+
+    async send({ from, recipients, raw }) {
+        const { name, secure, requireTls, user, pass, timeout } = this.options;
+        const connection = new SmtpConnection(await this.connect(), timeout);
+
+        try {
+            await connection.command(null, 220);
+            const ehlo = await connection.command(`EHLO ${name}`, 250);
+
+            const supportsStartTls = ehlo.lines.some(line => line.toUpperCase() === 'STARTTLS');
+            if (!secure && supportsStartTls) {
+                await connection.command('STARTTLS', 220);
+                connection.attach(await this.upgrade(connection.socket));
+                await connection.command(`EHLO ${name}`, 250);
+            } else if (!secure && requireTls) {
+                throw new Error('SMTP server does not offer STARTTLS');
+            }
+
+            if (user) {
+                const credentials = Buffer.from(`\0${user}\0${pass}`, 'utf8').toString('base64');
+                await connection.command(`AUTH PLAIN ${credentials}`, 235);
+            }
+
+            await connection.command(`MAIL FROM:<${from}>`, 250);
+            for (const recipient of recipients) {
+                await connection.command(`RCPT TO:<${recipient}>`, 250);
+            }
+
+            await connection.command('DATA', 354);
+
+            // Lines starting with a dot must be doubled so they do not end the message early
+            const body = raw.replace(/\r?\n/g, '\r\n').replace(/\r\n$/, '').replace(/^\./gm, '..');
+            await connection.command(`${body}\r\n.`, 250);
+
+            await connection.command('QUIT', 221).catch(() => {});
+        } finally {
+            connection.close();
+        }
+    }
+}
+
+module.exports = SmtpTransport;
@@ -0,0 +1,283 @@
+/**
+ * Treatment Plan Service
+ * Treatment plans and Heil- und Kostenpläne in the patient portal. The
+ * practice enters the line items and the amount the insurance covers; the
+ * patient reads the plan, approves it online or asks a question, which
+ * starts a thread in the portal messages.
+ */
+const crypto = require('crypto');
+const { HttpError } = require('./errors');
+const { validateForm } = require('./validation');
+const { templates, fullName } = require('./mail-templates');
+
+// Each line item counts towards one entry of the breakdown
+const ITEM_CATEGORIES = {
+    treatment: { key: 'basePrice', label: 'Behandlung' },
+    consultation: { key: 'consultationFee', label: 'Beratung' },
+    diagnostic: { key: 'diagnosticFee', label: 'Diagnostik' },
+    retention: { key: 'retentionFee', label: 'Retention und Nachsorge' }
+};
+
+const MAX_ITEMS = 60;
+const INSTALMENT_MONTHS = 24;
+
+function invalid(field, message) {
+    return new HttpError(400, 'Bitte überprüfen Sie Ihre Eingaben.', { fields: { [field]: message } });
+}
+
+// Amounts are kept in euros with cents, like on the paper plan
+function toAmount(value) {
+    const amount = typeof value === 'string' ? Number(value.replace(',', '.')) : value;
+    return Number.isFinite(amount) && amount >= 0 ? Math.round(amount * 100) / 100 : null;
+}
+
+function sanitizeItems(items) {
+    if (!Array.isArray(items) || items.length === 0) {
+        throw invalid('items', 'Bitte erfassen Sie mindestens eine Position.');
+    }
+    if (items.length > MAX_ITEMS) {
+        throw invalid('items', `Ein Plan kann höchstens ${MAX_ITEMS} Positionen enthalten.`);
+    }
+
+    return items.map((item, index) => {
+        const label = String(item?.label || '').trim();
+        const amount = toAmount(item?.amount);
+        const position = `Position ${index + 1}`;
+
+        if (!Object.hasOwn(ITEM_CATEGORIES, item?.category)) throw invalid('items', `${position}: Bitte wählen Sie eine Kategorie.`);
+        if (!label) throw invalid('items', `${position}: Bitte geben Sie eine Bezeichnung an.`);
+        if (amount === null) throw invalid('items', `${position}: Bitte geben Sie einen gültigen Betrag an.`);
+
+        return {
+            category: item.category,
+            code: String(item.code || '').trim().slice(0, 20),
+            label: label.slice(0, 200),
+            tooth: String(item.tooth || '').trim().slice(0, 20),
+            amount
+        };
+    });
+}
+
+/**
+ * Sums the line items into the structure CostCalculator.calculateDetailedCost
+ * returns on the website (basePrice, the fees, subtotal, insuranceCoverage,
+ * patientShare, breakdown), so both can be shown alike. The insurance share
+ * is the approved amount instead of an estimate; monthlyPayment is the rate
+ * of the practice's interest-free instalment plan for invoices.
+ */
+function buildCostBreakdown({ title, items, insuranceCoverage }) {
+    const breakdown = Object.fromEntries(Object.values(ITEM_CATEGORIES).map(({ key }) => [key, 0]));
+    items.forEach(item => {
+        const { key } = ITEM_CATEGORIES[item.category];
+        breakdown[key] = Math.round((breakdown[key] + item.amount) * 100) / 100;
+    });
+
+    const subtotal = Math.round(items.reduce((sum, item) => sum + item.amount, 0) * 100) / 100;
+    const coverage = Math.min(insuranceCoverage, subtotal);
+
+    return {
+        treatmentType: title,
+        duration: null,
+        complexity: null,
+        ...breakdown,
+        subtotal,
+        monthlyPayment: Math.round(subtotal / INSTALMENT_MONTHS),
+        insuranceCoverage: coverage,
+        patientShare: Math.round((subtotal - coverage) * 100) / 100,
+        breakdown
+    };
+}
+
+// What exactly was approved; compared again when the plan is shown later
+function hashPlan(plan) {
+    return crypto.createHash('sha256')
+        .update(JSON.stringify({ title: plan.title, description: plan.description, items: plan.items, cost: plan.cost }))
+        .digest('hex');
+}
+
+class TreatmentPlanService {
+    constructor({ store, documentVault, messages, mailer, practice, publicUrl, clock = () => new Date() }) {
+        this.store = store;
+        this.documentVault = documentVault;
+        this.messages = messages;
+        this.mailer = mailer;
+        this.practice = practice;
+        this.publicUrl = publicUrl;
+        this.clock = clock;
+    }
+
+    today() {
+        return this.clock().toISOString().slice(0, 10);
+    }
+
+    async create(body, { createdBy }) {
+        const data = validateForm('treatmentPlan', body, { today: this.today() });
+        const patient = this.store.findOne('users', user => user.email === data.email.trim().toLowerCase());
+        if (!patient) {
+            throw invalid('email', 'Für diese E-Mail-Adresse gibt es kein Patientenkonto.');
+        }
+
+        const items = sanitizeItems(body.items);
+        const insuranceCoverage = toAmount(body.insuranceCoverage ?? 0);
+        if (insuranceCoverage === null) {
+            throw invalid('insuranceCoverage', 'Bitte geben Sie einen gültigen Betrag an.');
+        }
+
+        // The signed paper plan can be attached; it then also appears among the patient's documents
+        let documentId = null;
+        if (body.file) {
+            const { content, contentType, fileName } = this.documentVault.decodeFile(body.file);
+            documentId = this.documentVault.add({
+                patientId: patient.id,
+                category: 'treatment-plan',
+                title: data.title,
+                fileName,
+                contentType,
+                content,
+                uploadedBy: createdBy.id
+            }).id;
+        }
+
+        const plan = this.store.insert('treatment-plans', {
+            patientId: patient.id,
+            title: data.title,
+            description: data.description,
+            validUntil: data.validUntil || null,
+            items,
+            cost: buildCostBreakdown({ title: data.title, items, insuranceCoverage }),
+            documentId,
+            status: 'open',
+            createdBy: createdBy.id,
+            viewedAt: null,
+            approval: null,
+            questionThreadIds: []
+        });
+
+        await this.mailer.trySend({
+            to: patient.email,
+            ...templates.treatmentPlanAvailable({ user: patient, portalUrl: this.getPlanUrl(plan), practice: this.practice })
+        });
+
+        return plan;
+    }
+
+    getPlanUrl(plan) {
+        return `${this.publicUrl}/portal.html?plan=${plan.id}`;
+    }
+
+    findById(planId) {
+        const plan = this.store.findById('treatment-plans', planId);
+        if (!plan) {
+            throw new HttpError(404, 'Dieser Behandlungsplan wurde nicht gefunden.');
+        }
+        return plan;
+    }
+
+    findForPatient(patientId, planId) {
+        const plan = this.findById(planId);
+        if (plan.patientId !== patientId) {
+            throw new HttpError(404, 'Dieser Behandlungsplan wurde nicht gefunden.');
+        }
+        return plan;
+    }
+
+    listForPatient(patientId) {
+        return this.store.find('treatment-plans', plan => plan.patientId === patientId)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    listAll({ patientId = null, status = null } = {}) {
+        return this.store.find('treatment-plans', plan =>
+            (!patientId || plan.patientId === patientId) && (!status || plan.status === status)
+        ).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    isExpired(plan) {
+        return Boolean(plan.validUntil) && plan.validUntil < this.today();
+    }
+
+    // The first time the patient opens the plan
+    markViewed(plan) {
+        if (plan.viewedAt) return plan;
+        return this.store.update('treatment-plans', plan.id, { viewedAt: this.clock().toISOString() });
+    }
+
+    async approve(plan, patient, body, { ip }) {
+        validateForm('planApproval', body);
+
+        if (plan.status === 'approved') {
+            throw new HttpError(409, 'Diesen Behandlungsplan haben Sie bereits freigegeben.');
+        }
+        if (this.isExpired(plan)) {
+            throw new HttpError(409, 'Dieser Behandlungsplan ist abgelaufen. Bitte sprechen Sie uns an, damit wir ihn aktualisieren.');
+        }
+
+        const approved = this.store.update('treatment-plans', plan.id, {
+            status: 'approved',
+            approval: {
+                approvedAt: this.clock().toISOString(),
+                userId: patient.id,
+                ip,
+                planHash: hashPlan(plan)
+            }
+        });
+
+        await this.mailer.trySend({
+            to: this.mailer.practiceAddress,
+            ...templates.treatmentPlanApproved({ plan: approved, patient })
+        });
+        return approved;
+    }
+
+    // Questions go to the practice as a portal message about costs
+    async ask(plan, patient, body) {
+        const { message } = validateForm('planQuestion', body);
+        const thread = await this.messages.createThread(patient, {
+            topic: 'kosten',
+            subject: `Frage zum Behandlungsplan „${plan.title}“`,
+            message
+        });
+
+        this.store.update('treatment-plans', plan.id, { questionThreadIds: [...plan.questionThreadIds, thread.id] });
+        return thread;
+    }
+
+    toSummary(plan) {
+        return {
+            id: plan.id,
+            title: plan.title,
+            status: plan.status,
+            expired: plan.status !== 'approved' && this.isExpired(plan),
+            validUntil: plan.validUntil,
+            subtotal: plan.cost.subtotal,
+            patientShare: plan.cost.patientShare,
+            approvedAt: plan.approval?.approvedAt || null,
+            createdAt: plan.createdAt
+        };
+    }
+
+    toPublicPlan(plan) {
+        return {
+            ...this.toSummary(plan),
+            description: plan.description,
+            items: plan.items.map(item => ({ ...item, categoryLabel: ITEM_CATEGORIES[item.category].label })),
+            cost: plan.cost,
+            documentId: plan.documentId,
+            questionThreadIds: plan.questionThreadIds,
+            // False would mean the plan changed after it was approved
+            approvalValid: plan.approval ? plan.approval.planHash === hashPlan(plan) : null
+        };
+    }
+
+    toStaffPlan(plan) {
+        const patient = this.store.findById('users', plan.patientId);
+        return {
+            ...this.toPublicPlan(plan),
+            patient: patient ? { name: fullName(patient), email: patient.email } : null,
+            viewedAt: plan.viewedAt,
+            approval: plan.approval
+        };
+    }
+}
+
+module.exports = { TreatmentPlanService, ITEM_CATEGORIES, buildCostBreakdown };
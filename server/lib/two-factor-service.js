@@ -0,0 +1,356 @@
+/**
+ * Two-Factor Service
+ * Optional second login step for portal accounts: TOTP codes from an
+ * authenticator app, one-time backup codes, recovery by e-mail and trusted
+ * devices that skip the code after "Angemeldet bleiben"
+ */
+const crypto = require('crypto');
+const { HttpError } = require('./errors');
+const { parseCookies, serializeCookie, appendCookie } = require('./cookies');
+const { hashToken, createToken, verifyPassword } = require('./auth-service');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('./totp');
+const { createQrCode, toSvg } = require('./qr-code');
+const { templates } = require('./mail-templates');
+
+const DEVICE_COOKIE = 'praxis_device';
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const BACKUP_CODE_COUNT = 10;
+// Without 0/O and 1/I/L, so the printed codes can be typed back reliably
+const BACKUP_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const MAX_CHALLENGE_ATTEMPTS = 5;
+// Wrong codes count per account across challenges, or a new login would reset them
+const MAX_FAILED_CODES = 10;
+const CODE_LOCK_DURATION = 15 * MINUTE;
+const CODE_LOCKED_MESSAGE = 'Zu viele ungültige Codes. Bitte versuchen Sie es in 15 Minuten erneut.';
+
+function createBackupCode() {
+    const characters = Array.from(crypto.randomBytes(8), byte => BACKUP_CODE_ALPHABET[byte % BACKUP_CODE_ALPHABET.length]);
+    return `${characters.slice(0, 4).join('')}-${characters.slice(4).join('')}`;
+}
+
+function normalizeBackupCode(code) {
+    return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+class TwoFactorService {
+    constructor({ store, auth, mailer, practice, publicUrl, clock = () => new Date() }) {
+        this.store = store;
+        this.auth = auth;
+        this.mailer = mailer;
+        this.practice = practice;
+        this.publicUrl = publicUrl;
+        this.clock = clock;
+        this.secureCookies = publicUrl.startsWith('https://');
+
+        this.challengeDuration = 5 * MINUTE;
+        this.recoveryDuration = 60 * MINUTE;
+        // Same as a session with "Angemeldet bleiben"
+        this.trustDuration = 30 * DAY;
+    }
+
+    now() {
+        return this.clock().getTime();
+    }
+
+    isEnabled(user) {
+        return Boolean(user.twoFactor?.enabledAt);
+    }
+
+    getStatus(user) {
+        const trustedDevices = this.store.find('trusted-devices', device =>
+            device.userId === user.id && new Date(device.expiresAt).getTime() > this.now()
+        );
+
+        return {
+            enabled: this.isEnabled(user),
+            enabledAt: user.twoFactor?.enabledAt || null,
+            backupCodesLeft: this.isEnabled(user) ? user.twoFactor.backupCodeHashes.length : 0,
+            trustedDevices: trustedDevices.length
+        };
+    }
+
+    // Enrolment
+
+    startSetup(user) {
+        if (this.isEnabled(user)) {
+            throw new HttpError(409, 'Die Zwei-Faktor-Anmeldung ist bereits aktiviert.');
+        }
+
+        const secret = generateSecret();
+        this.store.update('users', user.id, { twoFactor: { pendingSecret: secret } });
+
+        const otpauthUri = buildOtpauthUri({ secret, issuer: this.practice.name, account: user.email });
+        return { secret, otpauthUri, qrCode: toSvg(createQrCode(otpauthUri)) };
+    }
+
+    // The first code proves the app was set up correctly; only then is the secret used for logins
+    enable(user, code) {
+        const secret = user.twoFactor?.pendingSecret;
+        if (!secret) {
+            throw new HttpError(409, 'Bitte starten Sie die Einrichtung erneut.');
+        }
+
+        const counter = verifyCode(secret, code, this.clock());
+        if (counter === null) {
+            throw new HttpError(400, 'Bitte überprüfen Sie Ihre Eingaben.', {
+                fields: { code: 'Der Code ist ungültig. Bitte geben Sie den aktuellen Code aus Ihrer App ein.' }
+            });
+        }
+
+        const backupCodes = Array.from({ length: BACKUP_CODE_COUNT }, createBackupCode);
+        this.store.update('users', user.id, {
+            twoFactor: {
+                secret,
+                enabledAt: this.clock().toISOString(),
+                lastUsedCounter: counter,
+                backupCodeHashes: backupCodes.map(backupCode => hashToken(normalizeBackupCode(backupCode)))
+            }
+        });
+
+        return { backupCodes };
+    }
+
+    regenerateBackupCodes(user, code) {
+        this.requireCode(user, code);
+
+        const backupCodes = Array.from({ length: BACKUP_CODE_COUNT }, createBackupCode);
+        this.store.update('users', user.id, {
+            twoFactor: {
+                ...this.store.findById('users', user.id).twoFactor,
+                backupCodeHashes: backupCodes.map(backupCode => hashToken(normalizeBackupCode(backupCode)))
+            }
+        });
+
+        return { backupCodes };
+    }
+
+    // A wrong password counts like a wrong code, so a taken-over session cannot try either without limit
+    disable(user, { password, code }) {
+        if (this.isCodeLocked(user)) {
+            throw new HttpError(429, CODE_LOCKED_MESSAGE);
+        }
+        if (!verifyPassword(String(password || ''), user.passwordHash)) {
+            if (this.recordFailedCode(user)) throw new HttpError(429, CODE_LOCKED_MESSAGE);
+            throw new HttpError(400, 'Bitte überprüfen Sie Ihre Eingaben.', {
+                fields: { password: 'Das Passwort ist falsch.' }
+            });
+        }
+        this.requireCode(user, code);
+
+        this.store.update('users', user.id, { twoFactor: null });
+        this.revokeTrustedDevices(user.id);
+    }
+
+    // Codes
+
+    /**
+     * Accepts a code from the app or an unused backup code. App codes are
+     * refused once used, so a code seen over someone's shoulder is worthless.
+     */
+    checkCode(user, code) {
+        if (!this.isEnabled(user)) return false;
+        const { twoFactor } = user;
+
+        const counter = verifyCode(twoFactor.secret, code, this.clock());
+        if (counter !== null && counter > (twoFactor.lastUsedCounter ?? -1)) {
+            this.store.update('users', user.id, { twoFactor: { ...twoFactor, lastUsedCounter: counter } });
+            return true;
+        }
+
+        const backupHash = hashToken(normalizeBackupCode(code));
+        if (twoFactor.backupCodeHashes.includes(backupHash)) {
+            this.store.update('users', user.id, {
+                twoFactor: {
+                    ...twoFactor,
+                    backupCodeHashes: twoFactor.backupCodeHashes.filter(hash => hash !== backupHash)
+                }
+            });
+            return true;
+        }
+
+        return false;
+    }
+
+    // For changes in the portal; wrong codes count towards the same lock as at login
+    requireCode(user, code) {
+        if (this.isCodeLocked(user)) {
+            throw new HttpError(429, CODE_LOCKED_MESSAGE);
+        }
+        if (!this.checkCode(user, code)) {
+            if (this.recordFailedCode(user)) throw new HttpError(429, CODE_LOCKED_MESSAGE);
+            throw new HttpError(400, 'Bitte überprüfen Sie Ihre Eingaben.', {
+                fields: { code: 'Der Code ist ungültig oder wurde bereits verwendet.' }
+            });
+        }
+        this.clearFailedCodes(user);
+    }
+
+    isCodeLocked(user) {
+        return Boolean(user.codeLockedUntil && new Date(user.codeLockedUntil).getTime() > this.now());
+    }
+
+    // Returns true when this failure locks the account
+    recordFailedCode(user) {
+        const failedCodes = (this.store.findById('users', user.id)?.failedCodes || 0) + 1;
+        const locked = failedCodes >= MAX_FAILED_CODES;
+        this.store.update('users', user.id, {
+            failedCodes: locked ? 0 : failedCodes,
+            codeLockedUntil: locked ? new Date(this.now() + CODE_LOCK_DURATION).toISOString() : null
+        });
+        return locked;
+    }
+
+    clearFailedCodes(user) {
+        this.store.update('users', user.id, { failedCodes: 0, codeLockedUntil: null });
+    }
+
+    // Login challenges: the password was correct, the code is still missing
+
+    createChallenge(user, remember) {
+        if (this.isCodeLocked(user)) {
+            throw new HttpError(429, CODE_LOCKED_MESSAGE);
+        }
+
+        const token = createToken();
+        this.store.insert('login-challenges', {
+            tokenHash: hashToken(token),
+            userId: user.id,
+            remember: Boolean(remember),
+            attempts: 0,
+            expiresAt: new Date(this.now() + this.challengeDuration).toISOString()
+        });
+        return token;
+    }
+
+    findChallenge(token) {
+        const tokenHash = hashToken(String(token || ''));
+        const challenge = this.store.findOne('login-challenges', candidate => candidate.tokenHash === tokenHash);
+
+        if (!challenge || new Date(challenge.expiresAt).getTime() < this.now()) {
+            if (challenge) this.store.remove('login-challenges', challenge.id);
+            throw new HttpError(401, 'Die Anmeldung ist abgelaufen. Bitte melden Sie sich erneut an.');
+        }
+        return challenge;
+    }
+
+    // Returns the user and the "Angemeldet bleiben" choice of the first step
+    completeChallenge(token, code) {
+        const challenge = this.findChallenge(token);
+        const user = this.store.findById('users', challenge.userId);
+
+        if (user && this.isCodeLocked(user)) {
+            this.store.remove('login-challenges', challenge.id);
+            throw new HttpError(429, CODE_LOCKED_MESSAGE);
+        }
+
+        if (!user || !this.checkCode(user, code)) {
+            const locked = Boolean(user) && this.recordFailedCode(user);
+
+            const attempts = challenge.attempts + 1;
+            if (attempts >= MAX_CHALLENGE_ATTEMPTS || locked) {
+                this.store.remove('login-challenges', challenge.id);
+                throw new HttpError(429, locked
+                    ? CODE_LOCKED_MESSAGE
+                    : 'Zu viele ungültige Codes. Bitte melden Sie sich erneut an.');
+            }
+            this.store.update('login-challenges', challenge.id, { attempts });
+            throw new HttpError(400, 'Bitte überprüfen Sie Ihre Eingaben.', {
+                fields: { code: 'Der Code ist ungültig oder wurde bereits verwendet.' }
+            });
+        }
+
+        this.store.remove('login-challenges', challenge.id);
+        this.clearFailedCodes(user);
+        return { user, remember: challenge.remember };
+    }
+
+    // Recovery when the phone and the backup codes are lost
+
+    async requestRecovery(challengeToken) {
+        const challenge = this.findChallenge(challengeToken);
+        const user = this.store.findById('users', challenge.userId);
+        if (!user) return;
+
+        const token = createToken();
+        this.store.update('users', user.id, {
+            twoFactorRecoveryTokenHash: hashToken(token),
+            twoFactorRecoveryExpiresAt: new Date(this.now() + this.recoveryDuration).toISOString()
+        });
+
+        const recoveryUrl = `${this.publicUrl}/portal.html?recovery=${token}`;
+        await this.mailer.trySend({
+            to: user.email,
+            ...templates.twoFactorRecovery({ user, recoveryUrl, practice: this.practice })
+        });
+    }
+
+    /**
+     * Turns two-factor login off for the account behind the recovery link.
+     * Open sessions and trusted devices are ended, since whoever lost the
+     * phone may not be the only one holding it.
+     */
+    async recover(token) {
+        const tokenHash = hashToken(String(token || ''));
+        const user = this.store.findOne('users', candidate => candidate.twoFactorRecoveryTokenHash === tokenHash);
+
+        if (!user || new Date(user.twoFactorRecoveryExpiresAt).getTime() < this.now()) {
+            throw new HttpError(400, 'Der Link ist ungültig oder abgelaufen. Bitte melden Sie sich erneut an und fordern Sie einen neuen an.');
+        }
+
+        this.store.update('users', user.id, {
+            twoFactor: null,
+            twoFactorRecoveryTokenHash: null,
+            twoFactorRecoveryExpiresAt: null
+        });
+        this.revokeTrustedDevices(user.id);
+        this.auth.endAllSessions(user.id);
+
+        await this.mailer.trySend({
+            to: user.email,
+            ...templates.twoFactorDisabled({ user, practice: this.practice })
+        });
+    }
+
+    // Trusted devices
+
+    isTrustedDevice(user, token) {
+        if (!token) return false;
+
+        const tokenHash = hashToken(token);
+        const device = this.store.findOne('trusted-devices', candidate => candidate.tokenHash === tokenHash);
+        if (!device) return false;
+
+        if (new Date(device.expiresAt).getTime() < this.now()) {
+            this.store.remove('trusted-devices', device.id);
+            return false;
+        }
+        return device.userId === user.id;
+    }
+
+    trustDevice(res, user) {
+        const token = createToken();
+        this.store.insert('trusted-devices', {
+            tokenHash: hashToken(token),
+            userId: user.id,
+            expiresAt: new Date(this.now() + this.trustDuration).toISOString()
+        });
+
+        appendCookie(res, serializeCookie(DEVICE_COOKIE, token, {
+            maxAge: this.trustDuration / 1000,
+            secure: this.secureCookies
+        }));
+    }
+
+    revokeTrustedDevices(userId) {
+        this.store.find('trusted-devices', device => device.userId === userId)
+            .forEach(device => this.store.remove('trusted-devices', device.id));
+    }
+
+    getDeviceToken(req) {
+        return parseCookies(req.headers.cookie)[DEVICE_COOKIE] || null;
+    }
+}
+
+module.exports = { TwoFactorService };
@@ -0,0 +1,257 @@
+/**
+ * Form Validation
+ * Server-side counterpart of the validation rules in the public form scripts
+ * (booking.js, contact.js, blog.js, career.js, portal.js, messages.js and
+ * anamnesis.js). Messages match the ones the browser shows so patients see
+ * the same wording either way.
+ */
+const { HttpError } = require('./errors');
+const { isValidDate } = require('./practice-time');
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_REGEX = /^[\+]?[0-9\s\-\(\)]{6,}$/;
+
+const MESSAGES = {
+    required: 'Dieses Feld ist erforderlich.',
+    email: 'Bitte geben Sie eine gültige E-Mail-Adresse ein.',
+    phone: 'Bitte geben Sie eine gültige Telefonnummer ein.',
+    date: 'Bitte geben Sie ein gültiges Datum ein.',
+    futureDate: 'Bitte wählen Sie ein zukünftiges Datum.',
+    pastDate: 'Das Datum darf nicht in der Zukunft liegen.',
+    name: 'Der Name muss mindestens 2 Zeichen lang sein.',
+    message: 'Die Nachricht muss mindestens 10 Zeichen lang sein.',
+    privacy: 'Sie müssen der Datenschutzerklärung zustimmen.',
+    option: 'Bitte wählen Sie eine gültige Option.',
+    pregnancyWeek: 'Bitte geben Sie eine Schwangerschaftswoche zwischen 1 und 42 an.',
+    confirm: 'Bitte bestätigen Sie, dass Ihre Angaben vollständig und richtig sind.',
+    approval: 'Bitte bestätigen Sie, dass Sie dem Behandlungsplan zustimmen.',
+    amount: 'Bitte geben Sie einen gültigen Betrag an, z. B. 149,90.',
+    instalmentTerms: 'Bitte bestätigen Sie die Ratenvereinbarung.'
+};
+
+// Checkbox rules: the value only has to be checked
+const CHECKBOX_RULES = ['privacy', 'confirm', 'approval', 'instalmentTerms'];
+
+const YES_NO = ['ja', 'nein'];
+const YES_NO_UNKNOWN = ['ja', 'nein', 'unbekannt'];
+
+const SCHEMAS = {
+    booking: {
+        'first-name': { required: true, rule: 'name' },
+        'last-name': { required: true, rule: 'name' },
+        'email': { required: true, rule: 'email' },
+        'phone': { rule: 'phone' },
+        'birth-date': { rule: 'date' },
+        'preferred-date': { required: true, rule: 'futureDate' },
+        'treatment-type': { required: true },
+        'slot': { required: true },
+        'message': { rule: 'message' },
+        'privacy': { rule: 'privacy' }
+    },
+    contact: {
+        firstName: { required: true, rule: 'name' },
+        lastName: { required: true, rule: 'name' },
+        email: { required: true, rule: 'email' },
+        phone: { rule: 'phone' },
+        subject: { required: true, oneOf: ['termin', 'beratung', 'frage', 'kosten', 'sonstiges'] },
+        message: { required: true, rule: 'message' },
+        privacy: { rule: 'privacy' }
+    },
+    newsletter: {
+        email: { required: true, rule: 'email' },
+        privacy: { rule: 'privacy' }
+    },
+    application: {
+        firstName: { required: true, rule: 'name' },
+        lastName: { required: true, rule: 'name' },
+        email: { required: true, rule: 'email' },
+        phone: { required: true, rule: 'phone' },
+        position: { required: true, oneOf: ['zfa', 'manager', 'initiative'] },
+        message: { required: true, rule: 'message' },
+        privacy: { rule: 'privacy' }
+    },
+    registration: {
+        firstName: { required: true, rule: 'name' },
+        lastName: { required: true, rule: 'name' },
+        email: { required: true, rule: 'email' },
+        birthDate: { required: true, rule: 'date' },
+        privacy: { rule: 'privacy' }
+    },
+    // Further patients of a family booking; contact details come from the main booking form
+    familyMember: {
+        'first-name': { required: true, rule: 'name' },
+        'last-name': { required: true, rule: 'name' },
+        'birth-date': { required: true, rule: 'date' },
+        'treatment-type': { required: true }
+    },
+    waitlist: {
+        'first-name': { required: true, rule: 'name' },
+        'last-name': { required: true, rule: 'name' },
+        'email': { required: true, rule: 'email' },
+        'phone': { rule: 'phone' },
+        'birth-date': { rule: 'date' },
+        'treatment-type': { required: true },
+        'from-date': { required: true, rule: 'futureDate' },
+        'to-date': { required: true, rule: 'futureDate' },
+        'privacy': { rule: 'privacy' }
+    },
+    passwordReset: {
+        email: { required: true, rule: 'email' }
+    },
+    // Portal messages; a reply may be as short as "Danke!"
+    messageThread: {
+        topic: { required: true, oneOf: ['behandlung', 'termin', 'kosten', 'dokumente', 'sonstiges'] },
+        subject: { required: true },
+        message: { required: true, rule: 'message' }
+    },
+    messageReply: {
+        message: { required: true }
+    },
+    // Treatment plans (Heil- und Kostenpläne); the line items are checked by the service
+    treatmentPlan: {
+        email: { required: true, rule: 'email' },
+        title: { required: true },
+        description: {},
+        validUntil: { rule: 'futureDate' }
+    },
+    planApproval: {
+        approval: { rule: 'approval' }
+    },
+    planQuestion: {
+        message: { required: true, rule: 'message' }
+    },
+    // Check-ups the practice adds by hand, e.g. stamps from the paper Bonusheft
+    bonusEntry: {
+        email: { required: true, rule: 'email' },
+        date: { required: true, rule: 'pastDate' },
+        note: {}
+    },
+    invoice: {
+        email: { required: true, rule: 'email' },
+        title: { required: true },
+        amount: { required: true, rule: 'amount' },
+        dueDate: { rule: 'futureDate' }
+    },
+    instalmentPlan: {
+        terms: { rule: 'instalmentTerms' }
+    },
+    // Staff inbox for the requests from the public forms (anfragen.html)
+    inboxNote: {
+        note: { required: true }
+    },
+    inboxReply: {
+        subject: { required: true },
+        message: { required: true }
+    },
+    // Data subject requests from the portal; password and code are checked by the service
+    privacyRequest: {
+        type: { required: true, oneOf: ['export', 'deletion'] },
+        note: {}
+    },
+    privacyDecision: {
+        decision: { required: true, oneOf: ['approve', 'reject'] },
+        note: { requiredIf: ['decision', 'reject'] }
+    },
+    // Medical history questionnaire (anamnese.html); details are required once "ja" is chosen
+    anamnesis: {
+        'first-name': { required: true, rule: 'name' },
+        'last-name': { required: true, rule: 'name' },
+        'birth-date': { required: true, rule: 'date' },
+        'phone': { rule: 'phone' },
+        'insurance': { required: true, oneOf: ['gkv', 'pkv', 'selbstzahler'] },
+        'insurance-name': {},
+        'medication': { required: true, oneOf: YES_NO },
+        'medication-list': { requiredIf: ['medication', 'ja'] },
+        'allergies': { required: true, oneOf: YES_NO_UNKNOWN },
+        'allergy-list': { requiredIf: ['allergies', 'ja'] },
+        'anticoagulants': { required: true, oneOf: YES_NO_UNKNOWN },
+        'anticoagulant-name': { requiredIf: ['anticoagulants', 'ja'] },
+        'bleeding-tendency': { required: true, oneOf: YES_NO },
+        'pregnancy': { required: true, oneOf: ['ja', 'nein', 'nicht-zutreffend'] },
+        'pregnancy-week': { rule: 'pregnancyWeek' },
+        'last-visit': { required: true, oneOf: ['unter-1-jahr', '1-2-jahre', 'ueber-2-jahre', 'unbekannt'] },
+        'previous-treatments': {},
+        'anaesthesia-problems': { required: true, oneOf: YES_NO },
+        'anaesthesia-details': { requiredIf: ['anaesthesia-problems', 'ja'] },
+        'notes': {},
+        'confirm': { rule: 'confirm' }
+    }
+};
+
+function isChecked(value) {
+    return value === true || value === 'on' || value === 'true';
+}
+
+function checkRule(rule, value, today) {
+    switch (rule) {
+        case 'email':
+            return EMAIL_REGEX.test(value) ? null : MESSAGES.email;
+        case 'phone':
+            return PHONE_REGEX.test(value) ? null : MESSAGES.phone;
+        case 'date':
+            return isValidDate(value) ? null : MESSAGES.date;
+        case 'futureDate':
+            if (!isValidDate(value)) return MESSAGES.date;
+            return value >= today ? null : MESSAGES.futureDate;
+        case 'pastDate':
+            if (!isValidDate(value)) return MESSAGES.date;
+            return value <= today ? null : MESSAGES.pastDate;
+        case 'name':
+            return value.length >= 2 ? null : MESSAGES.name;
+        case 'message':
+            return value.length >= 10 ? null : MESSAGES.message;
+        case 'amount':
+            return /^\d{1,6}([.,]\d{1,2})?$/.test(value) && Number(value.replace(',', '.')) > 0 ? null : MESSAGES.amount;
+        case 'pregnancyWeek':
+            return /^\d{1,2}$/.test(value) && value >= 1 && value <= 42 ? null : MESSAGES.pregnancyWeek;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Validates form data against one of the schemas above.
+ * Returns the trimmed values or throws an HttpError listing every invalid field.
+ */
+function validateForm(formName, data, { today = new Date().toISOString().slice(0, 10) } = {}) {
+    const schema = SCHEMAS[formName];
+    const values = {};
+    const fields = {};
+
+    Object.entries(schema).forEach(([name, options]) => {
+        const raw = data[name];
+
+        if (CHECKBOX_RULES.includes(options.rule)) {
+            if (!isChecked(raw)) fields[name] = MESSAGES[options.rule];
+            values[name] = isChecked(raw);
+            return;
+        }
+
+        const value = typeof raw === 'string' ? raw.trim() : '';
+        values[name] = value;
+
+        if (!value) {
+            const [otherField, expected] = options.requiredIf || [];
+            if (options.required || (otherField && String(data[otherField] || '').trim() === expected)) {
+                fields[name] = MESSAGES.required;
+            }
+            return;
+        }
+
+        if (options.oneOf && !options.oneOf.includes(value)) {
+            fields[name] = MESSAGES.option;
+            return;
+        }
+
+        const error = options.rule ? checkRule(options.rule, value, today) : null;
+        if (error) fields[name] = error;
+    });
+
+    if (Object.keys(fields).length > 0) {
+        throw new HttpError(400, 'Bitte überprüfen Sie Ihre Eingaben.', { fields });
+    }
+
+    return values;
+}
+
+module.exports = { validateForm, isChecked, SCHEMAS, EMAIL_REGEX, PHONE_REGEX };
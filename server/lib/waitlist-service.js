@@ -0,0 +1,270 @@
+/**
+ * Waitlist Service
+ * Patients wait for a treatment type within a date range. When a booking is
+ * cancelled or moved, the freed slot is offered to matching patients one after
+ * another, each with a claim link that expires after waitlist.offerMinutes.
+ */
+const { HttpError } = require('./errors');
+const { templates } = require('./mail-templates');
+const {
+    getPracticeNow,
+    toMinutes,
+    formatMinutes,
+    toUtcDate,
+    addDays
+} = require('./practice-time');
+
+class WaitlistService {
+    constructor({ store, slotEngine, bookingManager, mailer, signer, practice, publicUrl }) {
+        this.store = store;
+        this.slotEngine = slotEngine;
+        this.bookingManager = bookingManager;
+        this.mailer = mailer;
+        this.signer = signer;
+        this.practice = practice;
+        this.publicUrl = publicUrl;
+    }
+
+    now() {
+        return this.slotEngine.clock();
+    }
+
+    today() {
+        return getPracticeNow(this.practice.timeZone, this.now()).date;
+    }
+
+    // Joining
+
+    async join({ patient, treatmentType, fromDate, toDate }) {
+        const treatment = this.slotEngine.getTreatment(treatmentType);
+        const lastDate = addDays(this.today(), this.practice.maxDaysAhead);
+
+        if (toDate < fromDate) {
+            throw new HttpError(400, 'Bitte überprüfen Sie Ihre Eingaben.', {
+                fields: { 'to-date': 'Das Enddatum muss nach dem Startdatum liegen.' }
+            });
+        }
+        if (toDate > lastDate) {
+            throw new HttpError(400, 'Bitte überprüfen Sie Ihre Eingaben.', {
+                fields: { 'to-date': `Termine können höchstens ${this.practice.maxDaysAhead} Tage im Voraus gebucht werden.` }
+            });
+        }
+
+        // A second sign-up for the same treatment only widens the existing entry
+        const existing = this.store.findOne('waitlist', entry =>
+            entry.patient.email === patient.email &&
+            entry.treatmentType === treatment.key &&
+            ['waiting', 'offered'].includes(entry.status)
+        );
+
+        const entry = existing
+            ? this.store.update('waitlist', existing.id, { patient, fromDate, toDate })
+            : this.store.insert('waitlist', {
+                patient,
+                treatmentType: treatment.key,
+                fromDate,
+                toDate,
+                status: 'waiting'
+            });
+
+        await this.mailer.trySend({
+            to: patient.email,
+            ...templates.waitlistConfirmation({
+                entry,
+                treatment,
+                leaveUrl: `${this.publicUrl}/api/waitlist/leave?token=${this.signer.sign('waitlist', { entryId: entry.id })}`,
+                practice: this.practice
+            })
+        });
+
+        return entry;
+    }
+
+    leave(token) {
+        const data = this.signer.verify('waitlist', token);
+        const entry = data && this.store.findById('waitlist', data.entryId);
+        if (!entry) return null;
+
+        return this.store.update('waitlist', entry.id, { status: 'removed' });
+    }
+
+    // Offering freed slots
+
+    // Waiting patients whose date range contains the slot and whose treatment fits into it, oldest first
+    findCandidates(slot, excludedEntryIds = []) {
+        return this.store.find('waitlist', entry =>
+            entry.status === 'waiting' &&
+            !excludedEntryIds.includes(entry.id) &&
+            entry.fromDate <= slot.date &&
+            entry.toDate >= slot.date &&
+            this.slotEngine.isSlotAvailable(slot.date, slot.start, entry.treatmentType)
+        ).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    async offerSlot(slot) {
+        if (this.findCandidates(slot).length === 0) return null;
+
+        const offer = this.store.insert('slot-offers', {
+            date: slot.date,
+            start: slot.start,
+            sourceBookingId: slot.bookingId || null,
+            status: 'open',
+            currentEntryId: null,
+            expiresAt: null,
+            attempts: []
+        });
+
+        return this.offerToNext(offer);
+    }
+
+    async offerToNext(offer) {
+        const attempted = offer.attempts.map(attempt => attempt.entryId);
+        const [entry] = this.findCandidates(offer, attempted);
+
+        if (!entry) {
+            return this.store.update('slot-offers', offer.id, { status: 'exhausted', currentEntryId: null, expiresAt: null });
+        }
+
+        // The claim must end while the slot can still be booked (minimum lead time)
+        const now = this.now().getTime();
+        const latest = toUtcDate(offer.date, offer.start, this.practice.timeZone).getTime() - this.practice.minLeadMinutes * 60000;
+        const expiresAt = new Date(Math.min(now + this.practice.waitlist.offerMinutes * 60000, latest));
+
+        if (expiresAt.getTime() <= now) {
+            return this.store.update('slot-offers', offer.id, { status: 'expired', currentEntryId: null, expiresAt: null });
+        }
+
+        const treatment = this.slotEngine.getTreatment(entry.treatmentType);
+        const token = this.signer.sign('slot-offer', { offerId: offer.id, entryId: entry.id }, { expiresAt });
+
+        this.store.update('waitlist', entry.id, { status: 'offered' });
+        const updated = this.store.update('slot-offers', offer.id, {
+            currentEntryId: entry.id,
+            expiresAt: expiresAt.toISOString(),
+            attempts: [...offer.attempts, { entryId: entry.id, offeredAt: this.now().toISOString(), outcome: null }]
+        });
+
+        await this.mailer.trySend({
+            to: entry.patient.email,
+            ...templates.slotOffer({
+                entry,
+                offer: { ...updated, end: this.getEnd(offer.start, treatment) },
+                treatment,
+                claimUrl: `${this.publicUrl}/termin-angebot.html?token=${token}`,
+                expiresAt: this.formatPracticeTime(expiresAt),
+                practice: this.practice
+            })
+        });
+
+        return updated;
+    }
+
+    getEnd(start, treatment) {
+        return formatMinutes(toMinutes(start) + treatment.duration);
+    }
+
+    formatPracticeTime(date) {
+        const local = getPracticeNow(this.practice.timeZone, date);
+        return { date: local.date, time: formatMinutes(local.minutes) };
+    }
+
+    // Claiming
+
+    findOffer(token) {
+        const data = this.signer.verify('slot-offer', token);
+        const offer = data && this.store.findById('slot-offers', data.offerId);
+        const entry = data && this.store.findById('waitlist', data.entryId);
+
+        if (!offer || !entry || offer.currentEntryId !== entry.id || offer.status !== 'open' || entry.status !== 'offered') {
+            throw new HttpError(410, 'Dieses Angebot ist leider abgelaufen oder wurde bereits vergeben.');
+        }
+
+        return { offer, entry };
+    }
+
+    toPublicOffer({ offer, entry }) {
+        const treatment = this.slotEngine.getTreatment(entry.treatmentType);
+        return {
+            date: offer.date,
+            start: offer.start,
+            end: this.getEnd(offer.start, treatment),
+            treatment: treatment.label,
+            patient: { firstName: entry.patient.firstName, lastName: entry.patient.lastName },
+            expiresAt: offer.expiresAt
+        };
+    }
+
+    // Puts a patient whose offer ended back on the list, unless they left it in the meantime
+    releaseEntry(entryId) {
+        const entry = this.store.findById('waitlist', entryId);
+        if (entry && entry.status === 'offered') {
+            this.store.update('waitlist', entry.id, { status: 'waiting' });
+        }
+    }
+
+    finishAttempt(offer, outcome, changes = {}) {
+        return this.store.update('slot-offers', offer.id, {
+            ...changes,
+            attempts: offer.attempts.map(attempt =>
+                attempt.entryId === offer.currentEntryId && !attempt.outcome ? { ...attempt, outcome } : attempt
+            )
+        });
+    }
+
+    async claim(token, { ip = null } = {}) {
+        const { offer, entry } = this.findOffer(token);
+
+        let booking;
+        try {
+            booking = this.slotEngine.createBooking({
+                date: offer.date,
+                start: offer.start,
+                treatmentType: entry.treatmentType,
+                patient: entry.patient,
+                message: '',
+                newsletter: false,
+                source: 'waitlist'
+            });
+        } catch (error) {
+            // Booked by someone else in the meantime – the patient stays on the list
+            this.finishAttempt(offer, 'taken', { status: 'taken', currentEntryId: null });
+            this.releaseEntry(entry.id);
+            throw error;
+        }
+
+        this.bookingManager.recordEvent(booking, 'created', { ip });
+        this.finishAttempt(offer, 'claimed', { status: 'claimed', bookingId: booking.id });
+        this.store.update('waitlist', entry.id, { status: 'booked', bookingId: booking.id });
+
+        return this.bookingManager.sendConfirmation(booking);
+    }
+
+    async decline(token) {
+        const { offer, entry } = this.findOffer(token);
+
+        this.releaseEntry(entry.id);
+        return this.offerToNext(this.finishAttempt(offer, 'declined'));
+    }
+
+    /**
+     * Called periodically: passes expired offers on to the next patient and
+     * closes waitlist entries whose date range is over.
+     */
+    async tick() {
+        const now = this.now().getTime();
+        const today = this.today();
+
+        const expiredOffers = this.store.find('slot-offers', offer =>
+            offer.status === 'open' && new Date(offer.expiresAt).getTime() <= now
+        );
+        for (const offer of expiredOffers) {
+            this.releaseEntry(offer.currentEntryId);
+            await this.offerToNext(this.finishAttempt(offer, 'expired'));
+        }
+
+        this.store.find('waitlist', entry => ['waiting', 'offered'].includes(entry.status) && entry.toDate < today)
+            .forEach(entry => this.store.update('waitlist', entry.id, { status: 'expired' }));
+    }
+}
+
+module.exports = WaitlistService;
@@ -0,0 +1,70 @@
+/**
+ * Anamnesis Routes
+ * The questionnaire on anamnese.html, reached through the signed link of a
+ * booking or from the patient portal, and the signed questionnaires for the
+ * practice team
+ */
+// Room for the strokes of the signature
+const SUBMIT_BODY_LIMIT = 512 * 1024;
+
+function registerAnamnesisRoutes(router, app) {
+    const { auth, anamnesis, bookingManager } = app;
+
+    const withBooking = ctx => {
+        const booking = anamnesis.findBookingByToken(ctx.params.token);
+        return { booking, owner: anamnesis.ownerForBooking(booking) };
+    };
+
+    router.get('/api/anamnesis/:token', ctx => {
+        const { booking, owner } = withBooking(ctx);
+        return {
+            questionnaire: anamnesis.getQuestionnaire(owner),
+            booking: bookingManager.toPublicBooking(booking)
+        };
+    });
+
+    router.put('/api/anamnesis/:token/draft', ctx => {
+        const { owner } = withBooking(ctx);
+        const draft = anamnesis.saveDraft(owner, ctx.body.answers);
+        return { savedAt: draft.updatedAt };
+    });
+
+    router.post('/api/anamnesis/:token/submit', async ctx => {
+        const { owner } = withBooking(ctx);
+        const record = await anamnesis.submit(owner, ctx.body, { ip: ctx.ip });
+        return { submittedAt: record.submittedAt };
+    }, { bodyLimit: SUBMIT_BODY_LIMIT });
+
+    router.get('/api/portal/anamnesis', ctx => {
+        const user = auth.requireUser(ctx);
+        return { questionnaire: anamnesis.getQuestionnaire(anamnesis.ownerForUser(user)) };
+    });
+
+    router.put('/api/portal/anamnesis/draft', ctx => {
+        const user = auth.requireUser(ctx);
+        const draft = anamnesis.saveDraft(anamnesis.ownerForUser(user), ctx.body.answers);
+        return { savedAt: draft.updatedAt };
+    });
+
+    router.post('/api/portal/anamnesis/submit', async ctx => {
+        const user = auth.requireUser(ctx);
+        const record = await anamnesis.submit(anamnesis.ownerForUser(user), ctx.body, { ip: ctx.ip });
+        return { submittedAt: record.submittedAt, documentId: record.documentId };
+    }, { bodyLimit: SUBMIT_BODY_LIMIT });
+
+    // The PDF itself is downloaded through /api/staff/documents/:documentId/file, which logs the access
+    router.get('/api/staff/anamneses', ctx => {
+        auth.requireStaff(ctx);
+        return {
+            anamneses: anamnesis.listSubmitted({ email: ctx.query.email || null })
+                .map(record => anamnesis.toStaffSummary(record))
+        };
+    });
+
+    router.get('/api/staff/anamneses/:id', ctx => {
+        auth.requireStaff(ctx);
+        return { anamnesis: anamnesis.toStaffRecord(anamnesis.findSubmitted(ctx.params.id)) };
+    });
+}
+
+module.exports = registerAnamnesisRoutes;
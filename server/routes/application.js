@@ -0,0 +1,72 @@
+/**
+ * Application Routes
+ * Receives job applications from karriere.html including the CV as PDF
+ */
+const fs = require('fs');
+const path = require('path');
+const { HttpError } = require('../lib/errors');
+const { validateForm } = require('../lib/validation');
+const { templates } = require('../lib/mail-templates');
+const { POSITION_LABELS } = require('../lib/request-inbox');
+
+const MAX_CV_SIZE = 5 * 1024 * 1024;
+
+// The CV arrives base64 encoded inside the JSON body
+function decodeCv(cv) {
+    if (!cv || typeof cv.data !== 'string' || typeof cv.name !== 'string') {
+        throw new HttpError(400, 'Bitte überprüfen Sie Ihre Eingaben.', { fields: { cv: 'Bitte laden Sie Ihren Lebenslauf hoch.' } });
+    }
+
+    const content = Buffer.from(cv.data, 'base64');
+    const isPdf = content.subarray(0, 5).toString('latin1') === '%PDF-';
+
+    if (!isPdf || !/\.pdf$/i.test(cv.name)) {
+        throw new HttpError(400, 'Bitte überprüfen Sie Ihre Eingaben.', { fields: { cv: 'Bitte laden Sie Ihren Lebenslauf als PDF hoch.' } });
+    }
+    if (content.length > MAX_CV_SIZE) {
+        throw new HttpError(400, 'Bitte überprüfen Sie Ihre Eingaben.', { fields: { cv: 'Der Lebenslauf darf höchstens 5 MB groß sein.' } });
+    }
+
+    return { content, filename: path.basename(cv.name).replace(/[^\w.\-äöüÄÖÜß ]/g, '_') };
+}
+
+function registerApplicationRoutes(router, app) {
+    const { store, mailer, formGuard, config } = app;
+
+    router.post('/api/applications', async ctx => {
+        formGuard.check(ctx, 'application');
+        const data = validateForm('application', ctx.body);
+        const cv = decodeCv(ctx.body.cv);
+        const positionLabel = POSITION_LABELS[data.position];
+
+        let application = store.insert('applications', {
+            firstName: data.firstName,
+            lastName: data.lastName,
+            email: data.email.toLowerCase(),
+            phone: data.phone,
+            position: data.position,
+            message: data.message,
+            cv: { filename: cv.filename, size: cv.content.length },
+            status: 'new'
+        });
+
+        fs.mkdirSync(app.uploadsDir, { recursive: true });
+        fs.writeFileSync(path.join(app.uploadsDir, `${application.id}.pdf`), cv.content);
+
+        const notificationSent = await mailer.trySend({
+            to: mailer.practiceAddress,
+            ...templates.applicationNotification({ application, positionLabel }),
+            attachments: [{ filename: cv.filename, contentType: 'application/pdf', content: cv.content }]
+        });
+        const confirmationSent = await mailer.trySend({
+            to: application.email,
+            ...templates.applicationConfirmation({ application, positionLabel, practice: config.practice })
+        });
+        application = store.update('applications', application.id, { notificationSent, confirmationSent });
+
+        ctx.status = 201;
+        return { id: application.id, confirmationSent };
+    }, { bodyLimit: 8 * 1024 * 1024 });
+}
+
+module.exports = registerApplicationRoutes;
@@ -0,0 +1,65 @@
+/**
+ * Bonus Booklet Routes
+ * The Bonusheft in the portal with its printable confirmation; the practice
+ * team adds check-ups that were not booked online
+ */
+const { HttpError } = require('../lib/errors');
+const { sendDocument } = require('../lib/router');
+
+function registerBonusBookletRoutes(router, app) {
+    const { auth, bonusBooklet } = app;
+
+    const findPatient = email => {
+        const patient = auth.findUserByEmail(email);
+        if (!patient) {
+            throw new HttpError(404, 'Für diese E-Mail-Adresse gibt es kein Patientenkonto.');
+        }
+        return patient;
+    };
+
+    // Sent as a download, nothing is stored
+    const sendConfirmation = (ctx, patient) => {
+        sendDocument(ctx.res, {
+            fileName: bonusBooklet.getPdfFileName(patient),
+            contentType: 'application/pdf'
+        }, bonusBooklet.renderPdf(patient), false);
+    };
+
+    router.get('/api/portal/bonus-booklet', ctx => {
+        const user = auth.requireUser(ctx);
+        return { booklet: bonusBooklet.getBooklet(user) };
+    });
+
+    router.get('/api/portal/bonus-booklet/confirmation', ctx => {
+        sendConfirmation(ctx, auth.requireUser(ctx));
+    });
+
+    router.get('/api/staff/bonus-booklet', ctx => {
+        auth.requireStaff(ctx);
+        const patient = findPatient(ctx.query.email);
+        return {
+            patient: { name: `${patient.firstName} ${patient.lastName}`, email: patient.email },
+            booklet: bonusBooklet.getBooklet(patient)
+        };
+    });
+
+    router.get('/api/staff/bonus-booklet/confirmation', ctx => {
+        auth.requireStaff(ctx);
+        sendConfirmation(ctx, findPatient(ctx.query.email));
+    });
+
+    router.post('/api/staff/bonus-booklet/entries', ctx => {
+        const staff = auth.requireStaff(ctx);
+        const entry = bonusBooklet.addEntry(ctx.body, { createdBy: staff });
+
+        ctx.status = 201;
+        return { entry };
+    });
+
+    router.delete('/api/staff/bonus-booklet/entries/:id', ctx => {
+        auth.requireStaff(ctx);
+        bonusBooklet.removeEntry(ctx.params.id);
+    });
+}
+
+module.exports = registerBonusBookletRoutes;
@@ -0,0 +1,185 @@
+/**
+ * Booking Routes
+ * Public endpoints used by the booking form on termin.html
+ */
+const { HttpError } = require('../lib/errors');
+const { validateForm } = require('../lib/validation');
+const { getPracticeNow } = require('../lib/practice-time');
+
+/**
+ * Validates the main form together with the further patients of a family
+ * booking, so every invalid field is reported at once. Errors of further
+ * patients use the field names of the form (patient-2-first-name, …).
+ */
+function validateFamilyBooking(body, { today, maxPatients }) {
+    const fields = {};
+    const collect = (validate, prefix = '') => {
+        try {
+            return validate();
+        } catch (error) {
+            if (!error.details?.fields) throw error;
+            Object.entries(error.details.fields).forEach(([name, message]) => {
+                fields[`${prefix}${name}`] = message;
+            });
+            return null;
+        }
+    };
+
+    if (body.patients.length + 1 > maxPatients) {
+        throw new HttpError(400, `Bitte buchen Sie höchstens ${maxPatients} Personen auf einmal.`);
+    }
+
+    const data = collect(() => validateForm('booking', body, { today }));
+    const members = body.patients.map((member, index) =>
+        collect(() => validateForm('familyMember', member || {}, { today }), `patient-${index + 2}-`)
+    );
+
+    if (Object.keys(fields).length > 0) {
+        throw new HttpError(400, 'Bitte überprüfen Sie Ihre Eingaben.', { fields });
+    }
+
+    return { data, members };
+}
+
+function registerBookingRoutes(router, app) {
+    const { slotEngine, bookingManager, newsletter, formGuard, priceList, config } = app;
+    const { practice } = config;
+
+    // The treatment basket of the cost calculator on preise.html, if the patient brought one along
+    const readCostEstimate = body => (body.costEstimate ? priceList.readBasket(body.costEstimate) : null);
+
+    // Free slots for one treatment type on one day
+    router.get('/api/slots', ctx => {
+        const { date, treatment } = ctx.query;
+        const slots = slotEngine.getAvailableSlots(date, treatment);
+
+        return {
+            date,
+            treatment: slotEngine.getTreatment(treatment),
+            slots,
+            nextAvailableDate: slots.length > 0 ? date : slotEngine.findNextAvailableDate(date, treatment)
+        };
+    });
+
+    // Back-to-back slots for a family booking, treatments in the order of the patients
+    router.get('/api/slots/group', ctx => {
+        const { date } = ctx.query;
+        // Each further patient makes the search longer, so the list has the same limit as the booking
+        const treatments = String(ctx.query.treatments || '').split(',', practice.maxPatientsPerBooking + 1);
+        if (treatments.length > practice.maxPatientsPerBooking) {
+            throw new HttpError(400, `Bitte buchen Sie höchstens ${practice.maxPatientsPerBooking} Personen auf einmal.`);
+        }
+        const slots = slotEngine.getGroupSlots(date, treatments);
+
+        return {
+            date,
+            slots,
+            nextAvailableDate: slots.length > 0 ? date : slotEngine.findNextGroupDate(date, treatments)
+        };
+    });
+
+    router.post('/api/bookings', async ctx => {
+        formGuard.check(ctx, 'booking');
+        const today = getPracticeNow(practice.timeZone, slotEngine.clock()).date;
+
+        if (Array.isArray(ctx.body.patients) && ctx.body.patients.length > 0) {
+            ctx.status = 201;
+            return createFamilyBooking(ctx, today);
+        }
+
+        const data = validateForm('booking', ctx.body, { today });
+        const treatment = slotEngine.getTreatment(data['treatment-type']);
+        const costEstimate = readCostEstimate(ctx.body);
+
+        let booking = slotEngine.createBooking({
+            date: data['preferred-date'],
+            start: data.slot,
+            treatmentType: treatment.key,
+            patient: {
+                firstName: data['first-name'],
+                lastName: data['last-name'],
+                email: data.email.toLowerCase(),
+                phone: data.phone,
+                birthDate: data['birth-date'] || null
+            },
+            message: data.message,
+            costEstimate,
+            newsletter: ctx.body.newsletter === 'on' || ctx.body.newsletter === true
+        });
+        bookingManager.recordEvent(booking, 'created', { ip: ctx.ip });
+        booking = await bookingManager.sendConfirmation(booking);
+        const { confirmationSent } = booking;
+
+        if (booking.newsletter) {
+            await newsletter.subscribe(booking.patient.email, 'booking').catch(() => {});
+        }
+
+        ctx.status = 201;
+        return {
+            booking: {
+                id: booking.id,
+                date: booking.date,
+                start: booking.start,
+                end: booking.end,
+                treatment: treatment.label
+            },
+            calendarUrl: bookingManager.getCalendarUrl(booking),
+            anamnesisUrl: bookingManager.getAnamnesisUrl(booking),
+            confirmationSent
+        };
+    });
+
+    async function createFamilyBooking(ctx, today) {
+        const { data, members } = validateFamilyBooking(ctx.body, { today, maxPatients: practice.maxPatientsPerBooking });
+        const costEstimate = readCostEstimate(ctx.body);
+        const contact = {
+            email: data.email.toLowerCase(),
+            phone: data.phone
+        };
+        const bookedBy = { firstName: data['first-name'], lastName: data['last-name'] };
+
+        const appointments = [
+            { treatmentType: data['treatment-type'], birthDate: data['birth-date'] || null, ...bookedBy },
+            ...members.map(member => ({
+                treatmentType: member['treatment-type'],
+                birthDate: member['birth-date'],
+                firstName: member['first-name'],
+                lastName: member['last-name']
+            }))
+        ].map(({ treatmentType, firstName, lastName, birthDate }) => ({
+            treatmentType: slotEngine.getTreatment(treatmentType).key,
+            patient: { firstName, lastName, ...contact, birthDate }
+        }));
+
+        let bookings = slotEngine.createGroupBooking({
+            date: data['preferred-date'],
+            start: data.slot,
+            appointments,
+            bookedBy,
+            message: data.message,
+            costEstimate,
+            newsletter: ctx.body.newsletter === 'on' || ctx.body.newsletter === true
+        });
+        bookings.forEach(booking => bookingManager.recordEvent(booking, 'created', { ip: ctx.ip }));
+        bookings = await bookingManager.sendGroupConfirmation(bookings);
+
+        if (bookings[0].newsletter) {
+            await newsletter.subscribe(contact.email, 'booking').catch(() => {});
+        }
+
+        return {
+            bookings: bookings.map(booking => ({
+                id: booking.id,
+                date: booking.date,
+                start: booking.start,
+                end: booking.end,
+                treatment: slotEngine.getTreatment(booking.treatmentType).label,
+                patient: { firstName: booking.patient.firstName, lastName: booking.patient.lastName },
+                anamnesisUrl: bookingManager.getAnamnesisUrl(booking)
+            })),
+            confirmationSent: bookings[0].confirmationSent
+        };
+    }
+}
+
+module.exports = registerBookingRoutes;
@@ -0,0 +1,54 @@
+/**
+ * Calendar Routes
+ * .ics download of a single booking (behind the signed manage link) and the
+ * personal subscription feed of portal users
+ */
+const { buildCalendar } = require('../lib/icalendar');
+const { getPracticeNow } = require('../lib/practice-time');
+
+function sendCalendar(res, calendar, filename = null) {
+    const headers = {
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Cache-Control': 'no-store'
+    };
+    if (filename) {
+        headers['Content-Disposition'] = `attachment; filename="${filename}"`;
+    }
+
+    res.writeHead(200, headers);
+    res.end(calendar);
+}
+
+function registerCalendarRoutes(router, app) {
+    const { bookingManager, slotEngine, config } = app;
+    const { practice } = config;
+
+    router.get('/api/manage/:token/calendar.ics', ctx => {
+        const booking = bookingManager.findByToken(ctx.params.token);
+        const calendar = buildCalendar({
+            events: [bookingManager.toCalendarEvent(booking)],
+            stamp: slotEngine.clock()
+        });
+
+        sendCalendar(ctx.res, calendar, `termin-${booking.date}.ics`);
+    });
+
+    // Subscribed via webcal://, calendar apps poll this URL themselves
+    router.get('/api/calendar/:token.ics', ctx => {
+        const user = bookingManager.findUserByFeedToken(ctx.params.token);
+        const today = getPracticeNow(practice.timeZone, slotEngine.clock()).date;
+
+        const events = bookingManager.findByPatientEmail(user.email)
+            .filter(booking => booking.status === 'confirmed' && booking.date >= today)
+            .map(booking => bookingManager.toCalendarEvent(booking));
+
+        sendCalendar(ctx.res, buildCalendar({
+            events,
+            name: `Termine – ${practice.name}`,
+            refreshHours: 6,
+            stamp: slotEngine.clock()
+        }));
+    });
+}
+
+module.exports = registerCalendarRoutes;
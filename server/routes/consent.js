@@ -0,0 +1,37 @@
+/**
+ * Consent Routes
+ * Banner texts for the consent manager on every page and the record of each
+ * decision; the practice team can look up a visitor's history by its id
+ */
+function registerConsentRoutes(router, app) {
+    const { auth, consent } = app;
+
+    router.get('/api/consent/policy', () => ({
+        policy: consent.toPublicPolicy(consent.getCurrentPolicy())
+    }));
+
+    // Earlier versions stay available, a record always points to the text it was given for
+    router.get('/api/consent/policy/:version', ctx => ({
+        policy: consent.toPublicPolicy(consent.getPolicy(ctx.params.version))
+    }));
+
+    router.post('/api/consent', ctx => {
+        const record = consent.record(ctx.body, { ip: ctx.ip, userAgent: ctx.req.headers['user-agent'] });
+
+        ctx.status = 201;
+        return { consent: consent.toPublicConsent(record) };
+    });
+
+    router.get('/api/consent/:consentId', ctx => ({
+        history: consent.getHistory(ctx.params.consentId).map(record => consent.toPublicConsent(record))
+    }));
+
+    router.get('/api/staff/consents/:consentId', ctx => {
+        auth.requireStaff(ctx);
+        return {
+            history: consent.getHistory(ctx.params.consentId).map(record => consent.toStaffConsent(record))
+        };
+    });
+}
+
+module.exports = registerConsentRoutes;
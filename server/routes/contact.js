@@ -0,0 +1,47 @@
+/**
+ * Contact Routes
+ * Receives the contact form on kontakt.html
+ */
+const { validateForm } = require('../lib/validation');
+const { templates } = require('../lib/mail-templates');
+const { SUBJECT_LABELS } = require('../lib/request-inbox');
+
+function registerContactRoutes(router, app) {
+    const { store, mailer, newsletter, formGuard, config } = app;
+
+    router.post('/api/contact', async ctx => {
+        formGuard.check(ctx, 'contact');
+        const data = validateForm('contact', ctx.body);
+        const subjectLabel = SUBJECT_LABELS[data.subject];
+
+        let contact = store.insert('contact-messages', {
+            firstName: data.firstName,
+            lastName: data.lastName,
+            email: data.email.toLowerCase(),
+            phone: data.phone,
+            subject: data.subject,
+            message: data.message,
+            newsletter: ctx.body.newsletter === 'on' || ctx.body.newsletter === true,
+            status: 'new'
+        });
+
+        const notificationSent = await mailer.trySend({
+            to: mailer.practiceAddress,
+            ...templates.contactNotification({ contact, subjectLabel })
+        });
+        const confirmationSent = await mailer.trySend({
+            to: contact.email,
+            ...templates.contactConfirmation({ contact, practice: config.practice })
+        });
+        contact = store.update('contact-messages', contact.id, { notificationSent, confirmationSent });
+
+        if (contact.newsletter) {
+            await newsletter.subscribe(contact.email, 'contact').catch(() => {});
+        }
+
+        ctx.status = 201;
+        return { id: contact.id, confirmationSent };
+    });
+}
+
+module.exports = registerContactRoutes;
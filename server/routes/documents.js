@@ -0,0 +1,83 @@
+/**
+ * Document Routes
+ * Patients list, preview and download their documents in the portal; the
+ * practice team uploads them and sees who opened them
+ */
+const { sendDocument } = require('../lib/router');
+
+const MAX_UPLOAD_BODY = 15 * 1024 * 1024;
+
+function registerDocumentRoutes(router, app) {
+    const { auth, documentVault, store } = app;
+
+    router.get('/api/portal/documents', ctx => {
+        const user = auth.requireUser(ctx);
+        return {
+            documents: documentVault.listForPatient(user.id).map(document => documentVault.toPublicDocument(document))
+        };
+    });
+
+    // ?disposition=inline shows the file in the preview instead of saving it
+    router.get('/api/portal/documents/:id/file', ctx => {
+        const user = auth.requireUser(ctx);
+        const document = documentVault.findForPatient(user.id, ctx.params.id);
+        const inline = ctx.query.disposition === 'inline';
+        const content = documentVault.open(document, { user, action: inline ? 'preview' : 'download', ip: ctx.ip });
+
+        sendDocument(ctx.res, document, content, inline);
+    });
+
+    router.post('/api/staff/documents', async ctx => {
+        const staff = auth.requireStaff(ctx);
+        const document = await documentVault.upload(ctx.body, { uploadedBy: staff });
+
+        ctx.status = 201;
+        return { document: documentVault.toPublicDocument(document) };
+    }, { bodyLimit: MAX_UPLOAD_BODY });
+
+    router.get('/api/staff/documents', ctx => {
+        auth.requireStaff(ctx);
+        const patient = auth.findUserByEmail(ctx.query.email);
+        if (!patient) return { documents: [] };
+
+        return {
+            documents: documentVault.listForPatient(patient.id).map(document => ({
+                ...documentVault.toPublicDocument(document),
+                accessCount: documentVault.getAccessLog(document.id).length
+            }))
+        };
+    });
+
+    router.get('/api/staff/documents/:id/access-log', ctx => {
+        auth.requireStaff(ctx);
+        const document = documentVault.findById(ctx.params.id);
+        const users = new Map();
+        const nameOf = userId => {
+            if (!users.has(userId)) {
+                const user = store.findById('users', userId);
+                users.set(userId, user ? `${user.firstName} ${user.lastName}` : null);
+            }
+            return users.get(userId);
+        };
+
+        return {
+            entries: documentVault.getAccessLog(document.id).map(entry => ({
+                at: entry.createdAt,
+                action: entry.action,
+                user: nameOf(entry.userId),
+                role: entry.role,
+                ip: entry.ip
+            }))
+        };
+    });
+
+    router.get('/api/staff/documents/:id/file', ctx => {
+        const staff = auth.requireStaff(ctx);
+        const document = documentVault.findById(ctx.params.id);
+        const content = documentVault.open(document, { user: staff, action: 'download', ip: ctx.ip });
+
+        sendDocument(ctx.res, document, content, false);
+    });
+}
+
+module.exports = registerDocumentRoutes;
@@ -0,0 +1,28 @@
+/**
+ * Estimate Routes
+ * Reference numbers for printed cost estimates from preise.html; looking
+ * them up is for staff accounts only
+ */
+function registerEstimateRoutes(router, app) {
+    const { auth, estimates, formGuard } = app;
+
+    router.post('/api/estimates', ctx => {
+        formGuard.check(ctx, 'estimate');
+
+        const estimate = estimates.create(ctx.body || {});
+        ctx.status = 201;
+        return {
+            estimate: {
+                reference: estimate.reference,
+                createdAt: estimate.createdAt
+            }
+        };
+    });
+
+    router.get('/api/staff/estimates/:reference', ctx => {
+        auth.requireStaff(ctx);
+        return { estimate: estimates.find(ctx.params.reference) };
+    });
+}
+
+module.exports = registerEstimateRoutes;
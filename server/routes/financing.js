@@ -0,0 +1,11 @@
+/**
+ * Financing Routes
+ * The financing products for the cost calculator on preise.html
+ */
+function registerFinancingRoutes(router, app) {
+    const { financing } = app;
+
+    router.get('/api/financing', () => financing.getOffer());
+}
+
+module.exports = registerFinancingRoutes;
@@ -0,0 +1,13 @@
+/**
+ * Form Routes
+ * Hands out the proof-of-work challenges the public forms send along
+ */
+function registerFormRoutes(router, app) {
+    const { formGuard } = app;
+
+    router.get('/api/forms/:form/challenge', ctx => {
+        return formGuard.createChallenge(ctx.params.form);
+    });
+}
+
+module.exports = registerFormRoutes;
@@ -0,0 +1,67 @@
+/**
+ * Inbox Routes
+ * The front desk's view of bookings, contact messages, applications and
+ * newsletter sign-ups on anfragen.html; staff accounts only
+ */
+const { sendDocument } = require('../lib/router');
+
+function registerInboxRoutes(router, app) {
+    const { auth, inbox } = app;
+
+    // ?type=booking|contact|application|newsletter, ?status=new|in-progress|done, ?assignedTo=me|none|<user id>, ?q=
+    router.get('/api/staff/inbox', ctx => {
+        const staff = auth.requireStaff(ctx);
+        const assignedTo = ctx.query.assignedTo === 'me' ? staff.id : ctx.query.assignedTo || null;
+        return {
+            items: inbox.list({
+                type: ctx.query.type || null,
+                status: ctx.query.status || null,
+                assignedTo,
+                query: ctx.query.q || ''
+            }),
+            newCounts: inbox.countNew()
+        };
+    });
+
+    router.get('/api/staff/inbox/:type/:id', ctx => {
+        auth.requireStaff(ctx);
+        const record = inbox.findRecord(ctx.params.type, ctx.params.id);
+        return {
+            item: inbox.toDetailedItem(ctx.params.type, record),
+            replyTemplates: inbox.getReplyTemplates(ctx.params.type, record)
+        };
+    });
+
+    router.patch('/api/staff/inbox/:type/:id', ctx => {
+        const staff = auth.requireStaff(ctx);
+        const { type, id } = ctx.params;
+        const record = inbox.update(type, inbox.findRecord(type, id), staff, ctx.body);
+        return { item: inbox.toDetailedItem(type, record) };
+    });
+
+    router.post('/api/staff/inbox/:type/:id/notes', ctx => {
+        const staff = auth.requireStaff(ctx);
+        const { type, id } = ctx.params;
+        const record = inbox.addNote(type, inbox.findRecord(type, id), staff, ctx.body);
+
+        ctx.status = 201;
+        return { item: inbox.toDetailedItem(type, record) };
+    });
+
+    router.post('/api/staff/inbox/:type/:id/replies', async ctx => {
+        const staff = auth.requireStaff(ctx);
+        const { type, id } = ctx.params;
+        const record = await inbox.reply(type, inbox.findRecord(type, id), staff, ctx.body);
+
+        ctx.status = 201;
+        return { item: inbox.toDetailedItem(type, record) };
+    });
+
+    router.get('/api/staff/inbox/application/:id/cv', ctx => {
+        auth.requireStaff(ctx);
+        const { document, content } = inbox.getCvFile(inbox.findRecord('application', ctx.params.id));
+        sendDocument(ctx.res, document, content, false);
+    });
+}
+
+module.exports = registerInboxRoutes;
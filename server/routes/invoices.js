@@ -0,0 +1,149 @@
+/**
+ * Invoice Routes
+ * Open invoices and their payment in the portal, the provider's webhook and,
+ * with the mock provider, a local checkout page. The practice team puts the
+ * invoices in and records transfers.
+ */
+const { HttpError } = require('../lib/errors');
+const MockPaymentProvider = require('../lib/providers/mock-payment-provider');
+
+// The invoice PDF from the practice software may be attached
+const INVOICE_BODY_LIMIT = 15 * 1024 * 1024;
+
+function redirect(res, location) {
+    res.writeHead(303, { Location: location });
+    res.end();
+}
+
+const escapeHtml = value => String(value).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[char]);
+
+function renderMockCheckout(payment) {
+    const amount = payment.amount.toLocaleString('de-DE', { style: 'currency', currency: payment.currency });
+    const action = result => `/api/payments/mock/${encodeURIComponent(payment.id)}/complete?result=${result}`;
+
+    return `<!DOCTYPE html>
+<html lang="de">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>Testzahlung</title>
+</head>
+<body>
+    <h1>Testzahlung</h1>
+    <p>Dies ist der lokale Test-Zahlungsanbieter. Es wird kein Geld bewegt.</p>
+    <p>${escapeHtml(payment.description)}<br><strong>${escapeHtml(amount)}</strong></p>
+    ${payment.status === 'open' ? `
+    <p><a href="${action('paid')}">Zahlung erfolgreich abschließen</a></p>
+    <p><a href="${action('failed')}">Zahlung fehlschlagen lassen</a></p>
+    <p><a href="${action('cancelled')}">Abbrechen</a></p>` : `
+    <p>Diese Zahlung ist bereits abgeschlossen (${escapeHtml(payment.status)}).</p>
+    <p><a href="${escapeHtml(payment.returnUrl)}">Zurück zur Praxis</a></p>`}
+</body>
+</html>`;
+}
+
+function registerInvoiceRoutes(router, app) {
+    const { auth, invoices, paymentProvider } = app;
+
+    router.get('/api/portal/invoices', ctx => {
+        const user = auth.requireUser(ctx);
+        return {
+            invoices: invoices.listForPatient(user.id).map(invoice => invoices.toPublicInvoice(invoice))
+        };
+    });
+
+    // Starts a checkout for the open amount or the next instalment
+    router.post('/api/portal/invoices/:id/payments', async ctx => {
+        const user = auth.requireUser(ctx);
+        const invoice = invoices.findForPatient(user.id, ctx.params.id);
+        const { payment, checkoutUrl } = await invoices.startPayment(invoice, user);
+
+        ctx.status = 201;
+        return { payment: { id: payment.id, amount: payment.amount, status: payment.status }, checkoutUrl };
+    });
+
+    router.post('/api/portal/invoices/:id/instalment-plan', ctx => {
+        const user = auth.requireUser(ctx);
+        const invoice = invoices.startInstalmentPlan(invoices.findForPatient(user.id, ctx.params.id), ctx.body);
+        return { invoice: invoices.toPublicInvoice(invoice) };
+    });
+
+    // Called by portal.html after the patient comes back from the checkout
+    router.get('/api/portal/payments/:id', async ctx => {
+        const user = auth.requireUser(ctx);
+        const payment = await invoices.refreshPayment(invoices.findPaymentForPatient(user.id, ctx.params.id));
+        return {
+            payment: { id: payment.id, amount: payment.amount, instalment: payment.instalment, status: payment.status },
+            invoice: invoices.toPublicInvoice(invoices.findById(payment.invoiceId))
+        };
+    });
+
+    // Providers only send the payment id; the status is always fetched from them
+    router.post('/api/payments/webhook', async ctx => {
+        const payment = invoices.findPaymentByProviderId(String(ctx.body.id || ''));
+        if (!payment) {
+            throw new HttpError(404, 'Diese Zahlung wurde nicht gefunden.');
+        }
+        await invoices.refreshPayment(payment);
+    });
+
+    if (paymentProvider instanceof MockPaymentProvider) {
+        router.get('/api/payments/mock/:id', ctx => {
+            const payment = paymentProvider.findPayment(ctx.params.id);
+            if (!payment) {
+                throw new HttpError(404, 'Diese Zahlung wurde nicht gefunden.');
+            }
+
+            ctx.res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+            ctx.res.end(renderMockCheckout(payment));
+        });
+
+        router.get('/api/payments/mock/:id/complete', async ctx => {
+            const payment = paymentProvider.complete(ctx.params.id, ctx.query.result);
+            if (!payment) {
+                throw new HttpError(409, 'Diese Zahlung ist bereits abgeschlossen.');
+            }
+
+            // Like a real provider, the webhook arrives before the patient is back
+            const stored = invoices.findPaymentByProviderId(payment.id);
+            if (stored) await invoices.refreshPayment(stored);
+
+            redirect(ctx.res, payment.returnUrl);
+        });
+    }
+
+    router.post('/api/staff/invoices', async ctx => {
+        const staff = auth.requireStaff(ctx);
+        const invoice = await invoices.create(ctx.body, { createdBy: staff });
+
+        ctx.status = 201;
+        return { invoice: invoices.toStaffInvoice(invoice) };
+    }, { bodyLimit: INVOICE_BODY_LIMIT });
+
+    // ?email= limits the list to one patient, ?status=open|instalments|paid
+    router.get('/api/staff/invoices', ctx => {
+        auth.requireStaff(ctx);
+        let patientId = null;
+        if (ctx.query.email) {
+            const patient = auth.findUserByEmail(ctx.query.email);
+            if (!patient) return { invoices: [] };
+            patientId = patient.id;
+        }
+
+        return {
+            invoices: invoices.listAll({ patientId, status: ctx.query.status || null })
+                .map(invoice => invoices.toStaffInvoice(invoice))
+        };
+    });
+
+    router.post('/api/staff/invoices/:id/mark-paid', ctx => {
+        const staff = auth.requireStaff(ctx);
+        const invoice = invoices.markPaid(invoices.findById(ctx.params.id), { staff });
+        return { invoice: invoices.toStaffInvoice(invoice) };
+    });
+}
+
+module.exports = registerInvoiceRoutes;
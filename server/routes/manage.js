@@ -0,0 +1,52 @@
+/**
+ * Manage Routes
+ * Endpoints behind the signed link in the booking confirmation
+ * (termin-verwalten.html): show, reschedule and cancel one booking
+ */
+const { HttpError } = require('../lib/errors');
+const { isValidTime } = require('../lib/practice-time');
+
+function registerManageRoutes(router, app) {
+    const { bookingManager } = app;
+
+    router.get('/api/manage/:token', ctx => {
+        const booking = bookingManager.findByToken(ctx.params.token);
+        return { booking: bookingManager.toPublicBooking(booking) };
+    });
+
+    router.get('/api/manage/:token/slots', ctx => {
+        const booking = bookingManager.findByToken(ctx.params.token);
+        const { date } = ctx.query;
+        const slots = bookingManager.getRescheduleSlots(booking, date);
+
+        return {
+            date,
+            slots,
+            nextAvailableDate: slots.length > 0 ? date : bookingManager.findNextRescheduleDate(booking, date)
+        };
+    });
+
+    router.post('/api/manage/:token/reschedule', async ctx => {
+        const booking = bookingManager.findByToken(ctx.params.token);
+        const { date, slot } = ctx.body;
+
+        if (typeof slot !== 'string' || !isValidTime(slot)) {
+            throw new HttpError(400, 'Bitte überprüfen Sie Ihre Eingaben.', {
+                fields: { slot: 'Bitte wählen Sie eine freie Uhrzeit.' }
+            });
+        }
+
+        const moved = await bookingManager.reschedule(booking, { date, start: slot }, { ip: ctx.ip });
+        return { booking: bookingManager.toPublicBooking(moved) };
+    });
+
+    router.post('/api/manage/:token/cancel', async ctx => {
+        const booking = bookingManager.findByToken(ctx.params.token);
+        const reason = typeof ctx.body.reason === 'string' ? ctx.body.reason.trim().slice(0, 1000) : '';
+
+        const cancelled = await bookingManager.cancel(booking, { reason: reason || null }, { ip: ctx.ip });
+        return { booking: bookingManager.toPublicBooking(cancelled) };
+    });
+}
+
+module.exports = registerManageRoutes;
@@ -0,0 +1,106 @@
+/**
+ * Message Routes
+ * The secure inbox in the portal: patients start threads and reply, the
+ * practice team answers, assigns and closes them
+ */
+const { sendDocument } = require('../lib/router');
+
+// Up to three attachments of a few MB each, base64 encoded
+const MESSAGE_BODY_LIMIT = 15 * 1024 * 1024;
+
+function registerMessageRoutes(router, app) {
+    const { auth, messages, documentVault, store } = app;
+
+    router.get('/api/portal/messages', ctx => {
+        const user = auth.requireUser(ctx);
+        return {
+            threads: messages.listForPatient(user.id).map(thread => messages.toThreadSummary(thread, 'patient'))
+        };
+    });
+
+    router.post('/api/portal/messages', async ctx => {
+        const user = auth.requireUser(ctx);
+        const thread = await messages.createThread(user, ctx.body);
+
+        ctx.status = 201;
+        return { thread: messages.toThread(thread, 'patient') };
+    }, { bodyLimit: MESSAGE_BODY_LIMIT });
+
+    router.get('/api/portal/messages/:id', ctx => {
+        const user = auth.requireUser(ctx);
+        const thread = messages.findForPatient(user.id, ctx.params.id);
+        messages.markRead(thread, user, 'patient');
+        return { thread: messages.toThread(thread, 'patient') };
+    });
+
+    router.post('/api/portal/messages/:id/replies', async ctx => {
+        const user = auth.requireUser(ctx);
+        const thread = messages.findForPatient(user.id, ctx.params.id);
+        await messages.reply(thread, user, 'patient', ctx.body);
+
+        ctx.status = 201;
+        return { thread: messages.toThread(messages.findById(thread.id), 'patient') };
+    }, { bodyLimit: MESSAGE_BODY_LIMIT });
+
+    router.get('/api/portal/messages/:id/attachments/:documentId', ctx => {
+        const user = auth.requireUser(ctx);
+        const thread = messages.findForPatient(user.id, ctx.params.id);
+        const document = messages.findAttachment(thread, ctx.params.documentId);
+        const content = documentVault.open(document, { user, action: 'download', ip: ctx.ip });
+
+        sendDocument(ctx.res, document, content, false);
+    });
+
+    // ?status=open|closed, ?assignedTo=me|none|<user id>
+    router.get('/api/staff/messages', ctx => {
+        const staff = auth.requireStaff(ctx);
+        const assignedTo = ctx.query.assignedTo === 'me' ? staff.id : ctx.query.assignedTo || null;
+        return {
+            threads: messages.listForStaff({ status: ctx.query.status || null, assignedTo })
+                .map(thread => messages.toStaffThread(thread))
+        };
+    });
+
+    router.get('/api/staff/messages/:id', ctx => {
+        const staff = auth.requireStaff(ctx);
+        const thread = messages.findById(ctx.params.id);
+        messages.markRead(thread, staff, 'staff');
+        return { thread: messages.toStaffThread(thread, true) };
+    });
+
+    router.post('/api/staff/messages/:id/replies', async ctx => {
+        const staff = auth.requireStaff(ctx);
+        const thread = messages.findById(ctx.params.id);
+        // Answering a thread nobody has taken yet assigns it to whoever answers
+        const assigned = thread.assignedTo ? thread : messages.updateThread(thread, { assignedTo: staff.id });
+        await messages.reply(assigned, staff, 'staff', ctx.body);
+
+        ctx.status = 201;
+        return { thread: messages.toStaffThread(messages.findById(thread.id), true) };
+    }, { bodyLimit: MESSAGE_BODY_LIMIT });
+
+    router.patch('/api/staff/messages/:id', ctx => {
+        auth.requireStaff(ctx);
+        const thread = messages.updateThread(messages.findById(ctx.params.id), ctx.body);
+        return { thread: messages.toStaffThread(thread) };
+    });
+
+    router.get('/api/staff/messages/:id/attachments/:documentId', ctx => {
+        const staff = auth.requireStaff(ctx);
+        const document = messages.findAttachment(messages.findById(ctx.params.id), ctx.params.documentId);
+        const content = documentVault.open(document, { user: staff, action: 'download', ip: ctx.ip });
+
+        sendDocument(ctx.res, document, content, false);
+    });
+
+    // For the assignment select
+    router.get('/api/staff/team', ctx => {
+        auth.requireStaff(ctx);
+        return {
+            team: store.find('users', user => user.role === 'staff')
+                .map(user => ({ id: user.id, name: `${user.firstName} ${user.lastName}` }))
+        };
+    });
+}
+
+module.exports = registerMessageRoutes;
@@ -0,0 +1,35 @@
+/**
+ * Newsletter Routes
+ * Sign-up from blog.html plus the confirmation and unsubscribe links from the e-mails
+ */
+const { validateForm } = require('../lib/validation');
+
+function redirect(res, location) {
+    res.writeHead(303, { Location: location });
+    res.end();
+}
+
+function registerNewsletterRoutes(router, app) {
+    const { newsletter, formGuard } = app;
+
+    router.post('/api/newsletter', async ctx => {
+        formGuard.check(ctx, 'newsletter');
+        const data = validateForm('newsletter', ctx.body);
+        const { alreadyConfirmed } = await newsletter.subscribe(data.email, 'blog');
+
+        ctx.status = alreadyConfirmed ? 200 : 201;
+        return { status: alreadyConfirmed ? 'confirmed' : 'pending' };
+    });
+
+    router.get('/api/newsletter/confirm', ctx => {
+        const subscription = newsletter.confirm(ctx.query.token);
+        redirect(ctx.res, `/blog.html?newsletter=${subscription ? 'confirmed' : 'invalid'}`);
+    });
+
+    router.get('/api/newsletter/unsubscribe', ctx => {
+        const subscription = newsletter.unsubscribe(ctx.query.token);
+        redirect(ctx.res, `/blog.html?newsletter=${subscription ? 'unsubscribed' : 'invalid'}`);
+    });
+}
+
+module.exports = registerNewsletterRoutes;
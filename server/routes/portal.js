@@ -0,0 +1,132 @@
+/**
+ * Portal Routes
+ * Login (with the two-factor step), registration and password reset for
+ * portal.html plus the data shown on the patient dashboard
+ */
+const { validateForm } = require('../lib/validation');
+const { getPracticeNow, toMinutes } = require('../lib/practice-time');
+
+function redirect(res, location) {
+    res.writeHead(303, { Location: location });
+    res.end();
+}
+
+function registerPortalRoutes(router, app) {
+    const { auth, twoFactor, store, slotEngine, bookingManager, recall, documentVault, anamnesis, config } = app;
+    const { practice } = config;
+
+    router.post('/api/auth/register', async ctx => {
+        const data = validateForm('registration', ctx.body);
+        await auth.register({ ...data, password: ctx.body.password });
+
+        // Existing addresses get the same answer, see AuthService.register()
+        ctx.status = 202;
+        return { status: 'pending' };
+    });
+
+    router.get('/api/auth/verify', ctx => {
+        const user = auth.verifyEmail(ctx.query.token);
+        redirect(ctx.res, `/portal.html?verified=${user ? '1' : 'invalid'}`);
+    });
+
+    const startSession = (ctx, user, remember) => {
+        const session = auth.createSession(user, remember);
+        auth.setSessionCookie(ctx.res, session);
+        return { user: auth.toPublicUser(session.user), persistent: session.persistent };
+    };
+
+    router.post('/api/auth/login', ctx => {
+        const user = auth.authenticate(ctx.body);
+        const remember = Boolean(ctx.body.remember);
+
+        // Devices trusted after an earlier "Angemeldet bleiben" skip the code
+        if (twoFactor.isEnabled(user) && !twoFactor.isTrustedDevice(user, twoFactor.getDeviceToken(ctx.req))) {
+            return { twoFactorRequired: true, challenge: twoFactor.createChallenge(user, remember) };
+        }
+        return startSession(ctx, user, remember);
+    });
+
+    router.post('/api/auth/login/verify', ctx => {
+        const { user, remember } = twoFactor.completeChallenge(ctx.body.challenge, ctx.body.code);
+        if (remember) {
+            twoFactor.trustDevice(ctx.res, user);
+        }
+        return startSession(ctx, user, remember);
+    });
+
+    router.post('/api/auth/logout', ctx => {
+        auth.logout(auth.getSessionToken(ctx.req));
+        auth.clearSessionCookie(ctx.res);
+    });
+
+    router.get('/api/auth/session', ctx => {
+        return { user: auth.toPublicUser(auth.requireUser(ctx)) };
+    });
+
+    router.post('/api/auth/password-reset/request', async ctx => {
+        const data = validateForm('passwordReset', ctx.body);
+        await auth.requestPasswordReset(data.email);
+
+        ctx.status = 202;
+        return { status: 'sent' };
+    });
+
+    router.post('/api/auth/password-reset', ctx => {
+        auth.resetPassword(ctx.body.token, ctx.body.password);
+        return { status: 'reset' };
+    });
+
+    router.get('/api/portal/dashboard', ctx => {
+        const user = auth.requireUser(ctx);
+        const now = getPracticeNow(practice.timeZone, slotEngine.clock());
+        const isUpcoming = booking => booking.date > now.date
+            || (booking.date === now.date && toMinutes(booking.start) >= now.minutes);
+
+        const appointments = bookingManager.findByPatientEmail(user.email)
+            .map(booking => ({
+                id: booking.id,
+                date: booking.date,
+                start: booking.start,
+                end: booking.end,
+                status: booking.status,
+                treatment: practice.treatments[booking.treatmentType]?.label || booking.treatmentType,
+                canChange: bookingManager.canChange(booking),
+                manageUrl: bookingManager.canChange(booking) ? bookingManager.getManageUrl(booking) : null,
+                calendarUrl: booking.status === 'confirmed' ? bookingManager.getCalendarUrl(booking) : null
+            }));
+
+        const documents = documentVault.listForPatient(user.id)
+            .map(document => documentVault.toPublicDocument(document));
+        const questionnaire = anamnesis.getQuestionnaire(anamnesis.ownerForUser(user));
+
+        return {
+            user: auth.toPublicUser(user),
+            appointments: {
+                upcoming: appointments.filter(booking => booking.status !== 'cancelled' && isUpcoming(booking)),
+                past: appointments.filter(booking => !isUpcoming(booking)).reverse()
+            },
+            documents,
+            anamnesis: {
+                status: questionnaire.status,
+                savedAt: questionnaire.savedAt || null,
+                submittedAt: questionnaire.submittedAt || null
+            },
+            twoFactor: twoFactor.getStatus(user),
+            calendarFeedUrl: bookingManager.getCalendarFeedUrl(user),
+            recall: {
+                ...recall.getPreferences(user),
+                allowedIntervals: practice.recall.allowedIntervals,
+                smsAvailable: practice.recall.sms
+            }
+        };
+    });
+
+    // Invalidates the old feed link, e.g. after it was shared by mistake
+    router.post('/api/portal/calendar-feed/reset', ctx => {
+        const user = auth.requireUser(ctx);
+        const updated = store.update('users', user.id, { calendarFeedVersion: (user.calendarFeedVersion || 0) + 1 });
+        return { calendarFeedUrl: bookingManager.getCalendarFeedUrl(updated) };
+    });
+}
+
+module.exports = registerPortalRoutes;
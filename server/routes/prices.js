@@ -0,0 +1,18 @@
+/**
+ * Price Routes
+ * The versioned price list for the cost calculator on preise.html
+ */
+function registerPriceRoutes(router, app) {
+    const { priceList } = app;
+
+    router.get('/api/prices', () => ({
+        priceList: priceList.getCurrent()
+    }));
+
+    // Earlier versions stay available for estimates that were made with them
+    router.get('/api/prices/:version', ctx => ({
+        priceList: priceList.getVersion(ctx.params.version)
+    }));
+}
+
+module.exports = registerPriceRoutes;
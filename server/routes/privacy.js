@@ -0,0 +1,81 @@
+/**
+ * Privacy Routes
+ * Data export and deletion requests from the portal, the confirmation link
+ * from the e-mail and the practice team's review of deletions
+ */
+const { sendDocument } = require('../lib/router');
+const { HttpError } = require('../lib/errors');
+
+function redirect(res, location) {
+    res.writeHead(303, { Location: location });
+    res.end();
+}
+
+function registerPrivacyRoutes(router, app) {
+    const { auth, twoFactor, privacy } = app;
+
+    router.get('/api/portal/privacy/requests', ctx => {
+        const user = auth.requireUser(ctx);
+        return {
+            requests: privacy.listForPatient(user.id).map(request => privacy.toPublicRequest(request)),
+            codeRequired: twoFactor.isEnabled(user)
+        };
+    });
+
+    router.post('/api/portal/privacy/requests', async ctx => {
+        const user = auth.requireUser(ctx);
+        const request = await privacy.create(user, ctx.body, { ip: ctx.ip });
+
+        ctx.status = 201;
+        return { request: privacy.toPublicRequest(request) };
+    });
+
+    router.post('/api/portal/privacy/requests/:id/cancel', ctx => {
+        const user = auth.requireUser(ctx);
+        const request = privacy.cancel(privacy.findForPatient(user.id, ctx.params.id), user);
+        return { request: privacy.toPublicRequest(request) };
+    });
+
+    router.get('/api/portal/privacy/requests/:id/export', ctx => {
+        const user = auth.requireUser(ctx);
+        const request = privacy.findForPatient(user.id, ctx.params.id);
+        if (!privacy.isExportAvailable(request)) {
+            throw new HttpError(410, 'Dieser Export ist nicht mehr verfügbar. Bitte stellen Sie einen neuen Antrag.');
+        }
+
+        const content = Buffer.from(JSON.stringify(privacy.buildExport(user), null, 2));
+        privacy.audit(request, 'downloaded', { actor: user, ip: ctx.ip });
+        sendDocument(ctx.res, {
+            fileName: privacy.getExportFileName(request),
+            contentType: 'application/json; charset=utf-8'
+        }, content, false);
+    });
+
+    // Link from the confirmation e-mail, works without a login
+    router.get('/api/privacy/confirm', async ctx => {
+        const request = await privacy.confirm(ctx.query.token, { ip: ctx.ip });
+        redirect(ctx.res, `/portal.html?privacy=${request ? request.type : 'invalid'}`);
+    });
+
+    // ?status=review lists what is waiting for a decision
+    router.get('/api/staff/privacy-requests', ctx => {
+        auth.requireStaff(ctx);
+        return {
+            requests: privacy.listAll({ status: ctx.query.status || null })
+                .map(request => privacy.toStaffRequest(request))
+        };
+    });
+
+    router.get('/api/staff/privacy-requests/:id', ctx => {
+        auth.requireStaff(ctx);
+        return { request: privacy.toStaffRequest(privacy.findById(ctx.params.id), { withDetails: true }) };
+    });
+
+    router.post('/api/staff/privacy-requests/:id/decision', async ctx => {
+        const staff = auth.requireStaff(ctx);
+        const request = await privacy.decide(privacy.findById(ctx.params.id), staff, ctx.body, { ip: ctx.ip });
+        return { request: privacy.toStaffRequest(request, { withDetails: true }) };
+    });
+}
+
+module.exports = registerPrivacyRoutes;
@@ -0,0 +1,20 @@
+/**
+ * Provider Routes
+ * Tells the booking page which external provider the calendar is synced with
+ * and where the practice can be booked on the provider's own site
+ */
+function registerProviderRoutes(router, app) {
+    const { calendarSync, config } = app;
+
+    router.get('/api/providers', () => {
+        const { provider, lastSyncAt } = calendarSync.getStatus();
+
+        return {
+            active: provider,
+            lastSyncAt,
+            links: config.practice.onlineBooking || {}
+        };
+    });
+}
+
+module.exports = registerProviderRoutes;
@@ -0,0 +1,37 @@
+/**
+ * Recall Routes
+ * Opt-out link and prefilled booking form from the recall reminders, plus the
+ * reminder settings on the patient dashboard
+ */
+function redirect(res, location) {
+    res.writeHead(303, { Location: location });
+    res.end();
+}
+
+function registerRecallRoutes(router, app) {
+    const { recall, auth } = app;
+
+    router.get('/api/recall/opt-out', ctx => {
+        const preferences = recall.optOut(ctx.query.token);
+        redirect(ctx.res, `/termin.html?recall=${preferences ? 'opted-out' : 'invalid'}`);
+    });
+
+    router.get('/api/recall/prefill/:token', ctx => {
+        return { values: recall.getPrefill(ctx.params.token) };
+    });
+
+    router.post('/api/portal/recall', ctx => {
+        const user = auth.requireUser(ctx);
+        const { intervalMonths, sms, optOut } = ctx.body;
+
+        return {
+            preferences: recall.savePreferences(user, {
+                intervalMonths: Number(intervalMonths),
+                sms: sms === true,
+                optOut: optOut === true
+            })
+        };
+    });
+}
+
+module.exports = registerRecallRoutes;
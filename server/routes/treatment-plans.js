@@ -0,0 +1,72 @@
+/**
+ * Treatment Plan Routes
+ * Patients read, approve and ask about their treatment plans in the portal;
+ * the practice team puts the plans in
+ */
+
+// The scanned paper plan may be attached
+const PLAN_BODY_LIMIT = 15 * 1024 * 1024;
+
+function registerTreatmentPlanRoutes(router, app) {
+    const { auth, treatmentPlans, messages } = app;
+
+    router.get('/api/portal/treatment-plans', ctx => {
+        const user = auth.requireUser(ctx);
+        return {
+            plans: treatmentPlans.listForPatient(user.id).map(plan => treatmentPlans.toSummary(plan))
+        };
+    });
+
+    router.get('/api/portal/treatment-plans/:id', ctx => {
+        const user = auth.requireUser(ctx);
+        const plan = treatmentPlans.markViewed(treatmentPlans.findForPatient(user.id, ctx.params.id));
+        return { plan: treatmentPlans.toPublicPlan(plan) };
+    });
+
+    router.post('/api/portal/treatment-plans/:id/approve', async ctx => {
+        const user = auth.requireUser(ctx);
+        const plan = treatmentPlans.findForPatient(user.id, ctx.params.id);
+        const approved = await treatmentPlans.approve(plan, user, ctx.body, { ip: ctx.ip });
+        return { plan: treatmentPlans.toPublicPlan(approved) };
+    });
+
+    router.post('/api/portal/treatment-plans/:id/questions', async ctx => {
+        const user = auth.requireUser(ctx);
+        const plan = treatmentPlans.findForPatient(user.id, ctx.params.id);
+        const thread = await treatmentPlans.ask(plan, user, ctx.body);
+
+        ctx.status = 201;
+        return { thread: messages.toThreadSummary(thread, 'patient') };
+    });
+
+    router.post('/api/staff/treatment-plans', async ctx => {
+        const staff = auth.requireStaff(ctx);
+        const plan = await treatmentPlans.create(ctx.body, { createdBy: staff });
+
+        ctx.status = 201;
+        return { plan: treatmentPlans.toStaffPlan(plan) };
+    }, { bodyLimit: PLAN_BODY_LIMIT });
+
+    // ?email= limits the list to one patient, ?status=open|approved
+    router.get('/api/staff/treatment-plans', ctx => {
+        auth.requireStaff(ctx);
+        let patientId = null;
+        if (ctx.query.email) {
+            const patient = auth.findUserByEmail(ctx.query.email);
+            if (!patient) return { plans: [] };
+            patientId = patient.id;
+        }
+
+        return {
+            plans: treatmentPlans.listAll({ patientId, status: ctx.query.status || null })
+                .map(plan => treatmentPlans.toStaffPlan(plan))
+        };
+    });
+
+    router.get('/api/staff/treatment-plans/:id', ctx => {
+        auth.requireStaff(ctx);
+        return { plan: treatmentPlans.toStaffPlan(treatmentPlans.findById(ctx.params.id)) };
+    });
+}
+
+module.exports = registerTreatmentPlanRoutes;
@@ -0,0 +1,52 @@
+/**
+ * Two-Factor Routes
+ * Setting up and turning off the authenticator app in the portal, and the
+ * e-mail recovery for patients who lost it. The code step of the login
+ * itself lives in routes/portal.js.
+ */
+function registerTwoFactorRoutes(router, app) {
+    const { auth, twoFactor } = app;
+
+    router.get('/api/portal/two-factor', ctx => {
+        return twoFactor.getStatus(auth.requireUser(ctx));
+    });
+
+    router.post('/api/portal/two-factor/setup', ctx => {
+        return twoFactor.startSetup(auth.requireUser(ctx));
+    });
+
+    // The backup codes are only ever shown in this response
+    router.post('/api/portal/two-factor/enable', ctx => {
+        return twoFactor.enable(auth.requireUser(ctx), ctx.body.code);
+    });
+
+    router.post('/api/portal/two-factor/backup-codes', ctx => {
+        return twoFactor.regenerateBackupCodes(auth.requireUser(ctx), ctx.body.code);
+    });
+
+    router.post('/api/portal/two-factor/disable', ctx => {
+        twoFactor.disable(auth.requireUser(ctx), ctx.body);
+        return { status: 'disabled' };
+    });
+
+    router.post('/api/portal/two-factor/trusted-devices/revoke', ctx => {
+        const user = auth.requireUser(ctx);
+        twoFactor.revokeTrustedDevices(user.id);
+        return twoFactor.getStatus(user);
+    });
+
+    // Only possible during a login, i.e. after the password was accepted
+    router.post('/api/auth/two-factor/recovery/request', async ctx => {
+        await twoFactor.requestRecovery(ctx.body.challenge);
+
+        ctx.status = 202;
+        return { status: 'sent' };
+    });
+
+    router.post('/api/auth/two-factor/recovery', async ctx => {
+        await twoFactor.recover(ctx.body.token);
+        return { status: 'disabled' };
+    });
+}
+
+module.exports = registerTwoFactorRoutes;
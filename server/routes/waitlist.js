@@ -0,0 +1,72 @@
+/**
+ * Waitlist Routes
+ * Sign-up from termin.html when no slot is free, the leave link from the
+ * confirmation e-mail and the offer page (termin-angebot.html)
+ */
+const { validateForm } = require('../lib/validation');
+const { getPracticeNow } = require('../lib/practice-time');
+
+function redirect(res, location) {
+    res.writeHead(303, { Location: location });
+    res.end();
+}
+
+function registerWaitlistRoutes(router, app) {
+    const { waitlist, slotEngine, bookingManager, formGuard, config } = app;
+    const { practice } = config;
+
+    router.post('/api/waitlist', async ctx => {
+        // Sent from the booking form with its challenge
+        formGuard.check(ctx, 'booking');
+        const today = getPracticeNow(practice.timeZone, slotEngine.clock()).date;
+        const data = validateForm('waitlist', ctx.body, { today });
+
+        const entry = await waitlist.join({
+            patient: {
+                firstName: data['first-name'],
+                lastName: data['last-name'],
+                email: data.email.toLowerCase(),
+                phone: data.phone,
+                birthDate: data['birth-date'] || null
+            },
+            treatmentType: data['treatment-type'],
+            fromDate: data['from-date'],
+            toDate: data['to-date']
+        });
+
+        ctx.status = 201;
+        return {
+            waitlist: {
+                treatment: slotEngine.getTreatment(entry.treatmentType).label,
+                fromDate: entry.fromDate,
+                toDate: entry.toDate
+            }
+        };
+    });
+
+    router.get('/api/waitlist/leave', ctx => {
+        const entry = waitlist.leave(ctx.query.token);
+        redirect(ctx.res, `/termin.html?waitlist=${entry ? 'left' : 'invalid'}`);
+    });
+
+    router.get('/api/waitlist/offers/:token', ctx => {
+        return { offer: waitlist.toPublicOffer(waitlist.findOffer(ctx.params.token)) };
+    });
+
+    router.post('/api/waitlist/offers/:token/claim', async ctx => {
+        const booking = await waitlist.claim(ctx.params.token, { ip: ctx.ip });
+
+        ctx.status = 201;
+        return {
+            booking: bookingManager.toPublicBooking(booking),
+            manageUrl: bookingManager.getManageUrl(booking),
+            calendarUrl: bookingManager.getCalendarUrl(booking)
+        };
+    });
+
+    router.post('/api/waitlist/offers/:token/decline', async ctx => {
+        await waitlist.decline(ctx.params.token);
+    });
+}
+
+module.exports = registerWaitlistRoutes;
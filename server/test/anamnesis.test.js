@@ -0,0 +1,98 @@
+/**
+ * Anamnesis questionnaire: drafts, signing, the stored PDF and what the link shows afterwards
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const PracticeApp = require('../app');
+const loadConfig = require('../config');
+
+function createApp() {
+    const config = loadConfig({ DATA_DIR: 'memory', MAIL_TRANSPORT: 'memory', RECALL_MODE: 'off' });
+    config.clock = () => new Date('2025-03-03T08:00:00Z');
+    const app = new PracticeApp(config);
+
+    const booking = app.slotEngine.createBooking({
+        date: '2025-03-10',
+        start: '09:00',
+        treatmentType: 'kontrolle',
+        patient: { firstName: 'Eva', lastName: 'Muster', email: 'eva@example.de', birthDate: '1985-04-12' }
+    });
+    const token = new URL(app.bookingManager.getAnamnesisUrl(booking)).searchParams.get('token');
+    return { app, owner: app.anamnesis.ownerForBooking(app.anamnesis.findBookingByToken(token)) };
+}
+
+const answers = {
+    'first-name': 'Eva',
+    'last-name': 'Muster',
+    'birth-date': '1985-04-12',
+    'insurance': 'gkv',
+    'medication': 'nein',
+    'allergies': 'ja',
+    'allergy-list': 'Penicillin',
+    'anticoagulants': 'nein',
+    'bleeding-tendency': 'nein',
+    'pregnancy': 'nicht-zutreffend',
+    'last-visit': 'unter-1-jahr',
+    'anaesthesia-problems': 'nein',
+    'confirm': true
+};
+
+const signature = {
+    width: 400,
+    height: 150,
+    strokes: [Array.from({ length: 12 }, (point, index) => [20 + index * 10, index % 2 ? 60 : 90]).concat([[900, -5]])]
+};
+
+test('the link only opens the questionnaire of its own booking', () => {
+    const { app } = createApp();
+
+    assert.throws(() => app.anamnesis.findBookingByToken('falsch'), { status: 404 });
+    const manageToken = new URL(app.bookingManager.getManageUrl(app.store.all('bookings')[0])).searchParams.get('token');
+    assert.throws(() => app.anamnesis.findBookingByToken(manageToken), { status: 404 });
+});
+
+test('a draft keeps known fields only and is prefilled from the booking', () => {
+    const { app, owner } = createApp();
+
+    assert.deepEqual(app.anamnesis.getQuestionnaire(owner), { status: 'new', answers: owner.prefill });
+    app.anamnesis.saveDraft(owner, { medication: 'ja', 'medication-list': 'x'.repeat(3000), passwordHash: 'nein' });
+    app.anamnesis.saveDraft(owner, { medication: 'ja', 'medication-list': 'Ibuprofen' });
+
+    const draft = app.anamnesis.getQuestionnaire(owner);
+    assert.equal(draft.status, 'draft');
+    assert.deepEqual(draft.answers, { medication: 'ja', 'medication-list': 'Ibuprofen' });
+    assert.equal(app.store.all('anamneses').length, 1);
+});
+
+test('signing needs complete answers and a real signature', async () => {
+    const { app, owner } = createApp();
+
+    await assert.rejects(app.anamnesis.submit(owner, { answers: { ...answers, 'allergy-list': '' }, signature }), error =>
+        error.status === 400 && Object.keys(error.details.fields).join() === 'allergy-list'
+    );
+    await assert.rejects(app.anamnesis.submit(owner, { answers, signature: { ...signature, strokes: [[[1, 1], [2, 2]]] } }), error =>
+        error.status === 400 && Object.keys(error.details.fields).join() === 'signature'
+    );
+    await assert.rejects(app.anamnesis.submit(owner, { answers, signature: { ...signature, width: 1e9 } }), { status: 400 });
+    assert.equal(app.store.all('documents').length, 0);
+});
+
+test('a signed questionnaire is stored with its PDF and no longer shown through the link', async () => {
+    const { app, owner } = createApp();
+
+    const record = await app.anamnesis.submit(owner, { answers, signature }, { ip: '203.0.113.7' });
+
+    assert.equal(record.status, 'submitted');
+    assert.deepEqual(record.signature.strokes[0].at(-1), [400, 0]);
+    const document = app.documentVault.findById(record.documentId);
+    assert.equal(document.patientId, null);
+    assert.equal(document.category, 'anamnesis');
+    const pdf = app.documentVault.decrypt(document.id, fs.readFileSync(app.documentVault.getFilePath(document.id)));
+    assert.equal(pdf.subarray(0, 5).toString('latin1'), '%PDF-');
+
+    const reopened = app.anamnesis.getQuestionnaire(owner);
+    assert.equal(reopened.status, 'submitted');
+    assert.deepEqual(reopened.answers, owner.prefill);
+    assert.deepEqual(app.anamnesis.toStaffSummary(record).alerts, ['Allergien: Penicillin']);
+});
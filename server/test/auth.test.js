@@ -0,0 +1,102 @@
+/**
+ * Portal accounts: registration with e-mail confirmation, login lock and password reset
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const JsonStore = require('../lib/json-store');
+const MemoryTransport = require('../lib/transports/memory-transport');
+const { Mailer } = require('../lib/mailer');
+const { AuthService } = require('../lib/auth-service');
+
+const practice = require('../config/practice.json');
+
+function createService() {
+    let now = new Date('2025-03-03T10:00:00Z').getTime();
+    const transport = new MemoryTransport();
+    const auth = new AuthService({
+        store: new JsonStore(),
+        mailer: new Mailer({ transport, from: 'praxis@example.de', practiceAddress: 'praxis@example.de' }),
+        practice,
+        publicUrl: 'https://praxis.example.de',
+        clock: () => new Date(now)
+    });
+    return { auth, transport, advance: minutes => { now += minutes * 60000; } };
+}
+
+const account = { firstName: 'Eva', lastName: 'Muster', email: 'Eva@Example.de', birthDate: '1985-04-12', password: 'geheim-passwort-1' };
+const lastLink = (transport, pattern) => transport.messages[transport.messages.length - 1].message.text.match(pattern)[1];
+
+async function registerVerified(service) {
+    await service.auth.register(account);
+    service.auth.verifyEmail(lastLink(service.transport, /verify\?token=([a-f0-9]+)/));
+}
+
+test('an account can log in only after the e-mail address is confirmed', async () => {
+    const { auth, transport } = createService();
+    await auth.register(account);
+
+    assert.throws(() => auth.authenticate({ username: 'eva@example.de', password: account.password }), { status: 403 });
+    assert.equal(auth.verifyEmail('0'.repeat(64)), null);
+
+    const token = lastLink(transport, /verify\?token=([a-f0-9]+)/);
+    assert.equal(auth.verifyEmail(token).emailVerified, true);
+    assert.equal(auth.verifyEmail(token), null);
+    assert.equal(auth.authenticate({ username: ' EVA@example.de ', password: account.password }).email, 'eva@example.de');
+});
+
+test('registering a known address neither creates an account nor tells so', async () => {
+    const service = createService();
+    await registerVerified(service);
+
+    await service.auth.register({ ...account, password: 'anderes-passwort' });
+
+    assert.equal(service.auth.store.all('users').length, 1);
+    assert.throws(() => service.auth.authenticate({ username: 'eva@example.de', password: 'anderes-passwort' }), { status: 401 });
+});
+
+test('wrong passwords lock the account for a quarter of an hour', async () => {
+    const service = createService();
+    await registerVerified(service);
+    const login = password => service.auth.authenticate({ username: 'eva@example.de', password });
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+        assert.throws(() => login('falsches-passwort'), { status: 401 });
+    }
+    assert.throws(() => login(account.password), { status: 429 });
+
+    service.advance(16);
+    assert.ok(login(account.password));
+    assert.throws(() => service.auth.authenticate({ username: 'niemand@example.de', password: 'x' }), { status: 401 });
+});
+
+test('a password reset works once, expires and ends every session', async () => {
+    const service = createService();
+    await registerVerified(service);
+    const user = service.auth.findUserByEmail('eva@example.de');
+    const { token: session } = service.auth.createSession(user, true);
+
+    await service.auth.requestPasswordReset('eva@example.de');
+    const token = lastLink(service.transport, /reset=([a-f0-9]+)/);
+
+    assert.throws(() => service.auth.resetPassword(token, 'kurz'), { status: 400 });
+    service.auth.resetPassword(token, 'neues-passwort-2');
+
+    assert.equal(service.auth.getSession(session), null);
+    assert.throws(() => service.auth.resetPassword(token, 'drittes-passwort'), { status: 400 });
+    assert.ok(service.auth.authenticate({ username: 'eva@example.de', password: 'neues-passwort-2' }));
+
+    await service.auth.requestPasswordReset('eva@example.de');
+    service.advance(61);
+    assert.throws(() => service.auth.resetPassword(lastLink(service.transport, /reset=([a-f0-9]+)/), 'viertes-passwort'), { status: 400 });
+});
+
+test('sessions end after their lifetime', async () => {
+    const service = createService();
+    await registerVerified(service);
+    const user = service.auth.findUserByEmail('eva@example.de');
+    const { token } = service.auth.createSession(user, false);
+
+    assert.equal(service.auth.getSession(token).user.id, user.id);
+    service.advance(12 * 60 + 1);
+    assert.equal(service.auth.getSession(token), null);
+});
@@ -0,0 +1,86 @@
+/**
+ * Digital Bonusheft: documented years and the raised Festzuschuss
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PracticeApp = require('../app');
+const loadConfig = require('../config');
+
+function createApp() {
+    const config = loadConfig({ DATA_DIR: 'memory', MAIL_TRANSPORT: 'memory', RECALL_MODE: 'off' });
+    config.clock = () => new Date('2025-09-10T08:00:00Z');
+    const app = new PracticeApp(config);
+
+    const staff = app.store.insert('users', { email: 'team@example.de', firstName: 'Tina', lastName: 'Team', role: 'staff' });
+    const eva = app.store.insert('users', { email: 'eva@example.de', firstName: 'Eva', lastName: 'Muster', birthDate: '1980-05-01', role: 'patient' });
+    const stamp = (date, email = 'eva@example.de') => app.bonusBooklet.addEntry({ email, date }, { createdBy: staff });
+    return { app, eva, stamp };
+}
+
+test('five documented years in a row raise the subsidy to 70 percent, the running year may stay open', () => {
+    const { app, eva, stamp } = createApp();
+    ['2020-03-02', '2021-11-15', '2022-06-01', '2023-01-20', '2024-12-30'].forEach(date => stamp(date));
+
+    const booklet = app.bonusBooklet.getBooklet(eva);
+
+    assert.equal(booklet.consecutiveYears, 5);
+    assert.equal(booklet.subsidyPercent, 70);
+    assert.equal(booklet.currentYearDocumented, false);
+    assert.deepEqual(booklet.next, { subsidyPercent: 75, yearsMissing: 5 });
+});
+
+test('ten years allow one gap for 75 percent, a second one and a gap in the last five years drop the bonus', () => {
+    const { app, eva, stamp } = createApp();
+    [2015, 2016, 2018, 2019, 2020, 2021, 2022, 2023, 2024, 2025].forEach(year => stamp(`${year}-04-01`));
+    assert.equal(app.bonusBooklet.getBooklet(eva).subsidyPercent, 75);
+
+    const gaps = createApp();
+    [2016, 2017, 2019, 2020, 2022, 2023, 2024, 2025].forEach(year => gaps.stamp(`${year}-04-01`));
+    const booklet = gaps.app.bonusBooklet.getBooklet(gaps.eva);
+    assert.equal(booklet.consecutiveYears, 4);
+    assert.equal(booklet.subsidyPercent, 60);
+});
+
+test('children need a check-up in each half of the year', () => {
+    const { app, stamp } = createApp();
+    const child = app.store.insert('users', { email: 'kind@example.de', firstName: 'Ida', lastName: 'Muster', birthDate: '2012-08-01', role: 'patient' });
+    stamp('2023-03-01', 'kind@example.de');
+    stamp('2023-09-01', 'kind@example.de');
+    stamp('2024-03-01', 'kind@example.de');
+
+    const [first, second] = app.bonusBooklet.getBooklet(child).years;
+    assert.deepEqual([first.required, first.documented], ['halbjährlich', true]);
+    assert.deepEqual([second.required, second.documented], ['halbjährlich', false]);
+});
+
+test('only finished check-up appointments of the same patient count', () => {
+    const { app, eva } = createApp();
+    const booking = (date, { start = '09:00', treatmentType = 'kontrolle', firstName = 'Eva', status = 'confirmed' } = {}) =>
+        app.store.insert('bookings', {
+            date,
+            start,
+            end: `${start.slice(0, 3)}20`,
+            treatmentType,
+            status,
+            patient: { firstName, lastName: 'Muster', email: 'eva@example.de' }
+        });
+    booking('2025-02-03');
+    booking('2025-02-04', { treatmentType: 'wurzelbehandlung' });
+    booking('2025-02-05', { firstName: 'Max' });
+    booking('2025-02-06', { status: 'cancelled' });
+    booking('2025-09-10');
+    // 11:00 in Berlin is still to come
+    booking('2025-09-10', { start: '11:00' });
+
+    assert.deepEqual(app.bonusBooklet.getCheckups(eva).map(checkup => checkup.date), ['2025-02-03', '2025-09-10']);
+});
+
+test('entries by the practice need a patient account and a past date', () => {
+    const { app, stamp } = createApp();
+
+    assert.throws(() => stamp('2025-12-01'), { status: 400 });
+    assert.throws(() => stamp('2024-12-01', 'niemand@example.de'), { status: 400 });
+    assert.throws(() => app.bonusBooklet.removeEntry('unbekannt'), { status: 404 });
+    app.bonusBooklet.removeEntry(stamp('2024-12-01').id);
+    assert.equal(app.store.all('bonus-entries').length, 0);
+});
@@ -0,0 +1,42 @@
+/**
+ * Booking routes: slots for one patient and back-to-back slots for a family
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PracticeApp = require('../app');
+const loadConfig = require('../config');
+
+async function withServer(run) {
+    const config = loadConfig({ DATA_DIR: 'memory', MAIL_TRANSPORT: 'memory', RECALL_MODE: 'off' });
+    config.clock = () => new Date('2025-03-03T08:00:00Z');
+    const app = new PracticeApp(config);
+    const { port } = await app.listen(0, '127.0.0.1');
+
+    try {
+        await run({ app, get: pathname => fetch(`http://127.0.0.1:${port}${pathname}`) });
+    } finally {
+        await app.close();
+    }
+}
+
+test('group slots list the appointments of each patient back to back', async () => {
+    await withServer(async ({ get }) => {
+        const response = await get('/api/slots/group?date=2025-03-10&treatments=kontrolle,prophylaxe');
+        const { slots } = await response.json();
+
+        assert.equal(response.status, 200);
+        assert.equal(slots[0].appointments.length, 2);
+        assert.equal(slots[0].appointments[1].start, slots[0].appointments[0].end);
+    });
+});
+
+test('group slots are limited to the patients one booking may hold', async () => {
+    await withServer(async ({ app, get }) => {
+        const max = app.config.practice.maxPatientsPerBooking;
+        const list = count => Array(count).fill('kontrolle').join(',');
+
+        assert.equal((await get(`/api/slots/group?date=2025-03-10&treatments=${list(max)}`)).status, 200);
+        assert.equal((await get(`/api/slots/group?date=2025-03-10&treatments=${list(max + 1)}`)).status, 400);
+        assert.equal((await get(`/api/slots/group?date=2025-03-10&treatments=${list(500)}`)).status, 400);
+    });
+});
@@ -0,0 +1,97 @@
+/**
+ * Calendar sync with an external booking provider, run against the local Doctolib mock
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const JsonStore = require('../lib/json-store');
+const SlotEngine = require('../lib/slot-engine');
+const DoctolibProvider = require('../lib/providers/doctolib-provider');
+const MockDoctolib = require('../tools/mock-doctolib');
+const { CalendarSync } = require('../lib/calendar-sync');
+
+const practice = require('../config/practice.json');
+
+async function withSync(run) {
+    const doctolib = new MockDoctolib({ port: 0, quiet: true });
+    const { port } = await doctolib.listen();
+    const store = new JsonStore();
+    const slotEngine = new SlotEngine({ practice, store, clock: () => new Date('2025-03-03T08:00:00Z') });
+    const provider = token => new DoctolibProvider({ url: `http://127.0.0.1:${port}`, token, agendaId: 'agenda-1' });
+    const sync = new CalendarSync({ store, slotEngine, provider: provider('mock-token'), practice });
+
+    try {
+        await run({ doctolib, store, slotEngine, sync, provider });
+    } finally {
+        await doctolib.close();
+    }
+}
+
+const book = slotEngine => slotEngine.createBooking({
+    date: '2025-03-10',
+    start: '09:00',
+    treatmentType: 'kontrolle',
+    patient: { firstName: 'Eva', lastName: 'Muster', email: 'eva@example.de' }
+});
+
+test('mirrors a booking into the agenda when it is made, moved and cancelled', async () => {
+    await withSync(async ({ doctolib, store, slotEngine, sync }) => {
+        const booking = book(slotEngine);
+
+        const synced = await sync.push(booking);
+        const [appointment] = doctolib.appointments;
+        assert.equal(synced.external.status, 'synced');
+        assert.equal(synced.external.id, appointment.id);
+        assert.equal(appointment.start_date, '2025-03-10T08:00:00.000Z');
+        assert.equal(appointment.external_reference, booking.id);
+
+        slotEngine.moveBooking(booking.id, { date: '2025-03-10', start: '10:00' });
+        await sync.push(booking);
+        assert.equal(doctolib.appointments.length, 1);
+        assert.equal(appointment.start_date, '2025-03-10T09:00:00.000Z');
+
+        store.update('bookings', booking.id, { status: 'cancelled' });
+        await sync.push(booking);
+        assert.equal(appointment.status, 'cancelled');
+    });
+});
+
+test('appointments booked on the provider occupy a chair, our own ones do not count twice', async () => {
+    await withSync(async ({ doctolib, store, slotEngine, sync }) => {
+        await sync.push(book(slotEngine));
+        doctolib.addAppointment({ start_date: '2025-03-10T08:00:00Z', end_date: '2025-03-10T09:00:00Z' });
+        doctolib.addAppointment({ start_date: '2025-03-12T22:00:00Z', end_date: '2025-03-13T07:30:00Z' });
+        const cancelled = doctolib.addAppointment({ start_date: '2025-03-11T08:00:00Z', end_date: '2025-03-11T09:00:00Z' });
+        cancelled.status = 'cancelled';
+
+        await sync.pull();
+
+        assert.deepEqual(store.all('external-busy').map(({ date, start, end }) => ({ date, start, end })), [
+            { date: '2025-03-10', start: '09:00', end: '10:00' },
+            { date: '2025-03-12', start: '23:00', end: '24:00' },
+            { date: '2025-03-13', start: '00:00', end: '08:30' }
+        ]);
+        assert.equal(slotEngine.isSlotAvailable('2025-03-10', '09:00', 'kontrolle'), false);
+        assert.ok(sync.getStatus().lastSyncAt);
+    });
+});
+
+test('a failed push is marked on the booking and retried by the next sync', async () => {
+    await withSync(async ({ doctolib, store, slotEngine, sync, provider }) => {
+        const booking = book(slotEngine);
+        sync.provider = provider('falsch');
+        const originalError = console.error;
+        console.error = () => {};
+
+        try {
+            assert.equal((await sync.push(booking)).external.status, 'failed');
+        } finally {
+            console.error = originalError;
+        }
+        assert.equal(doctolib.appointments.length, 0);
+
+        sync.provider = provider('mock-token');
+        await sync.sync();
+        assert.equal(store.findById('bookings', booking.id).external.status, 'synced');
+        assert.equal(doctolib.appointments.length, 1);
+    });
+});
@@ -0,0 +1,84 @@
+/**
+ * Calendar export: .ics files behind the manage link and the personal subscription feed
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PracticeApp = require('../app');
+const loadConfig = require('../config');
+const { buildCalendar, escapeText } = require('../lib/icalendar');
+
+async function withServer(run) {
+    const config = loadConfig({ DATA_DIR: 'memory', MAIL_TRANSPORT: 'memory', RECALL_MODE: 'off' });
+    config.clock = () => new Date('2025-03-03T08:00:00Z');
+    const app = new PracticeApp(config);
+    const { port } = await app.listen(0, '127.0.0.1');
+
+    try {
+        await run({ app, get: url => fetch(url.replace(app.config.publicUrl, `http://127.0.0.1:${port}`)) });
+    } finally {
+        await app.close();
+    }
+}
+
+const book = (app, date, email = 'eva@example.de') => app.slotEngine.createBooking({
+    date,
+    start: '09:00',
+    treatmentType: 'kontrolle',
+    patient: { firstName: 'Eva', lastName: 'Muster', email }
+});
+
+test('writes UTC times, escapes text and folds long lines', () => {
+    const calendar = buildCalendar({
+        events: [{
+            uid: 'termin-1@praxis',
+            start: new Date('2025-03-10T08:00:00Z'),
+            end: new Date('2025-03-10T08:20:00Z'),
+            summary: 'Kontrolle; Zahnreinigung, danach Beratung',
+            description: `Bitte mitbringen:\n${'Versichertenkarte und Bonusheft '.repeat(5)}`
+        }],
+        stamp: new Date('2025-03-03T08:00:00Z')
+    });
+    const lines = calendar.split('\r\n');
+
+    assert.ok(calendar.endsWith('END:VCALENDAR\r\n'));
+    assert.ok(lines.includes('DTSTART:20250310T080000Z'));
+    assert.ok(lines.includes('SUMMARY:Kontrolle\\; Zahnreinigung\\, danach Beratung'));
+    assert.ok(lines.every(line => Buffer.byteLength(line) <= 75));
+    assert.ok(lines.some(line => line.startsWith(' ')));
+    assert.equal(escapeText('a\\b'), 'a\\\\b');
+});
+
+test('the download behind the manage link holds the booking in practice time', async () => {
+    await withServer(async ({ app, get }) => {
+        const booking = book(app, '2025-03-10');
+
+        const response = await get(app.bookingManager.getCalendarUrl(booking));
+        const calendar = await response.text();
+
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /^text\/calendar/);
+        assert.match(response.headers.get('content-disposition'), /termin-2025-03-10\.ics/);
+        assert.match(calendar, /DTSTART:20250310T080000Z/);
+        assert.match(calendar, /STATUS:CONFIRMED/);
+        assert.equal((await get(app.bookingManager.getCalendarUrl({ id: 'unbekannt' }))).status, 404);
+    });
+});
+
+test('the feed lists the coming appointments of its owner and stops working once reset', async () => {
+    await withServer(async ({ app, get }) => {
+        const user = app.store.insert('users', { email: 'eva@example.de', firstName: 'Eva', lastName: 'Muster', role: 'patient' });
+        book(app, '2025-03-10');
+        await app.bookingManager.cancel(book(app, '2025-03-12'));
+        book(app, '2025-03-11', 'max@example.de');
+        const feedUrl = app.bookingManager.getCalendarFeedUrl(user);
+
+        const calendar = await (await get(feedUrl)).text();
+        assert.equal(calendar.match(/BEGIN:VEVENT/g).length, 1);
+        assert.match(calendar, /DTSTART:20250310T080000Z/);
+        assert.match(calendar, /REFRESH-INTERVAL;VALUE=DURATION:PT6H/);
+
+        app.store.update('users', user.id, { calendarFeedVersion: 1 });
+        assert.equal((await get(feedUrl)).status, 404);
+        assert.equal((await get(app.bookingManager.getCalendarFeedUrl(app.store.findById('users', user.id)))).status, 200);
+    });
+});
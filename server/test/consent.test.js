@@ -0,0 +1,69 @@
+/**
+ * Consent records: what is stored per decision and who can read the history
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const JsonStore = require('../lib/json-store');
+const PracticeApp = require('../app');
+const loadConfig = require('../config');
+const { ConsentService, anonymizeIp } = require('../lib/consent-service');
+
+const policies = require('../config/consent.json');
+const visitor = { ip: '203.0.113.57', userAgent: 'Mozilla/5.0' };
+
+test('drops the last part of IPv4 and everything after 48 bits of IPv6 addresses', () => {
+    assert.equal(anonymizeIp('203.0.113.57'), '203.0.113.0');
+    assert.equal(anonymizeIp('::ffff:203.0.113.57'), '203.0.113.0');
+    assert.equal(anonymizeIp('2001:db8:85a3:8d3:1319:8a2e:370:7348'), '2001:db8:85a3::');
+    assert.equal(anonymizeIp('2001:db8::1'), '2001:db8:0::');
+    assert.equal(anonymizeIp(null), null);
+});
+
+test('records required categories as given and optional ones only when chosen', () => {
+    const consent = new ConsentService({ store: new JsonStore(), policies });
+
+    const record = consent.record({ version: 1, categories: { necessary: false, statistics: 'yes', externalMedia: true } }, visitor);
+
+    assert.deepEqual(record.categories, { necessary: true, statistics: false, externalMedia: true });
+    assert.equal(record.ip, '203.0.113.0');
+    assert.equal(record.policyHash, consent.toPublicPolicy(consent.getCurrentPolicy()).hash);
+    assert.throws(() => consent.record({ version: 0, categories: {} }, visitor), { status: 409 });
+    assert.throws(() => consent.record({ version: 1 }, visitor), { status: 400 });
+});
+
+test('a change of mind joins the history of the earlier decision, unknown ids start a new one', () => {
+    const consent = new ConsentService({ store: new JsonStore(), policies });
+    const first = consent.record({ version: 1, categories: { statistics: true } }, visitor);
+
+    const second = consent.record({ version: 1, consentId: first.consentId, categories: { statistics: false } }, visitor);
+    const stranger = consent.record({ version: 1, consentId: '00000000-0000-0000-0000-000000000000', categories: {} }, visitor);
+
+    assert.equal(second.consentId, first.consentId);
+    assert.notEqual(stranger.consentId, '00000000-0000-0000-0000-000000000000');
+    assert.deepEqual(consent.getHistory(first.consentId).map(record => record.categories.statistics), [true, false]);
+    assert.throws(() => consent.getHistory('unbekannt'), { status: 404 });
+});
+
+test('the visitor sees their choices, only the practice team sees address and browser', async () => {
+    const config = loadConfig({ DATA_DIR: 'memory', MAIL_TRANSPORT: 'memory', RECALL_MODE: 'off' });
+    const app = new PracticeApp(config);
+    const { port } = await app.listen(0, '127.0.0.1');
+    const staff = app.store.insert('users', { email: 'team@example.de', firstName: 'Tina', lastName: 'Team', role: 'staff' });
+    const patient = app.store.insert('users', { email: 'eva@example.de', firstName: 'Eva', lastName: 'Muster', role: 'patient' });
+    const get = (pathname, user) => fetch(`http://127.0.0.1:${port}${pathname}`, {
+        headers: user ? { Cookie: `praxis_session=${app.auth.createSession(user, false).token}` } : {}
+    });
+
+    try {
+        const { consentId } = app.consent.record({ version: 1, categories: { statistics: true } }, visitor);
+
+        const [publicRecord] = (await (await get(`/api/consent/${consentId}`)).json()).history;
+        assert.equal(publicRecord.ip, undefined);
+        assert.equal((await get(`/api/staff/consents/${consentId}`, patient)).status, 403);
+        const [staffRecord] = (await (await get(`/api/staff/consents/${consentId}`, staff)).json()).history;
+        assert.equal(staffRecord.ip, '203.0.113.0');
+        assert.equal(staffRecord.userAgent, 'Mozilla/5.0');
+    } finally {
+        await app.close();
+    }
+});
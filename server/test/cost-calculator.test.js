@@ -0,0 +1,80 @@
+/**
+ * Cost calculator (js/cost-calculator.js): positions, the treatment basket
+ * and the consultation that is charged once per basket
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+global.document = { addEventListener() {}, getElementById: () => null, querySelectorAll: () => [] };
+const CostCalculator = require('../../js/cost-calculator');
+const InsuranceEstimate = require('../../js/insurance-estimate');
+const priceList = require('../config/price-list.json').versions[0];
+
+function createCalculator() {
+    const calculator = Object.create(CostCalculator.prototype);
+    Object.assign(calculator, { priceList, basket: [], financing: null });
+    calculator.insurance = new InsuranceEstimate(calculator);
+    return calculator;
+}
+
+const rootCanal = (complexity = 'medium') => ({ treatment: 'wurzelbehandlung', variant: 'kanal-1', complexity, teeth: [], quantity: 1 });
+const filling = { treatment: 'fuellungen', variant: 'komposit-2', complexity: 'medium', teeth: ['36', '37'], quantity: 2 };
+const codes = positions => positions.map(position => position.code);
+
+test('a single treatment costs the same as on its own', () => {
+    const calculator = createCalculator();
+
+    const basket = calculator.calculateBasketCost([rootCanal()]);
+    const single = calculator.calculateDetailedCost('wurzelbehandlung', 'kanal-1', 'medium');
+
+    assert.equal(basket.subtotal, single.subtotal);
+    assert.equal(basket.statutoryFee, single.statutoryFee);
+    assert.equal(basket.breakdown.consultationFee, single.consultationFee);
+});
+
+test('three treatments with a consultation charge it once', () => {
+    const calculator = createCalculator();
+    const single = calculator.calculateDetailedCost('wurzelbehandlung', 'kanal-1', 'medium');
+
+    const basket = calculator.calculateBasketCost([rootCanal(), rootCanal(), rootCanal()]);
+
+    assert.deepEqual(codes(basket.consultation.positions), ['GOÄ 1']);
+    assert.equal(basket.consultation.subtotal, single.consultationFee);
+    assert.equal(basket.breakdown.consultationFee, single.consultationFee);
+    basket.items.forEach(item => {
+        assert.ok(!codes(item.positions).includes('GOÄ 1'));
+        assert.equal(item.consultationFee, 0);
+    });
+    assert.equal(basket.subtotal, Math.round((single.subtotal * 3 - single.consultationFee * 2) * 100) / 100);
+    assert.equal(
+        basket.subtotal,
+        Math.round((basket.items.reduce((sum, item) => sum + item.subtotal, 0) + basket.consultation.subtotal) * 100) / 100
+    );
+});
+
+test('the statutory consultation is also counted once', () => {
+    const calculator = createCalculator();
+    const single = calculator.calculateDetailedCost('wurzelbehandlung', 'kanal-1', 'medium');
+    const consultation = calculator.calculatePosition('BEMA Ä1', 1, null).amount;
+
+    const basket = calculator.calculateBasketCost([rootCanal(), rootCanal()], { type: 'gkv', bonus: 'none' });
+
+    assert.equal(basket.consultation.statutoryFee, consultation);
+    assert.equal(basket.statutoryFee, Math.round((single.statutoryFee * 2 - consultation) * 100) / 100);
+    assert.equal(basket.insuranceCoverage, basket.statutoryFee);
+});
+
+test('the consultation is charged at the highest factor chosen', () => {
+    const calculator = createCalculator();
+
+    const basket = calculator.calculateBasketCost([rootCanal('simple'), rootCanal('complex')]);
+
+    assert.equal(basket.consultation.positions[0].factor, priceList.complexity.complex.factor);
+});
+
+test('a basket without consultation positions has none', () => {
+    const basket = createCalculator().calculateBasketCost([filling]);
+
+    assert.equal(basket.consultation, null);
+    assert.equal(basket.subtotal, basket.items[0].subtotal);
+});
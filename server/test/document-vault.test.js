@@ -0,0 +1,97 @@
+/**
+ * Document vault: encrypted storage, access by the owning patient only and the access log
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const PracticeApp = require('../app');
+const loadConfig = require('../config');
+
+const PDF = Buffer.from('%PDF-1.4\nBefund: Karies an Zahn 36\n%%EOF', 'latin1');
+
+async function withServer(run) {
+    const config = loadConfig({ DATA_DIR: 'memory', MAIL_TRANSPORT: 'memory', RECALL_MODE: 'off' });
+    config.clock = () => new Date('2025-03-03T08:00:00Z');
+    const app = new PracticeApp(config);
+    const { port } = await app.listen(0, '127.0.0.1');
+
+    const users = {
+        staff: app.store.insert('users', { email: 'team@example.de', firstName: 'Tina', lastName: 'Team', role: 'staff' }),
+        eva: app.store.insert('users', { email: 'eva@example.de', firstName: 'Eva', lastName: 'Muster', role: 'patient' }),
+        max: app.store.insert('users', { email: 'max@example.de', firstName: 'Max', lastName: 'Muster', role: 'patient' })
+    };
+    const cookies = Object.fromEntries(Object.entries(users).map(([name, user]) =>
+        [name, `praxis_session=${app.auth.createSession(user, false).token}`]
+    ));
+    const request = (pathname, { as, body } = {}) => fetch(`http://127.0.0.1:${port}${pathname}`, {
+        method: body ? 'POST' : 'GET',
+        headers: { 'Content-Type': 'application/json', ...(as ? { Cookie: cookies[as] } : {}) },
+        body: body && JSON.stringify(body)
+    });
+    const upload = (as, file = { name: 'befund.pdf', data: PDF.toString('base64') }, category = 'xray-report') =>
+        request('/api/staff/documents', { as, body: { email: 'eva@example.de', category, title: 'Röntgenbefund', file } });
+
+    try {
+        await run({ app, request, upload });
+    } finally {
+        await app.close();
+    }
+}
+
+test('stores uploads encrypted and hands them only to their patient', async () => {
+    await withServer(async ({ app, request, upload }) => {
+        const response = await upload('staff');
+        const { document } = await response.json();
+        assert.equal(response.status, 201);
+
+        const stored = fs.readFileSync(app.documentVault.getFilePath(document.id));
+        assert.equal(stored.includes(Buffer.from('Karies')), false);
+
+        const download = await request(`/api/portal/documents/${document.id}/file`, { as: 'eva' });
+        assert.equal(download.status, 200);
+        assert.deepEqual(Buffer.from(await download.arrayBuffer()), PDF);
+
+        assert.equal((await request(`/api/portal/documents/${document.id}/file`, { as: 'max' })).status, 404);
+        assert.equal((await request(`/api/portal/documents/${document.id}/file`)).status, 401);
+        assert.deepEqual((await (await request('/api/portal/documents', { as: 'max' })).json()).documents, []);
+    });
+});
+
+test('only the practice team uploads and reads the access log', async () => {
+    await withServer(async ({ request, upload }) => {
+        assert.equal((await upload('eva')).status, 403);
+        assert.equal((await upload()).status, 401);
+
+        const { document } = await (await upload('staff')).json();
+        await request(`/api/portal/documents/${document.id}/file?disposition=inline`, { as: 'eva' });
+        await request(`/api/staff/documents/${document.id}/file`, { as: 'staff' });
+
+        assert.equal((await request(`/api/staff/documents/${document.id}/access-log`, { as: 'eva' })).status, 403);
+        const { entries } = await (await request(`/api/staff/documents/${document.id}/access-log`, { as: 'staff' })).json();
+        assert.deepEqual(entries.map(entry => [entry.user, entry.action]), [['Eva Muster', 'preview'], ['Tina Team', 'download']]);
+    });
+});
+
+test('checks the category and the file content and cleans the file name', async () => {
+    await withServer(async ({ upload }) => {
+        const disguised = await upload('staff', { name: 'rechnung.pdf', data: Buffer.from('<script>alert(1)</script>').toString('base64') });
+        assert.equal(disguised.status, 400);
+        assert.equal((await upload('staff', undefined, 'constructor')).status, 400);
+
+        const { document } = await (await upload('staff', { name: '../../Befund (neu).exe', data: PDF.toString('base64') })).json();
+        assert.equal(document.fileName, 'Befund _neu_.pdf');
+        assert.equal(document.contentType, 'application/pdf');
+    });
+});
+
+test('an encrypted file cannot be moved to another document', async () => {
+    await withServer(async ({ app }) => {
+        const first = app.documentVault.add({ patientId: null, category: 'consent', title: 'A', fileName: 'a.pdf', contentType: 'application/pdf', content: PDF });
+        const second = app.documentVault.add({ patientId: null, category: 'consent', title: 'B', fileName: 'b.pdf', contentType: 'application/pdf', content: PDF });
+        const staff = app.store.findOne('users', user => user.role === 'staff');
+
+        fs.copyFileSync(app.documentVault.getFilePath(first.id), app.documentVault.getFilePath(second.id));
+        assert.throws(() => app.documentVault.open(second, { user: staff, action: 'download', ip: null }));
+        assert.equal(app.documentVault.getAccessLog(second.id).length, 0);
+    });
+});
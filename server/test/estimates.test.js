@@ -0,0 +1,110 @@
+/**
+ * Printed cost estimates: reference numbers, what is stored with them and the
+ * staff lookup that shows the figures as printed
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const JsonStore = require('../lib/json-store');
+const { EstimateService } = require('../lib/estimate-service');
+const { PriceListService } = require('../lib/price-list-service');
+const { FinancingService } = require('../lib/financing-service');
+
+const practice = { timeZone: 'Europe/Berlin' };
+
+function createService() {
+    return new EstimateService({
+        store: new JsonStore(),
+        priceList: new PriceListService({ priceLists: require('../config/price-list.json'), practice }),
+        financing: new FinancingService({ financing: require('../config/financing.json'), practice })
+    });
+}
+
+const body = (overrides = {}) => ({
+    costEstimate: {
+        priceListVersion: 1,
+        items: [{ treatment: 'fuellungen', variant: 'komposit-2', complexity: 'medium', teeth: ['36'], quantity: 1, name: 'Eva' }],
+        insurance: { type: 'gkv', bonus: 'none' }
+    },
+    totals: { subtotal: 180.5, patientShare: 120.25 },
+    financing: null,
+    ...overrides
+});
+
+test('stores the basket, totals and financing under a reference, without personal data', () => {
+    const service = createService();
+
+    const estimate = service.create(body({
+        financing: { productId: 'teilzahlung', months: 12, nominalRate: 7.49, effectiveRate: 7.75, monthlyPayment: 20 }
+    }));
+
+    assert.match(estimate.reference, /^KS-[A-Z2-9]{4}-[A-Z2-9]{4}$/);
+    assert.deepEqual(estimate.totals, { subtotal: 180.5, patientShare: 120.25 });
+    assert.equal(estimate.financing.label, 'Teilzahlung');
+    assert.equal(estimate.items[0].name, undefined);
+});
+
+test('finds an estimate however the reference is typed', () => {
+    const service = createService();
+    const { reference } = service.create(body());
+    const plain = reference.replace(/-/g, '');
+
+    assert.equal(service.find(plain.toLowerCase()).reference, reference);
+    assert.equal(service.find(`${plain.slice(0, 2)} ${plain.slice(2, 6)} ${plain.slice(6)}`).reference, reference);
+    assert.throws(() => service.find('KS-AAAA-AAAA'), { status: 404 });
+    assert.throws(() => service.find('nonsense'), { status: 404 });
+});
+
+test('refuses impossible totals and unknown financing', () => {
+    const service = createService();
+
+    assert.throws(() => service.create(body({ totals: { subtotal: 100, patientShare: 150 } })), { status: 400 });
+    assert.throws(() => service.create(body({ totals: { subtotal: -1, patientShare: 0 } })), { status: 400 });
+    assert.throws(() => service.create(body({
+        financing: { productId: 'teilzahlung', months: 7, nominalRate: 7.49, effectiveRate: 7.75, monthlyPayment: 20 }
+    })), { status: 400 });
+});
+
+test('the staff lookup shows the stored figures and recalculates only on request', async () => {
+    const requested = [];
+    const handlers = {};
+    const container = {
+        innerHTML: '',
+        classList: { add() {} },
+        prepend() {},
+        querySelector: () => ({ addEventListener: (event, handler) => { handlers[event] = handler; } })
+    };
+    global.document = { getElementById: () => null, createElement: () => ({}) };
+    global.window = { addEventListener() {}, location: { search: '?schaetzung=KS-ABCD-EFGH' } };
+    global.fetch = async url => {
+        requested.push(url);
+        const payload = url.includes('/staff/estimates/')
+            ? { estimate: { ...createService().create(body()), reference: 'KS-ABCD-EFGH', createdAt: '2025-03-03T10:00:00.000Z' } }
+            : { priceList: { version: 1 } };
+        return { ok: true, json: async () => payload };
+    };
+
+    const EstimatePrint = require('../../js/estimate-print');
+    let restored = 0;
+    const calculator = {
+        apiBase: '/api',
+        resultContainer: container,
+        formatAmount: value => `${value.toFixed(2)} €`,
+        formatFactor: value => `${value}-fach`,
+        restoreEstimate: () => {
+            restored++;
+            return null;
+        },
+        showError: message => assert.fail(message)
+    };
+    const print = new EstimatePrint(calculator);
+
+    await print.openFromUrl();
+    assert.deepEqual(requested, ['/api/staff/estimates/KS-ABCD-EFGH']);
+    assert.match(container.innerHTML, /180\.50 €/);
+    assert.match(container.innerHTML, /120\.25 €/);
+    assert.equal(restored, 0);
+
+    await handlers.click();
+    assert.deepEqual(requested, ['/api/staff/estimates/KS-ABCD-EFGH', '/api/prices/1']);
+    assert.equal(restored, 1);
+});
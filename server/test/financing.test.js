@@ -0,0 +1,125 @@
+/**
+ * Financing: the partner's products (config/financing.json) and the
+ * instalments the calculator on preise.html works out for them
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FinancingService } = require('../lib/financing-service');
+const FinancingCalculator = require('../../js/financing-calculator');
+const financing = require('../config/financing.json');
+
+const practice = { timeZone: 'Europe/Berlin' };
+
+function createCalculator(products) {
+    const calculator = new FinancingCalculator({ roundCents: value => Math.round(value * 100) / 100 });
+    calculator.products = products;
+    return calculator;
+}
+
+const product = (overrides = {}) => ({
+    id: 'test',
+    label: 'Test',
+    lender: 'Bank',
+    nominalRate: 7.49,
+    terms: [6, 12, 24, 36],
+    minAmount: 200,
+    maxAmount: 25000,
+    minInstalment: 20,
+    promotion: null,
+    ...overrides
+});
+
+test('the configured products pass the checks', () => {
+    assert.doesNotThrow(() => new FinancingService({ financing, practice }));
+});
+
+test('only a product that is at 0 % throughout calls itself 0 %', () => {
+    financing.products
+        .filter(candidate => candidate.nominalRate > 0)
+        .forEach(candidate => assert.doesNotMatch(candidate.label, /\b0\s*%/, candidate.id));
+});
+
+test('refuses a product with a promotion dearer than the product', () => {
+    const broken = product({ promotion: { nominalRate: 9, maxMonths: 12, validFrom: '2026-01-01', validUntil: '2026-12-31' } });
+    assert.throws(() => new FinancingService({ financing: { products: [broken] }, practice }), /dearer/);
+});
+
+test('offers a promotion only while it runs', () => {
+    const clock = { now: new Date('2026-06-01T10:00:00Z') };
+    const service = new FinancingService({ financing, practice, clock: () => clock.now });
+    const promoted = () => service.getOffer().products.find(candidate => candidate.promotion);
+
+    assert.ok(promoted());
+    clock.now = new Date('2027-01-01T10:00:00Z');
+    assert.equal(promoted(), undefined);
+});
+
+test('works out the annuity and the effective annual rate', () => {
+    const calculator = createCalculator([]);
+
+    const offer = calculator.calculate(5000, product(), 24);
+    assert.equal(offer.monthlyPayment, 224.98);
+    assert.equal(offer.effectiveRate, 7.75);
+    assert.equal(offer.schedule.at(-1).balance, 0);
+    assert.equal(offer.totalAmount, Math.round((offer.monthlyPayment * 23 + offer.lastPayment) * 100) / 100);
+
+    assert.equal(calculator.calculate(5000, product({ nominalRate: 4.99 }), 36).effectiveRate, 5.11);
+});
+
+test('a promotion at 0 % has no interest and an effective rate of 0', () => {
+    const promoted = product({ nominalRate: 4.99, promotion: { nominalRate: 0, maxMonths: 12 } });
+    const offer = createCalculator([]).calculate(1000, promoted, 12);
+
+    assert.equal(offer.nominalRate, 0);
+    assert.equal(offer.effectiveRate, 0);
+    assert.equal(offer.totalInterest, 0);
+    assert.equal(offer.monthlyPayment, 83.33);
+    assert.equal(offer.lastPayment, 83.37);
+
+    assert.equal(createCalculator([]).calculate(1000, promoted, 24).nominalRate, 4.99);
+});
+
+test('leaves out terms below the minimum instalment and amounts outside the range', () => {
+    const calculator = createCalculator([product()]);
+
+    assert.deepEqual(calculator.getTerms(product(), 400), [6, 12]);
+    assert.equal(calculator.getOffer(150), null);
+    assert.equal(calculator.getOffer(5000).months, 24);
+});
+
+test('a product renamed from "null-prozent" is still found under its former id', () => {
+    const service = new FinancingService({ financing, practice });
+
+    assert.equal(service.findProduct('null-prozent').id, 'ratenkredit');
+    assert.equal(service.findProduct('ratenkredit').label, 'Ratenkredit');
+    assert.equal(service.findProduct('constructor'), null);
+    assert.ok(financing.products.every(candidate => !/null|0/.test(candidate.id)));
+});
+
+test('stored estimates with the former id resolve to the renamed product', () => {
+    const JsonStore = require('../lib/json-store');
+    const { EstimateService } = require('../lib/estimate-service');
+    const { PriceListService } = require('../lib/price-list-service');
+    const store = new JsonStore();
+    const estimates = new EstimateService({
+        store,
+        priceList: new PriceListService({ priceLists: require('../config/price-list.json'), practice }),
+        financing: new FinancingService({ financing, practice })
+    });
+    const body = {
+        costEstimate: {
+            priceListVersion: 1,
+            items: [{ treatment: 'prophylaxe', variant: 'pzr', complexity: 'simple', teeth: [], quantity: 1 }],
+            insurance: null
+        },
+        totals: { subtotal: 1200, patientShare: 1200 },
+        financing: { productId: 'null-prozent', months: 24, nominalRate: 4.99, effectiveRate: 5.11, monthlyPayment: 52.59 }
+    };
+
+    const created = estimates.create(body);
+    assert.equal(created.financing.productId, 'ratenkredit');
+
+    // Stored before the rename
+    store.update('cost-estimates', created.id, { financing: { ...created.financing, productId: 'null-prozent' } });
+    assert.equal(estimates.find(created.reference).financing.productId, 'ratenkredit');
+});
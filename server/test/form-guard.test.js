@@ -0,0 +1,75 @@
+/**
+ * Spam protection of the public forms: honeypot, fill time, proof of work and rate limit
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FormGuard = require('../lib/form-guard');
+const { LinkSigner } = require('../lib/signed-links');
+
+const settings = { minSubmitSeconds: 3, challengeMinutes: 120, difficulty: 4, rateLimit: { max: 5, windowMinutes: 10 } };
+
+function createGuard() {
+    let now = new Date('2025-03-03T08:00:00Z').getTime();
+    const clock = () => new Date(now);
+    const guard = new FormGuard({ signer: new LinkSigner({ secret: 'geheim', clock }), settings, clock });
+    return { guard, advance: seconds => { now += seconds * 1000; } };
+}
+
+function solve(guard, form) {
+    const { token } = guard.createChallenge(form);
+    let proof = 0;
+    while (!guard.isSolved(token, String(proof))) proof++;
+    return { 'form-token': token, 'form-proof': String(proof) };
+}
+
+function submission(body, ip = '203.0.113.7') {
+    const headers = {};
+    return { ip, body, headers, res: { setHeader: (name, value) => { headers[name] = value; } } };
+}
+
+test('accepts a solved challenge once, after the minimum fill time', () => {
+    const { guard, advance } = createGuard();
+    const fields = solve(guard, 'contact');
+
+    assert.throws(() => guard.check(submission(fields), 'contact'), { status: 400, message: /zu schnell/ });
+    advance(3);
+    guard.check(submission(fields), 'contact');
+    assert.throws(() => guard.check(submission(fields), 'contact'), { status: 400, message: /abgelaufen/ });
+});
+
+test('refuses a filled honeypot, a missing proof and a challenge of another form', () => {
+    const { guard, advance } = createGuard();
+    const fields = solve(guard, 'contact');
+    advance(3);
+
+    assert.throws(() => guard.check(submission({ ...fields, website: 'https://spam.example' }), 'contact'), { status: 400 });
+    assert.throws(() => guard.check(submission({ ...fields, 'form-proof': undefined }), 'contact'), { status: 400 });
+    assert.throws(() => guard.check(submission(fields), 'newsletter'), { status: 400, message: /abgelaufen/ });
+    assert.throws(() => guard.createChallenge('unbekannt'), { status: 404 });
+    guard.check(submission(fields), 'contact');
+});
+
+test('a challenge expires', () => {
+    const { guard, advance } = createGuard();
+    const fields = solve(guard, 'booking');
+
+    advance(settings.challengeMinutes * 60 + 1);
+    assert.throws(() => guard.check(submission(fields), 'booking'), { status: 400, message: /abgelaufen/ });
+});
+
+test('limits the submissions per address and form, rejected ones included', () => {
+    const { guard, advance } = createGuard();
+
+    for (let attempt = 0; attempt < settings.rateLimit.max; attempt++) {
+        assert.throws(() => guard.check(submission({}), 'contact'), { status: 400 });
+    }
+    const limited = submission({});
+    assert.throws(() => guard.check(limited, 'contact'), { status: 429 });
+    assert.equal(limited.headers['Retry-After'], '600');
+
+    assert.throws(() => guard.check(submission({}, '198.51.100.1'), 'contact'), { status: 400 });
+    assert.throws(() => guard.check(submission({}), 'newsletter'), { status: 400 });
+
+    advance(settings.rateLimit.windowMinutes * 60 + 1);
+    assert.throws(() => guard.check(submission({}), 'contact'), { status: 400 });
+});
@@ -0,0 +1,96 @@
+/**
+ * Public forms: contact messages, validation errors and the newsletter double opt-in
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const PracticeApp = require('../app');
+const loadConfig = require('../config');
+
+async function withServer(run) {
+    const config = loadConfig({ DATA_DIR: 'memory', MAIL_TRANSPORT: 'memory', RECALL_MODE: 'off' });
+    let now = new Date('2025-03-03T08:00:00Z').getTime();
+    config.clock = () => new Date(now);
+    config.practice.formProtection.difficulty = 4;
+    const app = new PracticeApp(config);
+    const { port } = await app.listen(0, '127.0.0.1');
+    const url = pathname => `http://127.0.0.1:${port}${pathname}`;
+
+    // Fetches a challenge, solves it and sends the form once the minimum fill time has passed
+    async function submit(form, pathname, fields) {
+        const { token, difficulty } = await (await fetch(url(`/api/forms/${form}/challenge`))).json();
+        let proof = 0;
+        while (!app.formGuard.isSolved(token, String(proof))) proof++;
+        now += config.practice.formProtection.minSubmitSeconds * 1000;
+
+        assert.equal(difficulty, 4);
+        return fetch(url(pathname), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...fields, 'form-token': token, 'form-proof': String(proof) })
+        });
+    }
+
+    try {
+        await run({ app, submit, get: pathname => fetch(url(pathname), { redirect: 'manual' }) });
+    } finally {
+        await app.close();
+    }
+}
+
+const contact = {
+    firstName: 'Eva',
+    lastName: 'Muster',
+    email: 'Eva@Example.de',
+    subject: 'frage',
+    message: 'Haben Sie samstags geöffnet?',
+    privacy: true
+};
+
+test('stores a contact message and notifies the practice and the sender', async () => {
+    await withServer(async ({ app, submit }) => {
+        const response = await submit('contact', '/api/contact', contact);
+        const { id, confirmationSent } = await response.json();
+
+        assert.equal(response.status, 201);
+        assert.equal(confirmationSent, true);
+        const stored = app.store.findById('contact-messages', id);
+        assert.equal(stored.email, 'eva@example.de');
+        assert.equal(stored.status, 'new');
+        assert.deepEqual(
+            app.mailer.transport.messages.map(message => message.recipients[0]),
+            [app.mailer.practiceAddress, 'eva@example.de']
+        );
+    });
+});
+
+test('answers invalid fields with the messages the browser shows', async () => {
+    await withServer(async ({ app, submit }) => {
+        const response = await submit('contact', '/api/contact', { ...contact, email: 'eva', subject: 'werbung', privacy: false });
+        const { details } = await response.json();
+
+        assert.equal(response.status, 400);
+        assert.deepEqual(Object.keys(details.fields).sort(), ['email', 'privacy', 'subject']);
+        assert.equal(details.fields.email, 'Bitte geben Sie eine gültige E-Mail-Adresse ein.');
+        assert.equal(app.store.all('contact-messages').length, 0);
+    });
+});
+
+test('a newsletter sign-up only counts once the link from the e-mail is opened', async () => {
+    await withServer(async ({ app, submit, get }) => {
+        const response = await submit('newsletter', '/api/newsletter', { email: 'eva@example.de', privacy: true });
+        assert.equal(response.status, 201);
+        assert.equal(app.newsletter.findByEmail('eva@example.de').status, 'pending');
+
+        const { text } = app.mailer.transport.messages[0].message;
+        const confirmPath = text.match(/\/api\/newsletter\/confirm\?token=[a-f0-9]+/)[0];
+
+        const forged = await get(`/api/newsletter/confirm?token=${crypto.randomBytes(24).toString('hex')}`);
+        assert.equal(forged.headers.get('location'), '/blog.html?newsletter=invalid');
+        assert.equal(app.newsletter.findByEmail('eva@example.de').status, 'pending');
+
+        const confirmed = await get(confirmPath);
+        assert.equal(confirmed.headers.get('location'), '/blog.html?newsletter=confirmed');
+        assert.equal(app.newsletter.findByEmail('eva@example.de').status, 'confirmed');
+    });
+});
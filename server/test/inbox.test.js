@@ -0,0 +1,55 @@
+/**
+ * Staff inbox: listing, status changes and notes on the requests of the public forms
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PracticeApp = require('../app');
+const loadConfig = require('../config');
+
+function createApp() {
+    const config = loadConfig({ DATA_DIR: 'memory', MAIL_TRANSPORT: 'memory', RECALL_MODE: 'off' });
+    config.clock = () => new Date('2025-03-03T10:00:00Z');
+    const app = new PracticeApp(config);
+
+    const staff = app.store.insert('users', { email: 'team@example.de', firstName: 'Tina', lastName: 'Team', role: 'staff' });
+    const message = app.store.insert('contact-messages', {
+        firstName: 'Eva',
+        lastName: 'Muster',
+        email: 'eva@example.de',
+        subject: 'frage',
+        message: 'Haben Sie samstags geöffnet?',
+        status: 'new'
+    });
+    return { app, staff, message };
+}
+
+test('lists the requests and counts the new ones per type', () => {
+    const { app } = createApp();
+
+    const items = app.inbox.list();
+    assert.equal(items.length, 1);
+    assert.equal(items[0].type, 'contact');
+    assert.equal(items[0].email, 'eva@example.de');
+    assert.equal(app.inbox.countNew().contact, 1);
+});
+
+test('a note takes the request over and stays in its history', () => {
+    const { app, staff, message } = createApp();
+
+    const updated = app.inbox.addNote('contact', message, staff, { note: 'Rückruf vereinbart' });
+    const item = app.inbox.toDetailedItem('contact', updated);
+
+    assert.equal(item.status, 'in-progress');
+    assert.equal(item.assignedTo, staff.id);
+    assert.deepEqual(item.history.map(entry => entry.action), ['note', 'status', 'assigned']);
+});
+
+test('refuses types and statuses inherited from Object', () => {
+    const { app, staff, message } = createApp();
+
+    ['constructor', '__proto__', 'toString'].forEach(type => {
+        assert.throws(() => app.inbox.list({ type }), { status: 404 }, type);
+        assert.throws(() => app.inbox.findRecord(type, message.id), { status: 404 }, type);
+    });
+    assert.throws(() => app.inbox.update('contact', message, staff, { status: 'constructor' }), { status: 400 });
+});
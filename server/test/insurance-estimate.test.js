@@ -0,0 +1,84 @@
+/**
+ * Insurance estimate of the cost calculator (js/insurance-estimate.js): what
+ * the statutory, private or supplementary insurance pays of an estimate
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+global.document = { getElementById: () => null, querySelectorAll: () => [] };
+const InsuranceEstimate = require('../../js/insurance-estimate');
+const priceList = require('../config/price-list.json').versions[0];
+
+const round = value => Math.round(value * 100) / 100;
+
+function createEstimate() {
+    return new InsuranceEstimate({ priceList, roundCents: round, formatAmount: value => `${value.toFixed(2)} €` });
+}
+
+const filling = { subtotal: 180, statutoryFee: 60, fixedSubsidy: null };
+const crown = { subtotal: 900, statutoryFee: 0, fixedSubsidy: { code: '1.1', label: 'Krone', regularCareCost: 400, quantity: 1 } };
+
+const supplementary = (overrides = {}) => ({
+    type: 'supplementary',
+    bonus: 'none',
+    rate: 90,
+    remainingBenefit: null,
+    insuredSince: null,
+    waitingMonths: 0,
+    ...overrides
+});
+
+test('the statutory insurance pays the BEMA value and the fixed subsidy of the bonus level', () => {
+    const estimate = createEstimate();
+    const levels = priceList.statutoryInsurance.bonusLevels;
+
+    const none = estimate.calculate([filling, crown], { type: 'gkv', bonus: 'none' }, '2025-06-01');
+    const tenYears = estimate.calculate([crown], { type: 'gkv', bonus: 'ten-years' }, '2025-06-01');
+
+    assert.equal(none.insuranceCoverage, 60 + round(400 * levels.none.subsidyPercent / 100));
+    assert.equal(none.patientShare, round(1080 - none.insuranceCoverage));
+    assert.equal(tenYears.insuranceCoverage, round(400 * levels['ten-years'].subsidyPercent / 100));
+});
+
+test('a private tariff pays its rates for treatment and dentures', () => {
+    const result = createEstimate().calculate([filling, crown], { type: 'pkv', treatmentRate: 100, dentureRate: 60 }, '2025-06-01');
+
+    assert.equal(result.insuranceCoverage, 180 + 540);
+    assert.equal(result.patientShare, 360);
+});
+
+test('self-payers get no reimbursement', () => {
+    const result = createEstimate().calculate([filling], { type: 'self' }, '2025-06-01');
+
+    assert.equal(result.insuranceCoverage, 0);
+    assert.equal(result.patientShare, 180);
+});
+
+test('a supplementary policy tops up to its rate and stops at the remaining benefit', () => {
+    const estimate = createEstimate();
+
+    assert.equal(estimate.calculate([filling], supplementary(), '2025-06-01').insuranceCoverage, 162);
+
+    const capped = estimate.calculate([filling], supplementary({ remainingBenefit: 50 }), '2025-06-01');
+    assert.equal(capped.insuranceCoverage, 110);
+    assert.ok(capped.assumptions.some(assumption => assumption.includes('50.00 €')));
+});
+
+test('a supplementary policy pays nothing until the month its waiting period ends', () => {
+    const estimate = createEstimate();
+    const waiting = supplementary({ insuredSince: '2025-01', waitingMonths: 8 });
+
+    const during = estimate.calculate([filling], waiting, '2025-08-31');
+    assert.equal(during.insuranceCoverage, 60);
+    assert.ok(during.assumptions.some(assumption => assumption.includes('09/2025')));
+
+    assert.equal(estimate.calculate([filling], waiting, '2025-09-01').insuranceCoverage, 162);
+});
+
+test('today is the date in the practice, whatever the time zone of the device', () => {
+    const estimate = createEstimate();
+
+    // 23:30 UTC on 31 August is already 1 September in Berlin
+    assert.equal(estimate.getToday(new Date('2025-08-31T23:30:00Z')), '2025-09-01');
+    assert.equal(estimate.getToday(new Date('2025-12-31T22:59:00Z')), '2025-12-31');
+});
@@ -0,0 +1,160 @@
+/**
+ * Online payments for invoices and instalment plans, including the second
+ * checkout that was completed for something already paid
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PracticeApp = require('../app');
+const loadConfig = require('../config');
+
+function createApp(env = {}) {
+    const config = loadConfig({ DATA_DIR: 'memory', MAIL_TRANSPORT: 'memory', RECALL_MODE: 'off', ...env });
+    config.clock = () => new Date('2025-03-03T10:00:00Z');
+    const app = new PracticeApp(config);
+
+    const patient = app.store.insert('users', { email: 'eva@example.de', firstName: 'Eva', lastName: 'Muster' });
+    const invoice = app.store.insert('invoices', {
+        patientId: patient.id,
+        number: 'RE-2025-0001',
+        title: 'Implantat',
+        date: '2025-03-03',
+        dueDate: '2025-04-02',
+        amount: 1200,
+        paidAmount: 0,
+        status: 'open',
+        documentId: null,
+        instalmentPlan: null,
+        createdBy: 'staff',
+        paidAt: null
+    });
+
+    return { app, patient, invoice };
+}
+
+function paidPayment(app, invoice, { amount, instalment = null }) {
+    return app.store.insert('payments', {
+        invoiceId: invoice.id,
+        patientId: invoice.patientId,
+        amount,
+        instalment,
+        provider: 'test',
+        providerPaymentId: null,
+        status: 'paid',
+        paidAt: '2025-03-03T10:05:00.000Z'
+    });
+}
+
+test('a payment of the full amount settles the invoice', async () => {
+    const { app, invoice } = createApp();
+
+    const updated = await app.invoices.applyPayment(paidPayment(app, invoice, { amount: 1200 }));
+
+    assert.equal(updated.status, 'paid');
+    assert.equal(updated.paidAmount, 1200);
+});
+
+test('a second payment of a paid invoice is flagged for a refund', async () => {
+    const { app, invoice } = createApp();
+    await app.invoices.applyPayment(paidPayment(app, invoice, { amount: 1200 }));
+
+    const second = paidPayment(app, invoice, { amount: 1200 });
+    await app.invoices.applyPayment(second);
+
+    assert.equal(app.store.findById('payments', second.id).duplicate, true);
+});
+
+test('an instalment payment marks that instalment as paid', async () => {
+    const { app, invoice } = createApp();
+    const plan = app.invoices.startInstalmentPlan(invoice, { terms: true });
+    const first = plan.instalmentPlan.schedule[0];
+
+    const payment = paidPayment(app, invoice, { amount: first.amount, instalment: 1 });
+    const updated = await app.invoices.applyPayment(payment);
+
+    assert.equal(updated.status, 'instalments');
+    assert.equal(updated.paidAmount, first.amount);
+    assert.equal(updated.instalmentPlan.schedule[0].paymentId, payment.id);
+    assert.equal(updated.instalmentPlan.schedule[1].paidAt, null);
+    assert.equal(app.store.findById('payments', payment.id).duplicate, undefined);
+});
+
+test('a second payment for an already paid instalment is a duplicate and changes nothing', async () => {
+    const { app, invoice } = createApp();
+    const plan = app.invoices.startInstalmentPlan(invoice, { terms: true });
+    const amount = plan.instalmentPlan.schedule[0].amount;
+    const first = paidPayment(app, invoice, { amount, instalment: 1 });
+    await app.invoices.applyPayment(first);
+
+    const second = paidPayment(app, invoice, { amount, instalment: 1 });
+    const updated = await app.invoices.applyPayment(second);
+
+    assert.equal(app.store.findById('payments', second.id).duplicate, true);
+    assert.equal(updated.paidAmount, amount);
+    assert.equal(updated.instalmentPlan.schedule[0].paymentId, first.id);
+    assert.equal(updated.instalmentPlan.schedule[1].paidAt, null);
+
+    const notification = app.mailer.transport.messages.at(-1);
+    assert.match(notification.message.text, /Die Rate 1 war bereits bezahlt/);
+});
+
+test('a checkout for the whole amount settles an instalment plan accepted after it was started', async () => {
+    const { app, invoice } = createApp();
+    const payment = paidPayment(app, invoice, { amount: 1200 });
+    app.invoices.startInstalmentPlan(invoice, { terms: true });
+
+    const updated = await app.invoices.applyPayment(payment);
+
+    assert.equal(updated.status, 'paid');
+    assert.equal(updated.paidAmount, 1200);
+    assert.ok(updated.instalmentPlan.schedule.every(instalment => instalment.paymentId === payment.id));
+    assert.equal(app.store.findById('payments', payment.id).duplicate, undefined);
+});
+
+test('the webhook and the return of the patient arriving together apply a payment once', async () => {
+    const { app, invoice } = createApp();
+    app.invoices.provider = { name: 'test', getPayment: async () => ({ status: 'paid' }) };
+    const payment = app.store.insert('payments', {
+        invoiceId: invoice.id,
+        patientId: invoice.patientId,
+        amount: 1200,
+        instalment: null,
+        provider: 'test',
+        providerPaymentId: 'tr_1',
+        status: 'open',
+        paidAt: null
+    });
+
+    await Promise.all([app.invoices.refreshPayment(payment), app.invoices.refreshPayment(payment)]);
+
+    const updated = app.store.findById('invoices', invoice.id);
+    assert.equal(updated.status, 'paid');
+    assert.equal(updated.paidAmount, 1200);
+    assert.equal(app.store.findById('payments', payment.id).duplicate, undefined);
+});
+
+test('the webhook settles an invoice only with the status fetched from the provider', async () => {
+    const { app, patient, invoice } = createApp({ PAYMENT_PROVIDER: 'mock' });
+    const { port } = await app.listen(0, '127.0.0.1');
+    const webhook = body => fetch(`http://127.0.0.1:${port}/api/payments/webhook`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+
+    try {
+        const { payment } = await app.invoices.startPayment(invoice, patient);
+
+        assert.equal((await webhook({ id: 'mock_unbekannt', status: 'paid' })).status, 404);
+        assert.equal((await webhook({ id: payment.providerPaymentId, status: 'paid' })).status, 204);
+        assert.equal(app.store.findById('invoices', invoice.id).status, 'open');
+
+        app.paymentProvider.complete(payment.providerPaymentId, 'paid');
+        await webhook({ id: payment.providerPaymentId });
+        await webhook({ id: payment.providerPaymentId });
+        assert.equal(app.store.findById('invoices', invoice.id).status, 'paid');
+        assert.equal(app.store.findById('invoices', invoice.id).paidAmount, 1200);
+        assert.equal(app.store.findById('payments', payment.id).status, 'paid');
+    } finally {
+        await app.close();
+    }
+});
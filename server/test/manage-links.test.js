@@ -0,0 +1,99 @@
+/**
+ * Signed manage links: showing, moving and cancelling a booking without a login
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PracticeApp = require('../app');
+const loadConfig = require('../config');
+const { LinkSigner } = require('../lib/signed-links');
+
+async function withServer(run) {
+    const config = loadConfig({ DATA_DIR: 'memory', MAIL_TRANSPORT: 'memory', RECALL_MODE: 'off' });
+    config.clock = () => new Date('2025-03-03T08:00:00Z');
+    const app = new PracticeApp(config);
+    const { port } = await app.listen(0, '127.0.0.1');
+
+    const booking = app.slotEngine.createBooking({
+        date: '2025-03-10',
+        start: '09:00',
+        treatmentType: 'kontrolle',
+        patient: { firstName: 'Eva', lastName: 'Muster', email: 'eva@example.de' }
+    });
+    const token = new URL(app.bookingManager.getManageUrl(booking)).searchParams.get('token');
+    const request = (pathname, body) => fetch(`http://127.0.0.1:${port}/api/manage/${pathname}`, body && {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+
+    try {
+        await run({ app, booking, token, request });
+    } finally {
+        await app.close();
+    }
+}
+
+test('a signed token cannot be altered, reused for another purpose or kept past its expiry', () => {
+    let now = new Date('2025-03-03T08:00:00Z');
+    const signer = new LinkSigner({ secret: 'geheim', clock: () => now });
+    const token = signer.sign('manage', { bookingId: 'a' }, { expiresAt: '2025-03-04T08:00:00Z' });
+    const [, signature] = token.split('.');
+    const forged = `${Buffer.from(JSON.stringify({ p: 'manage', d: { bookingId: 'b' } })).toString('base64url')}.${signature}`;
+
+    assert.deepEqual(signer.verify('manage', token), { bookingId: 'a' });
+    assert.equal(signer.verify('manage', forged), null);
+    assert.equal(signer.verify('anamnesis', token), null);
+    assert.equal(new LinkSigner({ secret: 'anders' }).verify('manage', token), null);
+
+    now = new Date('2025-03-04T08:00:01Z');
+    assert.equal(signer.verify('manage', token), null);
+});
+
+test('the link shows the booking it was signed for and nothing else', async () => {
+    await withServer(async ({ app, booking, token, request }) => {
+        const response = await request(token);
+        assert.equal(response.status, 200);
+        assert.equal((await response.json()).booking.start, '09:00');
+
+        const anamnesis = new URL(app.bookingManager.getAnamnesisUrl(booking)).searchParams.get('token');
+        assert.equal((await request(anamnesis)).status, 404);
+        assert.equal((await request(`${token.slice(0, -2)}xx`)).status, 404);
+        assert.equal((await request(`${token}/cancel`, {})).status, 200);
+        assert.equal(app.store.findById('bookings', booking.id).status, 'cancelled');
+    });
+});
+
+test('moves the booking to a free slot and records the change', async () => {
+    await withServer(async ({ app, booking, token, request }) => {
+        const response = await request(`${token}/reschedule`, { date: '2025-03-11', slot: '10:00' });
+
+        assert.equal(response.status, 200);
+        assert.equal(app.store.findById('bookings', booking.id).date, '2025-03-11');
+        assert.deepEqual(app.bookingManager.getEvents(booking.id).map(event => event.action), ['rescheduled']);
+        assert.ok(app.mailer.transport.messages.some(message => message.recipients.includes('eva@example.de')));
+
+        assert.equal((await request(`${token}/reschedule`, { date: '2025-03-11', slot: '07:00' })).status, 409);
+        assert.equal((await request(`${token}/reschedule`, { date: '2025-03-11', slot: 'morgen' })).status, 400);
+    });
+});
+
+test('refuses changes inside the cut-off and to a cancelled booking', async () => {
+    await withServer(async ({ app, request }) => {
+        const soon = app.slotEngine.createBooking({
+            date: '2025-03-03',
+            start: '16:00',
+            treatmentType: 'kontrolle',
+            patient: { firstName: 'Max', lastName: 'Muster', email: 'max@example.de' }
+        });
+        const soonToken = new URL(app.bookingManager.getManageUrl(soon)).searchParams.get('token');
+
+        assert.equal((await request(`${soonToken}/cancel`, {})).status, 409);
+        assert.equal((await request(`${soonToken}/reschedule`, { date: '2025-03-12', slot: '10:00' })).status, 409);
+        assert.equal(app.store.findById('bookings', soon.id).status, 'confirmed');
+    });
+
+    await withServer(async ({ token, request }) => {
+        assert.equal((await request(`${token}/cancel`, { reason: 'Krank' })).status, 200);
+        assert.equal((await request(`${token}/cancel`, {})).status, 409);
+    });
+});
@@ -0,0 +1,102 @@
+/**
+ * Portal messaging: threads between patients and the practice team, attachments and read receipts
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PracticeApp = require('../app');
+const loadConfig = require('../config');
+
+const PDF = Buffer.from('%PDF-1.4\nRöntgenbild\n%%EOF', 'latin1');
+
+async function withServer(run) {
+    const config = loadConfig({ DATA_DIR: 'memory', MAIL_TRANSPORT: 'memory', RECALL_MODE: 'off' });
+    config.clock = () => new Date('2025-03-03T08:00:00Z');
+    const app = new PracticeApp(config);
+    const { port } = await app.listen(0, '127.0.0.1');
+
+    const users = {
+        staff: app.store.insert('users', { email: 'team@example.de', firstName: 'Tina', lastName: 'Team', role: 'staff' }),
+        eva: app.store.insert('users', { email: 'eva@example.de', firstName: 'Eva', lastName: 'Muster', role: 'patient' }),
+        max: app.store.insert('users', { email: 'max@example.de', firstName: 'Max', lastName: 'Muster', role: 'patient' })
+    };
+    const cookies = Object.fromEntries(Object.entries(users).map(([name, user]) =>
+        [name, `praxis_session=${app.auth.createSession(user, false).token}`]
+    ));
+    const request = async (method, pathname, as, body) => {
+        const response = await fetch(`http://127.0.0.1:${port}${pathname}`, {
+            method,
+            headers: { 'Content-Type': 'application/json', Cookie: cookies[as] },
+            body: body && JSON.stringify(body)
+        });
+        return { status: response.status, body: response.headers.get('content-type').includes('json') ? await response.json() : null };
+    };
+    const startThread = (as = 'eva', files) => request('POST', '/api/portal/messages', as, {
+        topic: 'behandlung',
+        subject: 'Schmerzen nach der Füllung',
+        message: 'Seit gestern tut der Zahn beim Kauen weh.',
+        files
+    });
+
+    try {
+        await run({ app, users, request, startThread });
+    } finally {
+        await app.close();
+    }
+}
+
+test('a thread and its attachments are only visible to the patient who wrote it and the team', async () => {
+    await withServer(async ({ app, request, startThread }) => {
+        const { status, body } = await startThread('eva', [{ name: 'zahn.pdf', data: PDF.toString('base64') }]);
+        const { thread } = body;
+        const [attachment] = thread.messages[0].attachments;
+        assert.equal(status, 201);
+
+        const notification = app.mailer.transport.messages[0];
+        assert.deepEqual(notification.recipients, [app.mailer.practiceAddress]);
+        assert.doesNotMatch(notification.message.text, /Kauen|Schmerzen/);
+
+        const attachmentPath = `/api/portal/messages/${thread.id}/attachments/${attachment.id}`;
+        assert.equal((await request('GET', attachmentPath, 'eva')).status, 200);
+        assert.equal((await request('GET', `/api/portal/messages/${thread.id}`, 'max')).status, 404);
+        assert.equal((await request('GET', attachmentPath, 'max')).status, 404);
+        assert.equal((await request('GET', '/api/staff/messages', 'eva')).status, 403);
+        assert.deepEqual(app.documentVault.listForPatient(app.auth.findUserByEmail('eva@example.de').id), []);
+
+        const other = (await startThread('max')).body.thread;
+        assert.equal((await request('GET', `/api/portal/messages/${other.id}/attachments/${attachment.id}`, 'max')).status, 404);
+    });
+});
+
+test('the first answer assigns the thread and is marked read once the patient opens it', async () => {
+    await withServer(async ({ app, users, request, startThread }) => {
+        const { thread } = (await startThread()).body;
+
+        const answered = await request('POST', `/api/staff/messages/${thread.id}/replies`, 'staff', { message: 'Bitte kommen Sie morgen vorbei.' });
+        assert.equal(answered.body.thread.assignedTo, users.staff.id);
+        assert.equal(answered.body.thread.messages[0].readAt, null);
+        const seen = (await request('GET', `/api/staff/messages/${thread.id}`, 'staff')).body.thread;
+        assert.equal(seen.messages[0].readAt, '2025-03-03T08:00:00.000Z');
+        assert.deepEqual(app.mailer.transport.messages.at(-1).recipients, ['eva@example.de']);
+
+        const [summary] = (await request('GET', '/api/portal/messages', 'eva')).body.threads;
+        assert.equal(summary.unread, 1);
+        const opened = (await request('GET', `/api/portal/messages/${thread.id}`, 'eva')).body.thread;
+        assert.equal(opened.messages[1].readAt, '2025-03-03T08:00:00.000Z');
+        assert.equal((await request('GET', '/api/portal/messages', 'eva')).body.threads[0].unread, 0);
+    });
+});
+
+test('a patient reply reopens a closed thread and goes to the assigned team member', async () => {
+    await withServer(async ({ app, users, request, startThread }) => {
+        const { thread } = (await startThread()).body;
+
+        assert.equal((await request('PATCH', `/api/staff/messages/${thread.id}`, 'staff', { assignedTo: users.eva.id })).status, 400);
+        assert.equal((await request('PATCH', `/api/staff/messages/${thread.id}`, 'staff', { status: 'archived' })).status, 400);
+        await request('PATCH', `/api/staff/messages/${thread.id}`, 'staff', { assignedTo: users.staff.id, status: 'closed' });
+
+        const reply = await request('POST', `/api/portal/messages/${thread.id}/replies`, 'eva', { message: 'Danke!' });
+        assert.equal(reply.body.thread.status, 'open');
+        assert.deepEqual(app.mailer.transport.messages.at(-1).recipients, ['team@example.de']);
+        assert.equal((await request('POST', `/api/portal/messages/${thread.id}/replies`, 'max', { message: 'Hallo' })).status, 404);
+    });
+});
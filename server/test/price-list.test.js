@@ -0,0 +1,49 @@
+/**
+ * Price list: the treatment basket that comes back with a printed estimate
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PriceListService } = require('../lib/price-list-service');
+const priceLists = require('../config/price-list.json');
+
+function createService() {
+    return new PriceListService({ priceLists, practice: { timeZone: 'Europe/Berlin' } });
+}
+
+const basket = (overrides = {}) => ({
+    priceListVersion: 1,
+    items: [{ treatment: 'fuellungen', variant: 'komposit-2', complexity: 'medium', teeth: ['36'], quantity: 1 }],
+    insurance: { type: 'gkv', bonus: 'five-years' },
+    ...overrides
+});
+
+test('fills in the labels of a valid basket', () => {
+    const read = createService().readBasket(basket());
+
+    assert.equal(read.priceListVersion, 1);
+    assert.equal(read.items[0].teeth[0], '36');
+    assert.ok(read.items[0].treatmentLabel);
+    assert.deepEqual(read.insurance, { type: 'gkv', bonus: 'five-years' });
+});
+
+test('refuses a bonus level that is not in the price list', () => {
+    const service = createService();
+
+    ['__proto__', 'constructor', 'toString', 'hasOwnProperty', 'gold'].forEach(bonus => {
+        assert.throws(() => service.readBasket(basket({ insurance: { type: 'gkv', bonus } })), { status: 400 }, bonus);
+    });
+});
+
+test('refuses treatments, variants and levels inherited from Object', () => {
+    const service = createService();
+    const item = overrides => ({ treatment: 'prophylaxe', variant: 'pzr', complexity: 'simple', quantity: 1, ...overrides });
+
+    [
+        item({ treatment: 'constructor' }),
+        item({ treatment: '__proto__' }),
+        item({ variant: 'constructor' }),
+        item({ complexity: 'toString' })
+    ].forEach(candidate => {
+        assert.throws(() => service.readBasket(basket({ items: [candidate] })), { status: 400 }, JSON.stringify(candidate));
+    });
+});
@@ -0,0 +1,93 @@
+/**
+ * Privacy deletion: bookings kept for the patient record must not bring the
+ * deleted patient back into recall reminders, the portal or calendar syncing
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PracticeApp = require('../app');
+const loadConfig = require('../config');
+
+const PATIENT = { firstName: 'Eva', lastName: 'Muster', email: 'eva@example.de' };
+
+async function createApp() {
+    const config = loadConfig({ DATA_DIR: 'memory', MAIL_TRANSPORT: 'memory', RECALL_MODE: 'off' });
+    const clock = { now: new Date('2025-03-03T10:00:00Z') };
+    config.clock = () => clock.now;
+    const app = new PracticeApp(config);
+
+    await app.auth.register({ ...PATIENT, birthDate: '1990-01-01', password: 'geheim-passwort-1' });
+    const user = app.auth.findUserByEmail(PATIENT.email);
+    const booking = app.store.insert('bookings', {
+        date: '2025-03-01',
+        start: '09:00',
+        end: '10:00',
+        treatmentType: 'prophylaxe',
+        status: 'confirmed',
+        patient: PATIENT
+    });
+
+    return { app, clock, user, booking };
+}
+
+test('a confirmed prophylaxis is due for a recall after six months', async () => {
+    const { app, clock } = await createApp();
+    clock.now = new Date('2025-09-10T10:00:00Z');
+
+    assert.equal(app.recall.findDueRecalls().length, 1);
+});
+
+test('a deleted patient who opted out gets no recall reminder', async () => {
+    const { app, clock, user } = await createApp();
+    app.recall.savePreferences(PATIENT, { optOut: true });
+
+    app.privacy.deleteAccount(user);
+    clock.now = new Date('2025-09-10T10:00:00Z');
+
+    const mailsBefore = app.mailer.transport.messages.length;
+    assert.deepEqual(app.recall.findDueRecalls(), []);
+    assert.deepEqual(await app.recall.run(), []);
+    assert.equal(app.mailer.transport.messages.length, mailsBefore);
+});
+
+test('retained bookings are restricted and hidden from a new account with the same address', async () => {
+    const { app, user, booking } = await createApp();
+
+    app.privacy.deleteAccount(user);
+
+    assert.equal(app.store.findById('bookings', booking.id).restricted, true);
+    assert.deepEqual(app.bookingManager.findByPatientEmail(PATIENT.email), []);
+});
+
+test('restricted bookings are not pushed to the booking provider', async () => {
+    const { app, user, booking } = await createApp();
+    const pushed = [];
+    app.calendarSync.provider = {
+        name: 'test',
+        createAppointment: async () => {
+            pushed.push(booking.id);
+            return 'external-1';
+        }
+    };
+
+    app.privacy.deleteAccount(user);
+
+    assert.equal(await app.calendarSync.pushNow(booking.id), null);
+    assert.deepEqual(pushed, []);
+});
+
+test('staff notes and replies about the patient are deleted and the bookings leave the inbox', async () => {
+    const { app, user, booking } = await createApp();
+    const staff = app.store.insert('users', { email: 'team@example.de', firstName: 'Tina', lastName: 'Team', role: 'staff' });
+    const message = app.store.insert('contact-messages', { ...PATIENT, subject: 'frage', message: 'Rückruf bitte', status: 'new' });
+    app.inbox.addNote('booking', booking, staff, { note: 'Patientin hat Angst vor Spritzen' });
+    await app.inbox.reply('contact', message, staff, { subject: 'Ihre Anfrage', message: 'Wir rufen Sie an.' });
+    app.store.insert('inbox-events', { type: 'application', recordId: 'other', action: 'note', authorId: staff.id, text: 'Andere Person' });
+
+    const outcome = app.privacy.deleteAccount(user);
+
+    assert.deepEqual(app.store.all('inbox-events').map(event => event.text), ['Andere Person']);
+    assert.ok(outcome.deleted.some(entry => entry.label.startsWith('Notizen und Antworten')));
+    assert.deepEqual(app.inbox.list(), []);
+    assert.equal(app.inbox.countNew().booking, 0);
+    assert.throws(() => app.inbox.findRecord('booking', booking.id), { status: 404 });
+});
@@ -0,0 +1,81 @@
+/**
+ * Recall reminders: who is due, on which channel, and the links in the reminder
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PracticeApp = require('../app');
+const loadConfig = require('../config');
+
+function createApp(now = '2025-09-10T08:00:00Z') {
+    const config = loadConfig({ DATA_DIR: 'memory', MAIL_TRANSPORT: 'memory', SMS_TRANSPORT: 'memory', RECALL_MODE: 'off' });
+    config.clock = () => new Date(now);
+    return new PracticeApp(config);
+}
+
+const eva = { firstName: 'Eva', lastName: 'Muster', email: 'eva@example.de', phone: '0171 2345678' };
+
+// Past appointments cannot be booked through the slot engine, so they are stored directly
+const addBooking = (app, date, patient = eva, treatmentType = 'prophylaxe') =>
+    app.store.insert('bookings', { date, start: '09:00', end: '10:00', treatmentType, patient, status: 'confirmed' });
+
+test('reminds a patient once, six months after the last cleaning', async () => {
+    const app = createApp();
+    addBooking(app, '2025-03-01');
+    addBooking(app, '2025-03-10');
+    addBooking(app, '2025-03-05', { ...eva, firstName: 'Max' }, 'kontrolle');
+
+    const [result, ...others] = await app.recall.run();
+
+    assert.equal(others.length, 0);
+    assert.equal(result.lastDate, '2025-03-10');
+    assert.equal(result.dueDate, '2025-09-10');
+    assert.deepEqual(result.channels, ['email']);
+    assert.equal(app.mailer.transport.messages.length, 1);
+    assert.deepEqual(await app.recall.run(), []);
+});
+
+test('skips patients with a booked appointment, a longer interval or an old overdue date', async () => {
+    const app = createApp();
+    addBooking(app, '2025-03-10');
+    addBooking(app, '2025-10-01');
+    addBooking(app, '2025-03-01', { ...eva, firstName: 'Ida' });
+    app.recall.savePreferences({ ...eva, firstName: 'Ida' }, { intervalMonths: 12 });
+    addBooking(app, '2024-12-01', { ...eva, firstName: 'Tom' });
+
+    assert.deepEqual(app.recall.findDueRecalls(), []);
+    assert.throws(() => app.recall.savePreferences(eva, { intervalMonths: 3 }), { status: 400 });
+});
+
+test('sends only during the configured hours and by SMS only when wanted', async () => {
+    const night = createApp('2025-09-10T20:00:00Z');
+    addBooking(night, '2025-03-10');
+    assert.deepEqual(await night.recall.run(), []);
+    assert.equal((await night.recall.run({ dryRun: true })).length, 1);
+    assert.equal(night.store.all('recall-reminders').length, 0);
+
+    const app = createApp();
+    addBooking(app, '2025-03-10');
+    app.recall.savePreferences(eva, { sms: true });
+
+    const [result] = await app.recall.run();
+    assert.deepEqual(result.channels, ['email', 'sms']);
+    assert.equal(app.sms.transport.messages[0].recipients[0], '+491712345678');
+});
+
+test('the opt-out and booking links only work as signed', async () => {
+    const app = createApp();
+    const booking = addBooking(app, '2025-03-10');
+    await app.recall.run();
+    const { text } = app.mailer.transport.messages[0].message;
+    const prefill = text.match(/prefill=([\w.-]+)/)[1];
+    const optOut = text.match(/opt-out\?token=([\w.-]+)/)[1];
+
+    assert.equal(app.recall.getPrefill(prefill).email, 'eva@example.de');
+    assert.equal(app.recall.getPrefill(prefill)['treatment-type'], 'prophylaxe');
+    assert.throws(() => app.recall.getPrefill(app.signer.sign('manage', { bookingId: booking.id })), { status: 404 });
+
+    assert.equal(app.recall.optOut(`${optOut}x`), null);
+    assert.equal(app.recall.optOut(optOut).optOut, true);
+    app.store.find('recall-reminders', () => true).forEach(reminder => app.store.remove('recall-reminders', reminder.id));
+    assert.deepEqual(app.recall.findDueRecalls(), []);
+});
@@ -0,0 +1,44 @@
+/**
+ * Router: path parameters and broken escapes
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Router } = require('../lib/router');
+
+function createRouter() {
+    const router = new Router();
+    router.get('/api/manage/:token', () => ({}));
+    router.get('/api/prices/:version', () => ({}));
+    return router;
+}
+
+test('decodes path parameters', () => {
+    const matched = createRouter().match('GET', '/api/manage/a%20b%C3%BC');
+    assert.deepEqual(matched.params, { token: 'a bü' });
+});
+
+test('only matches the method the route was added for', () => {
+    assert.equal(createRouter().match('POST', '/api/prices/1'), null);
+});
+
+test('treats a malformed escape as no match instead of throwing', () => {
+    assert.equal(createRouter().match('GET', '/api/manage/%E0'), null);
+    assert.equal(createRouter().match('GET', '/api/manage/%'), null);
+});
+
+test('answers a malformed escape with 404 and keeps the server running', async () => {
+    const PracticeApp = require('../app');
+    const loadConfig = require('../config');
+    const app = new PracticeApp(loadConfig({ DATA_DIR: 'memory', MAIL_TRANSPORT: 'memory', RECALL_MODE: 'off' }));
+    const { port } = await app.listen(0, '127.0.0.1');
+
+    try {
+        const broken = await fetch(`http://127.0.0.1:${port}/api/manage/%E0`);
+        assert.equal(broken.status, 404);
+
+        const next = await fetch(`http://127.0.0.1:${port}/api/prices`);
+        assert.equal(next.status, 200);
+    } finally {
+        await app.close();
+    }
+});
@@ -0,0 +1,168 @@
+/**
+ * Slot engine: opening hours, lead time, chairs and group appointments
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const JsonStore = require('../lib/json-store');
+const SlotEngine = require('../lib/slot-engine');
+
+const practice = {
+    timeZone: 'Europe/Berlin',
+    openingHours: { monday: [['08:00', '12:00'], ['13:00', '15:00']], tuesday: [['08:00', '10:00']] },
+    closedDates: ['2025-03-11'],
+    treatments: {
+        kontrolle: { label: 'Kontrolle', duration: 20 },
+        prophylaxe: { label: 'Prophylaxe', duration: 60 }
+    },
+    chairs: 2,
+    slotInterval: 30,
+    minLeadMinutes: 120,
+    maxDaysAhead: 30
+};
+
+// Monday, 3 March 2025, 9:00 in Berlin
+function createEngine(now = '2025-03-03T08:00:00Z') {
+    const store = new JsonStore();
+    return { engine: new SlotEngine({ practice, store, clock: () => new Date(now) }), store };
+}
+
+const starts = slots => slots.map(slot => slot.start);
+
+test('offers slots within the opening intervals only', () => {
+    const { engine } = createEngine();
+
+    const slots = engine.getAvailableSlots('2025-03-10', 'prophylaxe');
+
+    assert.deepEqual(starts(slots), ['08:00', '08:30', '09:00', '09:30', '10:00', '10:30', '11:00', '13:00', '13:30', '14:00']);
+    assert.deepEqual(slots[0], { date: '2025-03-10', start: '08:00', end: '09:00' });
+});
+
+test('has no slots on closed dates, days without hours or outside the booking window', () => {
+    const { engine } = createEngine();
+
+    assert.deepEqual(engine.getAvailableSlots('2025-03-11', 'kontrolle'), []);
+    assert.deepEqual(engine.getAvailableSlots('2025-03-08', 'kontrolle'), []);
+    assert.deepEqual(engine.getAvailableSlots('2025-03-02', 'kontrolle'), []);
+    assert.deepEqual(engine.getAvailableSlots('2025-04-07', 'kontrolle'), []);
+});
+
+test('keeps the minimum lead time on the same day', () => {
+    const { engine } = createEngine();
+
+    assert.equal(starts(engine.getAvailableSlots('2025-03-03', 'kontrolle'))[0], '11:00');
+});
+
+test('refuses invalid dates and unknown treatments', () => {
+    const { engine } = createEngine();
+
+    assert.throws(() => engine.getAvailableSlots('2025-02-30', 'kontrolle'), { status: 400 });
+    assert.throws(() => engine.getAvailableSlots('2025-03-10', 'bleaching'), { status: 400 });
+});
+
+test('a slot is taken once every chair is booked', () => {
+    const { engine } = createEngine();
+    const booking = { date: '2025-03-10', start: '08:00', treatmentType: 'prophylaxe' };
+
+    engine.createBooking({ ...booking, patient: { firstName: 'Eva', lastName: 'Muster', email: 'eva@example.de' } });
+    assert.ok(engine.isSlotAvailable('2025-03-10', '08:00', 'prophylaxe'));
+
+    engine.createBooking({ ...booking, patient: { firstName: 'Max', lastName: 'Muster', email: 'max@example.de' } });
+    assert.equal(engine.isSlotAvailable('2025-03-10', '08:00', 'prophylaxe'), false);
+    assert.equal(engine.isSlotAvailable('2025-03-10', '08:30', 'prophylaxe'), false);
+    assert.ok(engine.isSlotAvailable('2025-03-10', '09:00', 'prophylaxe'));
+    assert.throws(() => engine.createBooking(booking), { status: 409 });
+});
+
+test('external appointments occupy a chair as well', () => {
+    const { engine, store } = createEngine();
+    store.insert('external-busy', { date: '2025-03-10', start: '08:00', end: '10:00' });
+    store.insert('external-busy', { date: '2025-03-10', start: '09:00', end: '10:00' });
+
+    assert.equal(starts(engine.getAvailableSlots('2025-03-10', 'prophylaxe'))[0], '08:00');
+    assert.equal(engine.isSlotAvailable('2025-03-10', '09:00', 'prophylaxe'), false);
+});
+
+test('the same patient cannot hold two appointments at once', () => {
+    const { engine } = createEngine();
+    const patient = { firstName: 'Eva', lastName: 'Muster', email: 'eva@example.de' };
+
+    engine.createBooking({ date: '2025-03-10', start: '08:00', treatmentType: 'prophylaxe', patient });
+    assert.throws(
+        () => engine.createBooking({ date: '2025-03-10', start: '08:30', treatmentType: 'kontrolle', patient }),
+        { status: 409 }
+    );
+});
+
+test('moving a booking treats its own slot as free', () => {
+    const { engine } = createEngine();
+    const patient = { firstName: 'Eva', lastName: 'Muster', email: 'eva@example.de' };
+    const booking = engine.createBooking({ date: '2025-03-10', start: '08:00', treatmentType: 'prophylaxe', patient });
+
+    const moved = engine.moveBooking(booking.id, { date: '2025-03-10', start: '08:30' });
+
+    assert.equal(moved.start, '08:30');
+    assert.equal(moved.end, '09:30');
+});
+
+test('group slots place the appointments back to back within one interval', () => {
+    const { engine } = createEngine();
+
+    const slots = engine.getGroupSlots('2025-03-10', ['prophylaxe', 'kontrolle']);
+
+    assert.deepEqual(slots[0].appointments, [
+        { treatmentType: 'prophylaxe', start: '08:00', end: '09:00' },
+        { treatmentType: 'kontrolle', start: '09:00', end: '09:20' }
+    ]);
+    assert.ok(!starts(slots).includes('11:00'));
+    assert.ok(starts(slots).includes('13:00'));
+});
+
+test('finds the next date with a free slot', () => {
+    const { engine } = createEngine('2025-03-04T08:30:00Z');
+
+    // Tuesday's hours are gone after the lead time, Wednesday to Sunday are closed
+    assert.equal(engine.findNextAvailableDate('2025-03-01', 'kontrolle'), '2025-03-10');
+});
+
+test('refuses treatment names inherited from Object', () => {
+    const { engine } = createEngine();
+
+    ['constructor', '__proto__', 'toString'].forEach(treatmentType => {
+        assert.throws(() => engine.getAvailableSlots('2025-03-10', treatmentType), { status: 400 }, treatmentType);
+    });
+});
+
+test('bookings one after the other on the same chair leave the second chair free', () => {
+    const { engine, store } = createEngine();
+    // Both chairs are never taken at the same time between 8:00 and 9:00
+    store.insert('external-busy', { date: '2025-03-10', start: '08:00', end: '08:30' });
+    store.insert('external-busy', { date: '2025-03-10', start: '08:30', end: '09:00' });
+
+    assert.ok(engine.isSlotAvailable('2025-03-10', '08:00', 'prophylaxe'));
+
+    store.insert('external-busy', { date: '2025-03-10', start: '08:15', end: '08:45' });
+    assert.equal(engine.isSlotAvailable('2025-03-10', '08:00', 'prophylaxe'), false);
+    assert.ok(engine.isSlotAvailable('2025-03-10', '09:00', 'prophylaxe'));
+});
+
+test('a family booking is stored as a whole or not at all', () => {
+    const { engine, store } = createEngine();
+    const eva = { firstName: 'Eva', lastName: 'Muster', email: 'familie@example.de' };
+    const max = { firstName: 'Max', lastName: 'Muster', email: 'familie@example.de' };
+    engine.createBooking({ date: '2025-03-10', start: '09:00', treatmentType: 'kontrolle', patient: max });
+
+    assert.throws(() => engine.createGroupBooking({
+        date: '2025-03-10',
+        start: '08:00',
+        appointments: [{ treatmentType: 'prophylaxe', patient: eva }, { treatmentType: 'kontrolle', patient: max }]
+    }), { status: 409 });
+    assert.equal(store.all('bookings').length, 1);
+
+    const bookings = engine.createGroupBooking({
+        date: '2025-03-10',
+        start: '13:00',
+        appointments: [{ treatmentType: 'prophylaxe', patient: eva }, { treatmentType: 'kontrolle', patient: max }]
+    });
+    assert.deepEqual(bookings.map(booking => booking.start), ['13:00', '14:00']);
+    assert.equal(new Set(bookings.map(booking => booking.groupId)).size, 1);
+});
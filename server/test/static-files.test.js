@@ -0,0 +1,51 @@
+/**
+ * Static files: the website is served, the server directory and dot files are not
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const StaticFiles = require('../lib/static-files');
+
+const root = path.join(__dirname, '..', '..');
+const files = new StaticFiles({ root, privateDirectories: ['data'] });
+
+test('serves pages of the website', () => {
+    assert.equal(files.resolve('/'), path.join(root, 'index.html'));
+    assert.equal(files.resolve('/js/cost-calculator.js'), path.join(root, 'js', 'cost-calculator.js'));
+});
+
+test('never serves the server directory, however the path is written', () => {
+    [
+        '/server/app.js',
+        '/%2Fserver/app.js',
+        '//server/config/practice.json',
+        '/%2F%2Fserver/data/users.json',
+        '/css/..%2Fserver/app.js',
+        '/Server/app.js',
+        '/server%2Fapp.js',
+        '/data/users.json'
+    ].forEach(pathname => assert.equal(files.resolve(pathname), null, pathname));
+});
+
+test('never serves dot files, other file types or paths outside the root', () => {
+    ['/.git/config', '/%2E%2E/etc/passwd.txt', '/README.md', '/%E0.html'].forEach(pathname => {
+        assert.equal(files.resolve(pathname), null, pathname);
+    });
+});
+
+test('answers an encoded slash in front of server/ with 404', async () => {
+    const PracticeApp = require('../app');
+    const loadConfig = require('../config');
+    const app = new PracticeApp(loadConfig({ DATA_DIR: 'memory', MAIL_TRANSPORT: 'memory', RECALL_MODE: 'off' }));
+    const { port } = await app.listen(0, '127.0.0.1');
+
+    try {
+        for (const pathname of ['/%2Fserver/app.js', '/%2Fserver/config/practice.json']) {
+            const response = await fetch(`http://127.0.0.1:${port}${pathname}`);
+            assert.equal(response.status, 404, pathname);
+        }
+        assert.equal((await fetch(`http://127.0.0.1:${port}/index.html`)).status, 200);
+    } finally {
+        await app.close();
+    }
+});
@@ -0,0 +1,87 @@
+/**
+ * Treatment plans: cost breakdown, online approval and questions from the portal
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PracticeApp = require('../app');
+const loadConfig = require('../config');
+
+function createApp() {
+    const config = loadConfig({ DATA_DIR: 'memory', MAIL_TRANSPORT: 'memory', RECALL_MODE: 'off' });
+    let now = new Date('2025-03-03T08:00:00Z').getTime();
+    config.clock = () => new Date(now);
+    const app = new PracticeApp(config);
+
+    const staff = app.store.insert('users', { email: 'team@example.de', firstName: 'Tina', lastName: 'Team', role: 'staff' });
+    const eva = app.store.insert('users', { email: 'eva@example.de', firstName: 'Eva', lastName: 'Muster', role: 'patient' });
+    const max = app.store.insert('users', { email: 'max@example.de', firstName: 'Max', lastName: 'Muster', role: 'patient' });
+    const createPlan = (overrides = {}) => app.treatmentPlans.create({
+        email: 'Eva@example.de',
+        title: 'Krone Zahn 36',
+        validUntil: '2025-06-30',
+        insuranceCoverage: '250,00',
+        items: [
+            { category: 'treatment', code: 'GOZ 2210', label: 'Vollkrone', tooth: '36', amount: '612,45' },
+            { category: 'diagnostic', code: 'GOZ 0065', label: 'Röntgen', amount: 35.2 },
+            { category: 'consultation', code: 'GOÄ 1', label: 'Beratung', amount: 10.72 }
+        ],
+        ...overrides
+    }, { createdBy: staff });
+
+    return { app, eva, max, createPlan, advance: days => { now += days * 24 * 60 * 60000; } };
+}
+
+test('sums the line items and caps the insurance share at the total', async () => {
+    const { app, createPlan } = createApp();
+
+    const plan = await createPlan();
+    assert.equal(plan.cost.subtotal, 658.37);
+    assert.equal(plan.cost.basePrice, 612.45);
+    assert.equal(plan.cost.diagnosticFee, 35.2);
+    assert.equal(plan.cost.patientShare, 408.37);
+    assert.deepEqual(app.mailer.transport.messages[0].recipients, ['eva@example.de']);
+
+    const covered = await createPlan({ insuranceCoverage: 10000 });
+    assert.equal(covered.cost.insuranceCoverage, 658.37);
+    assert.equal(covered.cost.patientShare, 0);
+});
+
+test('refuses plans for unknown patients and invalid line items', async () => {
+    const { createPlan } = createApp();
+
+    await assert.rejects(createPlan({ email: 'niemand@example.de' }), { status: 400 });
+    await assert.rejects(createPlan({ items: [] }), { status: 400 });
+    await assert.rejects(createPlan({ items: [{ category: 'treatment', label: 'Krone', amount: '-5' }] }), { status: 400 });
+    await assert.rejects(createPlan({ items: [{ category: 'constructor', label: 'Krone', amount: 5 }] }), { status: 400 });
+    await assert.rejects(createPlan({ validUntil: '2025-01-01' }), { status: 400 });
+});
+
+test('only the patient approves, once, and a later change shows in the approval', async () => {
+    const { app, eva, max, createPlan } = createApp();
+    const plan = await createPlan();
+
+    assert.throws(() => app.treatmentPlans.findForPatient(max.id, plan.id), { status: 404 });
+    await assert.rejects(app.treatmentPlans.approve(plan, eva, {}, { ip: null }), { status: 400 });
+
+    const approved = await app.treatmentPlans.approve(plan, eva, { approval: true }, { ip: '203.0.113.7' });
+    assert.equal(approved.approval.userId, eva.id);
+    assert.equal(app.treatmentPlans.toPublicPlan(approved).approvalValid, true);
+    await assert.rejects(app.treatmentPlans.approve(approved, eva, { approval: true }, { ip: null }), { status: 409 });
+
+    const changed = app.store.update('treatment-plans', plan.id, { items: [{ ...approved.items[0], amount: 700 }] });
+    assert.equal(app.treatmentPlans.toPublicPlan(changed).approvalValid, false);
+});
+
+test('an expired plan can no longer be approved, but questions still reach the practice', async () => {
+    const { app, eva, createPlan, advance } = createApp();
+    const plan = await createPlan({ validUntil: '2025-03-10' });
+
+    advance(8);
+    assert.equal(app.treatmentPlans.toSummary(plan).expired, true);
+    await assert.rejects(app.treatmentPlans.approve(plan, eva, { approval: true }, { ip: null }), { status: 409 });
+
+    const thread = await app.treatmentPlans.ask(plan, eva, { message: 'Kann ich die Krone in Raten zahlen?' });
+    assert.equal(thread.topic, 'kosten');
+    assert.equal(thread.patientId, eva.id);
+    assert.deepEqual(app.treatmentPlans.findById(plan.id).questionThreadIds, [thread.id]);
+});
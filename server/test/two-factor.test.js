@@ -0,0 +1,130 @@
+/**
+ * TOTP codes (RFC 6238) and the limit on wrong codes at login
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const JsonStore = require('../lib/json-store');
+const { TwoFactorService } = require('../lib/two-factor-service');
+const { base32Encode, generateCode, verifyCode } = require('../lib/totp');
+const { hashPassword } = require('../lib/auth-service');
+
+// The SHA-1 test secret of RFC 6238, appendix B
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+test('generates the RFC 6238 test codes', () => {
+    assert.equal(generateCode(RFC_SECRET, new Date(59 * 1000)), '287082');
+    assert.equal(generateCode(RFC_SECRET, new Date(1111111109 * 1000)), '081804');
+    assert.equal(generateCode(RFC_SECRET, new Date(1234567890 * 1000)), '005924');
+    assert.equal(generateCode(RFC_SECRET, new Date(2000000000 * 1000)), '279037');
+});
+
+test('accepts the neighbouring steps for clock drift and nothing further', () => {
+    const time = new Date(1111111109 * 1000);
+    const counter = Math.floor(1111111109 / 30);
+
+    assert.equal(verifyCode(RFC_SECRET, '081804', time), counter);
+    assert.equal(verifyCode(RFC_SECRET, '081 804', time), counter);
+    assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, new Date(time.getTime() + 30000)), time), counter + 1);
+    assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, new Date(time.getTime() - 60000)), time), null);
+    assert.equal(verifyCode(RFC_SECRET, '12345', time), null);
+    assert.equal(verifyCode(RFC_SECRET, 'abcdef', time), null);
+});
+
+function createService() {
+    const clock = { now: new Date('2025-03-03T10:00:00Z') };
+    const store = new JsonStore();
+    const service = new TwoFactorService({
+        store,
+        auth: { endAllSessions() {} },
+        mailer: { trySend: async () => {} },
+        practice: { name: 'Praxis' },
+        publicUrl: 'http://localhost',
+        clock: () => clock.now
+    });
+    const user = store.insert('users', {
+        email: 'eva@example.de',
+        passwordHash: hashPassword('geheim-passwort-1'),
+        twoFactor: { secret: RFC_SECRET, enabledAt: '2025-01-01T00:00:00Z', lastUsedCounter: null, backupCodeHashes: [] }
+    });
+    return { service, store, clock, user };
+}
+
+function wrongCode(service) {
+    const current = generateCode(RFC_SECRET, service.clock());
+    return current === '000000' ? '111111' : '000000';
+}
+
+test('a used code cannot be used for a second login', () => {
+    const { service, store, clock, user } = createService();
+    const code = generateCode(RFC_SECRET, clock.now);
+
+    assert.equal(service.completeChallenge(service.createChallenge(user, false), code).user.id, user.id);
+    const second = service.createChallenge(store.findById('users', user.id), false);
+    assert.throws(() => service.completeChallenge(second, code), { status: 400 });
+});
+
+test('wrong codes are counted across challenges and lock the account', () => {
+    const { service, store, clock, user } = createService();
+
+    // Two fresh challenges with four wrong codes each stay under the limit of one challenge
+    for (let round = 0; round < 2; round++) {
+        const challenge = service.createChallenge(store.findById('users', user.id), false);
+        for (let attempt = 0; attempt < 4; attempt++) {
+            assert.throws(() => service.completeChallenge(challenge, wrongCode(service)), { status: 400 });
+        }
+    }
+
+    const challenge = service.createChallenge(store.findById('users', user.id), false);
+    assert.throws(() => service.completeChallenge(challenge, wrongCode(service)), { status: 400 });
+    assert.throws(() => service.completeChallenge(challenge, wrongCode(service)), { status: 429 });
+
+    // Locked: no new challenge until the lock ends
+    assert.throws(() => service.createChallenge(store.findById('users', user.id), false), { status: 429 });
+
+    clock.now = new Date(clock.now.getTime() + 16 * 60 * 1000);
+    const later = service.createChallenge(store.findById('users', user.id), false);
+    assert.equal(service.completeChallenge(later, generateCode(RFC_SECRET, clock.now)).user.id, user.id);
+    assert.equal(store.findById('users', user.id).failedCodes, 0);
+});
+
+test('a correct code resets the count of wrong ones', () => {
+    const { service, store, clock, user } = createService();
+
+    const challenge = service.createChallenge(user, false);
+    for (let attempt = 0; attempt < 3; attempt++) {
+        assert.throws(() => service.completeChallenge(challenge, wrongCode(service)), { status: 400 });
+    }
+    service.completeChallenge(challenge, generateCode(RFC_SECRET, clock.now));
+
+    assert.equal(store.findById('users', user.id).failedCodes, 0);
+});
+
+test('replacing backup codes with wrong codes runs into the same lock', () => {
+    const { service, store, clock, user } = createService();
+    const current = () => store.findById('users', user.id);
+
+    for (let attempt = 0; attempt < 9; attempt++) {
+        assert.throws(() => service.regenerateBackupCodes(current(), wrongCode(service)), { status: 400 });
+    }
+    assert.throws(() => service.regenerateBackupCodes(current(), wrongCode(service)), { status: 429 });
+
+    // Locked: even the right code is refused, at login as well
+    assert.throws(() => service.regenerateBackupCodes(current(), generateCode(RFC_SECRET, clock.now)), { status: 429 });
+    assert.throws(() => service.createChallenge(current(), false), { status: 429 });
+});
+
+test('wrong passwords when turning two-factor login off count towards the lock', () => {
+    const { service, store, clock, user } = createService();
+    const current = () => store.findById('users', user.id);
+
+    for (let attempt = 0; attempt < 9; attempt++) {
+        assert.throws(() => service.disable(current(), { password: 'falsch', code: wrongCode(service) }), { status: 400 });
+    }
+    assert.throws(() => service.disable(current(), { password: 'falsch', code: wrongCode(service) }), { status: 429 });
+    assert.throws(() => service.disable(current(), { password: 'geheim-passwort-1', code: generateCode(RFC_SECRET, clock.now) }), { status: 429 });
+    assert.ok(current().twoFactor);
+
+    clock.now = new Date(clock.now.getTime() + 16 * 60 * 1000);
+    service.disable(current(), { password: 'geheim-passwort-1', code: generateCode(RFC_SECRET, clock.now) });
+    assert.equal(current().twoFactor, null);
+});
@@ -0,0 +1,99 @@
+/**
+ * Waitlist: freed slots are offered to one waiting patient at a time
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PracticeApp = require('../app');
+const loadConfig = require('../config');
+
+function createApp() {
+    const config = loadConfig({ DATA_DIR: 'memory', MAIL_TRANSPORT: 'memory', RECALL_MODE: 'off' });
+    let now = new Date('2025-03-03T08:00:00Z').getTime();
+    config.clock = () => new Date(now);
+    const app = new PracticeApp(config);
+
+    const booking = app.slotEngine.createBooking({
+        date: '2025-03-10',
+        start: '09:00',
+        treatmentType: 'prophylaxe',
+        patient: { firstName: 'Max', lastName: 'Muster', email: 'max@example.de' }
+    });
+    return { app, booking, advance: minutes => { now += minutes * 60000; } };
+}
+
+const patient = name => ({ firstName: name, lastName: 'Muster', email: `${name.toLowerCase()}@example.de` });
+const join = (app, name, fromDate = '2025-03-05', toDate = '2025-03-14') =>
+    app.waitlist.join({ patient: patient(name), treatmentType: 'prophylaxe', fromDate, toDate });
+
+// The offer goes out from the slot-freed listener, after the cancellation has returned
+async function cancel(app, booking) {
+    await app.bookingManager.cancel(booking);
+    await new Promise(resolve => setImmediate(resolve));
+}
+
+function offerToken(app, email) {
+    const mail = app.mailer.transport.messages.filter(message => message.recipients.includes(email)).pop();
+    const match = mail && mail.message.text.match(/termin-angebot\.html\?token=([\w.-]+)/);
+    return match && match[1];
+}
+
+test('a freed slot goes to the patient who has waited longest and can be claimed once', async () => {
+    const { app, booking } = createApp();
+    await join(app, 'Eva');
+    await join(app, 'Ida');
+    await join(app, 'Tom', '2025-03-12');
+
+    await cancel(app, booking);
+    const token = offerToken(app, 'eva@example.de');
+    assert.ok(token);
+    assert.equal(offerToken(app, 'ida@example.de'), null);
+    assert.equal(offerToken(app, 'tom@example.de'), null);
+
+    const claimed = await app.waitlist.claim(token);
+    assert.equal(claimed.start, '09:00');
+    assert.equal(claimed.patient.email, 'eva@example.de');
+    await assert.rejects(app.waitlist.claim(token), { status: 410 });
+    assert.equal(app.store.findOne('waitlist', entry => entry.patient.firstName === 'Eva').status, 'booked');
+});
+
+test('a declined or expired offer passes to the next patient and the old link stops working', async () => {
+    const { app, booking, advance } = createApp();
+    await join(app, 'Eva');
+    await join(app, 'Ida');
+    await join(app, 'Tom');
+
+    await cancel(app, booking);
+    const first = offerToken(app, 'eva@example.de');
+    await app.waitlist.decline(first);
+
+    const second = offerToken(app, 'ida@example.de');
+    assert.ok(second);
+    await assert.rejects(app.waitlist.claim(first), { status: 410 });
+
+    advance(app.config.practice.waitlist.offerMinutes + 1);
+    await app.waitlist.tick();
+    assert.ok(offerToken(app, 'tom@example.de'));
+    assert.throws(() => app.waitlist.findOffer(second), { status: 410 });
+    assert.equal(app.store.findOne('waitlist', entry => entry.patient.firstName === 'Ida').status, 'waiting');
+});
+
+test('an offer ends while the slot can still be booked', async () => {
+    const { app } = createApp();
+    await join(app, 'Eva', '2025-03-03', '2025-03-03');
+
+    const offer = await app.waitlist.offerSlot({ date: '2025-03-03', start: '11:30' });
+
+    // 11:30 in Berlin is 10:30 UTC, minus the minimum lead time of two hours
+    assert.equal(offer.expiresAt, '2025-03-03T08:30:00.000Z');
+});
+
+test('leaving the list needs the signed link from the confirmation', async () => {
+    const { app } = createApp();
+    const entry = await join(app, 'Eva');
+    const leaveToken = app.mailer.transport.messages[0].message.text.match(/leave\?token=([\w.-]+)/)[1];
+
+    assert.equal(app.waitlist.leave(app.signer.sign('waitlist', { entryId: 'unbekannt' })), null);
+    assert.equal(app.waitlist.leave(`${leaveToken}x`), null);
+    assert.equal(app.waitlist.leave(leaveToken).id, entry.id);
+    assert.equal(app.store.findById('waitlist', entry.id).status, 'removed');
+});
@@ -0,0 +1,196 @@
+/**
+ * Mock Calendly
+ * Local stand-in for the parts of the Calendly API v2 the calendar sync uses:
+ * the current user, its event type, busy times, invitees and cancellations.
+ * Events are kept in memory; with --seed a few are "booked on Calendly"
+ * over the next days.
+ *
+ *   node server/tools/mock-calendly.js --port 4020 --seed
+ *   BOOKING_PROVIDER=calendly CALENDLY_API_URL=http://127.0.0.1:4020 CALENDLY_API_TOKEN=mock-token \
+ *     CALENDLY_USER_URI=http://127.0.0.1:4020/users/praxis \
+ *     CALENDLY_EVENT_TYPE_URI=http://127.0.0.1:4020/event_types/praxis-termin node server/index.js
+ */
+const http = require('http');
+const crypto = require('crypto');
+const { Router, sendJson } = require('../lib/router');
+const { HttpError } = require('../lib/errors');
+
+// Calendly refuses busy time requests spanning more than a week
+const MAX_RANGE_MS = 7 * 24 * 60 * 60000;
+
+class MockCalendly {
+    constructor({ port = 4020, host = '127.0.0.1', token = 'mock-token', duration = 30, quiet = false } = {}) {
+        this.port = port;
+        this.host = host;
+        this.token = token;
+        this.duration = duration;
+        this.quiet = quiet;
+        this.baseUrl = `http://${host}:${port}`;
+        this.events = [];
+        this.router = new Router();
+        this.registerRoutes();
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    }
+
+    get userUri() {
+        return `${this.baseUrl}/users/praxis`;
+    }
+
+    get eventTypeUri() {
+        return `${this.baseUrl}/event_types/praxis-termin`;
+    }
+
+    listen() {
+        return new Promise(resolve => {
+            this.server.listen(this.port, this.host, () => {
+                const address = this.server.address();
+                // Resource URIs carry the real port, also when it was chosen by the system
+                this.baseUrl = `http://${address.address}:${address.port}`;
+                resolve(address);
+            });
+        });
+    }
+
+    close() {
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    async handleRequest(req, res) {
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+        if (req.headers.authorization !== `Bearer ${this.token}`) {
+            sendJson(res, 401, { title: 'Unauthenticated', message: 'The access token is invalid' });
+            return;
+        }
+        if (!await this.router.handle(req, res, url)) {
+            sendJson(res, 404, { title: 'Resource Not Found', message: 'The server could not find the requested resource.' });
+        }
+    }
+
+    registerRoutes() {
+        this.router.get('/users/me', () => ({
+            resource: { uri: this.userUri, name: 'Praxis', timezone: 'Europe/Berlin' }
+        }));
+
+        this.router.get('/event_types', () => ({
+            collection: [{ uri: this.eventTypeUri, name: 'Termin', duration: this.duration, active: true }]
+        }));
+
+        this.router.get('/user_busy_times', ctx => {
+            const { user, start_time: startTime, end_time: endTime } = ctx.query;
+            if (user !== this.userUri) {
+                throw new HttpError(404, 'user not found');
+            }
+            if (!startTime || !endTime || new Date(endTime) - new Date(startTime) > MAX_RANGE_MS) {
+                throw new HttpError(400, 'The date range can be no greater than 1 week (7 days).');
+            }
+
+            return {
+                collection: this.events
+                    .filter(event => event.status === 'active' && event.start_time < endTime && event.end_time > startTime)
+                    .map(event => ({
+                        type: 'calendly',
+                        start_time: event.start_time,
+                        end_time: event.end_time,
+                        buffered_start_time: event.start_time,
+                        buffered_end_time: event.end_time,
+                        event: { uri: event.uri }
+                    }))
+            };
+        });
+
+        this.router.post('/invitees', ctx => {
+            const { event_type: eventType, start_time: startTime, invitee } = ctx.body;
+            if (eventType !== this.eventTypeUri) {
+                throw new HttpError(400, 'unknown event_type');
+            }
+            if (!startTime || Number.isNaN(new Date(startTime).getTime()) || !invitee?.email) {
+                throw new HttpError(400, 'start_time and invitee.email are required');
+            }
+
+            const event = this.addEvent({ start: new Date(startTime), invitee, source: 'api' });
+            ctx.status = 201;
+            return {
+                resource: {
+                    uri: `${event.uri}/invitees/${crypto.randomUUID()}`,
+                    event: event.uri,
+                    email: invitee.email,
+                    name: invitee.name,
+                    status: 'active'
+                }
+            };
+        });
+
+        this.router.post('/scheduled_events/:uuid/cancellation', ctx => {
+            const event = this.events.find(entry => entry.uri === `${this.baseUrl}/scheduled_events/${ctx.params.uuid}`);
+            if (!event) {
+                throw new HttpError(404, 'event not found');
+            }
+            if (event.status === 'canceled') {
+                throw new HttpError(403, 'Event is already canceled');
+            }
+
+            event.status = 'canceled';
+            this.log(`canceled ${event.uri}`);
+            ctx.status = 201;
+            return { resource: { canceled_by: 'Praxis', reason: ctx.body.reason || null } };
+        });
+    }
+
+    addEvent({ start, invitee = null, source = 'calendly' }) {
+        const event = {
+            uri: `${this.baseUrl}/scheduled_events/${crypto.randomUUID()}`,
+            start_time: start.toISOString(),
+            end_time: new Date(start.getTime() + this.duration * 60000).toISOString(),
+            status: 'active',
+            invitee
+        };
+        this.events.push(event);
+        this.log(`${source === 'api' ? 'pushed' : 'booked'} ${event.uri} at ${event.start_time}`);
+        return event;
+    }
+
+    // One event a day on the next weekdays at 11:00 server time
+    seed(days = 5) {
+        const day = new Date();
+        let added = 0;
+
+        while (added < days) {
+            day.setDate(day.getDate() + 1);
+            if (day.getDay() === 0 || day.getDay() === 6) continue;
+
+            this.addEvent({ start: new Date(day.getFullYear(), day.getMonth(), day.getDate(), 11) });
+            added++;
+        }
+    }
+
+    log(message) {
+        if (!this.quiet) {
+            console.log(`[${new Date().toISOString()}] ${message}`);
+        }
+    }
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = (name, fallback) => {
+        const index = args.indexOf(`--${name}`);
+        return index !== -1 ? args[index + 1] : fallback;
+    };
+
+    const calendly = new MockCalendly({
+        port: Number(option('port', 4020)),
+        token: option('token', 'mock-token'),
+        duration: Number(option('duration', 30))
+    });
+
+    calendly.listen().then(address => {
+        if (args.includes('--seed')) {
+            calendly.seed();
+        }
+        console.log(`Mock Calendly listening on ${address.address}:${address.port}`);
+        console.log(`User ${calendly.userUri}, event type ${calendly.eventTypeUri}`);
+    });
+}
+
+module.exports = MockCalendly;
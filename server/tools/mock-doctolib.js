@@ -0,0 +1,167 @@
+/**
+ * Mock Doctolib
+ * Local stand-in for the Doctolib partner API with one agenda. Keeps the
+ * appointments in memory and prints every change. With --seed it starts
+ * with a few appointments "booked on Doctolib" over the next days.
+ *
+ *   node server/tools/mock-doctolib.js --port 4010 --seed
+ *   BOOKING_PROVIDER=doctolib DOCTOLIB_API_URL=http://127.0.0.1:4010 \
+ *     DOCTOLIB_API_TOKEN=mock-token DOCTOLIB_AGENDA_ID=agenda-1 node server/index.js
+ */
+const http = require('http');
+const crypto = require('crypto');
+const { Router, sendJson } = require('../lib/router');
+const { HttpError } = require('../lib/errors');
+
+class MockDoctolib {
+    constructor({ port = 4010, host = '127.0.0.1', token = 'mock-token', agendaId = 'agenda-1', quiet = false } = {}) {
+        this.port = port;
+        this.host = host;
+        this.token = token;
+        this.agendaId = agendaId;
+        this.quiet = quiet;
+        this.appointments = [];
+        this.router = new Router();
+        this.registerRoutes();
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    }
+
+    listen() {
+        return new Promise(resolve => {
+            this.server.listen(this.port, this.host, () => resolve(this.server.address()));
+        });
+    }
+
+    close() {
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    async handleRequest(req, res) {
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+        if (req.headers.authorization !== `Bearer ${this.token}`) {
+            sendJson(res, 401, { error: 'invalid_token' });
+            return;
+        }
+        if (!await this.router.handle(req, res, url)) {
+            sendJson(res, 404, { error: 'not_found' });
+        }
+    }
+
+    registerRoutes() {
+        const agendaPath = '/api/v1/agendas/:agendaId/appointments';
+
+        this.router.get(agendaPath, ctx => {
+            this.assertAgenda(ctx.params.agendaId);
+            const { start, end } = ctx.query;
+
+            return {
+                appointments: this.appointments.filter(appointment =>
+                    (!end || appointment.start_date < end) && (!start || appointment.end_date > start)
+                )
+            };
+        });
+
+        this.router.post(agendaPath, ctx => {
+            this.assertAgenda(ctx.params.agendaId);
+            const { start_date: startDate, end_date: endDate } = ctx.body;
+            if (!startDate || !endDate || !(new Date(startDate) < new Date(endDate))) {
+                throw new HttpError(422, 'start_date and end_date are required');
+            }
+
+            ctx.status = 201;
+            return { appointment: this.addAppointment({ ...ctx.body, source: 'partner' }) };
+        });
+
+        this.router.patch('/api/v1/appointments/:id', ctx => {
+            const appointment = this.findAppointment(ctx.params.id);
+            Object.assign(appointment, {
+                start_date: ctx.body.start_date || appointment.start_date,
+                end_date: ctx.body.end_date || appointment.end_date
+            });
+            this.log(`moved ${appointment.id} to ${appointment.start_date}`);
+            return { appointment };
+        });
+
+        this.router.delete('/api/v1/appointments/:id', ctx => {
+            const appointment = this.findAppointment(ctx.params.id);
+            appointment.status = 'cancelled';
+            this.log(`cancelled ${appointment.id}`);
+        });
+    }
+
+    assertAgenda(agendaId) {
+        if (agendaId !== this.agendaId) {
+            throw new HttpError(404, 'agenda not found');
+        }
+    }
+
+    findAppointment(id) {
+        const appointment = this.appointments.find(entry => entry.id === id);
+        if (!appointment) {
+            throw new HttpError(404, 'appointment not found');
+        }
+        return appointment;
+    }
+
+    addAppointment({ start_date: startDate, end_date: endDate, source = 'doctolib', ...details }) {
+        const appointment = {
+            id: crypto.randomUUID(),
+            ...details,
+            start_date: new Date(startDate).toISOString(),
+            end_date: new Date(endDate).toISOString(),
+            status: 'confirmed',
+            source
+        };
+        this.appointments.push(appointment);
+        this.log(`${source === 'partner' ? 'pushed' : 'booked'} ${appointment.id} at ${appointment.start_date}`);
+        return appointment;
+    }
+
+    // Two appointments a day on the next weekdays, at 10:00 and 14:00 server time
+    seed(days = 5) {
+        const day = new Date();
+        let added = 0;
+
+        while (added < days) {
+            day.setDate(day.getDate() + 1);
+            if (day.getDay() === 0 || day.getDay() === 6) continue;
+
+            [10, 14].forEach(hour => {
+                const start = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hour);
+                this.addAppointment({ start_date: start, end_date: new Date(start.getTime() + 60 * 60000), motive: 'Doctolib' });
+            });
+            added++;
+        }
+    }
+
+    log(message) {
+        if (!this.quiet) {
+            console.log(`[${new Date().toISOString()}] ${message}`);
+        }
+    }
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = (name, fallback) => {
+        const index = args.indexOf(`--${name}`);
+        return index !== -1 ? args[index + 1] : fallback;
+    };
+
+    const doctolib = new MockDoctolib({
+        port: Number(option('port', 4010)),
+        token: option('token', 'mock-token'),
+        agendaId: option('agenda', 'agenda-1')
+    });
+
+    if (args.includes('--seed')) {
+        doctolib.seed();
+    }
+
+    doctolib.listen().then(address => {
+        console.log(`Mock Doctolib listening on ${address.address}:${address.port}, agenda ${doctolib.agendaId}`);
+    });
+}
+
+module.exports = MockDoctolib;
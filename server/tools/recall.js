@@ -0,0 +1,41 @@
+/**
+ * Recall Run
+ * Checks the stored bookings for due recall reminders once and exits.
+ * Uses the same settings as the server (DATA_DIR, MAIL_TRANSPORT, SMS_TRANSPORT).
+ *
+ *   node server/tools/recall.js --dry-run                  who would be reminded today
+ *   node server/tools/recall.js --dry-run --date 2025-09-01  the same for another day
+ *   node server/tools/recall.js                            send the due reminders now
+ */
+const loadConfig = require('../config');
+const PracticeApp = require('../app');
+const { toUtcDate } = require('../lib/practice-time');
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 ? args[index + 1] : fallback;
+};
+
+const config = loadConfig();
+const date = option('date', null);
+const dryRun = args.includes('--dry-run');
+
+// Simulated day: noon practice time, so the sending hours are met
+if (date) {
+    const now = toUtcDate(date, '12:00', config.practice.timeZone);
+    config.clock = () => now;
+}
+
+const app = new PracticeApp(config);
+
+app.recall.run({ dryRun }).then(results => {
+    results.filter(result => !result.dryRun).forEach(result => {
+        const { patient } = result;
+        console.log(`${patient.firstName} ${patient.lastName} <${patient.email}>: e-mail ${result.emailSent ? 'sent' : 'failed'}${result.smsSent === null ? '' : `, SMS ${result.smsSent ? 'sent' : 'failed'}`}`);
+    });
+    console.log(`${results.length} recall reminder(s) ${dryRun ? 'due' : 'processed'}.`);
+}).catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,37 @@
+/**
+ * Set Role
+ * Turns a portal account into a staff account (or back). Staff can upload
+ * patient documents. The account has to be registered and confirmed first.
+ *
+ *   node server/tools/set-role.js --email team@zahnarztpraxis-muenchen.de --role staff
+ *   node server/tools/set-role.js --email team@zahnarztpraxis-muenchen.de --role patient
+ */
+const loadConfig = require('../config');
+const JsonStore = require('../lib/json-store');
+
+const ROLES = ['patient', 'staff'];
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 ? args[index + 1] : fallback;
+};
+
+const config = loadConfig();
+const store = new JsonStore({ directory: config.dataDir });
+const email = String(option('email', '')).trim().toLowerCase();
+const role = option('role', 'staff');
+
+const user = store.findOne('users', candidate => candidate.email === email);
+
+if (!ROLES.includes(role)) {
+    console.error(`Unknown role: ${role} (${ROLES.join(', ')})`);
+    process.exitCode = 1;
+} else if (!user) {
+    console.error(`No account found for ${email || '(missing --email)'}`);
+    process.exitCode = 1;
+} else {
+    store.update('users', user.id, { role });
+    // Sessions keep working, the role is read from the account on every request
+    console.log(`${user.firstName} ${user.lastName} <${user.email}> is now ${role}.`);
+}
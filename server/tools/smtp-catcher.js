@@ -0,0 +1,167 @@
+/**
+ * SMTP Catcher
+ * Local stand-in for the practice mail server. Accepts every message, stores
+ * it as an .eml file and prints a short summary. Nothing is ever delivered.
+ *
+ *   node server/tools/smtp-catcher.js --port 1025 --dir server/data/mails
+ *   MAIL_TRANSPORT=smtp SMTP_PORT=1025 node server/index.js
+ */
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+
+function decodeHeader(value) {
+    return value.replace(/=\?UTF-8\?B\?([^?]+)\?=/gi, (match, encoded) =>
+        Buffer.from(encoded, 'base64').toString('utf8')
+    );
+}
+
+function getHeader(raw, name) {
+    const match = new RegExp(`^${name}: (.*)$`, 'mi').exec(raw);
+    return match ? decodeHeader(match[1].trim()) : '';
+}
+
+class SmtpCatcher {
+    constructor({ port = 1025, host = '127.0.0.1', directory = null, quiet = false } = {}) {
+        this.port = port;
+        this.host = host;
+        this.directory = directory;
+        this.quiet = quiet;
+        this.messages = [];
+        this.server = net.createServer(socket => this.handleConnection(socket));
+
+        if (this.directory) {
+            fs.mkdirSync(this.directory, { recursive: true });
+        }
+    }
+
+    listen() {
+        return new Promise(resolve => {
+            this.server.listen(this.port, this.host, () => resolve(this.server.address()));
+        });
+    }
+
+    close() {
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    handleConnection(socket) {
+        const session = { from: null, recipients: [], data: null };
+        let buffer = '';
+
+        const reply = line => socket.write(`${line}\r\n`);
+        reply('220 localhost SMTP catcher ready');
+
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+
+            let index;
+            while ((index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+
+                if (session.data !== null) {
+                    if (line === '.') {
+                        this.store(session);
+                        session.data = null;
+                        session.from = null;
+                        session.recipients = [];
+                        reply('250 OK: message caught');
+                    } else {
+                        session.data.push(line.startsWith('..') ? line.slice(1) : line);
+                    }
+                    continue;
+                }
+
+                this.handleCommand(line, session, reply, socket);
+            }
+        });
+
+        socket.on('error', () => {});
+    }
+
+    handleCommand(line, session, reply, socket) {
+        const command = line.split(' ')[0].toUpperCase();
+
+        switch (command) {
+            case 'EHLO':
+                reply('250-localhost');
+                reply('250-AUTH PLAIN LOGIN');
+                reply('250 8BITMIME');
+                break;
+            case 'HELO':
+                reply('250 localhost');
+                break;
+            case 'AUTH':
+                // Any credentials are accepted
+                reply('235 Authentication successful');
+                break;
+            case 'MAIL':
+                session.from = (/<([^>]*)>/.exec(line) || [])[1] || '';
+                reply('250 OK');
+                break;
+            case 'RCPT':
+                session.recipients.push((/<([^>]*)>/.exec(line) || [])[1] || '');
+                reply('250 OK');
+                break;
+            case 'DATA':
+                session.data = [];
+                reply('354 End data with <CR><LF>.<CR><LF>');
+                break;
+            case 'RSET':
+                session.from = null;
+                session.recipients = [];
+                reply('250 OK');
+                break;
+            case 'NOOP':
+                reply('250 OK');
+                break;
+            case 'QUIT':
+                reply('221 Bye');
+                socket.end();
+                break;
+            default:
+                reply('502 Command not implemented');
+        }
+    }
+
+    store(session) {
+        const raw = session.data.join('\r\n');
+        const message = {
+            from: session.from,
+            recipients: [...session.recipients],
+            subject: getHeader(raw, 'Subject'),
+            raw,
+            receivedAt: new Date().toISOString()
+        };
+        this.messages.push(message);
+
+        if (this.directory) {
+            const name = `${message.receivedAt.replace(/[:.]/g, '-')}-${this.messages.length}.eml`;
+            fs.writeFileSync(path.join(this.directory, name), raw);
+        }
+
+        if (!this.quiet) {
+            console.log(`[${message.receivedAt}] ${message.from} -> ${message.recipients.join(', ')}: ${message.subject}`);
+        }
+    }
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = (name, fallback) => {
+        const index = args.indexOf(`--${name}`);
+        return index !== -1 ? args[index + 1] : fallback;
+    };
+
+    const catcher = new SmtpCatcher({
+        port: Number(option('port', 1025)),
+        directory: option('dir', path.join(__dirname, '..', 'data', 'mails'))
+    });
+
+    catcher.listen().then(address => {
+        console.log(`SMTP catcher listening on ${address.address}:${address.port}`);
+    });
+}
+
+module.exports = SmtpCatcher;
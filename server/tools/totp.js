@@ -0,0 +1,42 @@
+/**
+ * TOTP
+ * Stands in for the authenticator app while testing two-factor login offline:
+ * prints the current code for a secret, or for the secret stored with a
+ * local portal account.
+ *
+ *   node server/tools/totp.js --secret JBSWY3DPEHPK3PXP
+ *   node server/tools/totp.js --email patient@example.com
+ */
+const loadConfig = require('../config');
+const JsonStore = require('../lib/json-store');
+const { generateCode, PERIOD_SECONDS } = require('../lib/totp');
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 ? args[index + 1] : fallback;
+};
+
+let secret = option('secret', null);
+const email = option('email', null);
+
+if (!secret && email) {
+    const store = new JsonStore({ directory: loadConfig().dataDir });
+    const user = store.findOne('users', candidate => candidate.email === email.trim().toLowerCase());
+    // During setup the secret is still pending until the first code is confirmed
+    secret = user?.twoFactor?.secret || user?.twoFactor?.pendingSecret || null;
+
+    if (!secret) {
+        console.error(`No two-factor secret stored for ${email}`);
+        process.exitCode = 1;
+    }
+} else if (!secret) {
+    console.error('Usage: node server/tools/totp.js --secret <base32> | --email <address>');
+    process.exitCode = 1;
+}
+
+if (secret) {
+    const now = new Date();
+    const remaining = PERIOD_SECONDS - Math.floor(now.getTime() / 1000) % PERIOD_SECONDS;
+    console.log(`${generateCode(secret, now)} (valid for ${remaining} s)`);
+}